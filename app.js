@@ -0,0 +1,1505 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Express Application
+// createApp() builds the site (every route, middleware and the services behind
+// them) without clustering, listening or starting background jobs: server.js
+// does those, and the tests (test/) drive the same app in-process. Settings come
+// from `config` (lib/config.js, loaded from the environment by default); the
+// database, SMTP transport, PayPal client, logger and metrics default to the
+// ones it describes and can each be passed in instead.
+// ───────────────────────────────────────────────────────────────────────────────
+const cluster = require("cluster");
+const express = require("express");
+const compression = require("compression");
+const cors = require("cors");
+const bodyParser = require("body-parser");
+const path = require("path");
+const rateLimit = require("express-rate-limit");
+const { body, query, validationResult } = require("express-validator");
+const winston = require("winston");
+const expressWinston = require("express-winston");
+const { v4: uuidv4 } = require("uuid");
+const crypto = require("crypto");
+const helmet = require("helmet");
+const cookieParser = require("cookie-parser");
+const csurf = require("csurf");
+
+const { loadConfig } = require("./lib/config");
+const { createMetrics, collectMetrics } = require("./lib/metrics");
+const { createDatabase, observeQueries } = require("./lib/db");
+const { createRepos } = require("./lib/repos");
+const { createStore, rateLimitStore } = require("./lib/store");
+const { createSmtpTransport } = require("./lib/mailer");
+const { createOutbox } = require("./lib/outbox");
+const { ApiError, wrap } = require("./lib/errors");
+const { createPayPalClient, extractCapture, outcomeUnknown } = require("./lib/paypal");
+const { processWebhookEvent } = require("./lib/webhooks");
+const { issueRefund, checkRefund } = require("./lib/refunds");
+const { appendAuditEntry, auditContext } = require("./lib/audit");
+const { createTokenSigner } = require("./lib/signed-tokens");
+const { createInvoice, renderInvoicePdf } = require("./lib/invoices");
+const { createAdminAuth, SESSION_COOKIE } = require("./lib/admin-auth");
+const { createClientAuth } = require("./lib/client-auth");
+const { createAdminRouter } = require("./routes/admin");
+const { createContactRouter } = require("./routes/contact");
+const { createAbuseGuard, HONEYPOT_FIELD } = require("./lib/abuse");
+const { createIdempotency } = require("./lib/idempotency");
+const { createAppointmentsRouter } = require("./routes/appointments");
+const { createAccountRouter } = require("./routes/account");
+const { createReportsRouter } = require("./routes/reports");
+const { createReconciler } = require("./lib/reconciliation");
+const { createReadinessCheck } = require("./lib/readiness");
+const { createStorage } = require("./lib/storage");
+const { createDocumentUploads } = require("./lib/documents");
+const { applyPromoCode, reservePromoCode, PROMO_CODE_PATTERN } = require("./lib/promotions");
+const {
+  attachOrder,
+  confirmBooking,
+  appointmentEmailData,
+  queueAppointmentEmails,
+} = require("./lib/appointments");
+const { BASE_CURRENCY, createRateProvider, formatZar } = require("./lib/currency");
+const { toCents, fromCents } = require("./lib/money");
+
+// Winston Logger Setup
+const createLogger = () =>
+  winston.createLogger({
+    level: "info",
+    format: winston.format.combine(
+      winston.format.timestamp({
+        format: () => new Date().toLocaleString("en-US", { timeZone: "Africa/Johannesburg" }),
+      }),
+      winston.format.json()
+    ),
+    transports: [
+      new winston.transports.Console(),
+      new winston.transports.File({ filename: "error.log", level: "error" }),
+    ],
+  });
+
+// The app plus what server.js starts and stops alongside it
+function createApp({
+  config = loadConfig(),
+  db: pool = createDatabase(config.database),
+  transporter = createSmtpTransport(config.smtp),
+  paypal = createPayPalClient(config.paypal),
+  logger = createLogger(),
+  metrics = createMetrics(),
+} = {}) {
+  const app = express();
+
+  // ── 1. Database ────────────────────────────────────────────────────────────
+  // PostgreSQL in production; DB_DIALECT=sqlite runs offline against a local file.
+  // Query timings go to db_query_duration_ms (lib/metrics.js).
+  const db = observeQueries(pool, metrics.observeQuery);
+  const repos = createRepos(db);
+
+  // Rate-limit counters and sessions: shared in PostgreSQL across cluster workers,
+  // in memory when running as a single process or on SQLite (unless STORE_BACKEND
+  // says otherwise)
+  const store = createStore({
+    backend:
+      config.server.storeBackend ||
+      (cluster.isWorker && db.dialect === "postgres" ? "postgres" : "memory"),
+    pool: db,
+  });
+  logger.info(`🗄️ Using ${store.kind} store for rate limits and sessions`);
+
+  setInterval(() => {
+    store
+      .purgeExpired()
+      .catch((err) =>
+        logger.error("❌ Error purging expired store entries", { error: err.message })
+      );
+  }, 10 * 60 * 1000).unref();
+
+  // ── 2. Email Outbox ────────────────────────────────────────────────────────
+  const outbox = createOutbox({
+    repos,
+    transporter,
+    logger,
+    from: config.email.from,
+    invoiceSettings: config.invoices,
+    maxAttempts: config.email.maxAttempts,
+    retryBaseSeconds: config.email.retryBaseSeconds,
+    onDelivery: (email, outcome) =>
+      metrics.emailDeliveries.inc({ type: email.email_type, outcome }),
+  });
+
+  // ── 3. Services Behind the Routes ──────────────────────────────────────────
+  // Checks saved transactions against PayPal's records (npm run reconcile, /admin/reconciliation)
+  const reconciler = createReconciler({
+    repos,
+    paypal,
+    logger,
+    settings: config.reconciliation,
+    // A PENDING capture PayPal has since settled gets its invoice like any other
+    onStatusChange: (tx, change, transaction) => invoiceIfCompleted(tx, transaction, null),
+  });
+  const readiness = createReadinessCheck({ db, transporter, logger, config });
+  // Services are priced in ZAR; PayPal is charged in the settlement currency
+  const PAYPAL_CURRENCY = config.paypal.currency;
+  const rates = createRateProvider({
+    exchangeRates: repos.exchangeRates,
+    file: config.paypal.exchangeRatesFile,
+  });
+
+  // Signed links in emails (invoice downloads etc.)
+  const tokens = createTokenSigner(config.server.secret);
+  const INVOICE_LINK_TTL = 60 * 60 * 24 * config.invoices.linkTtlDays;
+
+  // Background jobs (scheduled reconciliation) have no request, so their links need APP_BASE_URL
+  const siteUrl = (req) =>
+    config.server.baseUrl ||
+    (req ? `${req.protocol}://${req.get("host")}` : `http://localhost:${config.server.port}`);
+
+  const invoiceUrl = (req, invoiceNumber) => {
+    const token = tokens.sign("invoice", invoiceNumber, INVOICE_LINK_TTL);
+    return `${siteUrl(req)}/invoices/${encodeURIComponent(invoiceNumber)}.pdf?token=${token}`;
+  };
+
+  // Where checkout (public/js/checkout.js) sends the payer once a payment is saved
+  const receiptUrl = (req, transactionId) => {
+    const token = tokens.sign("receipt", transactionId, INVOICE_LINK_TTL);
+    return `${siteUrl(req)}/receipt/${encodeURIComponent(transactionId)}?token=${token}`;
+  };
+
+  // Cancel/reschedule link, valid until a month after the appointment
+  const APPOINTMENTS = config.appointments;
+  const appointmentUrl = (req, appointment) => {
+    const expires = new Date(appointment.ends_at).getTime() + 30 * 24 * 60 * 60 * 1000;
+    const ttl = Math.max(Math.floor((expires - Date.now()) / 1000), 24 * 60 * 60);
+    const token = tokens.sign("appointment", String(appointment.id), ttl);
+    return `${siteUrl(req)}/appointments/${appointment.id}?token=${token}`;
+  };
+
+  // Admin API auth: a static bearer token compared in constant time
+  const hasAdminToken = (req) => {
+    const expected = config.admin.apiToken;
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    if (!expected || scheme !== "Bearer" || !token) return false;
+    const a = crypto.createHash("sha256").update(token).digest();
+    const b = crypto.createHash("sha256").update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+  };
+
+  // Bot protection for public forms and payment validation
+  const abuse = createAbuseGuard({
+    blocklist: repos.blocklist,
+    challenges: repos.challenges,
+    logger,
+    tokens,
+    rejections: metrics.abuseRejections,
+    limiterStore: (prefix) => rateLimitStore(store, prefix),
+    difficulty: config.abuse.powDifficulty,
+  });
+  const CONTACT_MIN_FILL_SECONDS = config.abuse.minFillSeconds;
+
+  // Idempotency-Key support for every route that moves money
+  const { idempotent, purgeExpired: purgeIdempotencyKeys } = createIdempotency({
+    keys: repos.idempotencyKeys,
+    logger,
+    ttlHours: config.payments.idempotencyKeyTtlHours,
+  });
+  setInterval(() => {
+    purgeIdempotencyKeys().catch((err) =>
+      logger.error("❌ Error purging expired idempotency keys", { error: err.message })
+    );
+  }, 60 * 60 * 1000).unref();
+
+  // Warn a payer who already paid for the same service this recently (0 turns it off)
+  const DUPLICATE_PAYMENT_WINDOW_MINUTES = config.payments.duplicateWindowMinutes;
+
+  const adminAuth = createAdminAuth({
+    users: repos.adminUsers,
+    sessions: store,
+    maxFailedAttempts: config.admin.maxFailedLogins,
+    lockoutMinutes: config.admin.lockoutMinutes,
+    sessionTtlHours: config.admin.sessionHours,
+  });
+
+  // Client portal sign-in links and sessions (routes/account.js)
+  const clientAuth = createClientAuth({
+    sessions: store,
+    linkTtlMinutes: config.clientPortal.loginLinkMinutes,
+    sessionTtlHours: config.clientPortal.sessionHours,
+  });
+
+  // Client documents, kept outside public/ and only downloadable through /admin
+  const storage = createStorage({
+    backend: config.documents.storage,
+    root: config.documents.uploadsDir,
+  });
+  const documentUploads = createDocumentUploads({
+    repos,
+    storage,
+    logger,
+    settings: config.documents,
+  });
+  const documentUploadGuard = abuse.protect("document-upload", {
+    perIp: { max: 20, windowMinutes: 60 },
+  });
+
+  // Admin API accepts either the bearer token or a logged-in staff session
+  const requireAdmin = wrap(async (req, res, next) => {
+    if (hasAdminToken(req)) {
+      req.adminUser = "api-token";
+      return next();
+    }
+    const admin = await adminAuth.findSession(req.cookies[SESSION_COOKIE]);
+    if (!admin) {
+      throw new ApiError(401, "UNAUTHORIZED", "Admin authentication required");
+    }
+    req.adminUser = admin.email;
+    next();
+  });
+
+  // ── 4. Middleware Setup ────────────────────────────────────────────────────
+  app.set("trust proxy", 1);
+  app.use(compression());
+
+  // Request ID and Prometheus timer middleware
+  app.use((req, res, next) => {
+    req.requestId = uuidv4();
+    res.setHeader("X-Request-Id", req.requestId);
+    res.setHeader("Connection", "keep-alive");
+
+    const end = metrics.httpRequestDurationMs.startTimer();
+    res.on("finish", () => {
+      const route = req.route ? req.route.path : req.path;
+      end({ method: req.method, route, status_code: res.statusCode });
+    });
+    next();
+  });
+
+  // Winston request logging middleware
+  app.use(
+    expressWinston.logger({
+      winstonInstance: logger,
+      meta: true,
+      msg: "{{req.method}} {{req.url}} {{res.statusCode}} {{res.responseTime}}ms",
+      expressFormat: false,
+      colorize: false,
+      dynamicMeta: (req, res) => ({
+        requestId: req.requestId,
+        userAgent: req.get("User-Agent"),
+      }),
+    })
+  );
+
+  app.use(cors());
+  app.use(bodyParser.json());
+  app.use(bodyParser.urlencoded({ extended: false }));
+  app.use(cookieParser());
+
+  // Serve static assets
+  app.use(
+    express.static(path.join(__dirname, "public"), {
+      maxAge: "30d",
+      etag: true,
+      immutable: true,
+    })
+  );
+
+  // Global and route-specific rate limiting
+  const RATE_LIMIT_WINDOW_MS = config.rateLimits.windowMinutes * 60 * 1000;
+  const globalLimiter = rateLimit({
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: config.rateLimits.max,
+    message: { error: "Too many requests, please try again later." },
+    skip: (req) => req.path.startsWith("/webhooks/"),
+    store: rateLimitStore(store, "global"),
+  });
+  app.use(globalLimiter);
+
+  const strictLimiter = rateLimit({
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max: config.rateLimits.strictMax,
+    message: { error: "Too many attempts, slow down." },
+    store: rateLimitStore(store, "strict"),
+  });
+  app.use("/api/validate-service", strictLimiter);
+  app.use("/save-transaction", strictLimiter);
+
+  // View engine setup
+  app.set("views", path.join(__dirname, "views"));
+  app.set("view engine", "ejs");
+
+
+  // Inject a nonce for CSP
+  app.use((req, res, next) => {
+    res.locals.nonce = crypto.randomBytes(16).toString("base64");
+    next();
+  });
+
+  // CSRF protection middleware (webhooks are signature-verified and admin API
+  // calls carry a bearer token, so neither relies on cookies)
+  const SECURE_COOKIES = config.profile === "production";
+  const csrfProtection = csurf({
+    cookie: {
+      httpOnly: true,
+      secure: SECURE_COOKIES,
+      sameSite: "strict",
+    },
+  });
+  app.use((req, res, next) =>
+    req.path.startsWith("/webhooks/") || hasAdminToken(req)
+      ? next()
+      : csrfProtection(req, res, next)
+  );
+
+  // Helmet security middlewares (the allowed origins are config.csp)
+  const { paypalOrigins, styleOrigins, imgOrigins } = config.csp;
+  app.use(helmet());
+  app.use(
+    helmet.contentSecurityPolicy({
+      directives: {
+        defaultSrc: ["'self'", ...paypalOrigins],
+        scriptSrc: [
+          "'self'",
+          "'unsafe-eval'",
+          (req, res) => `'nonce-${res.locals.nonce}'`,
+          "'strict-dynamic'",
+          ...paypalOrigins,
+        ],
+        styleSrc: ["'self'", ...styleOrigins, "'unsafe-inline'"],
+        imgSrc: ["'self'", "data:", ...imgOrigins],
+        frameSrc: ["'self'", ...paypalOrigins],
+        connectSrc: ["'self'", ...paypalOrigins],
+        upgradeInsecureRequests: [],
+      },
+    })
+  );
+  app.use(helmet.referrerPolicy({ policy: "no-referrer" }));
+
+  // ── 5. Metrics Endpoint for Prometheus ─────────────────────────────────────
+  // Totals for the whole cluster, not just the worker that happens to answer
+  app.get("/metrics", async (req, res) => {
+    try {
+      const text = await collectMetrics(metrics.register);
+      res.set("Content-Type", metrics.register.contentType);
+      res.end(text);
+    } catch (err) {
+      logger.error("❌ Error collecting metrics", { error: err.message });
+      res.status(503).type("text/plain").end("Metrics unavailable\n");
+    }
+  });
+
+  // ── 6. Route Definitions ───────────────────────────────────────────────────
+
+  // Health Check Endpoint
+  app.get(
+    "/health",
+    wrap(async (req, res) => {
+      await db.query("SELECT 1");
+      res.json({ status: "ok", pid: process.pid });
+    })
+  );
+
+  // Readiness: database, SMTP and PayPal settings checked separately (lib/readiness.js)
+  app.get(
+    "/ready",
+    wrap(async (req, res) => {
+      const report = await readiness();
+      res.set("Cache-Control", "no-store");
+      res.status(report.status === "unavailable" ? 503 : 200).json({ ...report, pid: process.pid });
+    })
+  );
+
+  // Home Route
+  app.get(
+    "/",
+    wrap(async (req, res) => {
+      res.render("index", {
+        nonce: res.locals.nonce,
+        csrfToken: req.csrfToken(),
+        services: await repos.services.listActive(),
+        formatZar,
+        contactSubjects: config.contact.subjects,
+        contactStatus: req.query.contact || null,
+        honeypotField: HONEYPOT_FIELD,
+      });
+    })
+  );
+
+  // PayPal Config Endpoint
+  app.get(
+    "/config/paypal",
+    wrap((req, res) => {
+      if (!config.paypal.clientId) {
+        throw new ApiError(500, "MISSING_PAYPAL_CLIENT_ID", "PayPal Client ID not found");
+      }
+      res.json({ clientId: config.paypal.clientId, currency: PAYPAL_CURRENCY });
+    })
+  );
+
+  // Proof-of-work challenge for scripted submissions (see public/js/challenge.js)
+  app.get("/api/challenge", (req, res) => {
+    res.set("Cache-Control", "no-store");
+    res.json(abuse.issueChallenge());
+  });
+
+  // GET /api/services Endpoint
+  // The active catalogue in display order, optionally one category at a time
+  // (?category=Tax). The body stays a plain array; paging (?page, ?per_page) is
+  // described by the X-Total-Count and Link headers. The ETag covers the catalogue
+  // and the exchange rate, so clients revalidate and get a 304 until either changes.
+  const SERVICES_PER_PAGE = 50;
+  const SERVICES_MAX_PER_PAGE = 100;
+
+  app.get(
+    "/api/services",
+    [
+      query("category").optional().trim().isLength({ min: 1, max: 64 }),
+      query("page").optional().isInt({ min: 1, max: 10000 }).toInt(),
+      query("per_page").optional().isInt({ min: 1, max: SERVICES_MAX_PER_PAGE }).toInt(),
+    ],
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, "VALIDATION_ERROR", "Invalid query", errors.array());
+      }
+      const category = req.query.category ? req.query.category.toLowerCase() : null;
+      const page = req.query.page || 1;
+      const perPage = req.query.per_page || SERVICES_PER_PAGE;
+
+      const [version, { rate, asOf }] = await Promise.all([
+        repos.services.catalogueVersion(),
+        rates.getRate(PAYPAL_CURRENCY),
+      ]);
+      const etag = crypto
+        .createHash("sha1")
+        .update(JSON.stringify([version, PAYPAL_CURRENCY, rate, asOf, category, page, perPage]))
+        .digest("base64url");
+      res.set({ ETag: `W/"${etag}"`, "Cache-Control": "public, no-cache" });
+      if (req.fresh) return res.status(304).end();
+
+      const { rows, total } = await repos.services.listCatalogue({
+        category,
+        limit: perPage,
+        offset: (page - 1) * perPage,
+      });
+      const services = await Promise.all(
+        rows.map(async (service) => ({
+          ...service,
+          currency: BASE_CURRENCY,
+          charge: await rates.convert(service.price, PAYPAL_CURRENCY),
+        }))
+      );
+
+      const pageUrl = (n) => {
+        const params = new URLSearchParams({ page: n, per_page: perPage });
+        if (category) params.set("category", req.query.category);
+        return `/api/services?${params}`;
+      };
+      const links = {};
+      if (page * perPage < total) links.next = pageUrl(page + 1);
+      if (page > 1) links.prev = pageUrl(Math.min(page - 1, Math.ceil(total / perPage) || 1));
+      res.set("X-Total-Count", String(total));
+      if (Object.keys(links).length) res.links(links);
+      res.json(services);
+    })
+  );
+
+  // Pricing helpers shared by the validation and order routes
+  const MIN_SERVICE_PRICE = config.payments.minServicePrice;
+  const MIN_CUSTOM_AMOUNT = config.payments.minCustomAmount;
+  const CUSTOM_DESCRIPTION = "Custom Payment";
+
+  const priceService = async ({ id, name }) => {
+    const service = await repos.services.findActive({ id, name });
+    if (!service) {
+      throw new ApiError(400, "SERVICE_NOT_FOUND", "Invalid service selection");
+    }
+
+    // 🔒 Validation: Reject if price < 300
+    if (service.price < MIN_SERVICE_PRICE) {
+      throw new ApiError(
+        400,
+        "PRICE_TOO_LOW",
+        `Service "${service.name}" must have a price of at least ${MIN_SERVICE_PRICE}. Current price is ${service.price}`
+      );
+    }
+
+    return service;
+  };
+
+  const approveCustomAmount = (amount) => {
+    // e.g. enforce a minimum of R 50
+    if (amount < MIN_CUSTOM_AMOUNT) {
+      throw new ApiError(400, "AMOUNT_TOO_LOW",
+        `Custom payments must be at least R ${MIN_CUSTOM_AMOUNT}. You entered R ${amount.toFixed(2)}`);
+    }
+    return amount.toFixed(2);
+  };
+
+  // Optional promo code on the pricing routes (see lib/promotions.js)
+  const promoCodeRules = [
+    body("promo_code")
+      .optional({ values: "falsy" })
+      .trim()
+      .matches(PROMO_CODE_PATTERN)
+      .withMessage("This promo code isn't valid."),
+    body("email").optional({ values: "falsy" }).trim().isEmail().withMessage("Invalid email"),
+  ];
+
+  // Check a capture against the order we created and priced ourselves
+  const verifyCapture = async (capture) => {
+    if (!capture) {
+      throw new ApiError(400, "PAYMENT_NOT_CAPTURED", "No captured payment found for this order");
+    }
+    if (!["COMPLETED", "PENDING"].includes(capture.status)) {
+      throw new ApiError(400, "PAYMENT_NOT_COMPLETED", `Payment status is ${capture.status}`);
+    }
+
+    const pending = await repos.orders.find(capture.orderId);
+    if (!pending) {
+      throw new ApiError(400, "UNKNOWN_ORDER", "Order was not created by this site");
+    }
+
+    if (
+      capture.currency !== pending.charged_currency ||
+      parseFloat(capture.amount) !== parseFloat(pending.charged_amount)
+    ) {
+      logger.error("❌ Captured amount does not match server price", {
+        captureId: capture.captureId,
+        paid: capture.amount,
+        currency: capture.currency,
+        expected: pending.charged_amount,
+        expectedCurrency: pending.charged_currency,
+      });
+      throw new ApiError(
+        400,
+        "AMOUNT_MISMATCH",
+        "Captured amount does not match the expected price"
+      );
+    }
+
+    return pending;
+  };
+
+  // Tax invoice lines for a saved transaction: the service, less any promo discount
+  const invoiceLines = (t) =>
+    t.promo_code
+      ? [
+          {
+            description: t.service_type,
+            quantity: 1,
+            unit_price: fromCents(toCents(t.amount_zar) + toCents(t.discount_zar)),
+          },
+          { description: `Discount (${t.promo_code})`, quantity: 1, unit_price: -t.discount_zar },
+        ]
+      : [{ description: t.service_type, quantity: 1, unit_price: t.amount_zar }];
+
+  // Money has arrived: issue the gap-free tax invoice and queue the confirmation
+  // email with it. Run at capture, or when PayPal completes a PENDING capture.
+  const completePayment = async (tx, transaction, req, { appointment = null } = {}) => {
+    const invoice = await createInvoice(
+      tx,
+      { transaction, lineItems: invoiceLines(transaction) },
+      config.invoices
+    );
+    const downloadUrl = invoiceUrl(req, invoice.invoice_number);
+    await outbox.enqueue(
+      "payment-confirmation",
+      {
+        to: transaction.payer_email,
+        relatedId: transaction.transaction_id,
+        data: {
+          ...paymentEmailData(transaction, req, { appointment }),
+          invoiceNumber: invoice.invoice_number,
+          downloadUrl,
+        },
+      },
+      tx
+    );
+    return { invoice, downloadUrl };
+  };
+
+  // A saved payment that has reached COMPLETED without an invoice gets one now,
+  // however we learnt of it: a re-save, a webhook or reconciliation. `req` is null
+  // for background jobs. Resolves to the invoice issued, or null.
+  const invoiceIfCompleted = async (tx, transaction, req) => {
+    const transactionId = transaction.transaction_id;
+    if (transaction.payment_status !== "COMPLETED") return null;
+    if (await tx.invoices.findByTransaction(transactionId)) return null;
+    const appointment = await tx.appointments.findByTransaction(transactionId);
+    const { invoice } = await completePayment(tx, transaction, req, {
+      appointment: appointment && appointment.status === "CONFIRMED" ? appointment : null,
+    });
+    logger.info("🧾 Invoice issued for completed payment", {
+      transaction_id: transactionId,
+      invoice: invoice.invoice_number,
+      requestId: req ? req.requestId : undefined,
+    });
+    return invoice;
+  };
+
+  // What the payment emails (confirmation and pending) show
+  const paymentEmailData = (transaction, req, { appointment = null } = {}) => ({
+    payerName: transaction.payer_name,
+    amountZar: formatZar(transaction.amount_zar),
+    serviceType: transaction.service_type,
+    promo: transaction.promo_code && {
+      code: transaction.promo_code,
+      listPrice: formatZar(
+        fromCents(toCents(transaction.amount_zar) + toCents(transaction.discount_zar))
+      ),
+      discount: formatZar(transaction.discount_zar),
+    },
+    charged: `${transaction.currency} ${transaction.amount}`,
+    exchangeRate: `1 ${BASE_CURRENCY} = ${transaction.exchange_rate} ${transaction.currency}`,
+    transactionId: transaction.transaction_id,
+    accountUrl: `${siteUrl(req)}/account`,
+    appointment:
+      appointment &&
+      appointmentEmailData(appointment, { manageUrl: appointmentUrl(req, appointment) }),
+  });
+
+  // Persist a verified capture and queue its email. Saving a capture that is
+  // already stored (a retry, or both entry points) returns the saved row, moved
+  // on to COMPLETED if PayPal now says so. A PENDING capture (e-cheque, under
+  // review) hasn't paid yet: it gets a "payment pending" email, and its invoice
+  // waits until it completes.
+  const recordTransaction = async (capture, req) => {
+    const pending = await verifyCapture(capture);
+    const {
+      captureId: transaction_id,
+      payerName: payer_name,
+      payerEmail: payer_email,
+      amount,
+      currency,
+      status: payment_status,
+    } = capture;
+    const { amount_zar, exchange_rate, description: service_type, discount_zar } = pending;
+    const promo = pending.promo_code_id && (await repos.promoCodes.findById(pending.promo_code_id));
+
+    // The transaction, its tax invoice and its email are saved together so invoice
+    // numbers stay gap-free and the email can't be lost
+    const { transaction, created, invoice, downloadUrl } = await repos.transaction(async (tx) => {
+      const { transaction: saved, created: isNew } = await tx.transactions.upsert({
+        transaction_id,
+        payer_name,
+        payer_email,
+        amount,
+        currency,
+        payment_status,
+        service_type,
+        amount_zar,
+        exchange_rate,
+        promo_code: promo ? promo.code : null,
+        discount_zar,
+      });
+      // The first save already queued the email
+      if (!isNew) {
+        let current = saved;
+        if (saved.payment_status === "PENDING" && payment_status === "COMPLETED") {
+          await tx.transactions.changeStatus(transaction_id, {
+            from: "PENDING",
+            to: "COMPLETED",
+            source: "paypal_capture",
+          });
+          await appendAuditEntry(tx, {
+            actor: "paypal",
+            action: "transaction.status_changed",
+            entityType: "transaction",
+            entityId: transaction_id,
+            before: { payment_status: "PENDING" },
+            after: { payment_status: "COMPLETED", order_id: capture.orderId },
+            ...auditContext(req),
+          });
+          current = { ...saved, payment_status: "COMPLETED" };
+        }
+        await invoiceIfCompleted(tx, current, req);
+        const issued = await tx.invoices.findByTransaction(transaction_id);
+        return {
+          transaction: current,
+          created: false,
+          invoice: issued,
+          downloadUrl: issued && invoiceUrl(req, issued.invoice_number),
+        };
+      }
+
+      if (promo) {
+        await tx.promoCodes.redeem({
+          promoCodeId: promo.id,
+          orderId: capture.orderId,
+          transactionId: transaction_id,
+          payerEmail: payer_email,
+          discountZar: discount_zar,
+        });
+      }
+
+      // A consultation booked with this payment is confirmed with it
+      const booking = await confirmBooking(tx, {
+        orderId: capture.orderId,
+        transactionId: transaction_id,
+      });
+      if (booking && !booking.confirmed) {
+        logger.warn("⚠️ Paid appointment's slot was taken after its hold expired", {
+          appointmentId: booking.appointment.id,
+          transaction_id,
+          requestId: req.requestId,
+        });
+        // It's now NEEDS_RESCHEDULE: ask the client and the office to pick a new time
+        await queueAppointmentEmails(
+          outbox,
+          booking.appointment,
+          {
+            change: "needs_reschedule",
+            manageUrl: appointmentUrl(req, booking.appointment),
+            notifyClient: true,
+            staffEmail: config.contact.notifyEmail,
+          },
+          tx
+        );
+      }
+      const appointment = booking && booking.confirmed ? booking.appointment : null;
+      if (appointment) {
+        // Someone else may have paid for the client (e.g. their company)
+        const notifyClient =
+          appointment.client_email.toLowerCase() !== String(payer_email).toLowerCase();
+        await queueAppointmentEmails(
+          outbox,
+          appointment,
+          { change: "booked", manageUrl: appointmentUrl(req, appointment), notifyClient },
+          tx
+        );
+      }
+
+      let issued = null;
+      let url = null;
+      if (saved.payment_status === "COMPLETED") {
+        ({ invoice: issued, downloadUrl: url } = await completePayment(tx, saved, req, {
+          appointment,
+        }));
+      } else {
+        await outbox.enqueue(
+          "payment-pending",
+          {
+            to: payer_email,
+            relatedId: transaction_id,
+            data: paymentEmailData(saved, req, { appointment }),
+          },
+          tx
+        );
+      }
+      await appendAuditEntry(tx, {
+        actor: `payer:${payer_email}`,
+        action: "transaction.saved",
+        entityType: "transaction",
+        entityId: transaction_id,
+        after: {
+          ...saved,
+          order_id: capture.orderId,
+          invoice_number: issued ? issued.invoice_number : null,
+        },
+        ...auditContext(req),
+      });
+      return { transaction: saved, created: true, invoice: issued, downloadUrl: url };
+    });
+
+    logger.info(created ? "✅ Transaction saved" : "🔁 Transaction already saved", {
+      transaction_id,
+      order_id: capture.orderId,
+      payer_email,
+      amount,
+      currency,
+      amount_zar,
+      payment_status: transaction.payment_status,
+      promo_code: promo ? promo.code : undefined,
+      invoice: invoice ? invoice.invoice_number : undefined,
+      requestId: req.requestId,
+    });
+    return {
+      created,
+      transaction: {
+        ...transaction,
+        invoice_number: invoice ? invoice.invoice_number : null,
+        invoice_url: downloadUrl,
+        receipt_url: receiptUrl(req, transaction.transaction_id),
+      },
+    };
+  };
+
+  // Count a capture attempt and how it ended (payments_total), by the service and
+  // currency the order was priced in; "unknown" for orders this site didn't create
+  const trackPayment = async (orderId, attempt) => {
+    const pending = await repos.orders.find(orderId);
+    const labels = {
+      service: pending ? pending.description : "unknown",
+      currency: pending ? pending.charged_currency : "unknown",
+    };
+    metrics.payments.inc({ ...labels, outcome: "attempted" });
+    try {
+      const saved = await attempt();
+      metrics.payments.inc({ ...labels, outcome: saved.created ? "saved" : "already_saved" });
+      if (saved.created && pending) {
+        metrics.paymentAmountZar.observe({ service: labels.service }, Number(pending.amount_zar));
+      }
+      return saved;
+    } catch (err) {
+      metrics.payments.inc({ ...labels, outcome: "failed" });
+      throw err;
+    }
+  };
+
+  const savedResponse = ({ created, transaction }) => ({
+    success: true,
+    message: created ? "Transaction saved" : "Transaction already saved",
+    transaction,
+  });
+
+  // Before capturing, check whether this payer already paid for the same service
+  // recently; they have to confirm (confirm_duplicate) to pay again
+  const checkDuplicatePayment = async (order, req) => {
+    if (!DUPLICATE_PAYMENT_WINDOW_MINUTES || req.body.confirm_duplicate === true) return;
+    // Already captured orders are being re-saved, not paid again
+    const payerEmail = order.payer && order.payer.email_address;
+    if (order.status !== "APPROVED" || !payerEmail) return;
+
+    const pending = await repos.orders.find(order.id);
+    if (!pending) return; // verifyCapture rejects these after capture
+    const previous = await repos.transactions.findRecentPayment({
+      payerEmail,
+      serviceType: pending.description,
+      since: new Date(Date.now() - DUPLICATE_PAYMENT_WINDOW_MINUTES * 60 * 1000),
+    });
+    if (!previous) return;
+
+    logger.warn("⚠️ Possible duplicate payment held for confirmation", {
+      orderId: order.id,
+      previous: previous.transaction_id,
+      requestId: req.requestId,
+    });
+    const paidAt = new Date(previous.created_at).toLocaleString("en-ZA", {
+      timeZone: "Africa/Johannesburg",
+    });
+    throw new ApiError(
+      409,
+      "POSSIBLE_DUPLICATE_PAYMENT",
+      `You already paid for ${pending.description} on ${paidAt}. ` +
+        "Are you sure you want to pay again?",
+      {
+        transactionId: previous.transaction_id,
+        serviceType: previous.service_type,
+        amountZar: previous.amount_zar,
+        paidAt: previous.created_at,
+      }
+    );
+  };
+
+  // A discounted order's code may have been used up, or used by this payer, since
+  // the order was priced; the payer's email is only known from PayPal now. The
+  // use is reserved for the order until its capture is saved or refused.
+  // Resolves to whether a use was reserved.
+  const reservePromoUse = async (order, req) => {
+    if (order.status !== "APPROVED") return false;
+    const pending = await repos.orders.find(order.id);
+    if (!pending || !pending.promo_code_id) return false;
+    const payerEmail = order.payer && order.payer.email_address;
+    try {
+      await reservePromoCode(repos, {
+        promoCodeId: pending.promo_code_id,
+        orderId: order.id,
+        email: payerEmail,
+      });
+      return true;
+    } catch (err) {
+      if (err instanceof ApiError) {
+        logger.warn("⚠️ Promo code no longer available at capture", {
+          orderId: order.id,
+          promoCodeId: pending.promo_code_id,
+          payerEmail,
+          requestId: req.requestId,
+        });
+      }
+      throw err;
+    }
+  };
+
+  // The capture call failed. If PayPal refused it nothing was paid, so the promo
+  // code's use goes back; with no answer the order may have been paid, so the use
+  // is held until reconciliation checks (lib/reconciliation.js)
+  const settleReservation = async (orderId, err, req) => {
+    if (!outcomeUnknown(err)) {
+      await repos.promoCodes.release(orderId);
+      return;
+    }
+    await repos.promoCodes.holdUnsettled(orderId);
+    logger.warn("⚠️ Capture outcome unknown; promo code use held for reconciliation", {
+      orderId,
+      error: err.message,
+      requestId: req.requestId,
+    });
+  };
+
+  // Router for validating services
+  const router = express.Router();
+
+  router.post(
+    "/api/validate-service",
+    [
+      body("name")
+        .trim()
+        .notEmpty()
+        .withMessage("Service name is required.")
+        .isString()
+        .withMessage("Service name must be a string."),
+      ...promoCodeRules,
+    ],
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, "VALIDATION_ERROR", "Invalid input", errors.array());
+      }
+
+      const service = await priceService({ name: req.body.name });
+      if (!req.body.promo_code) {
+        const charge = await rates.convert(service.price, PAYPAL_CURRENCY);
+        const { name, price } = service;
+        return res.json({ name, price, currency: BASE_CURRENCY, charge });
+      }
+
+      // `price` is what will be charged; the code and discount are shown alongside
+      const { promo, listPriceZar, discountZar, amountZar } = await applyPromoCode(repos, {
+        code: req.body.promo_code,
+        service,
+        email: req.body.email,
+        minTotal: MIN_SERVICE_PRICE,
+      });
+      const charge = await rates.convert(amountZar, PAYPAL_CURRENCY);
+      res.json({
+        name: service.name,
+        price: amountZar,
+        currency: BASE_CURRENCY,
+        charge,
+        promo: { code: promo.code, list_price: listPriceZar, discount: discountZar },
+      });
+    })
+  );
+
+
+  router.post("/api/validate-custom",
+    abuse.protect("validate-custom", {
+      perIp: { max: 30, windowMinutes: 15 },
+      challenge: true,
+    }),
+    [ body("amount").isFloat({ gt: 0 }).withMessage("Amount must be > 0").toFloat() ],
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, "VALIDATION_ERROR", errors.array()[0].msg);
+      }
+
+      // send back the *approved* amount:
+      const amount = approveCustomAmount(req.body.amount);
+      const charge = await rates.convert(amount, PAYPAL_CURRENCY);
+      res.json({ amount, currency: BASE_CURRENCY, charge });
+    })
+  );
+
+  // POST /api/orders — create the PayPal order server-side from our own prices
+  router.post(
+    "/api/orders",
+    idempotent("orders.create"),
+    [
+      body("service")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("Service name is required."),
+      body("amount").optional().isFloat({ gt: 0 }).withMessage("Amount must be > 0").toFloat(),
+      body("appointment_id").optional().isInt({ min: 1 }).toInt(),
+      ...promoCodeRules,
+    ],
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, "VALIDATION_ERROR", "Invalid input", errors.array());
+      }
+
+      // A held consultation (see routes/appointments.js) is paid for at its service's price
+      const { appointment_id: appointmentId, appointment_token: appointmentToken } = req.body;
+      let appointment = null;
+      if (appointmentId) {
+        if (!tokens.verify("appointment-hold", String(appointmentId), appointmentToken)) {
+          throw new ApiError(403, "INVALID_TOKEN", "Your booking hold is invalid or has expired");
+        }
+        appointment = await repos.appointments.find(appointmentId);
+        const live = appointment && appointment.status === "HELD" &&
+          new Date(appointment.hold_expires_at) > new Date();
+        if (!live) {
+          throw new ApiError(
+            409,
+            "HOLD_EXPIRED",
+            "Your booking hold has expired. Please choose a time again."
+          );
+        }
+      }
+
+      const { service: serviceName, amount: customAmount, promo_code: promoCode } = req.body;
+      let amountZar, description, customId, serviceId = null, discount = null;
+      if (appointment || serviceName) {
+        const service = await priceService(
+          appointment ? { id: appointment.service_id } : { name: serviceName }
+        );
+        amountZar = service.price;
+        description = service.name;
+        serviceId = service.id;
+        customId = `service:${service.id}`;
+        if (promoCode) {
+          discount = await applyPromoCode(repos, {
+            code: promoCode,
+            service,
+            email: appointment ? appointment.client_email : req.body.email,
+            minTotal: MIN_SERVICE_PRICE,
+          });
+          amountZar = discount.amountZar;
+        }
+      } else if (customAmount !== undefined) {
+        // The payer chooses the amount, so there is nothing to discount
+        if (promoCode) {
+          throw new ApiError(
+            400,
+            "PROMO_CODE_NOT_APPLICABLE",
+            "Promo codes can only be used when paying for a service."
+          );
+        }
+        amountZar = approveCustomAmount(customAmount);
+        description = CUSTOM_DESCRIPTION;
+        customId = "custom";
+      } else {
+        throw new ApiError(400, "VALIDATION_ERROR", "Either a service or an amount is required");
+      }
+
+      const charge = await rates.convert(amountZar, PAYPAL_CURRENCY);
+      const order = await paypal.createOrder({
+        amount: charge.amount,
+        currency: charge.currency,
+        description,
+        customId,
+      });
+
+      // Remember exactly what we asked PayPal for; captures are checked against this
+      await repos.orders.create({
+        order_id: order.id,
+        service_id: serviceId,
+        description,
+        amount_zar: charge.amount_zar,
+        charged_amount: charge.amount,
+        charged_currency: charge.currency,
+        exchange_rate: charge.exchange_rate,
+        promo_code_id: discount && discount.promo.id,
+        list_price_zar: discount && discount.listPriceZar,
+        discount_zar: discount && discount.discountZar,
+      });
+      if (appointment) {
+        await attachOrder(repos, appointment.id, order.id, { settings: APPOINTMENTS });
+      }
+
+      logger.info("🧾 PayPal order created", {
+        orderId: order.id,
+        amountZar: charge.amount_zar,
+        amount: charge.amount,
+        currency: charge.currency,
+        description,
+        promoCode: discount ? discount.promo.code : undefined,
+        discountZar: discount ? discount.discountZar : undefined,
+        appointmentId: appointment ? appointment.id : undefined,
+        requestId: req.requestId,
+      });
+      res.status(201).json({
+        id: order.id,
+        status: order.status,
+        description,
+        ...charge,
+        ...(discount && { promo_code: discount.promo.code, discount_zar: discount.discountZar }),
+      });
+    })
+  );
+
+  // POST /api/orders/:id/capture — capture with PayPal and persist the verified result
+  router.post(
+    "/api/orders/:id/capture",
+    idempotent("orders.capture"),
+    wrap(async (req, res) => {
+      const orderId = req.params.id;
+      const approved = await paypal.getOrder(orderId);
+      await checkDuplicatePayment(approved, req);
+      const reserved = await reservePromoUse(approved, req);
+
+      const saved = await trackPayment(orderId, async () => {
+        // The same PayPal-Request-Id for every attempt at this order, so PayPal only
+        // captures once; if it was captured some other way, save what PayPal has
+        let order;
+        try {
+          order = await paypal.captureOrder(orderId, { requestId: `capture-${orderId}` });
+        } catch (err) {
+          if (err.code !== "ORDER_ALREADY_CAPTURED") {
+            if (reserved) await settleReservation(orderId, err, req);
+            throw err;
+          }
+          order = await paypal.getOrder(orderId);
+        }
+        try {
+          return await recordTransaction(extractCapture(order), req);
+        } catch (err) {
+          // Declined or failed at PayPal, or not ours to save (e.g. AMOUNT_MISMATCH)
+          if (reserved) await repos.promoCodes.release(orderId);
+          throw err;
+        }
+      });
+      res.json(savedResponse(saved));
+    })
+  );
+
+  // POST /save-transaction — legacy entry point; re-reads the order from PayPal
+  // The payer's email is only known once PayPal is asked, so this is per-IP only
+  app.post(
+    "/save-transaction",
+    abuse.protect("save-transaction", { perIp: { max: 10, windowMinutes: 15 } }),
+    idempotent("transactions.save"),
+    [
+      body("transaction_id").trim().notEmpty().withMessage("Transaction ID is required."),
+    ],
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, "VALIDATION_ERROR", "Validation failed", errors.array());
+      }
+
+      // Only the PayPal order id is trusted; amounts and status come from PayPal
+      const saved = await trackPayment(req.body.transaction_id, async () => {
+        const order = await paypal.getOrder(req.body.transaction_id);
+        return recordTransaction(extractCapture(order), req);
+      });
+      res.json(savedResponse(saved));
+    })
+  );
+  // GET /invoices/:number.pdf — tax invoice download via the signed link we email
+  app.get(
+    "/invoices/:number.pdf",
+    wrap(async (req, res) => {
+      const { number } = req.params;
+      if (!tokens.verify("invoice", number, req.query.token)) {
+        throw new ApiError(403, "INVALID_TOKEN", "This invoice link is invalid or has expired");
+      }
+
+      const invoice = await repos.invoices.findByNumber(number);
+      if (!invoice) {
+        throw new ApiError(404, "INVOICE_NOT_FOUND", "Invoice not found");
+      }
+
+      const pdf = await renderInvoicePdf(invoice, config.invoices);
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `inline; filename="${invoice.invoice_number}.pdf"`,
+        "Cache-Control": "private, no-store",
+      });
+      res.send(pdf);
+    })
+  );
+
+  // GET /receipt/:transactionId — the page checkout redirects to after a payment
+  app.get(
+    "/receipt/:transactionId",
+    wrap(async (req, res) => {
+      const { transactionId } = req.params;
+      if (!tokens.verify("receipt", transactionId, req.query.token)) {
+        throw new ApiError(403, "INVALID_TOKEN", "This receipt link is invalid or has expired");
+      }
+
+      const transaction = await repos.transactions.find(transactionId);
+      if (!transaction) {
+        throw new ApiError(404, "TRANSACTION_NOT_FOUND", "Transaction not found");
+      }
+      const invoice = await repos.invoices.findByTransaction(transactionId);
+
+      res.set("Cache-Control", "private, no-store");
+      res.render("receipt", {
+        transaction,
+        invoice,
+        invoiceUrl: invoice && invoiceUrl(req, invoice.invoice_number),
+        paidAt: new Date(transaction.created_at).toLocaleString("en-ZA", {
+          timeZone: "Africa/Johannesburg",
+        }),
+        formatZar,
+      });
+    })
+  );
+
+  // POST /webhooks/paypal — verified PayPal events reconcile transaction status
+  const WEBHOOK_HEADERS = [
+    "paypal-auth-algo",
+    "paypal-cert-url",
+    "paypal-transmission-id",
+    "paypal-transmission-sig",
+    "paypal-transmission-time",
+  ];
+
+  app.post(
+    "/webhooks/paypal",
+    wrap(async (req, res) => {
+      if (!config.paypal.webhookId) {
+        throw new ApiError(500, "MISSING_PAYPAL_WEBHOOK_ID", "PayPal webhook ID not configured");
+      }
+
+      const event = req.body;
+      const missing = WEBHOOK_HEADERS.filter((h) => !req.get(h));
+      if (missing.length || !event || !event.id || !event.event_type) {
+        throw new ApiError(400, "INVALID_WEBHOOK", "Malformed PayPal webhook", { missing });
+      }
+
+      const verified = await paypal.verifyWebhookSignature({
+        headers: req.headers,
+        webhookId: config.paypal.webhookId,
+        event,
+      });
+      if (!verified) {
+        throw new ApiError(
+          400,
+          "INVALID_WEBHOOK_SIGNATURE",
+          "Webhook signature verification failed"
+        );
+      }
+
+      const { duplicate, updated } = await processWebhookEvent(repos, event, auditContext(req), {
+        // A capture that has cleared (from PENDING, or back from a dispute before it
+        // was ever invoiced) gets its tax invoice and confirmation
+        onStatusChange: async (tx, { to }, transaction) => {
+          if (to === "COMPLETED") await invoiceIfCompleted(tx, transaction, req);
+        },
+      });
+      logger.info(duplicate ? "🔁 Duplicate PayPal webhook ignored" : "📬 PayPal webhook processed", {
+        eventId: event.id,
+        eventType: event.event_type,
+        updated,
+        requestId: req.requestId,
+      });
+      res.json({ received: true, duplicate, updated: updated.length });
+    })
+  );
+
+  // Issue a refund and email the payer; shared by the admin API and back office
+  const refundTransaction = async (req, { transactionId, amount, reason, requestedBy }) => {
+    const { transaction, refund } = await issueRefund(
+      { repos, paypal },
+      { transactionId, amount, reason, requestedBy, audit: auditContext(req) }
+    );
+
+    // The refund already happened at PayPal, so a queueing failure must not fail the request
+    await outbox
+      .enqueue("refund-confirmation", {
+        to: transaction.payer_email,
+        relatedId: refund.id,
+        data: {
+          payerName: transaction.payer_name,
+          refunded: `${refund.currency} ${refund.amount}`,
+          refundedZar: transaction.exchange_rate
+            ? formatZar(refund.amount / transaction.exchange_rate)
+            : null,
+          serviceType: transaction.service_type,
+          transactionId: transaction.transaction_id,
+          refundId: refund.paypal_refund_id,
+        },
+      })
+      .catch((err) =>
+        logger.error("❌ Error queueing refund email", {
+          error: err.message,
+          requestId: req.requestId,
+        })
+      );
+
+    logger.info("💸 Refund issued", {
+      transaction_id: transaction.transaction_id,
+      refund_id: refund.paypal_refund_id,
+      amount: refund.amount,
+      requestedBy,
+      requestId: req.requestId,
+    });
+    return { transaction, refund };
+  };
+
+  // Ask PayPal where a PENDING refund stands (back office "Check with PayPal")
+  const checkRefundStatus = (req, refundId) =>
+    checkRefund({ repos, paypal }, refundId, {
+      actor: req.admin.email,
+      audit: auditContext(req),
+    });
+
+  // Admin refunds API — full refund when no amount is given, partial otherwise
+  app.get(
+    "/admin/api/transactions/:transactionId/refunds",
+    requireAdmin,
+    wrap(async (req, res) => {
+      res.json(await repos.refunds.listFor(req.params.transactionId));
+    })
+  );
+
+  app.post(
+    "/admin/api/transactions/:transactionId/refunds",
+    requireAdmin,
+    idempotent("refunds.create"),
+    [
+      body("amount").optional().isFloat({ gt: 0 }).withMessage("Amount must be > 0").toFloat(),
+      body("reason").optional().trim().isLength({ max: 255 }),
+    ],
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, "VALIDATION_ERROR", "Invalid input", errors.array());
+      }
+
+      const { transaction, refund } = await refundTransaction(req, {
+        transactionId: req.params.transactionId,
+        amount: req.body.amount,
+        reason: req.body.reason,
+        requestedBy: req.adminUser,
+      });
+      res.status(201).json({ success: true, refund, payment_status: transaction.payment_status });
+    })
+  );
+
+  // ── Mount our API routes ───────────────────────────────────────────────────
+  app.use(router);
+  app.use(createReportsRouter({ repos, logger, wrap, requireAdmin }));
+  app.use(
+    createContactRouter({
+      repos,
+      outbox,
+      logger,
+      wrap,
+      ApiError,
+      subjects: config.contact.subjects,
+      notifyEmail: config.contact.notifyEmail,
+      guard: [
+        strictLimiter,
+        abuse.protect("contact", {
+          perIp: { max: 5, windowMinutes: 60 },
+          perEmail: { max: 3, windowMinutes: 60 },
+          honeypot: true,
+          challenge: true,
+          minFillSeconds: CONTACT_MIN_FILL_SECONDS,
+          rejectRedirect: "/?contact=unverified#contact",
+        }),
+      ],
+    })
+  );
+  app.use(
+    createAppointmentsRouter({
+      repos,
+      outbox,
+      tokens,
+      logger,
+      wrap,
+      ApiError,
+      settings: APPOINTMENTS,
+      appointmentUrl,
+      documents: documentUploads,
+      uploadGuard: documentUploadGuard,
+      guard: abuse.protect("appointment-hold", {
+        perIp: { max: 10, windowMinutes: 60 },
+        perEmail: { max: 5, windowMinutes: 60 },
+        honeypot: true,
+        challenge: true,
+      }),
+    })
+  );
+  app.use(
+    createAccountRouter({
+      repos,
+      outbox,
+      clientAuth,
+      logger,
+      wrap,
+      ApiError,
+      renderInvoicePdf: (invoice) => renderInvoicePdf(invoice, config.invoices),
+      siteUrl,
+      appointmentUrl,
+      secureCookies: SECURE_COOKIES,
+      documents: documentUploads,
+      uploadGuard: documentUploadGuard,
+      guard: abuse.protect("account-login", {
+        perIp: { max: 10, windowMinutes: 60 },
+        perEmail: { max: 3, windowMinutes: 60 },
+        honeypot: true,
+        rejectRedirect: "/account?login=unverified",
+      }),
+    })
+  );
+  app.use(
+    "/admin",
+    createAdminRouter({
+      repos,
+      outbox,
+      auth: adminAuth,
+      wrap,
+      ApiError,
+      logger,
+      loginLimiter: strictLimiter,
+      minServicePrice: MIN_SERVICE_PRICE,
+      refundTransaction,
+      checkRefundStatus,
+      idempotent,
+      appointmentSettings: APPOINTMENTS,
+      appointmentUrl,
+      storage,
+      reconciler,
+      secureCookies: SECURE_COOKIES,
+    })
+  );
+  // After your PayPal config and before other routes
+  app.get(
+    "/payonline",
+    wrap((req, res) => {
+      // Render the new Pay Online page
+      res.render("payonline", {
+        nonce: res.locals.nonce,
+        csrfToken: req.csrfToken(),
+        minCustomAmount: MIN_CUSTOM_AMOUNT,
+      });
+    })
+  );
+
+  // ── 7. Global Error Handler ────────────────────────────────────────────────
+  app.use((err, req, res, next) => {
+    if (err.code === "EBADCSRFTOKEN") {
+      err = new ApiError(403, "INVALID_CSRF_TOKEN", "Your session has expired. Please reload the page and try again.");
+    }
+
+    if (!(err instanceof ApiError)) {
+      logger.error("❌ Unhandled Error", {
+        message: err.message,
+        stack: err.stack,
+        requestId: req.requestId,
+      });
+      err = new ApiError(500, "INTERNAL_ERROR", "An unexpected error occurred");
+    }
+
+    if (err.statusCode < 500) {
+      metrics.rejections.inc({ code: err.code, status_code: err.statusCode });
+    }
+    logger.warn("⚠️ API Error Response", {
+      status: err.statusCode,
+      code: err.code,
+      message: err.message,
+      details: err.details,
+      requestId: req.requestId,
+    });
+
+    res.status(err.statusCode).json({
+      success: false,
+      error: {
+        code: err.code,
+        message: err.message,
+        // Client errors carry their details (e.g. per-field validation messages)
+        ...(err.statusCode < 500 && err.details ? { details: err.details } : {}),
+        requestId: req.requestId,
+      },
+    });
+  });
+
+  return { app, config, db, repos, store, outbox, reconciler, logger, metrics };
+}
+
+module.exports = { createApp, createLogger };
@@ -0,0 +1,107 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Sample PayPal Webhook Events
+// Shapes follow the PAYMENT.CAPTURE.* and CUSTOMER.DISPUTE.* payloads PayPal sends,
+// trimmed to the fields the webhook receiver reads.
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+
+const randomId = (prefix) => `${prefix}-${crypto.randomBytes(10).toString("hex").toUpperCase()}`;
+
+const money = (value, currency) => ({ currency_code: currency, value: String(value) });
+
+const captureLink = (captureId) => ({
+  href: `https://api.sandbox.paypal.com/v2/payments/captures/${captureId}`,
+  rel: "up",
+  method: "GET",
+});
+
+const RESOURCES = {
+  "PAYMENT.CAPTURE.COMPLETED": ({ captureId, amount, currency }) => ({
+    resource_type: "capture",
+    resource: { id: captureId, status: "COMPLETED", amount: money(amount, currency), final_capture: true },
+  }),
+  "PAYMENT.CAPTURE.PENDING": ({ captureId, amount, currency }) => ({
+    resource_type: "capture",
+    resource: {
+      id: captureId,
+      status: "PENDING",
+      status_details: { reason: "PENDING_REVIEW" },
+      amount: money(amount, currency),
+    },
+  }),
+  "PAYMENT.CAPTURE.DENIED": ({ captureId, amount, currency }) => ({
+    resource_type: "capture",
+    resource: { id: captureId, status: "DECLINED", amount: money(amount, currency) },
+  }),
+  "PAYMENT.CAPTURE.REFUNDED": ({
+    captureId,
+    amount,
+    currency,
+    refunded = amount,
+    refundId = randomId("RF").slice(0, 17),
+  }) => ({
+    resource_type: "refund",
+    resource: {
+      id: refundId,
+      status: "COMPLETED",
+      amount: money(refunded, currency),
+      seller_payable_breakdown: { total_refunded_amount: money(refunded, currency) },
+      links: [captureLink(captureId)],
+    },
+  }),
+  "PAYMENT.CAPTURE.REVERSED": ({ captureId, amount, currency }) => ({
+    resource_type: "refund",
+    resource: {
+      id: randomId("RV").slice(0, 17),
+      status: "COMPLETED",
+      amount: money(amount, currency),
+      links: [captureLink(captureId)],
+    },
+  }),
+  "CUSTOMER.DISPUTE.CREATED": ({ captureId, amount, currency }) => ({
+    resource_type: "dispute",
+    resource: {
+      dispute_id: randomId("PP-D"),
+      reason: "MERCHANDISE_OR_SERVICE_NOT_RECEIVED",
+      status: "OPEN",
+      dispute_amount: money(amount, currency),
+      disputed_transactions: [{ seller_transaction_id: captureId }],
+    },
+  }),
+  "CUSTOMER.DISPUTE.UPDATED": ({ captureId, amount, currency }) => ({
+    resource_type: "dispute",
+    resource: {
+      dispute_id: randomId("PP-D"),
+      status: "WAITING_FOR_SELLER_RESPONSE",
+      dispute_amount: money(amount, currency),
+      disputed_transactions: [{ seller_transaction_id: captureId }],
+    },
+  }),
+  "CUSTOMER.DISPUTE.RESOLVED": ({ captureId, amount, currency, outcome = "RESOLVED_BUYER_FAVOUR" }) => ({
+    resource_type: "dispute",
+    resource: {
+      dispute_id: randomId("PP-D"),
+      status: "RESOLVED",
+      dispute_outcome: { outcome_code: outcome },
+      dispute_amount: money(amount, currency),
+      disputed_transactions: [{ seller_transaction_id: captureId }],
+    },
+  }),
+};
+
+const EVENT_TYPES = Object.keys(RESOURCES);
+
+function sampleEvent(eventType, { captureId, amount = "300.00", currency = "USD", ...extra } = {}) {
+  const build = RESOURCES[eventType];
+  if (!build) throw new Error(`No sample for ${eventType}; known: ${EVENT_TYPES.join(", ")}`);
+  return {
+    id: randomId("WH"),
+    event_version: "1.0",
+    create_time: new Date().toISOString(),
+    event_type: eventType,
+    summary: `Sample ${eventType} event`,
+    ...build({ captureId, amount, currency, ...extra }),
+  };
+}
+
+module.exports = { sampleEvent, EVENT_TYPES };
@@ -0,0 +1,435 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Local PayPal Stand-in
+// Implements the slice of the Orders v2, refund and webhook APIs the server
+// uses. Point the app at it with PAYPAL_API_BASE=http://127.0.0.1:<port> (run
+// directly or mount in tests). It also signs and replays webhook events at the app, e.g.
+//   curl -X POST localhost:5055/fake/webhooks/replay -H "Content-Type: application/json" \
+//     -d '{"url":"http://localhost:5000/webhooks/paypal","event_type":"PAYMENT.CAPTURE.REFUNDED","capture_id":"..."}'
+// Transaction Search (/v1/reporting/transactions) lists the captures made here.
+// To give reconciliation something to find, add, change or hide records:
+//   curl -X POST localhost:5055/fake/reporting/transactions -H "Content-Type: application/json" \
+//     -d '{"transaction_id":"...","transaction_amount":{"currency_code":"ZAR","value":"1.00"}}'
+// ({"transaction_id":"...","hidden":true} drops one from the results.)
+// ───────────────────────────────────────────────────────────────────────────────
+const express = require("express");
+const crypto = require("crypto");
+const axios = require("axios");
+const { sampleEvent } = require("./paypal-events");
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (str) => {
+  let crc = 0xffffffff;
+  for (const byte of Buffer.from(str)) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Same message layout PayPal signs: <transmissionId>|<timeStamp>|<webhookId>|<crc32>
+const signedMessage = (transmissionId, time, webhookId, body) =>
+  `${transmissionId}|${time}|${webhookId}|${crc32(body)}`;
+
+const randomId = (prefix = "") =>
+  prefix + crypto.randomBytes(9).toString("hex").toUpperCase().slice(0, 17 - prefix.length);
+
+const issue = (res, status, name, issueCode, message) =>
+  res.status(status).json({
+    name,
+    message,
+    debug_id: randomId("DBG"),
+    details: [{ issue: issueCode, description: message }],
+  });
+
+function createFakePayPal({
+  clientId = "fake-client-id",
+  secret = "fake-secret",
+  webhookId = "FAKE-WEBHOOK-ID",
+  autoApprove = true,
+  payer = {
+    payer_id: "FAKEPAYER1",
+    name: { given_name: "Test", surname: "Payer" },
+    email_address: "payer@example.com",
+  },
+} = {}) {
+  const app = express();
+  const orders = new Map();
+  const refunds = new Map();
+  const captureRequests = new Map();
+  const tokens = new Set();
+  // Transaction Search records added or changed by hand, by transaction id (null hides one)
+  const reporting = new Map();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+  const findCapture = (captureId) => {
+    for (const order of orders.values()) {
+      for (const unit of order.purchase_units) {
+        const captures = (unit.payments && unit.payments.captures) || [];
+        const match = captures.find((c) => c.id === captureId);
+        if (match) return match;
+      }
+    }
+    return null;
+  };
+
+  // What Transaction Search reports: a payment (T0006) record per capture, with
+  // any records added or changed through setReportingTransaction on top
+  const reportingTransactions = () => {
+    const records = new Map();
+    for (const order of orders.values()) {
+      for (const unit of order.purchase_units) {
+        for (const capture of (unit.payments && unit.payments.captures) || []) {
+          records.set(capture.id, {
+            transaction_info: {
+              transaction_id: capture.id,
+              transaction_event_code: "T0006",
+              transaction_initiation_date: capture.create_time,
+              transaction_updated_date: capture.update_time,
+              transaction_amount: capture.amount,
+              transaction_status: capture.status === "PENDING" ? "P" : "S",
+              custom_field: capture.custom_id,
+            },
+            payer_info: order.payer && {
+              account_id: order.payer.payer_id,
+              email_address: order.payer.email_address,
+            },
+          });
+        }
+      }
+    }
+    for (const [id, info] of reporting) {
+      if (info === null) {
+        records.delete(id);
+      } else {
+        const existing = records.get(id) || { transaction_info: {} };
+        const merged = { ...existing.transaction_info, ...info };
+        records.set(id, { ...existing, transaction_info: merged });
+      }
+    }
+    return [...records.values()];
+  };
+
+  // Add or change a Transaction Search record (merged over the capture's own), or
+  // pass null to hide it
+  const setReportingTransaction = (transactionId, info) => {
+    if (info === null) return reporting.set(transactionId, null);
+    // A record with no capture behind it is a completed payment made just now
+    const defaults = findCapture(transactionId)
+      ? {}
+      : {
+          transaction_event_code: "T0006",
+          transaction_initiation_date: new Date().toISOString(),
+          transaction_status: "S",
+        };
+    reporting.set(transactionId, {
+      ...defaults,
+      ...(reporting.get(transactionId) || {}),
+      ...info,
+      transaction_id: transactionId,
+    });
+  };
+
+  // Headers PayPal would send alongside the event body
+  const signEvent = (event, signForWebhookId = webhookId) => {
+    const transmissionId = crypto.randomUUID();
+    const time = new Date().toISOString();
+    const message = signedMessage(transmissionId, time, signForWebhookId, JSON.stringify(event));
+    return {
+      "paypal-auth-algo": "SHA256withRSA",
+      "paypal-cert-url": "https://api.sandbox.paypal.com/v1/notifications/certs/CERT-FAKE",
+      "paypal-transmission-id": transmissionId,
+      "paypal-transmission-sig": crypto.sign("sha256", Buffer.from(message), privateKey).toString("base64"),
+      "paypal-transmission-time": time,
+    };
+  };
+
+  const sendWebhook = async (url, event, headers = signEvent(event)) => {
+    const res = await axios.post(url, event, { headers, validateStatus: () => true });
+    return { status: res.status, data: res.data };
+  };
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.post("/v1/oauth2/token", (req, res) => {
+    const expected = "Basic " + Buffer.from(`${clientId}:${secret}`).toString("base64");
+    if (req.get("Authorization") !== expected || req.body.grant_type !== "client_credentials") {
+      return res.status(401).json({ error: "invalid_client", error_description: "Client Authentication failed" });
+    }
+    const token = randomId("A21");
+    tokens.add(token);
+    res.json({ access_token: token, token_type: "Bearer", expires_in: 32400 });
+  });
+
+  // Test helper (not a PayPal API): sign a sample event and deliver it to the app
+  app.post("/fake/webhooks/replay", async (req, res) => {
+    const { url, event_type, capture_id, amount, currency, event } = req.body;
+    try {
+      const payload = event || sampleEvent(event_type, { captureId: capture_id, amount, currency });
+      const delivery = await sendWebhook(url, payload);
+      res.json({ event: payload, delivery });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Test helper (not a PayPal API): add, change or hide a Transaction Search record
+  app.post("/fake/reporting/transactions", (req, res) => {
+    const { transaction_id: transactionId, hidden, ...info } = req.body;
+    if (!transactionId) return res.status(400).json({ error: "transaction_id is required" });
+    setReportingTransaction(transactionId, hidden ? null : info);
+    res.json({ transaction_id: transactionId, transaction_info: reporting.get(transactionId) });
+  });
+
+  // Everything below requires a bearer token issued above
+  app.use((req, res, next) => {
+    const [, token] = (req.get("Authorization") || "").split(" ");
+    if (!tokens.has(token)) {
+      return res.status(401).json({ name: "AUTHENTICATION_FAILURE", message: "Invalid token" });
+    }
+    next();
+  });
+
+  app.post("/v2/checkout/orders", (req, res) => {
+    const units = req.body.purchase_units || [];
+    const amount = units[0] && units[0].amount;
+    if (req.body.intent !== "CAPTURE" || !amount || !(parseFloat(amount.value) > 0)) {
+      return issue(res, 422, "UNPROCESSABLE_ENTITY", "INVALID_PARAMETER_VALUE", "Invalid order");
+    }
+    const order = {
+      id: randomId(),
+      intent: "CAPTURE",
+      status: autoApprove ? "APPROVED" : "CREATED",
+      purchase_units: units.map((u) => ({ reference_id: "default", ...u })),
+      create_time: new Date().toISOString(),
+    };
+    if (autoApprove) order.payer = payer;
+    orders.set(order.id, order);
+    res.status(201).json(order);
+  });
+
+  app.get("/v2/checkout/orders/:id", (req, res) => {
+    const order = orders.get(req.params.id);
+    if (!order) {
+      return issue(res, 404, "RESOURCE_NOT_FOUND", "INVALID_RESOURCE_ID", "Order not found");
+    }
+    res.json(order);
+  });
+
+  app.post("/v2/checkout/orders/:id/capture", (req, res) => {
+    const requestId = req.get("PayPal-Request-Id");
+    if (requestId && captureRequests.has(requestId)) {
+      return res.status(201).json(orders.get(captureRequests.get(requestId)));
+    }
+
+    const order = orders.get(req.params.id);
+    if (!order) {
+      return issue(res, 404, "RESOURCE_NOT_FOUND", "INVALID_RESOURCE_ID", "Order not found");
+    }
+    if (order.status === "COMPLETED") {
+      return issue(res, 422, "UNPROCESSABLE_ENTITY", "ORDER_ALREADY_CAPTURED", "Order already captured");
+    }
+    if (order.status !== "APPROVED") {
+      return issue(res, 422, "UNPROCESSABLE_ENTITY", "ORDER_NOT_APPROVED", "Payer has not approved the order");
+    }
+    if (order.declined) {
+      return issue(res, 422, "UNPROCESSABLE_ENTITY", "INSTRUMENT_DECLINED", "The instrument presented was declined");
+    }
+    if (order.dropConnection === "before") return req.socket.destroy();
+    const now = new Date().toISOString();
+    order.status = "COMPLETED";
+    order.purchase_units = order.purchase_units.map((unit) => ({
+      ...unit,
+      payments: {
+        captures: [
+          {
+            id: randomId(),
+            status: order.captureStatus || "COMPLETED",
+            ...(order.captureStatus === "PENDING" && {
+              status_details: { reason: "PENDING_REVIEW" },
+            }),
+            amount: unit.amount,
+            custom_id: unit.custom_id,
+            final_capture: true,
+            create_time: now,
+            update_time: now,
+          },
+        ],
+      },
+    }));
+    if (requestId) captureRequests.set(requestId, order.id);
+    if (order.dropConnection === "after") return req.socket.destroy();
+    res.status(201).json(order);
+  });
+
+  app.post("/v2/payments/captures/:id/refund", (req, res) => {
+    const requestId = req.get("PayPal-Request-Id");
+    if (requestId && refunds.has(requestId)) {
+      return res.status(201).json(refunds.get(requestId));
+    }
+
+    const capture = findCapture(req.params.id);
+    if (!capture) {
+      return issue(res, 404, "RESOURCE_NOT_FOUND", "INVALID_RESOURCE_ID", "Capture not found");
+    }
+    const amount = req.body.amount || capture.amount;
+    const cents = Math.round(parseFloat(amount.value) * 100);
+    const capturedCents = Math.round(parseFloat(capture.amount.value) * 100);
+    capture.refundedCents = capture.refundedCents || 0;
+    if (!(cents > 0) || capture.refundedCents + cents > capturedCents) {
+      return issue(res, 422, "UNPROCESSABLE_ENTITY", "REFUND_AMOUNT_EXCEEDED", "Refund exceeds captured amount");
+    }
+
+    const outcome = capture.refundOutcome || {};
+    if (outcome.dropConnection === "before") return req.socket.destroy();
+    capture.refundedCents += cents;
+    capture.status = capture.refundedCents === capturedCents ? "REFUNDED" : "PARTIALLY_REFUNDED";
+    const refund = {
+      id: randomId(),
+      status: outcome.status || "COMPLETED",
+      amount: { currency_code: capture.amount.currency_code, value: (cents / 100).toFixed(2) },
+      note_to_payer: req.body.note_to_payer,
+      create_time: new Date().toISOString(),
+      links: [{ href: `${req.protocol}://${req.get("host")}/v2/payments/captures/${capture.id}`, rel: "up", method: "GET" }],
+    };
+    if (requestId) refunds.set(requestId, refund);
+    if (outcome.dropConnection === "after") return req.socket.destroy();
+    res.status(201).json(refund);
+  });
+
+  app.get("/v2/payments/refunds/:id", (req, res) => {
+    const refund = [...refunds.values()].find((r) => r.id === req.params.id);
+    if (!refund) {
+      return issue(res, 404, "RESOURCE_NOT_FOUND", "INVALID_RESOURCE_ID", "Refund not found");
+    }
+    res.json(refund);
+  });
+
+  app.get("/v1/reporting/transactions", (req, res) => {
+    const start = Date.parse(req.query.start_date);
+    const end = Date.parse(req.query.end_date);
+    if (!(start < end) || end - start > 31 * 24 * 60 * 60 * 1000) {
+      return issue(res, 400, "INVALID_REQUEST", "INVALID_REQUEST", "Invalid date range");
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || 100, 1), 500);
+    const details = reportingTransactions().filter(({ transaction_info: info }) => {
+      const time = Date.parse(info.transaction_initiation_date);
+      return time >= start && time < end;
+    });
+    res.json({
+      transaction_details: details.slice((page - 1) * pageSize, page * pageSize),
+      account_number: "FAKEMERCHANT1",
+      start_date: req.query.start_date,
+      end_date: req.query.end_date,
+      last_refreshed_datetime: new Date().toISOString(),
+      page,
+      total_items: details.length,
+      total_pages: Math.max(Math.ceil(details.length / pageSize), 1),
+    });
+  });
+
+  app.post("/v1/notifications/verify-webhook-signature", (req, res) => {
+    const b = req.body;
+    let ok = false;
+    if (b.auth_algo === "SHA256withRSA" && b.transmission_sig && b.webhook_event) {
+      const message = signedMessage(
+        b.transmission_id,
+        b.transmission_time,
+        b.webhook_id,
+        JSON.stringify(b.webhook_event)
+      );
+      ok = crypto.verify("sha256", Buffer.from(message), publicKey, Buffer.from(b.transmission_sig, "base64"));
+    }
+    res.json({ verification_status: ok ? "SUCCESS" : "FAILURE" });
+  });
+
+  // Simulate the buyer approving an order in the PayPal popup; captureStatus
+  // "PENDING" makes its capture one PayPal is still clearing (e.g. an eCheck),
+  // `declined` has the capture refused as if their card were declined, and
+  // dropConnection ("before" or "after") hangs up on the capture call before or
+  // after capturing, as a timeout would look to the caller
+  const approve = (
+    orderId,
+    approvingPayer = payer,
+    { captureStatus = "COMPLETED", declined = false, dropConnection = null } = {}
+  ) => {
+    const order = orders.get(orderId);
+    if (!order) throw new Error(`Unknown fake order ${orderId}`);
+    order.status = "APPROVED";
+    order.payer = approvingPayer;
+    order.captureStatus = captureStatus;
+    order.declined = declined;
+    order.dropConnection = dropConnection;
+    return order;
+  };
+
+  // PayPal finishes clearing a PENDING capture: orders and Transaction Search now
+  // show it completed (send PAYMENT.CAPTURE.COMPLETED separately, if wanted)
+  const settleCapture = (captureId) => {
+    const capture = findCapture(captureId);
+    if (!capture) throw new Error(`Unknown fake capture ${captureId}`);
+    capture.status = "COMPLETED";
+    delete capture.status_details;
+    capture.update_time = new Date().toISOString();
+    return capture;
+  };
+
+  // How PayPal answers refunds of a capture from now on: `status` "PENDING" for
+  // one it is still processing, and dropConnection ("before" or "after") hangs
+  // up on the refund call before or after refunding, as a timeout would look
+  const setRefundOutcome = (captureId, { status = "COMPLETED", dropConnection = null } = {}) => {
+    const capture = findCapture(captureId);
+    if (!capture) throw new Error(`Unknown fake capture ${captureId}`);
+    capture.refundOutcome = { status, dropConnection };
+  };
+
+  // PayPal finishes a PENDING refund (send PAYMENT.CAPTURE.REFUNDED separately, if wanted)
+  const completeRefund = (refundId) => {
+    const refund = [...refunds.values()].find((r) => r.id === refundId);
+    if (!refund) throw new Error(`Unknown fake refund ${refundId}`);
+    refund.status = "COMPLETED";
+    return refund;
+  };
+
+  const listen = (port = 0) =>
+    new Promise((resolve) => {
+      const server = app.listen(port, "127.0.0.1", () => {
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve({ server, baseUrl, close: () => new Promise((done) => server.close(done)) });
+      });
+    });
+
+  return {
+    app,
+    orders,
+    refunds,
+    approve,
+    settleCapture,
+    setRefundOutcome,
+    completeRefund,
+    listen,
+    signEvent,
+    sendWebhook,
+    sampleEvent,
+    setReportingTransaction,
+    clientId,
+    secret,
+    webhookId,
+  };
+}
+
+module.exports = { createFakePayPal };
+
+if (require.main === module) {
+  const port = Number(process.env.FAKE_PAYPAL_PORT) || 5055;
+  createFakePayPal({
+    clientId: process.env.PAYPAL_CLIENT_ID || undefined,
+    secret: process.env.PAYPAL_SECRET || undefined,
+    webhookId: process.env.PAYPAL_WEBHOOK_ID || undefined,
+  })
+    .listen(port)
+    .then(({ baseUrl }) => console.log(`Fake PayPal listening on ${baseUrl}`));
+}
@@ -0,0 +1,38 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Capture-only SMTP Stand-in
+// A nodemailer transport that keeps each message instead of sending it. Pass
+// `transporter` to createApp() (app.js) and read what the outbox sent from `sent`:
+//   { from, to, replyTo, subject, html, text, attachments: [filename] }
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+function createCaptureTransport() {
+  const sent = [];
+  const transporter = nodemailer.createTransport({
+    name: "capture",
+    version: "1.0.0",
+    send(mail, callback) {
+      const { from, to, replyTo, subject, html, text, attachments = [] } = mail.data;
+      sent.push({
+        from,
+        to,
+        replyTo,
+        subject,
+        html,
+        text,
+        attachments: attachments.map((a) => a.filename),
+      });
+      callback(null, {
+        envelope: mail.message.getEnvelope(),
+        messageId: `<${crypto.randomUUID()}@capture.invalid>`,
+      });
+    },
+    // Readiness checks (lib/readiness.js) always find it up
+    verify: async () => true,
+  });
+
+  return { transporter, sent, clear: () => sent.splice(0, sent.length) };
+}
+
+module.exports = { createCaptureTransport };
@@ -0,0 +1,199 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Spam & Abuse Protection
+// Public endpoints are guarded by an admin-managed blocklist, per-IP/per-email
+// throttles, a honeypot field and a hashcash-style proof of work. Challenges are
+// HMAC-signed (no server state until redeemed) and carry their issue time, which
+// doubles as the form-fill timing check. Each challenge can be redeemed once.
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+const rateLimit = require("express-rate-limit");
+const { ApiError } = require("./errors");
+
+const HONEYPOT_FIELD = "website";
+const BLOCK_KINDS = ["ip", "email", "email_domain"];
+
+const emailOf = (req) =>
+  req.body && typeof req.body.email === "string" && req.body.email.includes("@")
+    ? req.body.email.trim().toLowerCase()
+    : null;
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte !== 0) return bits + Math.clz32(byte) - 24;
+    bits += 8;
+  }
+  return bits;
+}
+
+// Blocklist values are compared exactly, so store them in canonical form
+const normalizeBlockValue = (kind, value) => {
+  const v = String(value || "").trim().toLowerCase();
+  return kind === "email_domain" ? v.replace(/^@/, "") : v;
+};
+
+function createAbuseGuard({
+  blocklist,
+  challenges,
+  logger,
+  tokens,
+  rejections,
+  limiterStore,
+  difficulty = 16,
+  challengeTtlSeconds = 60 * 60,
+}) {
+  const record = (req, route, reason) => {
+    rejections.inc({ route, reason });
+    logger.warn("🛡️ Request rejected by abuse guard", {
+      route,
+      reason,
+      ip: req.ip,
+      email: emailOf(req),
+      userAgent: req.get("User-Agent"),
+      requestId: req.requestId,
+    });
+  };
+
+  // "<nonce>.<issuedAtMs>.<bits>.<expires>.<sig>"
+  function issueChallenge() {
+    const subject = `${crypto.randomBytes(16).toString("hex")}.${Date.now()}.${difficulty}`;
+    return {
+      challenge: `${subject}.${tokens.sign("challenge", subject, challengeTtlSeconds)}`,
+      difficulty,
+    };
+  }
+
+  // Resolves to null when the proof holds, otherwise to the rejection reason
+  async function checkChallenge(challenge, solution, minFillSeconds) {
+    const parts = String(challenge || "").split(".");
+    if (parts.length !== 5) return "challenge_missing";
+    const [nonce, issuedAt, bits, expires, sig] = parts;
+    if (!tokens.verify("challenge", `${nonce}.${issuedAt}.${bits}`, `${expires}.${sig}`)) {
+      return "challenge_invalid";
+    }
+    if (Number(bits) < difficulty) return "challenge_invalid";
+    if (Date.now() - Number(issuedAt) < minFillSeconds * 1000) return "too_fast";
+
+    if (!/^\d{1,12}$/.test(String(solution ?? ""))) return "pow_failed";
+    const hash = crypto.createHash("sha256").update(`${challenge}:${solution}`).digest();
+    if (leadingZeroBits(hash) < Number(bits)) return "pow_failed";
+
+    const fresh = await challenges.redeem(nonce, new Date(Number(expires) * 1000));
+    return fresh ? null : "challenge_reused";
+  }
+
+  const findBlock = (req) => {
+    const email = emailOf(req);
+    return blocklist.findMatch({ ip: req.ip, email, domain: email && email.split("@").pop() });
+  };
+
+  // Middleware chain for one endpoint. Form posts (non-JSON) are redirected to
+  // `rejectRedirect` instead of getting a JSON error, when one is given.
+  // Throttle counters go to `limiterStore(prefix)` when given (see lib/store.js).
+  function protect(
+    route,
+    { perIp, perEmail, honeypot = false, challenge = false, minFillSeconds = 0, rejectRedirect } = {}
+  ) {
+    const fail = (req, res, next, reason, error) => {
+      record(req, route, reason);
+      if (rejectRedirect && !req.is("application/json")) {
+        return res.redirect(303, rejectRedirect);
+      }
+      next(error);
+    };
+    const unverified = () =>
+      new ApiError(
+        400,
+        "CHALLENGE_FAILED",
+        "We couldn't verify this submission. Please reload the page and try again."
+      );
+
+    const throttle = (reason, { max, windowMinutes }, extra = {}) =>
+      rateLimit({
+        windowMs: windowMinutes * 60 * 1000,
+        max,
+        standardHeaders: true,
+        legacyHeaders: false,
+        handler: (req, res, next) =>
+          fail(
+            req,
+            res,
+            next,
+            reason,
+            new ApiError(429, "TOO_MANY_REQUESTS", "Too many attempts, please try again later.")
+          ),
+        ...(limiterStore && { store: limiterStore(`${route}:${reason}`) }),
+        ...extra,
+      });
+
+    const chain = [
+      async (req, res, next) => {
+        try {
+          const block = await findBlock(req);
+          if (!block) return next();
+          fail(
+            req,
+            res,
+            next,
+            `blocklist_${block.kind}`,
+            new ApiError(403, "BLOCKED", "This request cannot be accepted.")
+          );
+        } catch (err) {
+          next(err);
+        }
+      },
+    ];
+    if (perIp) chain.push(throttle("throttle_ip", perIp));
+    if (perEmail) {
+      chain.push(
+        throttle("throttle_email", perEmail, {
+          keyGenerator: (req) => `email:${emailOf(req)}`,
+          skip: (req) => !emailOf(req),
+        })
+      );
+    }
+    if (honeypot) {
+      chain.push((req, res, next) =>
+        req.body && req.body[HONEYPOT_FIELD]
+          ? fail(req, res, next, "honeypot", unverified())
+          : next()
+      );
+    }
+    if (challenge) {
+      chain.push(async (req, res, next) => {
+        try {
+          const reason = await checkChallenge(req.body._challenge, req.body._pow, minFillSeconds);
+          if (!reason) return next();
+          fail(req, res, next, reason, unverified());
+        } catch (err) {
+          next(err);
+        }
+      });
+    }
+    return chain;
+  }
+
+  return { issueChallenge, checkChallenge, protect };
+}
+
+// Validate and normalise an admin's blocklist entry before saving it
+function addBlock(blocklist, { kind, value, reason, createdBy, expiresAt }) {
+  if (!BLOCK_KINDS.includes(kind)) {
+    throw new ApiError(400, "VALIDATION_ERROR", `Unknown blocklist kind: ${kind}`);
+  }
+  return blocklist.upsert({
+    kind,
+    value: normalizeBlockValue(kind, value),
+    reason: reason || null,
+    createdBy,
+    expiresAt: expiresAt || null,
+  });
+}
+
+module.exports = {
+  createAbuseGuard,
+  leadingZeroBits,
+  addBlock,
+  BLOCK_KINDS,
+  HONEYPOT_FIELD,
+};
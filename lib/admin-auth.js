@@ -0,0 +1,84 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Admin Authentication
+// Staff log in with email + password (scrypt). A session is a random token in an
+// httpOnly cookie; only its SHA-256 is used as the key in the shared session
+// store (lib/store.js). Repeated failures lock the account.
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+const { ApiError } = require("./errors");
+const { hashPassword, verifyPassword } = require("./passwords");
+
+const SESSION_COOKIE = "admin_session";
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+function createAdminAuth({
+  users,
+  sessions,
+  maxFailedAttempts = 5,
+  lockoutMinutes = 15,
+  sessionTtlHours = 8,
+}) {
+  // Verified against when the email is unknown so response timing doesn't leak accounts
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+  async function authenticate(email, password) {
+    const user = await users.findActiveByEmail(email);
+    if (!user) {
+      await verifyPassword(password, await dummyHash);
+      throw new ApiError(401, "INVALID_CREDENTIALS", "Invalid email or password");
+    }
+
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      throw new ApiError(423, "ACCOUNT_LOCKED", "Too many failed attempts. Try again later.");
+    }
+
+    if (!(await verifyPassword(password, user.password_hash))) {
+      const attempts = user.failed_attempts + 1;
+      const lock = attempts >= maxFailedAttempts;
+      await users.recordFailedLogin(user.id, {
+        attempts: lock ? 0 : attempts,
+        lockedUntil: lock ? new Date(Date.now() + lockoutMinutes * 60 * 1000) : null,
+      });
+      throw lock
+        ? new ApiError(423, "ACCOUNT_LOCKED", "Too many failed attempts. Try again later.")
+        : new ApiError(401, "INVALID_CREDENTIALS", "Invalid email or password");
+    }
+
+    await users.recordLogin(user.id);
+    return user;
+  }
+
+  const sessionKey = (token) => `admin-session:${sha256(token)}`;
+
+  async function createSession(user, { ip, userAgent }) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const maxAge = sessionTtlHours * 60 * 60 * 1000;
+    await sessions.set(
+      sessionKey(token),
+      { admin_user_id: user.id, ip, user_agent: userAgent || null, created_at: new Date() },
+      maxAge
+    );
+    return { token, maxAge };
+  }
+
+  async function findSession(token) {
+    if (!token) return null;
+    const session = await sessions.get(sessionKey(token));
+    if (!session) return null;
+    return users.findActiveById(session.admin_user_id);
+  }
+
+  const destroySession = (token) => (token ? sessions.delete(sessionKey(token)) : null);
+
+  const createUser = async ({ email, name, password }) =>
+    users.upsert({
+      email: email.toLowerCase(),
+      name,
+      passwordHash: await hashPassword(password),
+    });
+
+  return { authenticate, createSession, findSession, destroySession, createUser };
+}
+
+module.exports = { createAdminAuth, SESSION_COOKIE };
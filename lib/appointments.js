@@ -0,0 +1,391 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Consultation Appointments
+// Free slots are worked out from each active consultant's weekly availability
+// (South African time), minus blocked dates and live bookings. Booking holds a
+// slot for a few minutes while the client pays; saving the transaction confirms
+// it (see recordTransaction in app.js), or marks it NEEDS_RESCHEDULE when the hold
+// lapsed and someone else took the slot. Confirmed bookings can be cancelled or
+// moved through a signed link until shortly before they start; one that needs a
+// new time can be moved whenever it suits.
+// ───────────────────────────────────────────────────────────────────────────────
+const { ApiError } = require("./errors");
+
+const TIME_ZONE = "Africa/Johannesburg";
+// South Africa is UTC+2 all year (no daylight saving)
+const SAST_OFFSET_MS = 2 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const APPOINTMENT_STATUSES = ["HELD", "CONFIRMED", "CANCELLED", "EXPIRED", "NEEDS_RESCHEDULE"];
+
+// YYYY-MM-DD calendar days in South African time
+const sastDay = (date) =>
+  new Date(new Date(date).getTime() + SAST_OFFSET_MS).toISOString().slice(0, 10);
+const addDays = (day, days) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const weekdayOf = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+const sastMidnight = (day) => Date.parse(`${day}T00:00:00+02:00`);
+
+// "08:30" <-> minutes after midnight, as availability is stored
+const toMinutes = (hhmm) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(hhmm || "");
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+const formatWhen = (date) =>
+  new Date(date).toLocaleString("en-ZA", {
+    timeZone: TIME_ZONE,
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Free slots for `days` days from `from` (YYYY-MM-DD), soonest first
+async function availableSlots(
+  repos,
+  { from, days, consultantId = null, excludeAppointmentId = null, now = new Date(), settings }
+) {
+  const consultants = (await repos.consultants.listActive()).filter(
+    (c) => !consultantId || c.id === Number(consultantId)
+  );
+  if (!consultants.length || days < 1) return [];
+
+  const to = addDays(from, days - 1);
+  const earliest = now.getTime() + settings.minNoticeHours * 60 * 60 * 1000;
+  const latest = sastMidnight(addDays(sastDay(now), settings.horizonDays + 1));
+  const [windows, blocked, busy] = await Promise.all([
+    repos.consultants.windows(),
+    repos.consultants.blockedDates({ from, to }),
+    repos.appointments.busy({
+      from: new Date(sastMidnight(from)),
+      to: new Date(sastMidnight(addDays(to, 1))),
+      now,
+      excludeId: excludeAppointmentId,
+    }),
+  ]);
+  const busyRanges = busy.map((b) => ({
+    consultantId: b.consultant_id,
+    start: new Date(b.starts_at).getTime(),
+    end: new Date(b.ends_at).getTime(),
+  }));
+  const slotMs = settings.slotMinutes * 60 * 1000;
+
+  const slots = [];
+  for (let d = 0; d < days; d++) {
+    const day = addDays(from, d);
+    const midnight = sastMidnight(day);
+    for (const consultant of consultants) {
+      const isBlocked = blocked.some(
+        (b) => b.blocked_on === day && (b.consultant_id === null || b.consultant_id === consultant.id)
+      );
+      if (isBlocked) continue;
+      const todays = windows.filter(
+        (w) => w.consultant_id === consultant.id && w.weekday === weekdayOf(day)
+      );
+      for (const window of todays) {
+        const lastStart = window.end_minute - settings.slotMinutes;
+        for (let m = window.start_minute; m <= lastStart; m += settings.slotMinutes) {
+          const start = midnight + m * 60 * 1000;
+          const end = start + slotMs;
+          if (start < earliest || start >= latest) continue;
+          const clash = busyRanges.some(
+            (b) => b.consultantId === consultant.id && start < b.end && end > b.start
+          );
+          if (clash) continue;
+          slots.push({
+            consultant_id: consultant.id,
+            consultant_name: consultant.name,
+            starts_at: new Date(start).toISOString(),
+            ends_at: new Date(end).toISOString(),
+          });
+        }
+      }
+    }
+  }
+  return slots.sort(
+    (a, b) =>
+      a.starts_at.localeCompare(b.starts_at) || a.consultant_name.localeCompare(b.consultant_name)
+  );
+}
+
+const slotUnavailable = () =>
+  new ApiError(409, "SLOT_UNAVAILABLE", "That time is no longer available. Please choose another.");
+
+const findSlot = async (tx, { consultantId, startsAt, excludeAppointmentId, now, settings }) => {
+  const slots = await availableSlots(tx, {
+    from: sastDay(startsAt),
+    days: 1,
+    consultantId,
+    excludeAppointmentId,
+    now,
+    settings,
+  });
+  return slots.find((s) => s.starts_at === startsAt.toISOString()) || null;
+};
+
+// Hold a free slot while the client pays for `service`
+const holdSlot = (
+  repos,
+  { consultantId, startsAt, service, client },
+  { settings, now = new Date() }
+) =>
+  repos.transaction(async (tx) => {
+    await tx.appointments.expireHolds(now);
+    const slot = await findSlot(tx, { consultantId, startsAt, now, settings });
+    if (!slot) throw slotUnavailable();
+
+    const held = await tx.appointments.hold({
+      consultant_id: slot.consultant_id,
+      service_id: service.id,
+      service_name: service.name,
+      starts_at: new Date(slot.starts_at),
+      ends_at: new Date(slot.ends_at),
+      client_name: client.name,
+      client_email: client.email,
+      client_phone: client.phone || null,
+      notes: client.notes || null,
+      hold_expires_at: new Date(now.getTime() + settings.holdMinutes * 60 * 1000),
+    });
+    if (!held) throw slotUnavailable();
+    return { ...held, consultant_name: slot.consultant_name };
+  });
+
+// Link a hold to the PayPal order paying for it; the hold restarts so the
+// client has the full hold time to approve the payment
+async function attachOrder(repos, appointmentId, orderId, { settings, now = new Date() }) {
+  const attached = await repos.appointments.attachOrder(appointmentId, {
+    orderId,
+    holdExpiresAt: new Date(now.getTime() + settings.holdMinutes * 60 * 1000),
+    now,
+  });
+  if (!attached) {
+    throw new ApiError(
+      409,
+      "HOLD_EXPIRED",
+      "Your booking hold has expired. Please choose a time again."
+    );
+  }
+  return attached;
+}
+
+// Called with the transaction-bound repos that save the payment. Resolves to
+// { appointment, confirmed }, or null when the order wasn't for a booking.
+async function confirmBooking(tx, { orderId, transactionId, now = new Date() }) {
+  if (!(await tx.appointments.findByOrder(orderId))) return null;
+  await tx.appointments.expireHolds(now);
+  const confirmed = await tx.appointments.confirmForOrder(orderId, transactionId);
+  return { appointment: await tx.appointments.findByOrder(orderId), confirmed };
+}
+
+const assertChangeable = (appointment, { settings, now }) => {
+  if (!appointment) throw new ApiError(404, "APPOINTMENT_NOT_FOUND", "Appointment not found");
+  // Paid for, but its time went to someone else; there's no time to give notice of
+  if (appointment.status === "NEEDS_RESCHEDULE") return;
+  if (appointment.status !== "CONFIRMED") {
+    throw new ApiError(409, "APPOINTMENT_NOT_ACTIVE", "This appointment is no longer active");
+  }
+  const cutoff =
+    new Date(appointment.starts_at).getTime() - settings.changeNoticeHours * 60 * 60 * 1000;
+  if (now.getTime() > cutoff) {
+    throw new ApiError(
+      409,
+      "TOO_LATE_TO_CHANGE",
+      `Appointments can only be changed up to ${settings.changeNoticeHours} hours before they start. Please contact us.`
+    );
+  }
+};
+
+// `force` skips the notice period (staff cancelling from the back office)
+async function cancelAppointment(repos, id, { settings, now = new Date(), force = false }) {
+  const appointment = await repos.appointments.find(id);
+  if (!force || !appointment) assertChangeable(appointment, { settings, now });
+  const cancelled = await repos.appointments.cancel(id);
+  if (!cancelled) {
+    throw new ApiError(409, "APPOINTMENT_NOT_ACTIVE", "This appointment is no longer active");
+  }
+  return repos.appointments.find(id);
+}
+
+// Move a confirmed booking, or one that needs a new time, to another free slot
+// with the same consultant; either way it ends up CONFIRMED
+const rescheduleAppointment = (repos, id, startsAt, { settings, now = new Date() }) =>
+  repos.transaction(async (tx) => {
+    const appointment = await tx.appointments.find(id);
+    assertChangeable(appointment, { settings, now });
+    await tx.appointments.expireHolds(now);
+    const slot = await findSlot(tx, {
+      consultantId: appointment.consultant_id,
+      startsAt,
+      excludeAppointmentId: appointment.id,
+      now,
+      settings,
+    });
+    if (!slot) throw slotUnavailable();
+
+    const moved = await tx.appointments.reschedule(id, {
+      startsAt: new Date(slot.starts_at),
+      endsAt: new Date(slot.ends_at),
+    });
+    if (!moved) throw slotUnavailable();
+    return { previous: appointment, appointment: await tx.appointments.find(id) };
+  });
+
+// ── iCalendar (RFC 5545) ─────────────────────────────────────────────────────
+const icsText = (value) =>
+  String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 74;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+  return parts.join("\r\n");
+};
+
+// "Lusizo <hello@lusizo.co.za>" -> "hello@lusizo.co.za"
+const bareAddress = (from) => {
+  const match = /<([^>]+)>/.exec(from);
+  return match ? match[1] : from.trim();
+};
+
+// METHOD:REQUEST adds or updates the event in the recipient's calendar; CANCEL
+// removes it. UID and SEQUENCE tie updates to the original invite.
+function renderIcs(appointment, { method = "REQUEST", organizer = null } = {}) {
+  const cancelled = method === "CANCEL";
+  const quoted = (value) => `"${String(value || "").replace(/"/g, "'")}"`;
+  const description = [
+    `${appointment.service_name} consultation with ${appointment.consultant_name}.`,
+    appointment.notes ? `Notes: ${appointment.notes}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Lusizo Business Consultants//Appointments//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:appointment-${appointment.id}@lusizo-business-consultants`,
+    `SEQUENCE:${appointment.sequence}`,
+    `DTSTAMP:${icsDate(new Date())}`,
+    `DTSTART:${icsDate(appointment.starts_at)}`,
+    `DTEND:${icsDate(appointment.ends_at)}`,
+    `SUMMARY:${icsText(`${appointment.service_name} consultation · Lusizo Business Consultants`)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    organizer && `ORGANIZER;CN="Lusizo Business Consultants":mailto:${bareAddress(organizer)}`,
+    `ATTENDEE;CN=${quoted(appointment.client_name)};ROLE=REQ-PARTICIPANT:mailto:${
+      appointment.client_email
+    }`,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return `${lines.filter(Boolean).map(foldLine).join("\r\n")}\r\n`;
+}
+
+// Email attachment for the appointment's current state
+const icsAttachment = (appointment, { organizer } = {}) => {
+  const method = appointment.status === "CANCELLED" ? "CANCEL" : "REQUEST";
+  return {
+    filename: "consultation.ics",
+    content: renderIcs(appointment, { method, organizer }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+  };
+};
+
+// Template data shared by the booking emails
+const appointmentEmailData = (appointment, { manageUrl = null } = {}) => ({
+  appointmentId: appointment.id,
+  serviceName: appointment.service_name,
+  consultantName: appointment.consultant_name,
+  clientName: appointment.client_name,
+  clientEmail: appointment.client_email,
+  clientPhone: appointment.client_phone,
+  when: formatWhen(appointment.starts_at),
+  manageUrl,
+});
+
+// Tell the client and the consultant about a booking change. A new booking's
+// payment confirmation already tells the payer, so the client is only emailed
+// separately when `notifyClient` says so. `staffEmail` also tells the office
+// (e.g. a booking that needs a new time). `scope` as for outbox.enqueue.
+async function queueAppointmentEmails(
+  outbox,
+  appointment,
+  { change, manageUrl = null, notifyClient = change !== "booked", staffEmail = null },
+  scope
+) {
+  const data = { ...appointmentEmailData(appointment), change };
+  if (notifyClient) {
+    await outbox.enqueue(
+      "appointment-update",
+      {
+        to: appointment.client_email,
+        relatedId: appointment.id,
+        data: { ...data, audience: "client", manageUrl },
+      },
+      scope
+    );
+  }
+  if (appointment.consultant_email) {
+    await outbox.enqueue(
+      "appointment-update",
+      {
+        to: appointment.consultant_email,
+        replyTo: appointment.client_email,
+        relatedId: appointment.id,
+        data: { ...data, audience: "consultant" },
+      },
+      scope
+    );
+  }
+  const consultantEmail = String(appointment.consultant_email || "").toLowerCase();
+  if (staffEmail && staffEmail.toLowerCase() !== consultantEmail) {
+    await outbox.enqueue(
+      "appointment-update",
+      {
+        to: staffEmail,
+        replyTo: appointment.client_email,
+        relatedId: appointment.id,
+        data: { ...data, audience: "staff" },
+      },
+      scope
+    );
+  }
+}
+
+module.exports = {
+  availableSlots,
+  holdSlot,
+  attachOrder,
+  confirmBooking,
+  cancelAppointment,
+  rescheduleAppointment,
+  renderIcs,
+  icsAttachment,
+  appointmentEmailData,
+  queueAppointmentEmails,
+  formatWhen,
+  formatMinutes,
+  toMinutes,
+  sastDay,
+  addDays,
+  APPOINTMENT_STATUSES,
+  WEEKDAYS,
+  TIME_ZONE,
+};
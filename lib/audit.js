@@ -0,0 +1,120 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Audit Log
+// A tamper-evident record of money-moving and admin actions: who did it (actor),
+// what (action, e.g. "refund.issued"), to which row (entity), the row before and
+// after, and the request id and IP it came from. Entries are written in the same
+// database transaction as the change they describe.
+// Actors are staff emails (or "api-token" for the admin API), "payer:<email>"
+// for payments, "paypal" for webhooks and "cli" for scripts.
+// Each row's hash covers its contents and the previous row's hash, so a row that
+// is edited, removed or reordered breaks the chain verifyAuditChain walks
+// (npm run audit:verify).
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+
+const GENESIS_HASH = "0".repeat(64);
+const VERIFY_BATCH_SIZE = 500;
+
+// Plain JSON data with object keys sorted, so the same state always hashes the same
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.keys(value)
+      .sort()
+      .map((key) => [key, sortKeys(value[key])])
+  );
+};
+const stateText = (state) =>
+  state === undefined || state === null
+    ? null
+    : JSON.stringify(sortKeys(JSON.parse(JSON.stringify(state))));
+
+// SHA-256 over the previous hash and every stored column but id and hash
+const hashRow = (row) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        row.prev_hash,
+        new Date(row.created_at).toISOString(),
+        row.actor,
+        row.action,
+        row.entity_type,
+        row.entity_id ?? null,
+        row.before_state ?? null,
+        row.after_state ?? null,
+        row.request_id ?? null,
+        row.ip ?? null,
+      ])
+    )
+    .digest("hex");
+
+// Request id and client IP to store with an entry
+const auditContext = (req) => ({ requestId: req.requestId || null, ip: req.ip || null });
+
+// Append an entry inside a transaction (`tx` is a transaction's repos):
+//   { actor, action, entityType, entityId, before, after, requestId, ip }
+async function appendAuditEntry(tx, entry) {
+  const head = await tx.auditLog.lockHead();
+  const entityId = entry.entityId ?? null;
+  const row = {
+    created_at: new Date(),
+    actor: entry.actor,
+    action: entry.action,
+    entity_type: entry.entityType,
+    entity_id: entityId === null ? null : String(entityId),
+    before_state: stateText(entry.before),
+    after_state: stateText(entry.after),
+    request_id: entry.requestId || null,
+    ip: entry.ip || null,
+    prev_hash: head.last_hash,
+  };
+  row.hash = hashRow(row);
+  const saved = await tx.auditLog.append(row);
+  await tx.auditLog.setHead(saved.id, row.hash);
+  return saved;
+}
+
+// The same, in a transaction of its own
+const recordAuditEntry = (repos, entry) =>
+  repos.transaction((tx) => appendAuditEntry(tx, entry));
+
+// Walk the chain oldest first, up to the head as it was when the walk started.
+// Resolves to { ok, checked, problems: [{ id, problem }] }.
+async function verifyAuditChain(repos, { batchSize = VERIFY_BATCH_SIZE } = {}) {
+  const head = await repos.auditLog.head();
+  const lastId = head.last_id === null ? 0 : Number(head.last_id);
+  const problems = [];
+  let expected = GENESIS_HASH;
+  let checked = 0;
+  for (let afterId = 0; afterId < lastId; ) {
+    const rows = await repos.auditLog.batch({ afterId, limit: batchSize });
+    for (const row of rows) {
+      if (Number(row.id) > lastId) break;
+      checked += 1;
+      if (row.prev_hash !== expected) {
+        problems.push({ id: row.id, problem: "doesn't follow the row before it" });
+      }
+      if (hashRow(row) !== row.hash) {
+        problems.push({ id: row.id, problem: "doesn't match its hash (edited)" });
+      }
+      expected = row.hash;
+    }
+    if (rows.length < batchSize) break;
+    afterId = Number(rows[rows.length - 1].id);
+  }
+  if (expected !== head.last_hash) {
+    problems.push({ id: head.last_id, problem: "the newest entries are missing" });
+  }
+  return { ok: !problems.length, checked, problems };
+}
+
+module.exports = {
+  appendAuditEntry,
+  recordAuditEntry,
+  verifyAuditChain,
+  auditContext,
+  hashRow,
+  GENESIS_HASH,
+};
@@ -0,0 +1,67 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Client Portal Authentication
+// Payers sign in to /account without a password: we email a one-time link whose
+// random token is stored (as its SHA-256) in the shared store for a few minutes.
+// Redeeming it deletes it and starts a session, kept the same way as admin
+// sessions (lib/admin-auth.js) under its own cookie.
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+
+const CLIENT_SESSION_COOKIE = "client_session";
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+function createClientAuth({ sessions, linkTtlMinutes = 15, sessionTtlHours = 24 }) {
+  const linkKey = (token) => `client-login:${sha256(token)}`;
+  const sessionKey = (token) => `client-session:${sha256(token)}`;
+
+  async function createLoginToken(email) {
+    const token = randomToken();
+    await sessions.set(
+      linkKey(token),
+      { email: email.toLowerCase(), created_at: new Date() },
+      linkTtlMinutes * 60 * 1000
+    );
+    return token;
+  }
+
+  // Resolves to the email the link was sent to, or null if it was already used
+  // or has expired
+  async function redeemLoginToken(token) {
+    if (!token) return null;
+    const link = await sessions.take(linkKey(token));
+    return link ? link.email : null;
+  }
+
+  async function createSession(email, { ip, userAgent }) {
+    const token = randomToken();
+    const maxAge = sessionTtlHours * 60 * 60 * 1000;
+    await sessions.set(
+      sessionKey(token),
+      { email, ip, user_agent: userAgent || null, created_at: new Date() },
+      maxAge
+    );
+    return { token, maxAge };
+  }
+
+  // Resolves to the signed-in email, or null
+  async function findSession(token) {
+    if (!token) return null;
+    const session = await sessions.get(sessionKey(token));
+    return session ? session.email : null;
+  }
+
+  const destroySession = (token) => (token ? sessions.delete(sessionKey(token)) : null);
+
+  return {
+    linkTtlMinutes,
+    createLoginToken,
+    redeemLoginToken,
+    createSession,
+    findSession,
+    destroySession,
+  };
+}
+
+module.exports = { createClientAuth, CLIENT_SESSION_COOKIE };
@@ -0,0 +1,100 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// ZAR Pricing and Currency Conversion
+// Prices are held in ZAR. PayPal cannot settle ZAR, so every charge is converted
+// into a supported settlement currency using a rate from the exchange_rates
+// table, or from a JSON file when EXCHANGE_RATES_FILE is set:
+//   { "base": "ZAR", "asOf": "2025-04-01", "rates": { "USD": 0.0542, "EUR": 0.0497 } }
+// A rate is "units of the target currency per 1 ZAR".
+// ───────────────────────────────────────────────────────────────────────────────
+const fs = require("fs");
+const { ApiError } = require("./errors");
+
+const BASE_CURRENCY = "ZAR";
+
+// Currencies PayPal accepts for checkout payments (ZAR is not one of them)
+const PAYPAL_CURRENCIES = [
+  "AUD", "BRL", "CAD", "CNY", "CZK", "DKK", "EUR", "HKD", "HUF", "ILS", "JPY",
+  "MYR", "MXN", "TWD", "NZD", "NOK", "PHP", "PLN", "GBP", "SGD", "SEK", "CHF",
+  "THB", "USD",
+];
+
+// PayPal rejects decimals for these
+const ZERO_DECIMAL_CURRENCIES = ["HUF", "JPY", "TWD"];
+
+const formatAmount = (value, currency) =>
+  Number(value).toFixed(ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2);
+
+const formatZar = (value) => `R ${Number(value).toFixed(2)}`;
+
+function createRateProvider({ exchangeRates, file }) {
+  let fileCache = null;
+
+  // Re-read the file only when it changes so rates can be edited without a restart
+  const readFile = () => {
+    const { mtimeMs } = fs.statSync(file);
+    if (!fileCache || fileCache.mtimeMs !== mtimeMs) {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      if ((parsed.base || BASE_CURRENCY) !== BASE_CURRENCY || !parsed.rates) {
+        throw new Error(`${file} must contain ZAR-based "rates"`);
+      }
+      fileCache = { mtimeMs, asOf: parsed.asOf || new Date(mtimeMs).toISOString(), rates: parsed.rates };
+    }
+    return fileCache;
+  };
+
+  async function getRate(currency) {
+    let rate;
+    let asOf;
+    let source;
+    if (file) {
+      const data = readFile();
+      rate = data.rates[currency];
+      asOf = data.asOf;
+      source = "file";
+    } else {
+      const row = await exchangeRates.find(BASE_CURRENCY, currency);
+      if (row) {
+        rate = row.rate;
+        asOf = row.updated_at;
+      }
+      source = "table";
+    }
+
+    rate = parseFloat(rate);
+    if (!(rate > 0)) {
+      throw new ApiError(
+        500,
+        "MISSING_EXCHANGE_RATE",
+        `No ${BASE_CURRENCY}→${currency} exchange rate is configured`
+      );
+    }
+    return { rate, asOf, source };
+  }
+
+  // Convert a ZAR amount into the settlement currency
+  async function convert(amountZar, currency) {
+    const { rate, asOf, source } = await getRate(currency);
+    const amount = formatAmount(Number(amountZar) * rate, currency);
+    if (!(parseFloat(amount) > 0)) {
+      throw new ApiError(400, "AMOUNT_TOO_SMALL", `Amount converts to zero ${currency}`);
+    }
+    return {
+      amount_zar: Number(amountZar).toFixed(2),
+      amount,
+      currency,
+      exchange_rate: rate,
+      rate_as_of: asOf,
+      rate_source: source,
+    };
+  }
+
+  return { getRate, convert };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  PAYPAL_CURRENCIES,
+  createRateProvider,
+  formatAmount,
+  formatZar,
+};
@@ -0,0 +1,81 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Database Helpers
+// DB_DIALECT picks PostgreSQL (default) or SQLite for offline development and
+// tests. Either way callers get a pg.Pool-shaped handle with a `dialect` field;
+// SQL lives in the repositories (lib/repos). Settings come from config.database
+// (lib/config.js).
+// ───────────────────────────────────────────────────────────────────────────────
+const fs = require("fs");
+
+const DIALECTS = ["postgres", "sqlite"];
+
+// DB_SSL: off, require (encrypted, certificate not checked) or verify (against
+// the system CAs, or DB_SSL_CA)
+const sslOptions = (ssl, sslCa) => {
+  if (ssl === "off") return false;
+  if (ssl === "require") return { rejectUnauthorized: false };
+  return { rejectUnauthorized: true, ...(sslCa && { ca: fs.readFileSync(sslCa, "utf8") }) };
+};
+
+function createDatabase({
+  dialect = "postgres",
+  connectionString,
+  filename,
+  ssl = "require",
+  sslCa = null,
+} = {}) {
+  if (!DIALECTS.includes(dialect)) {
+    throw new Error(`Unsupported DB_DIALECT "${dialect}" (expected ${DIALECTS.join(" or ")})`);
+  }
+  if (dialect === "sqlite") {
+    const { createSqlitePool } = require("./sqlite");
+    return createSqlitePool(filename);
+  }
+  const { Pool } = require("pg");
+  const pool = new Pool({ connectionString, ssl: sslOptions(ssl, sslCa) });
+  pool.dialect = "postgres";
+  return pool;
+}
+
+// The same pool, reporting every query as onQuery({ sql, ms, ok }), including
+// those on clients checked out with connect()
+function observeQueries(pool, onQuery) {
+  const timed = (queryable) => async (sql, params) => {
+    const started = process.hrtime.bigint();
+    let ok = false;
+    try {
+      const result = await queryable.query(sql, params);
+      ok = true;
+      return result;
+    } finally {
+      onQuery({ sql, ms: Number(process.hrtime.bigint() - started) / 1e6, ok });
+    }
+  };
+  return {
+    dialect: pool.dialect,
+    query: timed(pool),
+    async connect() {
+      const client = await pool.connect();
+      return { query: timed(client), release: (err) => client.release(err) };
+    },
+    end: (cb) => pool.end(cb),
+  };
+}
+
+// Run fn(client) inside BEGIN/COMMIT on a dedicated pool client
+async function inTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { createDatabase, observeQueries, inTransaction, DIALECTS };
@@ -0,0 +1,168 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Client Documents
+// Clients send onboarding documents (ID copies, CIPC documents, bank statements)
+// against a transaction or a booking. Only PDFs and common image formats are
+// accepted: the declared type must be allowed and match the file's magic bytes.
+// Files go to private storage (lib/storage.js) under random keys and their
+// details to the documents table; staff download them through /admin.
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+const path = require("path");
+const multer = require("multer");
+const { ApiError } = require("./errors");
+const { newKey } = require("./storage");
+
+const DOCUMENT_CATEGORIES = {
+  ID_COPY: "ID copy",
+  CIPC_DOCUMENT: "CIPC document",
+  BANK_STATEMENT: "Bank statement",
+  OTHER: "Other",
+};
+
+// Accepted types and the bytes their files start with
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const ascii = (b, start, end) => b.subarray(start, end).toString("latin1");
+const SIGNATURES = {
+  "application/pdf": (b) => ascii(b, 0, 5) === "%PDF-",
+  "image/png": (b) => b.subarray(0, 8).equals(PNG_SIGNATURE),
+  "image/jpeg": (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  "image/webp": (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP",
+};
+const ALLOWED_TYPES = Object.keys(SIGNATURES);
+// Non-standard names some browsers send
+const TYPE_ALIASES = { "image/jpg": "image/jpeg", "image/pjpeg": "image/jpeg" };
+
+// The type the file's contents say it is, if it's one we accept
+const detectType = (buffer) => ALLOWED_TYPES.find((type) => SIGNATURES[type](buffer)) || null;
+
+// Keep the client's name for display and downloads, minus any path or control characters
+const safeName = (name) =>
+  path
+    .basename(String(name || "").replace(/\\/g, "/"))
+    .replace(/[\x00-\x1f\x7f"]/g, "")
+    .trim()
+    .slice(0, 255) || "document";
+
+function createDocumentUploads({ repos, storage, logger, settings }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    // Browsers send UTF-8 file names
+    defParamCharset: "utf8",
+    limits: {
+      fileSize: settings.maxFileMb * 1024 * 1024,
+      files: settings.maxFilesPerUpload,
+      fields: 10,
+      fieldSize: 1024,
+    },
+  }).array("documents", settings.maxFilesPerUpload);
+
+  const uploadError = (err) => {
+    if (!(err instanceof multer.MulterError)) {
+      return new ApiError(400, "INVALID_UPLOAD", "The upload could not be read. Please try again.");
+    }
+    if (err.code === "LIMIT_FILE_SIZE") {
+      const limit = `${settings.maxFileMb} MB`;
+      return new ApiError(413, "FILE_TOO_LARGE", `Each file must be ${limit} or smaller.`);
+    }
+    if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+      return new ApiError(
+        400,
+        "TOO_MANY_FILES",
+        `Send up to ${settings.maxFilesPerUpload} files at a time.`
+      );
+    }
+    return new ApiError(400, "INVALID_UPLOAD", "The upload could not be read. Please try again.");
+  };
+
+  // Parse a multipart form into req.body and req.files; rejects with an ApiError
+  const receive = (req, res) =>
+    new Promise((resolve, reject) =>
+      upload(req, res, (err) => (err ? reject(uploadError(err)) : resolve()))
+    );
+
+  // Check every file before storing any, so a bad one rejects the whole upload
+  function validate(files, category) {
+    if (!DOCUMENT_CATEGORIES[category]) {
+      throw new ApiError(400, "INVALID_CATEGORY", "Choose what kind of document this is.");
+    }
+    if (!files || !files.length) {
+      throw new ApiError(400, "NO_FILES", "Choose at least one file to upload.");
+    }
+    return files.map((file) => {
+      const name = safeName(file.originalname);
+      const declared = TYPE_ALIASES[file.mimetype] || file.mimetype;
+      const detected = detectType(file.buffer);
+      if (!ALLOWED_TYPES.includes(declared) || detected !== declared) {
+        throw new ApiError(
+          415,
+          "UNSUPPORTED_FILE_TYPE",
+          `"${name}" isn't a PDF, JPEG, PNG or WebP file.`
+        );
+      }
+      return { file, name, contentType: detected };
+    });
+  }
+
+  // Resolves to the stored documents' rows
+  async function save(
+    files,
+    { category, transactionId = null, appointmentId = null, uploadedBy, ip, requestId }
+  ) {
+    const checked = validate(files, category);
+    const existing = await repos.documents.countFor({ transactionId, appointmentId });
+    if (existing + checked.length > settings.maxPerTarget) {
+      throw new ApiError(
+        409,
+        "TOO_MANY_DOCUMENTS",
+        `We can accept up to ${settings.maxPerTarget} documents per service. ` +
+          "Please contact us to send more."
+      );
+    }
+
+    const saved = [];
+    for (const { file, name, contentType } of checked) {
+      const key = newKey();
+      await storage.put(key, file.buffer);
+      let document;
+      try {
+        document = await repos.documents.create({
+          transaction_id: transactionId,
+          appointment_id: appointmentId,
+          category,
+          original_name: name,
+          content_type: contentType,
+          size_bytes: file.size,
+          sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+          storage_key: key,
+          uploaded_by: uploadedBy,
+          uploader_ip: ip,
+        });
+      } catch (err) {
+        // Don't leave an orphaned file behind
+        await storage.remove(key).catch(() => {});
+        throw err;
+      }
+      logger.info("📎 Document uploaded", {
+        documentId: document.id,
+        transactionId,
+        appointmentId,
+        category,
+        sizeBytes: file.size,
+        uploadedBy,
+        requestId,
+      });
+      saved.push(document);
+    }
+    return saved;
+  }
+
+  return { receive, save, settings };
+}
+
+module.exports = {
+  createDocumentUploads,
+  detectType,
+  safeName,
+  DOCUMENT_CATEGORIES,
+  ALLOWED_TYPES,
+};
@@ -0,0 +1,16 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Custom Error Class and Async Wrapper
+// ───────────────────────────────────────────────────────────────────────────────
+class ApiError extends Error {
+  constructor(statusCode, code, message, details = null) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const wrap = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = { ApiError, wrap };
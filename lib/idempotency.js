@@ -0,0 +1,152 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Idempotency Keys
+// Money-moving routes accept an Idempotency-Key header (or an _idempotency_key
+// form field). The first request with a key runs and its successful response is
+// stored; repeats get that response back with Idempotent-Replayed: true instead
+// of charging or refunding again. Reusing a key for a different request is a
+// 422, and a repeat that arrives while the first is still running waits for it
+// (then 409s if it takes too long). Failed requests free their key for a retry.
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+const { ApiError, wrap } = require("./errors");
+
+const KEY_HEADER = "Idempotency-Key";
+const KEY_FIELD = "_idempotency_key";
+const KEY_PATTERN = /^[\x21-\x7e]{8,255}$/;
+// Form plumbing that shouldn't make two otherwise identical requests differ
+const IGNORED_FIELDS = new Set(["_csrf", KEY_FIELD]);
+
+// JSON with object keys sorted, so field order doesn't change the hash
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const requestHash = (req) => {
+  const body = Object.fromEntries(
+    Object.entries(req.body || {}).filter(([k]) => !IGNORED_FIELDS.has(k))
+  );
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonical(body)}`)
+    .digest("hex");
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createIdempotency({ keys, logger, ttlHours = 24, leaseSeconds = 120, waitSeconds = 10 }) {
+  const replay = (res, stored) => {
+    res.set("Idempotent-Replayed", "true");
+    const body = stored.response_body || {};
+    if (body.location) return res.redirect(stored.response_status, body.location);
+    res.status(stored.response_status).json(body);
+  };
+
+  // Claim the key, or settle for the stored response of the request that holds it
+  const claimOrReplay = async (req, res, scope, key, hash) => {
+    const deadline = Date.now() + waitSeconds * 1000;
+    for (;;) {
+      const now = Date.now();
+      const claimed = await keys.claim({
+        scope,
+        key,
+        requestHash: hash,
+        now: new Date(now),
+        lockedUntil: new Date(now + leaseSeconds * 1000),
+        expiresAt: new Date(now + ttlHours * 60 * 60 * 1000),
+      });
+      if (claimed) return true;
+
+      const existing = await keys.find(scope, key);
+      // Released in the meantime: try to claim it again
+      if (!existing) continue;
+      if (existing.request_hash !== hash) {
+        throw new ApiError(
+          422,
+          "IDEMPOTENCY_KEY_MISMATCH",
+          "This Idempotency-Key was already used for a different request"
+        );
+      }
+      if (existing.status === "COMPLETED") {
+        logger.info("🔁 Replaying idempotent response", { scope, key, requestId: req.requestId });
+        replay(res, existing);
+        return false;
+      }
+      if (Date.now() >= deadline) {
+        throw new ApiError(
+          409,
+          "IDEMPOTENCY_KEY_IN_USE",
+          "A request with this Idempotency-Key is still being processed. Please try again shortly."
+        );
+      }
+      await sleep(250);
+    }
+  };
+
+  // Store the first successful JSON body or redirect before it is sent; anything
+  // else (errors, rendered pages) releases the key
+  const captureResponse = (req, res, scope, key) => {
+    let settled = false;
+    const settle = (store) => {
+      if (settled) return Promise.resolve();
+      settled = true;
+      return (store ? keys.complete(scope, key, store) : keys.release(scope, key)).catch((err) =>
+        logger.error("❌ Error saving idempotency key", {
+          scope,
+          key,
+          error: err.message,
+          requestId: req.requestId,
+        })
+      );
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const ok = res.statusCode < 400;
+      settle(ok && { status: res.statusCode, body }).then(() => json(body));
+      return res;
+    };
+
+    // Only the res.redirect(url) and res.redirect(status, url) forms are used here
+    const redirect = res.redirect.bind(res);
+    res.redirect = (...args) => {
+      const [status, location] = args.length > 1 ? args : [302, args[0]];
+      settle({ status, body: { location } }).then(() => redirect(status, location));
+    };
+
+    // Not on "close": a payer who disconnects mid-capture hasn't failed, and the
+    // lease frees the key if this process dies
+    res.on("finish", () => settle(null));
+  };
+
+  // Middleware for one route; `scope` keeps keys of different routes apart
+  const idempotent = (scope) =>
+    wrap(async (req, res, next) => {
+      const key = req.get(KEY_HEADER) || (req.body && req.body[KEY_FIELD]);
+      if (!key) return next();
+      if (typeof key !== "string" || !KEY_PATTERN.test(key)) {
+        throw new ApiError(
+          400,
+          "INVALID_IDEMPOTENCY_KEY",
+          "Idempotency-Key must be 8–255 printable ASCII characters"
+        );
+      }
+
+      if (!(await claimOrReplay(req, res, scope, key, requestHash(req)))) return;
+      captureResponse(req, res, scope, key);
+      next();
+    });
+
+  const purgeExpired = () => keys.purgeExpired(new Date());
+
+  return { idempotent, purgeExpired };
+}
+
+module.exports = { createIdempotency, requestHash, KEY_HEADER, KEY_FIELD };
@@ -0,0 +1,166 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Tax Invoices
+// Numbers are sequential and gap-free per financial year: the counter row is
+// bumped inside the same DB transaction that saves the payment, so a rollback
+// never burns a number. Amounts are ZAR; the charged currency is shown alongside.
+// ───────────────────────────────────────────────────────────────────────────────
+const path = require("path");
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+const { toCents, fromCents } = require("./money");
+
+const TIME_ZONE = "Africa/Johannesburg";
+const LOGO_PATH = path.join(__dirname, "..", "public", "images", "logo.png");
+
+// Financial years are named after the calendar year they end in (SARS style)
+function financialYear(date, startMonth) {
+  const [year, month] = date
+    .toLocaleDateString("en-CA", { timeZone: TIME_ZONE, year: "numeric", month: "2-digit" })
+    .split("-")
+    .map(Number);
+  return startMonth === 1 || month < startMonth ? year : year + 1;
+}
+
+const formatNumber = (prefix, fy, sequence) =>
+  `${prefix}-${fy}-${String(sequence).padStart(5, "0")}`;
+
+// Split each line into excl/VAT/incl cents and total them up
+function computeTotals(lineItems, { vatRate, pricesIncludeVat }) {
+  const lines = lineItems.map((item) => {
+    const grossCents = toCents(item.unit_price) * (item.quantity || 1);
+    const vatCents = pricesIncludeVat
+      ? Math.round((grossCents * vatRate) / (1 + vatRate))
+      : Math.round(grossCents * vatRate);
+    const netCents = pricesIncludeVat ? grossCents - vatCents : grossCents;
+    return {
+      description: item.description,
+      quantity: item.quantity || 1,
+      unit_price: fromCents(toCents(item.unit_price)),
+      net: fromCents(netCents),
+      vat: fromCents(vatCents),
+      total: fromCents(netCents + vatCents),
+    };
+  });
+  const sum = (key) => fromCents(lines.reduce((acc, l) => acc + toCents(l[key]), 0));
+  return { lines, subtotal: sum("net"), vat: sum("vat"), total: sum("total") };
+}
+
+// Issue (or return the existing) invoice for a transaction; `repos` should be
+// bound to the transaction that saves the payment (repos.transaction).
+// `settings` is config.invoices (lib/config.js).
+async function createInvoice(repos, { transaction, lineItems }, settings) {
+  const existing = await repos.invoices.findByTransaction(transaction.transaction_id);
+  if (existing) return existing;
+
+  const issuedAt = new Date();
+  const fy = financialYear(issuedAt, settings.fyStartMonth);
+  const sequence = await repos.invoices.nextSequence(fy);
+  const totals = computeTotals(lineItems, settings);
+
+  return repos.invoices.create({
+    invoice_number: formatNumber(settings.prefix, fy, sequence),
+    financial_year: fy,
+    sequence,
+    transaction_id: transaction.transaction_id,
+    customer_name: transaction.payer_name,
+    customer_email: transaction.payer_email,
+    line_items: totals.lines,
+    subtotal_zar: totals.subtotal,
+    vat_rate: settings.vatRate,
+    vat_zar: totals.vat,
+    total_zar: totals.total,
+    vat_number: settings.vatNumber,
+    charged_amount: transaction.amount,
+    charged_currency: transaction.currency,
+    exchange_rate: transaction.exchange_rate,
+    issued_at: issuedAt,
+  });
+}
+
+const rand = (value) =>
+  `R ${Number(value).toLocaleString("en-ZA", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Render an invoice row to a PDF buffer
+function renderInvoicePdf(invoice, settings) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: `Tax Invoice ${invoice.invoice_number}` } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { seller } = settings;
+    const lines = typeof invoice.line_items === "string" ? JSON.parse(invoice.line_items) : invoice.line_items;
+    const issued = new Date(invoice.issued_at).toLocaleDateString("en-ZA", { timeZone: TIME_ZONE });
+
+    if (fs.existsSync(LOGO_PATH)) doc.image(LOGO_PATH, 50, 45, { fit: [110, 60] });
+    doc.fontSize(20).font("Helvetica-Bold").text("TAX INVOICE", 300, 50, { align: "right" });
+    doc.fontSize(10).font("Helvetica")
+      .text(`Invoice no: ${invoice.invoice_number}`, { align: "right" })
+      .text(`Date: ${issued}`, { align: "right" })
+      .text(`Payment ref: ${invoice.transaction_id}`, { align: "right" });
+
+    doc.font("Helvetica-Bold").text(seller.name, 50, 130);
+    doc.font("Helvetica");
+    seller.address.forEach((line) => doc.text(line));
+    if (seller.email) doc.text(seller.email);
+    if (invoice.vat_number) doc.text(`VAT no: ${invoice.vat_number}`);
+
+    doc.moveDown().font("Helvetica-Bold").text("Bill to");
+    doc.font("Helvetica").text(invoice.customer_name || "").text(invoice.customer_email || "");
+
+    // Line items table
+    const cols = [
+      { x: 50, width: 220, align: "left" },
+      { x: 275, width: 35, align: "right" },
+      { x: 320, width: 70, align: "right" },
+      { x: 395, width: 70, align: "right" },
+      { x: 470, width: 75, align: "right" },
+    ];
+    const row = (cells, y) => {
+      cells.forEach((c, i) => doc.text(c, cols[i].x, y, { width: cols[i].width, align: cols[i].align }));
+    };
+    let y = doc.moveDown(2).y;
+    doc.font("Helvetica-Bold");
+    row(["Description", "Qty", "Excl. VAT", "VAT", "Total"], y);
+    doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+    doc.font("Helvetica");
+    y += 22;
+    lines.forEach((line) => {
+      row([line.description, String(line.quantity), rand(line.net), rand(line.vat), rand(line.total)], y);
+      y = doc.y + 8;
+    });
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+
+    const vatPercent = `${(parseFloat(invoice.vat_rate) * 100).toFixed(0)}%`;
+    const totalsRows = [
+      ["Subtotal (excl. VAT)", rand(invoice.subtotal_zar)],
+      [`VAT @ ${vatPercent}`, rand(invoice.vat_zar)],
+      ["Total (ZAR)", rand(invoice.total_zar)],
+    ];
+    y += 10;
+    totalsRows.forEach(([label, value], i) => {
+      doc.font(i === totalsRows.length - 1 ? "Helvetica-Bold" : "Helvetica");
+      doc.text(label, 310, y, { width: 150, align: "right" });
+      doc.text(value, 470, y, { width: 75, align: "right" });
+      y += 16;
+    });
+
+    if (invoice.charged_currency && invoice.charged_currency !== "ZAR") {
+      doc.moveDown(2).font("Helvetica").fontSize(9).text(
+        `Paid via PayPal: ${invoice.charged_currency} ${invoice.charged_amount}` +
+          (invoice.exchange_rate ? ` at 1 ZAR = ${invoice.exchange_rate} ${invoice.charged_currency}` : ""),
+        50
+      );
+    }
+    doc.fontSize(9).text("Thank you for your business.", 50, 760, { align: "center", width: 495 });
+    doc.end();
+  });
+}
+
+module.exports = {
+  financialYear,
+  computeTotals,
+  createInvoice,
+  renderInvoicePdf,
+};
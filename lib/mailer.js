@@ -0,0 +1,18 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// SMTP Transport
+// config.smtp (lib/config.js) chooses the mail server, Gmail's SMTP server by
+// default; SMTP_USER/SMTP_PASS fall back to EMAIL_USER/EMAIL_PASS. Leave both
+// unset for servers without authentication, e.g. a local mail catcher.
+// ───────────────────────────────────────────────────────────────────────────────
+const nodemailer = require("nodemailer");
+
+const smtpConfig = ({ host, port, secure, user, pass }) => ({
+  host,
+  port,
+  secure,
+  ...(user && { auth: { user, pass } }),
+});
+
+const createSmtpTransport = (smtp) => nodemailer.createTransport(smtpConfig(smtp));
+
+module.exports = { createSmtpTransport, smtpConfig };
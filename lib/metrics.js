@@ -0,0 +1,127 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Prometheus Metrics
+// HTTP timings plus business counters: payments by service and currency, requests
+// rejected by ApiError code, email delivery outcomes and database query latency.
+// Each cluster worker counts its own; the master adds them up with prom-client's
+// AggregatorRegistry, and whichever worker answers /metrics asks it for the total
+// over IPC, so a scrape sees the whole site rather than one worker.
+// ───────────────────────────────────────────────────────────────────────────────
+const cluster = require("cluster");
+const client = require("prom-client");
+
+const COLLECT = "lusizo:metrics:collect";
+const COLLECTED = "lusizo:metrics:collected";
+// Longer than prom-client's own 5s wait on the workers
+const COLLECT_TIMEOUT_MS = 8000;
+
+// "select", "insert", "update", "delete" or "other"; keeps the label small
+const operationOf = (sql) => {
+  const match = /^\s*(SELECT|INSERT|UPDATE|DELETE|WITH)\b/i.exec(sql);
+  if (!match) return "other";
+  return match[1].toLowerCase() === "with" ? "select" : match[1].toLowerCase();
+};
+
+function createMetrics(register = client.register) {
+  client.collectDefaultMetrics({ register });
+  // Answers the master's requests for this worker's metrics
+  if (cluster.isWorker) new client.AggregatorRegistry();
+
+  const registers = [register];
+  const metrics = {
+    httpRequestDurationMs: new client.Histogram({
+      name: "http_request_duration_ms",
+      help: "Duration of HTTP requests in ms",
+      labelNames: ["method", "route", "status_code"],
+      buckets: [50, 100, 200, 300, 400, 500, 1000],
+      registers,
+    }),
+    abuseRejections: new client.Counter({
+      name: "abuse_rejections_total",
+      help: "Requests rejected by spam and abuse checks",
+      labelNames: ["route", "reason"],
+      registers,
+    }),
+    // outcome: attempted, then saved, already_saved or failed
+    payments: new client.Counter({
+      name: "payments_total",
+      help: "Payment captures attempted, saved and failed",
+      labelNames: ["outcome", "service", "currency"],
+      registers,
+    }),
+    paymentAmountZar: new client.Histogram({
+      name: "payment_amount_zar",
+      help: "Amounts of newly saved payments in ZAR",
+      labelNames: ["service"],
+      buckets: [100, 250, 500, 1000, 2500, 5000, 10000, 25000],
+      registers,
+    }),
+    rejections: new client.Counter({
+      name: "api_rejections_total",
+      help: "Requests refused with a client error, by ApiError code",
+      labelNames: ["code", "status_code"],
+      registers,
+    }),
+    emailDeliveries: new client.Counter({
+      name: "email_deliveries_total",
+      help: "Outbox send attempts by email type and outcome (sent, retry, dead)",
+      labelNames: ["type", "outcome"],
+      registers,
+    }),
+    dbQueryDurationMs: new client.Histogram({
+      name: "db_query_duration_ms",
+      help: "Duration of database queries in ms",
+      labelNames: ["operation", "outcome"],
+      buckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000],
+      registers,
+    }),
+  };
+
+  // What /metrics serves
+  metrics.register = register;
+
+  // For observeQueries (lib/db.js)
+  metrics.observeQuery = ({ sql, ms, ok }) =>
+    metrics.dbQueryDurationMs.observe(
+      { operation: operationOf(sql), outcome: ok ? "ok" : "error" },
+      ms
+    );
+
+  return metrics;
+}
+
+// In the cluster master: answer workers asking for everyone's metrics
+function serveClusterMetrics() {
+  const aggregator = new client.AggregatorRegistry();
+  cluster.on("message", (worker, message) => {
+    if (!message || message.type !== COLLECT) return;
+    aggregator.clusterMetrics().then(
+      (metrics) => worker.send({ type: COLLECTED, id: message.id, metrics }),
+      (err) => worker.send({ type: COLLECTED, id: message.id, error: err.message })
+    );
+  });
+}
+
+// The text /metrics serves: every worker's metrics added up when clustered,
+// this process's otherwise
+let collectRequests = 0;
+function collectMetrics(register = client.register) {
+  if (!cluster.isWorker) return register.metrics();
+  const id = `${process.pid}:${++collectRequests}`;
+  return new Promise((resolve, reject) => {
+    const onMessage = (message) => {
+      if (!message || message.type !== COLLECTED || message.id !== id) return;
+      clearTimeout(timer);
+      process.off("message", onMessage);
+      if (message.error) reject(new Error(message.error));
+      else resolve(message.metrics);
+    };
+    const timer = setTimeout(() => {
+      process.off("message", onMessage);
+      reject(new Error("Timed out collecting metrics from the cluster"));
+    }, COLLECT_TIMEOUT_MS);
+    process.on("message", onMessage);
+    process.send({ type: COLLECT, id });
+  });
+}
+
+module.exports = { createMetrics, serveClusterMetrics, collectMetrics, operationOf };
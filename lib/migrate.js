@@ -0,0 +1,151 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Schema Migrations
+// migrations/<version>_<name>.up.sql (and optional .down.sql); SQLite has its own
+// set in migrations/sqlite. Applied versions are recorded in schema_migrations; a
+// PostgreSQL advisory lock makes concurrent runners (e.g. every cluster worker on
+// boot) wait, so each file runs once. Every file runs in its own transaction
+// together with its bookkeeping row. A SQLite file that rebuilds a table other
+// tables reference starts with NO_FOREIGN_KEYS: foreign keys are switched off
+// around its transaction and checked before it commits, as
+// https://www.sqlite.org/lang_altertable.html describes.
+// ───────────────────────────────────────────────────────────────────────────────
+const fs = require("fs");
+const path = require("path");
+const { SQL_DIALECTS } = require("./repos");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const migrationsDir = (dialect) =>
+  dialect === "sqlite" ? path.join(MIGRATIONS_DIR, "sqlite") : MIGRATIONS_DIR;
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Arbitrary but fixed: every process must agree on the lock id
+const LOCK_ID = 4_207_310_001;
+const NO_FOREIGN_KEYS = /^-- migrate: no-foreign-keys$/m;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+    const version = parseInt(match[1], 10);
+    const entry = byVersion.get(version) || { version, name: match[2] };
+    if (entry.name !== match[2]) {
+      throw new Error(`Migration ${version} has files with different names`);
+    }
+    entry[match[3]] = path.join(dir, file);
+    byVersion.set(version, entry);
+  }
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  const missingUp = migrations.find((m) => !m.up);
+  if (missingUp) throw new Error(`Migration ${missingUp.version} has no .up.sql file`);
+  return migrations;
+}
+
+// Hold the advisory lock on one connection for the whole run (a checked-out
+// SQLite client is already exclusive)
+async function withLock(pool, fn) {
+  const advisory = pool.dialect !== "sqlite";
+  const client = await pool.connect();
+  try {
+    if (advisory) await client.query("SELECT pg_advisory_lock($1)", [LOCK_ID]);
+    try {
+      await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+           version    INTEGER PRIMARY KEY,
+           name       VARCHAR(255) NOT NULL,
+           applied_at TIMESTAMPTZ NOT NULL DEFAULT (${SQL_DIALECTS[pool.dialect || "postgres"].now})
+         )`
+      );
+      return await fn(client);
+    } finally {
+      if (advisory) await client.query("SELECT pg_advisory_unlock($1)", [LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+const appliedMigrations = async (client) =>
+  (await client.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version"))
+    .rows;
+
+async function runFile(client, file, record, { dialect } = {}) {
+  const text = fs.readFileSync(file, "utf8");
+  // PRAGMA foreign_keys is a no-op inside a transaction
+  const foreignKeysOff = dialect === "sqlite" && NO_FOREIGN_KEYS.test(text);
+  if (foreignKeysOff) await client.query("PRAGMA foreign_keys = OFF");
+  try {
+    await client.query("BEGIN");
+    await client.query(text);
+    if (foreignKeysOff) {
+      const { rows } = await client.query("PRAGMA foreign_key_check");
+      if (rows.length) {
+        throw new Error(`foreign keys broken in ${[...new Set(rows.map((r) => r.table))]}`);
+      }
+    }
+    await record();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    err.message = `${path.basename(file)}: ${err.message}`;
+    throw err;
+  } finally {
+    if (foreignKeysOff) await client.query("PRAGMA foreign_keys = ON");
+  }
+}
+
+// Apply every pending migration in version order; resolves to those applied
+const migrateUp = (pool, { logger = console, dir = migrationsDir(pool.dialect) } = {}) =>
+  withLock(pool, async (client) => {
+    const applied = new Set((await appliedMigrations(client)).map((m) => m.version));
+    const pending = loadMigrations(dir).filter((m) => !applied.has(m.version));
+    for (const migration of pending) {
+      await runFile(
+        client,
+        migration.up,
+        () =>
+          client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [
+            migration.version,
+            migration.name,
+          ]),
+        { dialect: pool.dialect }
+      );
+      logger.info(`⬆️ Applied migration ${migration.version}_${migration.name}`);
+    }
+    return pending;
+  });
+
+// Roll back the most recent `steps` migrations
+const migrateDown = (
+  pool,
+  { steps = 1, logger = console, dir = migrationsDir(pool.dialect) } = {}
+) =>
+  withLock(pool, async (client) => {
+    const known = new Map(loadMigrations(dir).map((m) => [m.version, m]));
+    const targets = (await appliedMigrations(client)).reverse().slice(0, steps);
+    for (const { version, name } of targets) {
+      const migration = known.get(version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${version}_${name} has no .down.sql file`);
+      }
+      await runFile(
+        client,
+        migration.down,
+        () => client.query("DELETE FROM schema_migrations WHERE version = $1", [version]),
+        { dialect: pool.dialect }
+      );
+      logger.info(`⬇️ Rolled back migration ${version}_${name}`);
+    }
+    return targets;
+  });
+
+const migrationStatus = (pool, { dir = migrationsDir(pool.dialect) } = {}) =>
+  withLock(pool, async (client) => {
+    const applied = new Map((await appliedMigrations(client)).map((m) => [m.version, m]));
+    return loadMigrations(dir).map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+    }));
+  });
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus, migrationsDir };
@@ -0,0 +1,8 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Money Helpers
+// Arithmetic on amounts is done in integer cents to avoid float drift.
+// ───────────────────────────────────────────────────────────────────────────────
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+module.exports = { toCents, fromCents };
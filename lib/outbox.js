@@ -0,0 +1,239 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Email Outbox
+// Emails are queued in email_outbox (inside the database transaction that saves
+// what they report, where there is one) and sent by a background dispatcher.
+// Failed sends are retried with exponential backoff; after max_attempts the row
+// is DEAD and staff can resend it from /admin/emails or `npm run outbox`.
+// Rows are leased before sending, so running the dispatcher in more than one
+// process is safe, just wasteful.
+// ───────────────────────────────────────────────────────────────────────────────
+const path = require("path");
+const ejs = require("ejs");
+const { renderInvoicePdf } = require("./invoices");
+const { icsAttachment } = require("./appointments");
+
+const TEMPLATE_DIR = path.join(__dirname, "..", "views", "emails");
+const OUTBOX_STATUSES = ["PENDING", "SENDING", "SENT", "DEAD"];
+
+// Calendar invite for the appointment as it stands when the email is sent
+const appointmentInvite = async (repos, appointmentId, from) => {
+  const appointment = await repos.appointments.find(appointmentId);
+  return appointment ? [icsAttachment(appointment, { organizer: from })] : [];
+};
+
+const APPOINTMENT_SUBJECTS = {
+  booked: (d) =>
+    d.audience === "consultant"
+      ? `New booking: ${d.serviceName} on ${d.when}`
+      : `Consultation booked: ${d.serviceName} on ${d.when}`,
+  rescheduled: (d) => `Appointment moved to ${d.when}`,
+  cancelled: (d) => `Appointment cancelled: ${d.serviceName} on ${d.when}`,
+  needs_reschedule: (d) =>
+    d.audience === "client"
+      ? `Please choose a new time for your ${d.serviceName} consultation`
+      : `Paid booking needs a new time: ${d.serviceName} for ${d.clientName}`,
+};
+
+// Subject line, optional attachments and where to record the final outcome for
+// each email type. Bodies are views/emails/<type>.html.ejs and .text.ejs.
+const EMAIL_TYPES = {
+  "payment-confirmation": {
+    subject: (d) => `Payment Confirmation · Tax Invoice ${d.invoiceNumber}`,
+    // Rendered at send time so the queued row stays small
+    attachments: async (d, repos, { from, invoiceSettings }) => {
+      const invoice = await repos.invoices.findByNumber(d.invoiceNumber);
+      const attachments = [];
+      if (invoice) {
+        const pdf = await renderInvoicePdf(invoice, invoiceSettings);
+        attachments.push({
+          filename: `${invoice.invoice_number}.pdf`,
+          content: pdf,
+          contentType: "application/pdf",
+        });
+      }
+      if (d.appointment) {
+        attachments.push(...(await appointmentInvite(repos, d.appointment.appointmentId, from)));
+      }
+      return attachments;
+    },
+    recordStatus: (repos, transactionId, err) => repos.transactions.setEmailStatus(transactionId, err),
+  },
+  // A capture PayPal is still clearing; the confirmation follows once it completes
+  "payment-pending": {
+    subject: (d) => `Payment Received, Pending Clearance · ${d.serviceType}`,
+  },
+  "refund-confirmation": {
+    subject: () => "Refund Confirmation",
+    recordStatus: (repos, refundId, err) => repos.refunds.setEmailStatus(refundId, err),
+  },
+  "contact-notification": {
+    subject: (d) => `New enquiry: ${d.subject} — ${d.firstName} ${d.lastName}`,
+    recordStatus: (repos, enquiryId, err) =>
+      repos.enquiries.setEmailStatus(enquiryId, "notification", err ? "FAILED" : "SENT"),
+  },
+  "contact-autoreply": {
+    subject: () => "We've received your enquiry",
+    recordStatus: (repos, enquiryId, err) =>
+      repos.enquiries.setEmailStatus(enquiryId, "autoreply", err ? "FAILED" : "SENT"),
+  },
+  // One-time sign-in link for the client portal (routes/account.js)
+  "client-login": {
+    subject: () => "Your sign-in link",
+  },
+  // `change` is booked, rescheduled, cancelled or needs_reschedule; sent to the
+  // client and the consultant, and to the office when a booking needs a new time
+  "appointment-update": {
+    subject: (d) => APPOINTMENT_SUBJECTS[d.change](d),
+    // A booking waiting for a new time has nothing to put in a calendar yet
+    attachments: async (d, repos, { from }) =>
+      d.change === "needs_reschedule" ? [] : appointmentInvite(repos, d.appointmentId, from),
+  },
+};
+
+async function renderEmail(type, data) {
+  const definition = EMAIL_TYPES[type];
+  if (!definition) throw new Error(`Unknown email type "${type}"`);
+  const template = (format) => path.join(TEMPLATE_DIR, `${type}.${format}.ejs`);
+  const [html, text] = await Promise.all([
+    ejs.renderFile(template("html"), data),
+    ejs.renderFile(template("text"), data),
+  ]);
+  return { subject: definition.subject(data), html, text };
+}
+
+// 1, 2, 4, 8 … × base after each failed attempt, capped at max
+const retryDelayMs = (attempts, { baseSeconds, maxSeconds }) =>
+  Math.min(baseSeconds * 2 ** (attempts - 1), maxSeconds) * 1000;
+
+function createOutbox({
+  repos,
+  transporter,
+  logger,
+  from,
+  // config.invoices, for the PDFs attached to payment confirmations
+  invoiceSettings,
+  maxAttempts = 8,
+  retryBaseSeconds = 60,
+  retryMaxSeconds = 6 * 60 * 60,
+  batchSize = 20,
+  leaseSeconds = 5 * 60,
+  // Called with each email and how its attempt ended, e.g. for metrics
+  onDelivery = () => {},
+}) {
+  // `scope` is repos, or a transaction's repos to queue atomically with it
+  function enqueue(type, { to, replyTo = null, relatedId = null, data }, scope = repos) {
+    if (!EMAIL_TYPES[type]) throw new Error(`Unknown email type "${type}"`);
+    return scope.emailOutbox.create({
+      email_type: type,
+      recipient: to,
+      reply_to: replyTo,
+      related_id: relatedId === null ? null : String(relatedId),
+      payload: data,
+      max_attempts: maxAttempts,
+    });
+  }
+
+  const recordStatus = (row, err) => {
+    const definition = EMAIL_TYPES[row.email_type];
+    if (!definition || !definition.recordStatus || row.related_id === null) return;
+    return Promise.resolve(definition.recordStatus(repos, row.related_id, err)).catch((dbErr) =>
+      logger.error("❌ Error recording email status", { emailId: row.id, error: dbErr.message })
+    );
+  };
+
+  // Resolves to "sent", "retry" or "dead"
+  async function deliver(row) {
+    const context = { emailId: row.id, type: row.email_type, attempt: row.attempts };
+    let info;
+    try {
+      const message = await renderEmail(row.email_type, row.payload);
+      const definition = EMAIL_TYPES[row.email_type];
+      let attachments = [];
+      if (definition.attachments) {
+        // A broken attachment shouldn't hold back the email itself
+        attachments = await definition
+          .attachments(row.payload, repos, { from, invoiceSettings })
+          .catch((err) => {
+            logger.error("❌ Error preparing email attachments", { ...context, error: err.message });
+            return [];
+          });
+      }
+      info = await transporter.sendMail({
+        from,
+        to: row.recipient,
+        replyTo: row.reply_to || undefined,
+        ...message,
+        attachments,
+      });
+    } catch (err) {
+      const dead = row.attempts >= row.max_attempts;
+      const nextAttemptAt = dead
+        ? null
+        : new Date(
+            Date.now() +
+              retryDelayMs(row.attempts, { baseSeconds: retryBaseSeconds, maxSeconds: retryMaxSeconds })
+          );
+      await repos.emailOutbox.markFailed(row.id, { error: err.message, dead, nextAttemptAt });
+      if (dead) {
+        logger.error("💀 Email abandoned after final attempt", { ...context, error: err.message });
+        await recordStatus(row, err);
+        return "dead";
+      }
+      logger.warn("⚠️ Email send failed, will retry", { ...context, error: err.message, nextAttemptAt });
+      return "retry";
+    }
+
+    await repos.emailOutbox.markSent(row.id, info.messageId || null);
+    logger.info("✅ Email sent", { ...context, messageId: info.messageId });
+    await recordStatus(row, null);
+    return "sent";
+  }
+
+  // Send one batch of due emails
+  async function dispatchDue() {
+    const now = Date.now();
+    const rows = await repos.emailOutbox.claimDue({
+      now: new Date(now),
+      lockUntil: new Date(now + leaseSeconds * 1000),
+      limit: batchSize,
+    });
+    const results = { sent: 0, retry: 0, dead: 0 };
+    for (const row of rows) {
+      const outcome = await deliver(row);
+      results[outcome] += 1;
+      onDelivery(row, outcome);
+    }
+    return results;
+  }
+
+  // Poll in the background; returns a function that stops the dispatcher
+  function start(intervalMs = 5000) {
+    let busy = false;
+    const tick = async () => {
+      if (busy) return;
+      busy = true;
+      try {
+        // Keep going while full batches come back
+        let batch;
+        do {
+          batch = await dispatchDue();
+        } while (batch.sent + batch.retry + batch.dead >= batchSize);
+      } catch (err) {
+        logger.error("❌ Email dispatcher error", { error: err.message });
+      } finally {
+        busy = false;
+      }
+    };
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    return () => clearInterval(timer);
+  }
+
+  // Resolves to the requeued row, or null when it doesn't exist or is being sent
+  const resend = (id) => repos.emailOutbox.requeue(id);
+
+  return { enqueue, dispatchDue, start, resend };
+}
+
+module.exports = { createOutbox, renderEmail, retryDelayMs, EMAIL_TYPES, OUTBOX_STATUSES };
@@ -0,0 +1,213 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// PayPal REST Client (Orders v2, Refunds, Transaction Search and Webhook verification)
+// ───────────────────────────────────────────────────────────────────────────────
+const axios = require("axios");
+const { ApiError } = require("./errors");
+
+const BASE_URLS = {
+  live: "https://api-m.paypal.com",
+  sandbox: "https://api-m.sandbox.paypal.com",
+};
+
+// PAYPAL_API_BASE wins so tests can point the client at a local stand-in
+const resolveBaseUrl = ({ mode, baseUrl }) =>
+  (baseUrl || BASE_URLS[mode === "live" ? "live" : "sandbox"]).replace(/\/+$/, "");
+
+// "2026-10-01T00:00:00+0000", the date format Transaction Search documents
+const reportingDate = (date) => `${new Date(date).toISOString().slice(0, 19)}+0000`;
+
+function createPayPalClient({ clientId, secret, mode, baseUrl, timeout = 10000 }) {
+  const http = axios.create({ baseURL: resolveBaseUrl({ mode, baseUrl }), timeout });
+  let cachedToken = null;
+
+  // Translate transport and PayPal API failures into ApiErrors
+  const toApiError = (err, action) => {
+    if (err instanceof ApiError) return err;
+    const status = err.response ? err.response.status : null;
+    const data = err.response ? err.response.data : null;
+    const issue = data && data.details && data.details[0] ? data.details[0].issue : null;
+    return new ApiError(
+      status === 422 ? 422 : 502,
+      issue || "PAYPAL_ERROR",
+      `PayPal ${action} failed${data && data.message ? `: ${data.message}` : ""}`,
+      { status, debugId: data ? data.debug_id : null }
+    );
+  };
+
+  async function getAccessToken() {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+      return cachedToken.value;
+    }
+    if (!clientId || !secret) {
+      throw new ApiError(500, "MISSING_PAYPAL_CREDENTIALS", "PayPal credentials are not configured");
+    }
+    try {
+      const { data } = await http.post("/v1/oauth2/token", "grant_type=client_credentials", {
+        auth: { username: clientId, password: secret },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      });
+      // Refresh a minute early so a token never expires mid-request
+      cachedToken = {
+        value: data.access_token,
+        expiresAt: Date.now() + Math.max((data.expires_in || 0) - 60, 0) * 1000,
+      };
+      return cachedToken.value;
+    } catch (err) {
+      throw toApiError(err, "authentication");
+    }
+  }
+
+  async function request(action, config) {
+    const token = await getAccessToken();
+    try {
+      const { data } = await http.request({
+        ...config,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+          ...(config.headers || {}),
+        },
+      });
+      return data;
+    } catch (err) {
+      throw toApiError(err, action);
+    }
+  }
+
+  const createOrder = ({ amount, currency, description, customId }) =>
+    request("order creation", {
+      method: "POST",
+      url: "/v2/checkout/orders",
+      headers: { Prefer: "return=representation" },
+      data: {
+        intent: "CAPTURE",
+        purchase_units: [
+          {
+            amount: { currency_code: currency, value: amount },
+            description,
+            custom_id: customId,
+          },
+        ],
+      },
+    });
+
+  const getOrder = (orderId) =>
+    request("order lookup", {
+      method: "GET",
+      url: `/v2/checkout/orders/${encodeURIComponent(orderId)}`,
+    });
+
+  // With a requestId, PayPal answers a retried capture with the original result
+  const captureOrder = (orderId, { requestId } = {}) =>
+    request("order capture", {
+      method: "POST",
+      url: `/v2/checkout/orders/${encodeURIComponent(orderId)}/capture`,
+      headers: {
+        Prefer: "return=representation",
+        ...(requestId && { "PayPal-Request-Id": requestId }),
+      },
+      data: {},
+    });
+
+  const refundCapture = (captureId, { amount, currency, note, requestId }) =>
+    request("refund", {
+      method: "POST",
+      url: `/v2/payments/captures/${encodeURIComponent(captureId)}/refund`,
+      // PayPal-Request-Id makes a retried refund call return the original refund
+      headers: { Prefer: "return=representation", "PayPal-Request-Id": requestId },
+      data: {
+        amount: { currency_code: currency, value: amount },
+        note_to_payer: note || undefined,
+      },
+    });
+
+  // A refund's current status, e.g. once PayPal has finished a PENDING one
+  const getRefund = (refundId) =>
+    request("refund lookup", {
+      method: "GET",
+      url: `/v2/payments/refunds/${encodeURIComponent(refundId)}`,
+    });
+
+  // Transaction Search (reporting): one page of the account's transactions between
+  // two dates at most 31 days apart. New transactions can take three hours to show.
+  const listTransactions = ({ startDate, endDate, page = 1, pageSize = 500 }) =>
+    request("transaction search", {
+      method: "GET",
+      url: "/v1/reporting/transactions",
+      params: {
+        start_date: reportingDate(startDate),
+        // Whole seconds only: round the end up so the last second isn't dropped
+        end_date: reportingDate(Math.ceil(new Date(endDate).getTime() / 1000) * 1000),
+        fields: "transaction_info,payer_info",
+        page_size: pageSize,
+        page,
+      },
+    });
+
+  // Postback verification: PayPal checks the transmission headers against the event
+  const verifyWebhookSignature = async ({ headers, webhookId, event }) => {
+    const data = await request("webhook verification", {
+      method: "POST",
+      url: "/v1/notifications/verify-webhook-signature",
+      data: {
+        auth_algo: headers["paypal-auth-algo"],
+        cert_url: headers["paypal-cert-url"],
+        transmission_id: headers["paypal-transmission-id"],
+        transmission_sig: headers["paypal-transmission-sig"],
+        transmission_time: headers["paypal-transmission-time"],
+        webhook_id: webhookId,
+        webhook_event: event,
+      },
+    });
+    return data.verification_status === "SUCCESS";
+  };
+
+  return {
+    getAccessToken,
+    createOrder,
+    getOrder,
+    captureOrder,
+    refundCapture,
+    getRefund,
+    listTransactions,
+    verifyWebhookSignature,
+  };
+}
+
+// Whether a failed PayPal call may still have taken effect: no answer came back
+// (a timeout or dropped connection) or PayPal itself failed (5xx). Any other
+// answer, such as a 422 INSTRUMENT_DECLINED, means it didn't happen.
+function outcomeUnknown(err) {
+  if (!(err instanceof ApiError)) return true;
+  const status = err.details ? err.details.status : undefined;
+  return status === null || status >= 500;
+}
+
+// Pull the fields we persist out of a captured order
+function extractCapture(order) {
+  const unit = order && order.purchase_units && order.purchase_units[0];
+  const capture = unit && unit.payments && unit.payments.captures && unit.payments.captures[0];
+  if (!capture) return null;
+
+  const payer = order.payer || {};
+  const name = payer.name || {};
+  return {
+    orderId: order.id,
+    captureId: capture.id,
+    status: capture.status,
+    amount: capture.amount.value,
+    currency: capture.amount.currency_code,
+    description: unit.description || null,
+    customId: capture.custom_id || unit.custom_id || null,
+    payerName: [name.given_name, name.surname].filter(Boolean).join(" "),
+    payerEmail: payer.email_address,
+  };
+}
+
+module.exports = {
+  createPayPalClient,
+  extractCapture,
+  outcomeUnknown,
+  resolveBaseUrl,
+  BASE_URLS,
+};
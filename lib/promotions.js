@@ -0,0 +1,113 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Promo Codes
+// A code takes a percentage or a fixed ZAR amount off a service's price. Codes
+// can be limited to some services, to a validity window, and to a number of uses
+// overall and per payer email. The discount never takes the total below the
+// minimum service price. It is priced into the PayPal order when /api/orders
+// creates it. Before capture the use is reserved for the order, checking the
+// limits again against the payer's email; the reservation becomes a redemption
+// when the transaction is saved, and is released if the capture fails.
+// ───────────────────────────────────────────────────────────────────────────────
+const { ApiError } = require("./errors");
+const { toCents, fromCents } = require("./money");
+
+const DISCOUNT_TYPES = ["PERCENT", "FIXED"];
+// Long enough for PayPal to answer a capture; an abandoned one frees the use after
+const RESERVATION_MINUTES = 15;
+// What clients may type; stored upper-case
+const PROMO_CODE_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+
+const normalizePromoCode = (code) => String(code || "").trim().toUpperCase();
+
+// "20% off" / "R 100.00 off"
+const describeDiscount = (promo) =>
+  promo.discount_type === "PERCENT"
+    ? `${Number(promo.discount_value)}% off`
+    : `R ${Number(promo.discount_value).toFixed(2)} off`;
+
+const invalidCode = (message) => new ApiError(400, "INVALID_PROMO_CODE", message);
+
+// Rejects once a code has been used, or reserved, as often as it may be, overall
+// or by this payer. `exceptOrderId` leaves out that order's own reservation.
+async function assertPromoAvailable(repos, promo, email, { now, exceptOrderId } = {}) {
+  const { total, byEmail } = await repos.promoCodes.usage(promo.id, email, { now, exceptOrderId });
+  if (promo.max_uses && total >= promo.max_uses) {
+    throw new ApiError(409, "PROMO_CODE_USED_UP", "This promo code has been fully redeemed.");
+  }
+  if (email && promo.max_uses_per_email && byEmail >= promo.max_uses_per_email) {
+    throw new ApiError(409, "PROMO_CODE_USED_UP", "You have already used this promo code.");
+  }
+}
+
+// Price `service` with `code`. Resolves to { promo, listPriceZar, discountZar,
+// amountZar }, amounts as "0.00" strings. `email` is checked against the
+// per-payer limit when it is already known.
+async function applyPromoCode(repos, { code, service, email = null, minTotal, now = new Date() }) {
+  const promo = await repos.promoCodes.findByCode(normalizePromoCode(code));
+  if (!promo || !promo.active) throw invalidCode("This promo code isn't valid.");
+  if (promo.starts_at && new Date(promo.starts_at) > now) {
+    throw invalidCode("This promo code isn't valid yet.");
+  }
+  if (promo.ends_at && new Date(promo.ends_at) <= now) {
+    throw invalidCode("This promo code has expired.");
+  }
+
+  const serviceIds = await repos.promoCodes.serviceIds(promo.id);
+  if (serviceIds.length && !serviceIds.includes(Number(service.id))) {
+    throw new ApiError(
+      400,
+      "PROMO_CODE_NOT_APPLICABLE",
+      `This promo code can't be used for ${service.name}.`
+    );
+  }
+  await assertPromoAvailable(repos, promo, email);
+
+  const priceCents = toCents(service.price);
+  const offCents =
+    promo.discount_type === "PERCENT"
+      ? Math.round((priceCents * Number(promo.discount_value)) / 100)
+      : toCents(promo.discount_value);
+  // The discounted total still has to meet the minimum price
+  const totalCents = Math.max(priceCents - offCents, Math.min(toCents(minTotal), priceCents));
+  if (totalCents === priceCents) {
+    throw new ApiError(
+      400,
+      "PROMO_CODE_NOT_APPLICABLE",
+      `${service.name} is already at its minimum price, so this promo code can't be used.`
+    );
+  }
+
+  return {
+    promo,
+    listPriceZar: fromCents(priceCents),
+    discountZar: fromCents(priceCents - totalCents),
+    amountZar: fromCents(totalCents),
+  };
+}
+
+// Reserve a use of the code for `orderId` before it is captured. The code's row
+// stays locked while its uses are counted, so concurrent checkouts can't both
+// take its last use.
+const reservePromoCode = (repos, { promoCodeId, orderId, email, now = new Date() }) =>
+  repos.transaction(async (tx) => {
+    const promo = await tx.promoCodes.lock(promoCodeId);
+    await tx.promoCodes.releaseExpired(now);
+    await assertPromoAvailable(tx, promo, email, { now, exceptOrderId: orderId });
+    await tx.promoCodes.reserve({
+      promoCodeId,
+      orderId,
+      payerEmail: email || "",
+      expiresAt: new Date(now.getTime() + RESERVATION_MINUTES * 60 * 1000),
+    });
+    return promo;
+  });
+
+module.exports = {
+  applyPromoCode,
+  assertPromoAvailable,
+  reservePromoCode,
+  normalizePromoCode,
+  describeDiscount,
+  DISCOUNT_TYPES,
+  PROMO_CODE_PATTERN,
+};
@@ -0,0 +1,107 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Readiness (/ready)
+// Checks each thing the site depends on separately:
+//   database  answers SELECT 1
+//   smtp      the mail server accepts a connection and login; this opens a real
+//             SMTP session, so the result is reused for a minute
+//   paypal    credentials, mode and webhook id are configured
+// Without the database nothing works, so the site is "unavailable" (503). Email
+// is queued and retried, and pages other than checkout work without PayPal, so
+// either failing only makes it "degraded" (200, still worth routing traffic to).
+// Errors are reported as short codes; the details go to the log.
+// ───────────────────────────────────────────────────────────────────────────────
+const REQUIRED = ["database"];
+
+// Rejects with a "TIMEOUT" error if `promise` takes longer than `ms`
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    const err = Object.assign(new Error(`Timed out after ${ms}ms`), { code: "TIMEOUT" });
+    timer = setTimeout(() => reject(err), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const PAYPAL_SETTINGS = {
+  clientId: "PAYPAL_CLIENT_ID",
+  secret: "PAYPAL_SECRET",
+  webhookId: "PAYPAL_WEBHOOK_ID",
+};
+
+// Problems with the PayPal settings, in words; empty when they look usable.
+// lib/config.js has already rejected invalid values, so this is what's missing.
+function paypalConfigProblems({ profile, paypal }) {
+  const problems = [];
+  for (const [key, name] of Object.entries(PAYPAL_SETTINGS)) {
+    if (!paypal[key]) problems.push(`${name} is not set`);
+  }
+  if (profile === "production" && paypal.mode !== "live" && !paypal.baseUrl) {
+    problems.push("PAYPAL_MODE is not live in production");
+  }
+  return problems;
+}
+
+function createReadinessCheck({
+  db,
+  transporter,
+  logger,
+  config,
+  timeoutMs = 5000,
+  smtpCacheMs = 60 * 1000,
+}) {
+  const failed = (component, err) => {
+    logger.warn("⚠️ Readiness check failed", { component, error: err.message });
+    return { status: "down", error: err.code || "ERROR" };
+  };
+
+  async function database() {
+    const started = Date.now();
+    try {
+      await withTimeout(db.query("SELECT 1"), timeoutMs);
+      return { status: "up", latency_ms: Date.now() - started };
+    } catch (err) {
+      return failed("database", err);
+    }
+  }
+
+  // One SMTP check at a time, reused until it is smtpCacheMs old
+  let smtpResult = null;
+  let smtpCheckedAt = 0;
+  let smtpPending = null;
+  function smtp() {
+    if (smtpResult && Date.now() - smtpCheckedAt < smtpCacheMs) return smtpResult;
+    if (!smtpPending) {
+      smtpPending = withTimeout(transporter.verify(), timeoutMs)
+        .then(
+          () => ({ status: "up" }),
+          (err) => failed("smtp", err)
+        )
+        .then((result) => {
+          smtpCheckedAt = Date.now();
+          smtpResult = { ...result, checked_at: new Date(smtpCheckedAt).toISOString() };
+          smtpPending = null;
+          return smtpResult;
+        });
+    }
+    return smtpPending;
+  }
+
+  function paypal() {
+    const problems = paypalConfigProblems(config);
+    if (!problems.length) return { status: "up" };
+    return { status: "down", error: "MISCONFIGURED", problems };
+  }
+
+  // { status: "ready" | "degraded" | "unavailable", components, degraded }
+  return async function check() {
+    const [databaseStatus, smtpStatus] = await Promise.all([database(), smtp()]);
+    const components = { database: databaseStatus, smtp: smtpStatus, paypal: paypal() };
+    const down = Object.keys(components).filter((name) => components[name].status !== "up");
+    let status = "ready";
+    if (down.some((name) => REQUIRED.includes(name))) status = "unavailable";
+    else if (down.length) status = "degraded";
+    return { status, components, degraded: down };
+  };
+}
+
+module.exports = { createReadinessCheck, paypalConfigProblems };
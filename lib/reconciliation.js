@@ -0,0 +1,368 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// PayPal Reconciliation
+// Transactions are saved from the capture response, so nothing else tells us the
+// table matches what PayPal settled. A run pulls the captures PayPal reports for
+// a date range (Transaction Search) and matches them to transactions by id:
+//   MISSING   PayPal has a capture we never saved
+//   EXTRA     we saved a transaction PayPal doesn't report
+//   MISMATCH  both have it, but the amount, currency or status differ
+// Issues stay open until staff resolve them or a later run finds a match. A
+// capture still PENDING here that PayPal reports settled is moved to COMPLETED
+// (and handed to `onStatusChange`) rather than reported. PayPal lists
+// transactions up to a few hours late, so runs stop `lagHours` short of now.
+// Each run also settles promo code uses held for captures whose outcome never
+// arrived (an order PayPal didn't capture gets its use back) and asks PayPal
+// about refunds still PENDING (lib/refunds.js).
+// ───────────────────────────────────────────────────────────────────────────────
+const { ApiError } = require("./errors");
+const { toCents } = require("./money");
+const { sastDay, addDays } = require("./appointments");
+const { appendAuditEntry } = require("./audit");
+const { extractCapture, outcomeUnknown } = require("./paypal");
+const { checkRefund } = require("./refunds");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Transaction Search takes at most 31 days per request
+const MAX_WINDOW_DAYS = 31;
+const PAGE_SIZE = 500;
+const LOCAL_BATCH_SIZE = 500;
+// PayPal's timestamp and our created_at can straddle the edge of a range
+const EDGE_MS = HOUR_MS;
+
+// Transaction Search status codes and the local statuses each agrees with.
+// Refunds and reversals are separate PayPal records, so a refunded payment's
+// capture still reads S.
+const STATUS_MATCHES = {
+  S: ["COMPLETED", "PARTIALLY_REFUNDED", "REFUNDED", "DISPUTED", "REVERSED"],
+  P: ["PENDING"],
+  V: ["REFUNDED", "REVERSED"],
+  D: ["DENIED"],
+};
+const PAYPAL_STATUS_LABELS = { S: "SUCCESS", P: "PENDING", V: "REVERSED", D: "DENIED" };
+
+// Payment events (T00xx) for a positive amount: captures, not refunds or fees
+const isCapture = (info) =>
+  /^T00/.test(info.transaction_event_code || "") &&
+  parseFloat(info.transaction_amount && info.transaction_amount.value) > 0;
+
+// What differs between PayPal's record and ours, in words; empty when they match
+const differences = (info, local) => {
+  const found = [];
+  const amount = info.transaction_amount;
+  if (amount.currency_code !== local.currency) {
+    found.push(`currency: PayPal ${amount.currency_code}, ours ${local.currency}`);
+  } else if (toCents(amount.value) !== toCents(local.amount)) {
+    found.push(`amount: PayPal ${amount.value}, ours ${local.amount}`);
+  }
+  const accepted = STATUS_MATCHES[info.transaction_status];
+  if (accepted && !accepted.includes(local.payment_status)) {
+    const label = PAYPAL_STATUS_LABELS[info.transaction_status];
+    found.push(`status: PayPal ${label}, ours ${local.payment_status}`);
+  }
+  return found;
+};
+
+const issueFor = (kind, transactionId, info, local, details) => ({
+  kind,
+  transaction_id: transactionId,
+  paypal_amount: info ? info.transaction_amount.value : null,
+  paypal_currency: info ? info.transaction_amount.currency_code : null,
+  paypal_status: info ? PAYPAL_STATUS_LABELS[info.transaction_status] || null : null,
+  paypal_date:
+    info && info.transaction_initiation_date ? new Date(info.transaction_initiation_date) : null,
+  local_amount: local ? local.amount : null,
+  local_currency: local ? local.currency : null,
+  local_status: local ? local.payment_status : null,
+  details,
+});
+
+// Start and end of `from`..`to` (YYYY-MM-DD, South African days, `to` included)
+function dayRange({ from, to }) {
+  const isDay = (value) =>
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    sastDay(`${value}T12:00:00+02:00`) === value;
+  if (!isDay(from) || !isDay(to) || to < from) {
+    throw new ApiError(
+      400,
+      "INVALID_RANGE",
+      "Choose a start and end date (YYYY-MM-DD), in order."
+    );
+  }
+  return {
+    start: new Date(`${from}T00:00:00+02:00`),
+    end: new Date(`${addDays(to, 1)}T00:00:00+02:00`),
+  };
+}
+
+function createReconciler({ repos, paypal, logger, settings, onStatusChange = null }) {
+  // Captures PayPal reports between two times, by transaction (capture) id
+  async function fetchCaptures(start, end) {
+    const captures = new Map();
+    for (let from = start.getTime(); from < end.getTime(); ) {
+      const to = Math.min(end.getTime(), from + MAX_WINDOW_DAYS * DAY_MS);
+      for (let page = 1, pages = 1; page <= pages; page++) {
+        const data = await paypal.listTransactions({
+          startDate: new Date(from),
+          endDate: new Date(to),
+          page,
+          pageSize: PAGE_SIZE,
+        });
+        pages = data.total_pages || 1;
+        for (const detail of data.transaction_details || []) {
+          const info = detail.transaction_info || {};
+          if (isCapture(info)) captures.set(info.transaction_id, info);
+        }
+      }
+      from = to;
+    }
+    return captures;
+  }
+
+  // Our transactions created between two times, by transaction id
+  async function loadTransactions(start, end) {
+    const local = new Map();
+    const filters = { createdFrom: start, createdBefore: end };
+    for (let afterId = 0; ; ) {
+      const rows = await repos.transactions.reportBatch(filters, {
+        afterId,
+        limit: LOCAL_BATCH_SIZE,
+      });
+      for (const row of rows) local.set(row.transaction_id, row);
+      if (rows.length < LOCAL_BATCH_SIZE) return local;
+      afterId = rows[rows.length - 1].id;
+    }
+  }
+
+  // Promo code uses held since a capture call went unanswered (held for at least
+  // EDGE_MS, so a retry has finished). Resolves to how many were released.
+  async function settleHeldPromoUses(now) {
+    let released = 0;
+    const held = await repos.promoCodes.listUnsettled({
+      before: new Date(now.getTime() - EDGE_MS),
+    });
+    for (const reservation of held) {
+      const orderId = reservation.order_id;
+      let order = null;
+      try {
+        order = await paypal.getOrder(orderId);
+      } catch (err) {
+        if (outcomeUnknown(err)) {
+          logger.warn("⚠️ Could not check a held promo code use", { orderId, error: err.message });
+          continue;
+        }
+      }
+      // Paid (or still clearing): the use stands until the payment is saved
+      const capture = extractCapture(order);
+      if (capture && ["COMPLETED", "PENDING"].includes(capture.status)) continue;
+      await repos.promoCodes.release(orderId);
+      released++;
+      logger.info("🎟️ Promo code use released: PayPal never captured the order", {
+        orderId,
+        promoCodeId: reservation.promo_code_id,
+      });
+    }
+    return released;
+  }
+
+  // Refunds PENDING for over EDGE_MS. Resolves to how many PayPal has since settled.
+  async function checkPendingRefunds(now) {
+    let settled = 0;
+    const pending = await repos.refunds.listPending({ before: new Date(now.getTime() - EDGE_MS) });
+    for (const refund of pending) {
+      try {
+        const checked = await checkRefund({ repos, paypal }, refund.id, {
+          actor: "reconciliation",
+        });
+        if (checked.refund.status !== "PENDING") settled++;
+      } catch (err) {
+        logger.warn("⚠️ Could not check a pending refund", {
+          refundId: refund.id,
+          error: err.message,
+        });
+      }
+    }
+    return settled;
+  }
+
+  // PayPal has settled a capture we saved as PENDING: record that it completed
+  // (unless something else got there first). Resolves to the row as it now is.
+  async function settlePending(transaction, runId) {
+    return repos.transaction(async (tx) => {
+      const row = await tx.transactions.findForUpdate(transaction.transaction_id);
+      if (row.payment_status !== "PENDING") return { ...transaction, ...row };
+      const change = { transactionId: row.transaction_id, from: "PENDING", to: "COMPLETED" };
+      await tx.transactions.changeStatus(row.transaction_id, {
+        from: "PENDING",
+        to: "COMPLETED",
+        source: "reconciliation",
+      });
+      await appendAuditEntry(tx, {
+        actor: "reconciliation",
+        action: "transaction.status_changed",
+        entityType: "transaction",
+        entityId: row.transaction_id,
+        before: { payment_status: "PENDING" },
+        after: { payment_status: "COMPLETED", run_id: runId },
+      });
+      const completed = { ...row, payment_status: "COMPLETED" };
+      if (onStatusChange) await onStatusChange(tx, change, completed);
+      logger.info("✅ Reconciliation completed a PENDING payment", {
+        transaction_id: row.transaction_id,
+        runId,
+      });
+      return { ...transaction, ...completed };
+    });
+  }
+
+  // Reconcile `start`..`end`, cut short `lagHours` before now. Resolves to
+  // { run, issues }; a failed run is recorded before the error is rethrown.
+  async function run({ start, end, triggeredBy, now = new Date() }) {
+    const cutoff = new Date(now.getTime() - settings.lagHours * HOUR_MS);
+    const rangeEnd = end > cutoff ? cutoff : end;
+    if (rangeEnd <= start) {
+      throw new ApiError(
+        400,
+        "NOTHING_TO_RECONCILE",
+        `PayPal lists payments up to ${settings.lagHours} hours late, ` +
+          "so this range can't be checked yet."
+      );
+    }
+
+    const record = await repos.reconciliation.createRun({
+      rangeStart: start,
+      rangeEnd,
+      triggeredBy,
+    });
+    try {
+      const promoUsesReleased = await settleHeldPromoUses(now);
+      const refundsSettled = await checkPendingRefunds(now);
+      const inRange = (date) => {
+        const time = new Date(date).getTime();
+        return time >= start.getTime() && time < rangeEnd.getTime();
+      };
+      // Wider on both sides, so a payment on either side of an edge still pairs up
+      const paypalCaptures = await fetchCaptures(
+        new Date(start.getTime() - EDGE_MS),
+        new Date(Math.min(rangeEnd.getTime() + EDGE_MS, now.getTime()))
+      );
+      const local = await loadTransactions(start, rangeEnd);
+      const paypalInRange = [...paypalCaptures.values()].filter((info) =>
+        inRange(info.transaction_initiation_date)
+      );
+
+      // PayPal captures in range that we saved outside it
+      const elsewhere = paypalInRange
+        .map((info) => info.transaction_id)
+        .filter((id) => !local.has(id));
+      for (const row of await repos.transactions.findMany(elsewhere)) {
+        local.set(row.transaction_id, row);
+      }
+
+      const localInRange = [...local.values()].filter((t) => inRange(t.created_at));
+      const ids = new Set([
+        ...paypalInRange.map((info) => info.transaction_id),
+        ...localInRange.map((t) => t.transaction_id),
+      ]);
+      const issues = [];
+      const matched = [];
+      for (const id of ids) {
+        const info = paypalCaptures.get(id);
+        const transaction = local.get(id);
+        if (!transaction) {
+          issues.push(issueFor("MISSING", id, info, null, "We never saved this capture."));
+        } else if (!info) {
+          issues.push(issueFor("EXTRA", id, null, transaction, "PayPal doesn't report it."));
+        } else {
+          const settled =
+            info.transaction_status === "S" &&
+            transaction.payment_status === "PENDING" &&
+            !differences(info, { ...transaction, payment_status: "COMPLETED" }).length;
+          const current = settled ? await settlePending(transaction, record.id) : transaction;
+          const found = differences(info, current);
+          if (found.length) {
+            issues.push(issueFor("MISMATCH", id, info, current, found.join("; ")));
+          } else {
+            matched.push(id);
+          }
+        }
+      }
+
+      for (const issue of issues) await repos.reconciliation.recordIssue(record.id, issue);
+      const autoResolved = await repos.reconciliation.resolveMatched(matched, { runId: record.id });
+      const finished = await repos.reconciliation.finishRun(record.id, {
+        paypalCount: paypalInRange.length,
+        localCount: localInRange.length,
+        matchedCount: matched.length,
+        issueCount: issues.length,
+      });
+
+      const summary = {
+        runId: record.id,
+        from: start.toISOString(),
+        to: rangeEnd.toISOString(),
+        matched: matched.length,
+        missing: issues.filter((i) => i.kind === "MISSING").length,
+        extra: issues.filter((i) => i.kind === "EXTRA").length,
+        mismatched: issues.filter((i) => i.kind === "MISMATCH").length,
+        autoResolved,
+        promoUsesReleased,
+        refundsSettled,
+        triggeredBy,
+      };
+      if (issues.length) logger.warn("⚠️ Reconciliation found differences", summary);
+      else logger.info("🔎 Reconciliation finished", summary);
+      return { run: finished, issues };
+    } catch (err) {
+      await repos.reconciliation.failRun(record.id, err.message).catch(() => {});
+      logger.error("❌ Reconciliation failed", {
+        runId: record.id,
+        error: err.message,
+        triggeredBy,
+      });
+      throw err;
+    }
+  }
+
+  // The last `lookbackDays`, every `intervalHours`. `claim(key, ttlMs)` resolves
+  // true for only one caller per key, so one cluster worker runs each slot.
+  // Returns a function that stops the schedule.
+  function start({ claim }) {
+    if (!(settings.intervalHours > 0)) return () => {};
+    const intervalMs = settings.intervalHours * HOUR_MS;
+    const tick = async () => {
+      const slot = Math.floor(Date.now() / intervalMs);
+      try {
+        if (!(await claim(`reconciliation:${slot}`, intervalMs))) return;
+      } catch (err) {
+        logger.error("❌ Could not schedule reconciliation", { error: err.message });
+        return;
+      }
+      const now = new Date();
+      await run({
+        start: new Date(now.getTime() - settings.lookbackDays * DAY_MS),
+        end: now,
+        triggeredBy: "schedule",
+        now,
+      }).catch(() => {}); // run() logs its own failures
+    };
+    const timer = setInterval(tick, Math.min(intervalMs, HOUR_MS));
+    timer.unref();
+    const first = setTimeout(tick, 60 * 1000);
+    first.unref();
+    return () => {
+      clearInterval(timer);
+      clearTimeout(first);
+    };
+  }
+
+  return { run, start, settings };
+}
+
+module.exports = {
+  createReconciler,
+  dayRange,
+  differences,
+  PAYPAL_STATUS_LABELS,
+};
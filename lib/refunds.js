@@ -0,0 +1,207 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Refunds
+// A refund row is reserved (PENDING) before PayPal is called so concurrent
+// requests can never refund more than was captured between them. It stays
+// PENDING until PayPal says the money has gone back (or that it won't).
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+const { ApiError } = require("./errors");
+const { toCents, fromCents } = require("./money");
+const { appendAuditEntry } = require("./audit");
+const { outcomeUnknown } = require("./paypal");
+
+const REFUNDABLE_STATUSES = ["COMPLETED", "PARTIALLY_REFUNDED"];
+
+// Reserve the refund against the remaining captured balance
+const reserveRefund = (repos, { transactionId, amount, reason, requestedBy, audit }) =>
+  repos.transaction(async (tx) => {
+    const transaction = await tx.transactions.findForUpdate(transactionId);
+    if (!transaction) {
+      throw new ApiError(404, "TRANSACTION_NOT_FOUND", "Transaction not found");
+    }
+    if (!REFUNDABLE_STATUSES.includes(transaction.payment_status)) {
+      throw new ApiError(
+        409,
+        "NOT_REFUNDABLE",
+        `Transactions with status ${transaction.payment_status} cannot be refunded`
+      );
+    }
+
+    const refunded = await tx.refunds.outstandingTotal(transactionId);
+    const capturedCents = toCents(transaction.amount);
+    const remainingCents = capturedCents - toCents(refunded);
+    const requestedCents = amount === undefined ? remainingCents : toCents(amount);
+
+    if (!(requestedCents > 0)) {
+      throw new ApiError(409, "NOTHING_TO_REFUND", "This transaction has already been fully refunded");
+    }
+    if (requestedCents > remainingCents) {
+      throw new ApiError(
+        400,
+        "REFUND_EXCEEDS_CAPTURE",
+        `Refund of ${fromCents(requestedCents)} exceeds the remaining refundable ${fromCents(remainingCents)}`
+      );
+    }
+
+    const refund = await tx.refunds.create({
+      transaction_id: transactionId,
+      request_id: crypto.randomUUID(),
+      amount: fromCents(requestedCents),
+      currency: transaction.currency,
+      reason: reason || null,
+      requested_by: requestedBy,
+    });
+    await appendAuditEntry(tx, {
+      ...audit,
+      action: "refund.requested",
+      entityType: "refund",
+      entityId: refund.id,
+      after: refund,
+    });
+    return { transaction, refund };
+  });
+
+// How PayPal's refund status reads on our refunds row
+const refundStatus = (paypalRefund) => {
+  if (paypalRefund.status === "COMPLETED") return "COMPLETED";
+  if (["FAILED", "CANCELLED"].includes(paypalRefund.status)) return "FAILED";
+  return "PENDING";
+};
+
+// Record PayPal's answer for a refund. The transaction only moves to REFUNDED or
+// PARTIALLY_REFUNDED once the money has gone back (COMPLETED); a PENDING refund
+// waits for PAYMENT.CAPTURE.REFUNDED or checkRefund(). Resolves to
+// { transaction, refund } as they now are.
+const recordRefundOutcome = (repos, refund, paypalRefund, { action, audit }) =>
+  repos.transaction(async (tx) => {
+    const updated = await tx.refunds.markIssued(refund.id, {
+      status: refundStatus(paypalRefund),
+      paypalRefundId: paypalRefund.id,
+    });
+    const current = await tx.transactions.findForUpdate(refund.transaction_id);
+    let status = current.payment_status;
+    // A dispute or reversal since the request outranks the refund
+    if (updated.status === "COMPLETED" && REFUNDABLE_STATUSES.includes(status)) {
+      const refunded = await tx.refunds.completedTotal(refund.transaction_id);
+      status = toCents(refunded) >= toCents(current.amount) ? "REFUNDED" : "PARTIALLY_REFUNDED";
+    }
+    if (status !== current.payment_status) {
+      await tx.transactions.changeStatus(refund.transaction_id, {
+        from: current.payment_status,
+        to: status,
+        source: "refund_api",
+      });
+    }
+    await appendAuditEntry(tx, {
+      ...audit,
+      action,
+      entityType: "refund",
+      entityId: refund.id,
+      before: { refund, payment_status: current.payment_status },
+      after: { refund: updated, payment_status: status },
+    });
+    return { transaction: { ...current, payment_status: status }, refund: updated };
+  });
+
+const markRefundFailed = (repos, refund, err, audit) =>
+  repos.transaction(async (tx) => {
+    await tx.refunds.markFailed(refund.id, err.message);
+    await appendAuditEntry(tx, {
+      ...audit,
+      action: "refund.failed",
+      entityType: "refund",
+      entityId: refund.id,
+      before: { status: refund.status },
+      after: { status: "FAILED", error: err.message },
+    });
+  });
+
+// Issue the refund with PayPal and record the outcome on both tables. `audit` is
+// the request id and IP to store with the audit entries. If PayPal doesn't
+// answer the refund may still have happened, so it stays PENDING (and counts
+// against the balance) until checkRefund() asks PayPal.
+async function issueRefund(
+  { repos, paypal },
+  { transactionId, amount, reason, requestedBy, audit: context = {} }
+) {
+  const audit = { ...context, actor: requestedBy };
+  const { refund } = await reserveRefund(repos, {
+    transactionId,
+    amount,
+    reason,
+    requestedBy,
+    audit,
+  });
+
+  let paypalRefund;
+  try {
+    paypalRefund = await paypal.refundCapture(transactionId, {
+      amount: refund.amount,
+      currency: refund.currency,
+      note: reason,
+      requestId: refund.request_id,
+    });
+  } catch (err) {
+    if (!outcomeUnknown(err)) {
+      await markRefundFailed(repos, refund, err, audit);
+      throw err;
+    }
+    await repos.transaction((tx) =>
+      appendAuditEntry(tx, {
+        ...audit,
+        action: "refund.unconfirmed",
+        entityType: "refund",
+        entityId: refund.id,
+        after: { status: refund.status, error: err.message },
+      })
+    );
+    throw new ApiError(
+      502,
+      "REFUND_UNCONFIRMED",
+      "PayPal didn't confirm the refund. It's recorded as pending and will be checked with PayPal.",
+      { refundId: refund.id }
+    );
+  }
+
+  const issued = await recordRefundOutcome(repos, refund, paypalRefund, {
+    action: "refund.issued",
+    audit,
+  });
+  if (issued.refund.status === "FAILED") {
+    throw new ApiError(502, "REFUND_FAILED", `PayPal refund ${paypalRefund.status.toLowerCase()}`);
+  }
+  return issued;
+}
+
+// Ask PayPal where a PENDING refund stands and record it. A refund PayPal never
+// answered for is sent again with its PayPal-Request-Id, which returns the
+// original refund if there was one. Resolves to { transaction, refund }.
+async function checkRefund({ repos, paypal }, refundId, { actor, audit: context = {} }) {
+  const audit = { ...context, actor };
+  const refund = await repos.refunds.find(refundId);
+  if (!refund) throw new ApiError(404, "REFUND_NOT_FOUND", "Refund not found");
+  if (refund.status !== "PENDING") {
+    return { transaction: await repos.transactions.find(refund.transaction_id), refund };
+  }
+
+  let paypalRefund;
+  try {
+    paypalRefund = refund.paypal_refund_id
+      ? await paypal.getRefund(refund.paypal_refund_id)
+      : await paypal.refundCapture(refund.transaction_id, {
+          amount: refund.amount,
+          currency: refund.currency,
+          note: refund.reason,
+          requestId: refund.request_id,
+        });
+  } catch (err) {
+    // PayPal refused the refund outright; a failed lookup changes nothing
+    if (!refund.paypal_refund_id && !outcomeUnknown(err)) {
+      await markRefundFailed(repos, refund, err, audit);
+    }
+    throw err;
+  }
+  return recordRefundOutcome(repos, refund, paypalRefund, { action: "refund.checked", audit });
+}
+
+module.exports = { issueRefund, checkRefund };
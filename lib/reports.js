@@ -0,0 +1,273 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Transaction Reports
+// Revenue figures for the accountant: payments in a date range summed by day,
+// week or month, service, currency and status, net of completed refunds, and a
+// CSV export of the payments themselves. Days are South African days (like the
+// log timestamps) and weeks start on Monday. Revenue counts only payments whose
+// money was received; the status breakdown shows every payment.
+// ───────────────────────────────────────────────────────────────────────────────
+const { ApiError } = require("./errors");
+const { toCents, fromCents } = require("./money");
+const { sastDay, addDays, TIME_ZONE } = require("./appointments");
+
+const REPORT_PERIODS = ["day", "week", "month"];
+const REVENUE_STATUSES = ["COMPLETED", "PARTIALLY_REFUNDED", "REFUNDED"];
+const BATCH_SIZE = 500;
+// Ten years of days is plenty and keeps a typo'd year from building a huge report
+const MAX_RANGE_DAYS = 3660;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A real calendar day, not just the right shape ("2026-02-30" isn't)
+const isDay = (value) =>
+  typeof value === "string" &&
+  DAY_PATTERN.test(value) &&
+  sastDay(`${value}T12:00:00+02:00`) === value;
+
+// Report options from a query string. The range defaults to this month so far;
+// throws an ApiError for anything malformed.
+function reportOptions(query, now = new Date()) {
+  const today = sastDay(now);
+  const options = {
+    from: query.from || `${today.slice(0, 7)}-01`,
+    to: query.to || today,
+    period: query.period || "month",
+    status: query.status || "",
+    service: query.service || "",
+  };
+  const problems = [];
+  if (!isDay(options.from)) problems.push("`from` must be a date (YYYY-MM-DD).");
+  if (!isDay(options.to)) problems.push("`to` must be a date (YYYY-MM-DD).");
+  if (!problems.length && options.to < options.from) problems.push("`to` is before `from`.");
+  const days = (Date.parse(options.to) - Date.parse(options.from)) / (24 * 60 * 60 * 1000);
+  if (!problems.length && days >= MAX_RANGE_DAYS) {
+    problems.push(`Reports cover at most ${MAX_RANGE_DAYS} days.`);
+  }
+  if (!REPORT_PERIODS.includes(options.period)) {
+    problems.push(`\`period\` must be one of ${REPORT_PERIODS.join(", ")}.`);
+  }
+  if (typeof options.status !== "string" || !/^[A-Z_]{0,32}$/.test(options.status)) {
+    problems.push("`status` must be a transaction status.");
+  }
+  if (typeof options.service !== "string" || options.service.length > 255) {
+    problems.push("`service` must be a service name.");
+  }
+  if (problems.length) {
+    throw new ApiError(400, "INVALID_REPORT_OPTIONS", problems.join(" "), problems);
+  }
+  return options;
+}
+
+// Date bounds for whole South African days, `to` included
+const rangeBounds = ({ from, to }) => ({
+  createdFrom: new Date(`${from}T00:00:00+02:00`),
+  createdBefore: new Date(`${addDays(to, 1)}T00:00:00+02:00`),
+});
+
+// The day itself, the Monday of its week, or its month ("2026-10")
+const periodOf = (day, period) => {
+  if (period === "month") return day.slice(0, 7);
+  if (period === "week") {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    return addDays(day, -((weekday + 6) % 7));
+  }
+  return day;
+};
+
+// Every period from `from` to `to`, so quiet ones show as zero
+const periodsBetween = (from, to, period) => {
+  const periods = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const key = periodOf(day, period);
+    if (periods[periods.length - 1] !== key) periods.push(key);
+  }
+  return periods;
+};
+
+// Matching transactions in batches, oldest first
+async function* eachTransaction(repos, filters) {
+  let afterId = 0;
+  for (;;) {
+    const rows = await repos.transactions.reportBatch(filters, { afterId, limit: BATCH_SIZE });
+    yield rows;
+    if (rows.length < BATCH_SIZE) return;
+    afterId = rows[rows.length - 1].id;
+  }
+}
+
+// A payment's amounts in cents, charged and in ZAR. Refunds are in the charged
+// currency and take off the same share of the ZAR amount. Old rows saved before
+// conversion have no ZAR amount unless they were charged in ZAR.
+const amountsOf = (t) => {
+  const amount = toCents(t.amount);
+  const refunded = Math.min(toCents(t.refunded_amount || 0), amount);
+  const zarValue = t.amount_zar ?? (t.currency === "ZAR" ? t.amount : null);
+  const grossZar = zarValue === null ? null : toCents(zarValue);
+  const refundedZar =
+    grossZar === null || !amount ? 0 : Math.round((grossZar * refunded) / amount);
+  return { amount, refunded, grossZar, refundedZar };
+};
+
+const emptyTotals = () => ({ count: 0, gross: 0, refunded: 0, unconverted: 0 });
+
+const addTo = (totals, { grossZar, refundedZar }) => {
+  totals.count += 1;
+  if (grossZar === null) {
+    totals.unconverted += 1;
+    return;
+  }
+  totals.gross += grossZar;
+  totals.refunded += refundedZar;
+};
+
+// { count, gross_zar, refunded_zar, net_zar } plus how many had no ZAR amount
+const formatTotals = (totals) => ({
+  count: totals.count,
+  gross_zar: fromCents(totals.gross),
+  refunded_zar: fromCents(totals.refunded),
+  net_zar: fromCents(totals.gross - totals.refunded),
+  ...(totals.unconverted ? { unconverted: totals.unconverted } : {}),
+});
+
+// Sums for `from`..`to` (YYYY-MM-DD, South African days), optionally for one
+// status or service
+async function summariseTransactions(repos, { from, to, period, status = "", service = "" }) {
+  const total = emptyTotals();
+  const byPeriod = new Map(periodsBetween(from, to, period).map((p) => [p, emptyTotals()]));
+  const byService = new Map();
+  const byCurrency = new Map();
+  const byStatus = new Map();
+  const bucket = (map, key, create = emptyTotals) => {
+    if (!map.has(key)) map.set(key, create());
+    return map.get(key);
+  };
+
+  const filters = { ...rangeBounds({ from, to }), status, service };
+  for await (const rows of eachTransaction(repos, filters)) {
+    for (const t of rows) {
+      const amounts = amountsOf(t);
+      addTo(bucket(byStatus, t.payment_status), amounts);
+      if (!REVENUE_STATUSES.includes(t.payment_status)) continue;
+
+      addTo(total, amounts);
+      addTo(bucket(byPeriod, periodOf(sastDay(t.created_at), period)), amounts);
+      addTo(bucket(byService, t.service_type || "Other"), amounts);
+      const currency = bucket(byCurrency, t.currency, () => ({
+        ...emptyTotals(),
+        charged: 0,
+        chargedRefunded: 0,
+      }));
+      addTo(currency, amounts);
+      currency.charged += amounts.amount;
+      currency.chargedRefunded += amounts.refunded;
+    }
+  }
+
+  const byNet = ([, a], [, b]) => b.gross - b.refunded - (a.gross - a.refunded);
+  return {
+    from,
+    to,
+    period,
+    time_zone: TIME_ZONE,
+    revenue_statuses: REVENUE_STATUSES,
+    totals: formatTotals(total),
+    by_period: [...byPeriod].map(([key, t]) => ({ period: key, ...formatTotals(t) })),
+    by_service: [...byService]
+      .sort(byNet)
+      .map(([key, t]) => ({ service: key, ...formatTotals(t) })),
+    by_currency: [...byCurrency].sort(byNet).map(([key, t]) => ({
+      currency: key,
+      gross: fromCents(t.charged),
+      refunded: fromCents(t.chargedRefunded),
+      net: fromCents(t.charged - t.chargedRefunded),
+      ...formatTotals(t),
+    })),
+    by_status: [...byStatus]
+      .sort(([, a], [, b]) => b.count - a.count)
+      .map(([key, t]) => ({ status: key, ...formatTotals(t) })),
+  };
+}
+
+// ── CSV export ───────────────────────────────────────────────────────────────
+// "2026-10-19 08:15:02" in South African time, which spreadsheets read as a date
+const sastTimestamp = new Intl.DateTimeFormat("sv-SE", {
+  timeZone: TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+
+const CSV_COLUMNS = [
+  ["date", (t) => sastTimestamp.format(new Date(t.created_at))],
+  ["transaction_id", (t) => t.transaction_id],
+  ["invoice_number", (t) => t.invoice_number],
+  ["payer_name", (t) => t.payer_name],
+  ["payer_email", (t) => t.payer_email],
+  ["service", (t) => t.service_type],
+  ["status", (t) => t.payment_status],
+  ["currency", (t) => t.currency],
+  ["amount", (t, a) => fromCents(a.amount)],
+  ["refunded", (t, a) => fromCents(a.refunded)],
+  ["net", (t, a) => fromCents(a.amount - a.refunded)],
+  ["exchange_rate", (t) => t.exchange_rate],
+  ["amount_zar", (t, a) => (a.grossZar === null ? "" : fromCents(a.grossZar))],
+  ["refunded_zar", (t, a) => (a.grossZar === null ? "" : fromCents(a.refundedZar))],
+  ["net_zar", (t, a) => (a.grossZar === null ? "" : fromCents(a.grossZar - a.refundedZar))],
+  ["promo_code", (t) => t.promo_code],
+  ["discount_zar", (t) => t.discount_zar],
+];
+
+// RFC 4180 quoting. Text that a spreadsheet would run as a formula (a payer
+// named "=HYPERLINK(…)") gets a leading apostrophe; plain numbers are left alone.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvLine = (cells) => `${cells.map(csvCell).join(",")}\r\n`;
+
+// Resolves once `out` can take more, or has gone away
+const drained = (out) =>
+  new Promise((resolve) => {
+    const done = () => {
+      out.off("drain", done);
+      out.off("close", done);
+      resolve();
+    };
+    out.on("drain", done);
+    out.on("close", done);
+  });
+
+// Write matching transactions to `out` as CSV, a batch at a time; resolves to
+// the number of rows written. Nothing is written until the first batch is read,
+// so a failing query can still get an error response. Starts with a byte order
+// mark so Excel reads the file as UTF-8.
+async function writeTransactionsCsv(repos, { from, to, status = "", service = "" }, out) {
+  let count = 0;
+  let chunk = `\uFEFF${csvLine(CSV_COLUMNS.map(([name]) => name))}`;
+  const filters = { ...rangeBounds({ from, to }), status, service };
+  for await (const rows of eachTransaction(repos, filters)) {
+    if (out.destroyed) break;
+    for (const t of rows) {
+      const amounts = amountsOf(t);
+      chunk += csvLine(CSV_COLUMNS.map(([, value]) => value(t, amounts)));
+    }
+    count += rows.length;
+    const ready = out.write(chunk);
+    chunk = "";
+    if (!ready) await drained(out);
+  }
+  return count;
+}
+
+module.exports = {
+  reportOptions,
+  summariseTransactions,
+  writeTransactionsCsv,
+  csvCell,
+  REPORT_PERIODS,
+  REVENUE_STATUSES,
+};
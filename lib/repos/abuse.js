@@ -0,0 +1,59 @@
+// Spam blocklist and redeemed proof-of-work challenges
+function createBlocklistRepo(db, sql) {
+  return {
+    findMatch: async ({ ip, email, domain }) =>
+      (
+        await db.query(
+          `SELECT kind, value FROM abuse_blocklist
+           WHERE (expires_at IS NULL OR expires_at > ${sql.now})
+             AND ((kind = 'ip' AND value = $1)
+               OR (kind = 'email' AND value = $2)
+               OR (kind = 'email_domain' AND value = $3))
+           LIMIT 1`,
+          [ip, email, domain]
+        )
+      ).rows[0] || null,
+
+    // Live entries first
+    list: async () =>
+      (
+        await db.query(
+          `SELECT * FROM abuse_blocklist
+           ORDER BY (expires_at IS NOT NULL AND expires_at <= ${sql.now}), created_at DESC`
+        )
+      ).rows,
+
+    upsert: async ({ kind, value, reason, createdBy, expiresAt }) =>
+      (
+        await db.query(
+          `INSERT INTO abuse_blocklist (kind, value, reason, created_by, expires_at)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (kind, value) DO UPDATE
+             SET reason = EXCLUDED.reason, created_by = EXCLUDED.created_by,
+                 expires_at = EXCLUDED.expires_at, created_at = ${sql.now}
+           RETURNING *`,
+          [kind, value, reason, createdBy, expiresAt]
+        )
+      ).rows[0],
+
+    remove: async (id) =>
+      (await db.query("DELETE FROM abuse_blocklist WHERE id = $1 RETURNING *", [id])).rows[0] ||
+      null,
+  };
+}
+
+function createChallengesRepo(db) {
+  return {
+    // Resolves to false when the nonce was already redeemed
+    redeem: async (nonce, expiresAt) =>
+      (
+        await db.query(
+          `INSERT INTO abuse_challenge_redemptions (nonce, expires_at) VALUES ($1, $2)
+           ON CONFLICT (nonce) DO NOTHING`,
+          [nonce, expiresAt]
+        )
+      ).rowCount > 0,
+  };
+}
+
+module.exports = { createBlocklistRepo, createChallengesRepo };
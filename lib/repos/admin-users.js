@@ -0,0 +1,40 @@
+// Back-office staff accounts
+function createAdminUsersRepo(db, sql) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+
+  return {
+    findActiveByEmail: (email) =>
+      first("SELECT * FROM admin_users WHERE LOWER(email) = LOWER($1) AND disabled_at IS NULL", [
+        email,
+      ]),
+
+    findActiveById: (id) =>
+      first("SELECT id, email, name FROM admin_users WHERE id = $1 AND disabled_at IS NULL", [id]),
+
+    // lockedUntil is null unless this failure locks the account
+    recordFailedLogin: (id, { attempts, lockedUntil }) =>
+      db.query(
+        "UPDATE admin_users SET failed_attempts = $2, locked_until = COALESCE($3, locked_until) WHERE id = $1",
+        [id, attempts, lockedUntil]
+      ),
+
+    recordLogin: (id) =>
+      db.query(
+        `UPDATE admin_users SET failed_attempts = 0, locked_until = NULL, last_login_at = ${sql.now}
+         WHERE id = $1`,
+        [id]
+      ),
+
+    upsert: ({ email, name, passwordHash }) =>
+      first(
+        `INSERT INTO admin_users (email, name, password_hash) VALUES ($1, $2, $3)
+         ON CONFLICT (email) DO UPDATE
+           SET name = EXCLUDED.name, password_hash = EXCLUDED.password_hash,
+               failed_attempts = 0, locked_until = NULL
+         RETURNING id, email, name`,
+        [email, name, passwordHash]
+      ),
+  };
+}
+
+module.exports = { createAdminUsersRepo };
@@ -0,0 +1,245 @@
+// Consultants, their availability and consultation bookings (see lib/appointments.js)
+
+// pg parses DATE columns into local-midnight Dates; SQLite keeps the text
+const isoDay = (value) =>
+  value instanceof Date
+    ? [
+        value.getFullYear(),
+        String(value.getMonth() + 1).padStart(2, "0"),
+        String(value.getDate()).padStart(2, "0"),
+      ].join("-")
+    : value;
+
+function createConsultantsRepo(db, sql) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+  const withDay = (row) => row && { ...row, blocked_on: isoDay(row.blocked_on) };
+
+  return {
+    list: async () =>
+      (await db.query("SELECT * FROM consultants ORDER BY active DESC, name ASC")).rows,
+
+    listActive: async () =>
+      (await db.query("SELECT * FROM consultants WHERE active ORDER BY name ASC")).rows,
+
+    find: (id) => first("SELECT * FROM consultants WHERE id = $1", [id]),
+
+    create: ({ name, email }) =>
+      first("INSERT INTO consultants (name, email) VALUES ($1, $2) RETURNING *", [name, email]),
+
+    setActive: (id, active) =>
+      db.query(`UPDATE consultants SET active = $2, updated_at = ${sql.now} WHERE id = $1`, [
+        id,
+        active,
+      ]),
+
+    windows: async () =>
+      (
+        await db.query(
+          "SELECT * FROM consultant_availability ORDER BY consultant_id, weekday, start_minute"
+        )
+      ).rows,
+
+    addWindow: ({ consultantId, weekday, startMinute, endMinute }) =>
+      first(
+        `INSERT INTO consultant_availability (consultant_id, weekday, start_minute, end_minute)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [consultantId, weekday, startMinute, endMinute]
+      ),
+
+    removeWindow: (id) =>
+      first("DELETE FROM consultant_availability WHERE id = $1 RETURNING *", [id]),
+
+    // Inclusive YYYY-MM-DD bounds
+    blockedDates: async ({ from, to }) =>
+      (
+        await db.query(
+          `SELECT b.*, c.name AS consultant_name
+           FROM consultant_blocked_dates b LEFT JOIN consultants c ON c.id = b.consultant_id
+           WHERE b.blocked_on BETWEEN $1 AND $2
+           ORDER BY b.blocked_on, c.name`,
+          [from, to]
+        )
+      ).rows.map(withDay),
+
+    addBlockedDate: async ({ consultantId, blockedOn, reason, createdBy }) =>
+      withDay(
+        await first(
+          `INSERT INTO consultant_blocked_dates (consultant_id, blocked_on, reason, created_by)
+           VALUES ($1, $2, $3, $4)
+           RETURNING *`,
+          [consultantId, blockedOn, reason, createdBy]
+        )
+      ),
+
+    removeBlockedDate: async (id) =>
+      withDay(await first("DELETE FROM consultant_blocked_dates WHERE id = $1 RETURNING *", [id])),
+  };
+}
+
+function createAppointmentsRepo(db, sql) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+  const SELECT = `SELECT a.*, c.name AS consultant_name, c.email AS consultant_email
+                  FROM appointments a JOIN consultants c ON c.id = a.consultant_id`;
+  // Another live booking for the same consultant and start time
+  const SLOT_TAKEN = `EXISTS (
+    SELECT 1 FROM appointments other
+    WHERE other.consultant_id = appointments.consultant_id AND other.starts_at = $2
+      AND other.id <> appointments.id AND other.status IN ('HELD', 'CONFIRMED'))`;
+
+  return {
+    // Free the slots of holds whose payment never completed
+    expireHolds: (now) =>
+      db.query(
+        `UPDATE appointments SET status = 'EXPIRED', updated_at = ${sql.now}
+         WHERE status = 'HELD' AND hold_expires_at <= $1`,
+        [now]
+      ),
+
+    // Resolves to null when the slot is already taken
+    hold: (a) =>
+      first(
+        `INSERT INTO appointments
+           (consultant_id, service_id, service_name, starts_at, ends_at, client_name, client_email,
+            client_phone, notes, hold_expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+        [
+          a.consultant_id,
+          a.service_id,
+          a.service_name,
+          a.starts_at,
+          a.ends_at,
+          a.client_name,
+          a.client_email,
+          a.client_phone,
+          a.notes,
+          a.hold_expires_at,
+        ]
+      ),
+
+    find: (id) => first(`${SELECT} WHERE a.id = $1`, [id]),
+
+    findByOrder: (orderId) => first(`${SELECT} WHERE a.order_id = $1`, [orderId]),
+
+    findByTransaction: (transactionId) =>
+      first(`${SELECT} WHERE a.transaction_id = $1`, [transactionId]),
+
+    // Live bookings overlapping [from, to), for working out free slots
+    busy: async ({ from, to, now, excludeId = null }) =>
+      (
+        await db.query(
+          `SELECT id, consultant_id, starts_at, ends_at FROM appointments
+           WHERE starts_at < $2 AND ends_at > $1
+             AND (status = 'CONFIRMED' OR (status = 'HELD' AND hold_expires_at > $3))
+             AND id <> COALESCE($4, 0)`,
+          [from, to, now, excludeId]
+        )
+      ).rows,
+
+    // Link a live hold to the PayPal order paying for it, extending the hold
+    attachOrder: (id, { orderId, holdExpiresAt, now }) =>
+      first(
+        `UPDATE appointments
+         SET order_id = $2, hold_expires_at = $3, updated_at = ${sql.now}
+         WHERE id = $1 AND status = 'HELD' AND hold_expires_at > $4
+         RETURNING *`,
+        [id, orderId, holdExpiresAt, now]
+      ),
+
+    // Record the payment, then confirm unless the hold lapsed and the slot has
+    // since been taken, in which case the paid booking needs a new time.
+    // Resolves to whether it was confirmed.
+    async confirmForOrder(orderId, transactionId) {
+      await db.query(
+        `UPDATE appointments SET transaction_id = $2, updated_at = ${sql.now} WHERE order_id = $1`,
+        [orderId, transactionId]
+      );
+      const confirmed = await first(
+        `UPDATE appointments
+         SET status = 'CONFIRMED', hold_expires_at = NULL, updated_at = ${sql.now}
+         WHERE order_id = $1 AND status IN ('HELD', 'EXPIRED')
+           AND NOT EXISTS (
+             SELECT 1 FROM appointments other
+             WHERE other.consultant_id = appointments.consultant_id
+               AND other.starts_at = appointments.starts_at
+               AND other.id <> appointments.id AND other.status IN ('HELD', 'CONFIRMED'))
+         RETURNING id`,
+        [orderId]
+      );
+      if (confirmed) return true;
+      await db.query(
+        `UPDATE appointments
+         SET status = 'NEEDS_RESCHEDULE', hold_expires_at = NULL, updated_at = ${sql.now}
+         WHERE order_id = $1 AND status IN ('HELD', 'EXPIRED')`,
+        [orderId]
+      );
+      return false;
+    },
+
+    cancel: (id) =>
+      first(
+        `UPDATE appointments
+         SET status = 'CANCELLED', cancelled_at = ${sql.now}, sequence = sequence + 1,
+             updated_at = ${sql.now}
+         WHERE id = $1 AND status IN ('HELD', 'CONFIRMED', 'NEEDS_RESCHEDULE')
+         RETURNING *`,
+        [id]
+      ),
+
+    // Confirms a booking that needed a new time. Resolves to null when the
+    // booking isn't paid for or the new slot is taken.
+    reschedule: (id, { startsAt, endsAt }) =>
+      first(
+        `UPDATE appointments
+         SET starts_at = $2, ends_at = $3, status = 'CONFIRMED', sequence = sequence + 1,
+             updated_at = ${sql.now}
+         WHERE id = $1 AND status IN ('CONFIRMED', 'NEEDS_RESCHEDULE') AND NOT ${SLOT_TAKEN}
+         RETURNING *`,
+        [id, startsAt, endsAt]
+      ),
+
+    // Client portal: paid bookings made for this email address or paid for by it,
+    // latest first
+    listForClient: async (email) =>
+      (
+        await db.query(
+          `${SELECT}
+           WHERE a.transaction_id IS NOT NULL
+             AND (LOWER(a.client_email) = LOWER($1)
+                  OR a.transaction_id IN (SELECT transaction_id FROM transactions
+                                          WHERE LOWER(payer_email) = LOWER($1)))
+           ORDER BY a.starts_at DESC`,
+          [email]
+        )
+      ).rows,
+
+    // Paid bookings whose slot went to someone else, oldest first, whatever their date
+    listNeedingReschedule: async () =>
+      (await db.query(`${SELECT} WHERE a.status = 'NEEDS_RESCHEDULE' ORDER BY a.updated_at ASC`))
+        .rows,
+
+    // Soonest first from `from`; all statuses unless one is given
+    async list({ from, status, limit, offset }) {
+      const where = ["a.starts_at >= $1"];
+      const params = [from];
+      if (status) {
+        params.push(status);
+        where.push(`a.status = $${params.length}`);
+      }
+      const whereSql = `WHERE ${where.join(" AND ")}`;
+      const [{ rows }, { rows: count }] = await Promise.all([
+        db.query(
+          `${SELECT} ${whereSql} ORDER BY a.starts_at ASC
+           LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+          params
+        ),
+        db.query(`SELECT COUNT(*) AS total FROM appointments a ${whereSql}`, params),
+      ]);
+      return { rows, total: Number(count[0].total) };
+    },
+  };
+}
+
+module.exports = { createConsultantsRepo, createAppointmentsRepo };
@@ -0,0 +1,90 @@
+// Append-only audit trail (see lib/audit.js); rows are only ever inserted
+function createAuditLogRepo(db, sql) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+
+  const searchFilter = ({ action, actor, entityType, entityId, createdFrom, createdBefore }) => {
+    const where = [];
+    const params = [];
+    const add = (clause, value) => {
+      params.push(value);
+      where.push(clause.replace("?", `$${params.length}`));
+    };
+    if (action) add("action = ?", action);
+    if (actor) add("LOWER(actor) LIKE LOWER(?)", `%${actor}%`);
+    if (entityType) add("entity_type = ?", entityType);
+    if (entityId) add("entity_id = ?", entityId);
+    if (createdFrom) add("created_at >= ?", createdFrom);
+    if (createdBefore) add("created_at < ?", createdBefore);
+    return { whereSql: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+  };
+
+  return {
+    // The latest hash, locked until the transaction ends so appends take turns
+    lockHead: () =>
+      first(`SELECT last_id, last_hash FROM audit_log_head WHERE id = 1 ${sql.forUpdate}`),
+
+    head: () => first("SELECT last_id, last_hash FROM audit_log_head WHERE id = 1"),
+
+    append: (row) =>
+      first(
+        `INSERT INTO audit_log
+           (created_at, actor, action, entity_type, entity_id, before_state, after_state,
+            request_id, ip, prev_hash, hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          row.created_at,
+          row.actor,
+          row.action,
+          row.entity_type,
+          row.entity_id,
+          row.before_state,
+          row.after_state,
+          row.request_id,
+          row.ip,
+          row.prev_hash,
+          row.hash,
+        ]
+      ),
+
+    setHead: (lastId, lastHash) =>
+      db.query("UPDATE audit_log_head SET last_id = $1, last_hash = $2 WHERE id = 1", [
+        lastId,
+        lastHash,
+      ]),
+
+    // Newest first
+    async search(filters, { limit, offset }) {
+      const { whereSql, params } = searchFilter(filters);
+      const [{ rows }, { rows: count }] = await Promise.all([
+        db.query(
+          `SELECT * FROM audit_log ${whereSql} ORDER BY id DESC
+           LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+          params
+        ),
+        db.query(`SELECT COUNT(*) AS total FROM audit_log ${whereSql}`, params),
+      ]);
+      return { rows, total: Number(count[0].total) };
+    },
+
+    // Oldest first, for walking the chain
+    batch: async ({ afterId = 0, limit }) =>
+      (
+        await db.query(`SELECT * FROM audit_log WHERE id > $1 ORDER BY id LIMIT ${Number(limit)}`, [
+          afterId,
+        ])
+      ).rows,
+
+    actions: async () =>
+      (await db.query("SELECT DISTINCT action FROM audit_log ORDER BY action")).rows.map(
+        (r) => r.action
+      ),
+
+    entityTypes: async () =>
+      (await db.query("SELECT DISTINCT entity_type FROM audit_log ORDER BY entity_type")).rows.map(
+        (r) => r.entity_type
+      ),
+  };
+}
+
+module.exports = { createAuditLogRepo };
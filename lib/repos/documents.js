@@ -0,0 +1,117 @@
+// Uploaded client documents and who has downloaded them (see lib/documents.js)
+function createDocumentsRepo(db) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+  // Downloads so far and the latest one, per document aliased `d`
+  const ACCESS = `(SELECT COUNT(*) FROM document_access_log l WHERE l.document_id = d.id)
+                    AS download_count,
+                  (SELECT MAX(l.accessed_at) FROM document_access_log l WHERE l.document_id = d.id)
+                    AS last_downloaded_at`;
+
+  return {
+    create: (d) =>
+      first(
+        `INSERT INTO documents
+           (transaction_id, appointment_id, category, original_name, content_type, size_bytes,
+            sha256, storage_key, uploaded_by, uploader_ip)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          d.transaction_id,
+          d.appointment_id,
+          d.category,
+          d.original_name,
+          d.content_type,
+          d.size_bytes,
+          d.sha256,
+          d.storage_key,
+          d.uploaded_by,
+          d.uploader_ip,
+        ]
+      ),
+
+    find: (id) => first("SELECT * FROM documents WHERE id = $1", [id]),
+
+    // Everything sent for a transaction, including through the booking it paid for
+    listForTransaction: async (transactionId) =>
+      (
+        await db.query(
+          `SELECT d.*, ${ACCESS} FROM documents d
+           WHERE d.transaction_id = $1
+              OR d.appointment_id IN (SELECT id FROM appointments WHERE transaction_id = $1)
+           ORDER BY d.created_at DESC`,
+          [transactionId]
+        )
+      ).rows,
+
+    listForAppointment: async (appointmentId) =>
+      (
+        await db.query(
+          `SELECT d.*, ${ACCESS} FROM documents d
+           WHERE d.appointment_id = $1
+           ORDER BY d.created_at DESC`,
+          [appointmentId]
+        )
+      ).rows,
+
+    // Client portal: documents sent for this payer's transactions or bookings
+    listForClient: async (email) =>
+      (
+        await db.query(
+          `SELECT d.id, d.category, d.original_name, d.size_bytes, d.created_at,
+                  d.transaction_id, d.appointment_id,
+                  COALESCE(t.service_type, a.service_name) AS service_name
+           FROM documents d
+             LEFT JOIN transactions t ON t.transaction_id = d.transaction_id
+             LEFT JOIN appointments a ON a.id = d.appointment_id
+           WHERE LOWER(t.payer_email) = LOWER($1) OR LOWER(a.client_email) = LOWER($1)
+              OR a.transaction_id IN (SELECT transaction_id FROM transactions
+                                      WHERE LOWER(payer_email) = LOWER($1))
+           ORDER BY d.created_at DESC`,
+          [email]
+        )
+      ).rows,
+
+    // Per-transaction and per-booking cap on uploads
+    countFor: async ({ transactionId = null, appointmentId = null }) =>
+      Number(
+        (
+          await first(
+            `SELECT COUNT(*) AS total FROM documents
+             WHERE transaction_id = $1 OR appointment_id = $2`,
+            [transactionId, appointmentId]
+          )
+        ).total
+      ),
+
+    // Newest first, for the back office
+    async list({ limit, offset }) {
+      const [{ rows }, { rows: count }] = await Promise.all([
+        db.query(
+          `SELECT d.*, ${ACCESS}, a.client_name, a.starts_at AS appointment_starts_at
+           FROM documents d LEFT JOIN appointments a ON a.id = d.appointment_id
+           ORDER BY d.created_at DESC
+           LIMIT ${Number(limit)} OFFSET ${Number(offset)}`
+        ),
+        db.query("SELECT COUNT(*) AS total FROM documents"),
+      ]);
+      return { rows, total: Number(count[0].total) };
+    },
+
+    logAccess: ({ documentId, accessedBy, ip, userAgent }) =>
+      db.query(
+        `INSERT INTO document_access_log (document_id, accessed_by, ip, user_agent)
+         VALUES ($1, $2, $3, $4)`,
+        [documentId, accessedBy, ip, userAgent]
+      ),
+
+    accessLog: async (documentId) =>
+      (
+        await db.query(
+          `SELECT * FROM document_access_log WHERE document_id = $1 ORDER BY accessed_at DESC`,
+          [documentId]
+        )
+      ).rows,
+  };
+}
+
+module.exports = { createDocumentsRepo };
@@ -0,0 +1,92 @@
+// Queued outbound emails (see lib/outbox.js)
+function createEmailOutboxRepo(db, sql) {
+  // SQLite hands JSON columns back as text
+  const parse = (row) =>
+    row && { ...row, payload: typeof row.payload === "string" ? JSON.parse(row.payload) : row.payload };
+  const first = async (text, params) => parse((await db.query(text, params)).rows[0] || null);
+
+  return {
+    create: (e) =>
+      first(
+        `INSERT INTO email_outbox (email_type, recipient, reply_to, related_id, payload, max_attempts)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [e.email_type, e.recipient, e.reply_to, e.related_id, JSON.stringify(e.payload), e.max_attempts]
+      ),
+
+    find: (id) => first("SELECT * FROM email_outbox WHERE id = $1", [id]),
+
+    // Lease due rows to this process until lockUntil. SENDING rows whose lease ran
+    // out belonged to a process that died mid-send, so they are picked up again.
+    claimDue: async ({ now, lockUntil, limit }) =>
+      (
+        await db.query(
+          `UPDATE email_outbox
+           SET status = 'SENDING', attempts = attempts + 1, locked_until = $2, updated_at = ${sql.now}
+           WHERE id IN (
+             SELECT id FROM email_outbox
+             WHERE (status = 'PENDING' AND next_attempt_at <= $1)
+                OR (status = 'SENDING' AND locked_until <= $1)
+             ORDER BY next_attempt_at
+             LIMIT ${Number(limit)}
+             ${sql.skipLocked}
+           )
+           RETURNING *`,
+          [now, lockUntil]
+        )
+      ).rows.map(parse),
+
+    markSent: (id, messageId) =>
+      db.query(
+        `UPDATE email_outbox
+         SET status = 'SENT', message_id = $2, sent_at = ${sql.now}, locked_until = NULL,
+             last_error = NULL, updated_at = ${sql.now}
+         WHERE id = $1`,
+        [id, messageId]
+      ),
+
+    // Back to PENDING until nextAttemptAt, or DEAD once attempts are used up
+    markFailed: (id, { error, dead, nextAttemptAt }) =>
+      db.query(
+        `UPDATE email_outbox
+         SET status = $2, last_error = $3, next_attempt_at = COALESCE($4, next_attempt_at),
+             locked_until = NULL, updated_at = ${sql.now}
+         WHERE id = $1`,
+        [id, dead ? "DEAD" : "PENDING", error, nextAttemptAt]
+      ),
+
+    // Queue again with a fresh set of attempts (anything not currently being sent)
+    requeue: (id) =>
+      first(
+        `UPDATE email_outbox
+         SET status = 'PENDING', attempts = 0, next_attempt_at = ${sql.now}, last_error = NULL,
+             locked_until = NULL, updated_at = ${sql.now}
+         WHERE id = $1 AND status <> 'SENDING'
+         RETURNING *`,
+        [id]
+      ),
+
+    async list({ status, limit, offset }) {
+      const where = status ? "WHERE status = $1" : "";
+      const params = status ? [status] : [];
+      const [{ rows }, { rows: count }] = await Promise.all([
+        db.query(
+          `SELECT * FROM email_outbox ${where} ORDER BY created_at DESC
+           LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+          params
+        ),
+        db.query(`SELECT COUNT(*) AS total FROM email_outbox ${where}`, params),
+      ]);
+      return { rows: rows.map(parse), total: Number(count[0].total) };
+    },
+
+    countByStatus: async () =>
+      Object.fromEntries(
+        (
+          await db.query("SELECT status, COUNT(*) AS count FROM email_outbox GROUP BY status")
+        ).rows.map((r) => [r.status, Number(r.count)])
+      ),
+  };
+}
+
+module.exports = { createEmailOutboxRepo };
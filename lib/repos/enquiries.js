@@ -0,0 +1,47 @@
+// Contact form enquiries
+const EMAIL_COLUMNS = { notification: "notification_status", autoreply: "autoreply_status" };
+
+function createEnquiriesRepo(db) {
+  return {
+    create: async (e) =>
+      (
+        await db.query(
+          `INSERT INTO contact_enquiries
+             (first_name, last_name, phone, email, subject, message, ip, user_agent, request_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING id, created_at`,
+          [
+            e.first_name,
+            e.last_name,
+            e.phone,
+            e.email,
+            e.subject,
+            e.message,
+            e.ip,
+            e.user_agent,
+            e.request_id,
+          ]
+        )
+      ).rows[0],
+
+    // kind is "notification" (to the firm) or "autoreply" (to the enquirer)
+    setEmailStatus: (id, kind, status) =>
+      db.query(`UPDATE contact_enquiries SET ${EMAIL_COLUMNS[kind]} = $2 WHERE id = $1`, [
+        id,
+        status,
+      ]),
+
+    async list({ limit, offset }) {
+      const [{ rows }, { rows: count }] = await Promise.all([
+        db.query(
+          `SELECT * FROM contact_enquiries ORDER BY created_at DESC
+           LIMIT ${Number(limit)} OFFSET ${Number(offset)}`
+        ),
+        db.query("SELECT COUNT(*) AS total FROM contact_enquiries"),
+      ]);
+      return { rows, total: Number(count[0].total) };
+    },
+  };
+}
+
+module.exports = { createEnquiriesRepo };
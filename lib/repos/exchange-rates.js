@@ -0,0 +1,14 @@
+// Hand-maintained exchange rates (units of quote currency per base currency)
+function createExchangeRatesRepo(db) {
+  return {
+    find: async (base, quote) =>
+      (
+        await db.query(
+          "SELECT rate, updated_at FROM exchange_rates WHERE base_currency = $1 AND quote_currency = $2",
+          [base, quote]
+        )
+      ).rows[0] || null,
+  };
+}
+
+module.exports = { createExchangeRatesRepo };
@@ -0,0 +1,61 @@
+// Idempotency-Key records and their cached responses (see lib/idempotency.js)
+function createIdempotencyKeysRepo(db, sql) {
+  // SQLite hands JSON columns back as text
+  const parse = (row) =>
+    row && {
+      ...row,
+      response_body:
+        typeof row.response_body === "string" ? JSON.parse(row.response_body) : row.response_body,
+    };
+  const first = async (text, params) => parse((await db.query(text, params)).rows[0] || null);
+
+  return {
+    // Resolves to the row when this request now owns the key, or null when another
+    // request does. Expired keys, and abandoned claims for the same request (their
+    // lease ran out), are taken over.
+    claim: ({ scope, key, requestHash, now, lockedUntil, expiresAt }) =>
+      first(
+        `INSERT INTO idempotency_keys
+           (scope, idempotency_key, request_hash, status, locked_until, expires_at)
+         VALUES ($1, $2, $3, 'IN_PROGRESS', $5, $6)
+         ON CONFLICT (scope, idempotency_key) DO UPDATE
+           SET request_hash = EXCLUDED.request_hash, status = 'IN_PROGRESS',
+               response_status = NULL, response_body = NULL,
+               locked_until = EXCLUDED.locked_until, expires_at = EXCLUDED.expires_at,
+               created_at = ${sql.now}
+           WHERE idempotency_keys.expires_at <= $4
+              OR (idempotency_keys.status = 'IN_PROGRESS'
+                  AND idempotency_keys.locked_until <= $4
+                  AND idempotency_keys.request_hash = EXCLUDED.request_hash)
+         RETURNING *`,
+        [scope, key, requestHash, now, lockedUntil, expiresAt]
+      ),
+
+    find: (scope, key) =>
+      first("SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2", [
+        scope,
+        key,
+      ]),
+
+    complete: (scope, key, { status, body }) =>
+      db.query(
+        `UPDATE idempotency_keys
+         SET status = 'COMPLETED', response_status = $3, response_body = $4, locked_until = NULL
+         WHERE scope = $1 AND idempotency_key = $2`,
+        [scope, key, status, JSON.stringify(body)]
+      ),
+
+    // Forget a claim whose request failed, so the same key can be retried
+    release: (scope, key) =>
+      db.query(
+        `DELETE FROM idempotency_keys
+         WHERE scope = $1 AND idempotency_key = $2 AND status = 'IN_PROGRESS'`,
+        [scope, key]
+      ),
+
+    purgeExpired: async (now) =>
+      (await db.query("DELETE FROM idempotency_keys WHERE expires_at <= $1", [now])).rowCount,
+  };
+}
+
+module.exports = { createIdempotencyKeysRepo };
@@ -0,0 +1,62 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Repositories
+// All SQL lives here. Repositories are built on a queryable (the pool, or one
+// client inside a transaction) and written once for both dialects; the few
+// differences are the fragments in SQL_DIALECTS. Time arithmetic is done in JS
+// and passed in as Date parameters so no interval syntax is needed.
+// ───────────────────────────────────────────────────────────────────────────────
+const { inTransaction } = require("../db");
+const { createServicesRepo } = require("./services");
+const { createOrdersRepo } = require("./orders");
+const { createTransactionsRepo } = require("./transactions");
+const { createRefundsRepo } = require("./refunds");
+const { createInvoicesRepo } = require("./invoices");
+const { createWebhookEventsRepo } = require("./webhook-events");
+const { createAdminUsersRepo } = require("./admin-users");
+const { createEnquiriesRepo } = require("./enquiries");
+const { createBlocklistRepo, createChallengesRepo } = require("./abuse");
+const { createExchangeRatesRepo } = require("./exchange-rates");
+const { createEmailOutboxRepo } = require("./email-outbox");
+const { createIdempotencyKeysRepo } = require("./idempotency-keys");
+const { createConsultantsRepo, createAppointmentsRepo } = require("./appointments");
+const { createDocumentsRepo } = require("./documents");
+const { createPromoCodesRepo } = require("./promo-codes");
+const { createReconciliationRepo } = require("./reconciliation");
+const { createAuditLogRepo } = require("./audit-log");
+
+const SQL_DIALECTS = {
+  postgres: { now: "NOW()", forUpdate: "FOR UPDATE", skipLocked: "FOR UPDATE SKIP LOCKED" },
+  // ISO-8601 UTC text: the format lib/sqlite.js writes Date parameters in, so
+  // stored timestamps compare correctly as strings
+  sqlite: { now: "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')", forUpdate: "", skipLocked: "" },
+};
+
+function createRepos(db, dialect = db.dialect || "postgres") {
+  const sql = SQL_DIALECTS[dialect];
+  return {
+    dialect,
+    services: createServicesRepo(db, sql),
+    orders: createOrdersRepo(db, sql),
+    transactions: createTransactionsRepo(db, sql),
+    refunds: createRefundsRepo(db, sql),
+    invoices: createInvoicesRepo(db, sql),
+    webhookEvents: createWebhookEventsRepo(db, sql),
+    adminUsers: createAdminUsersRepo(db, sql),
+    enquiries: createEnquiriesRepo(db, sql),
+    blocklist: createBlocklistRepo(db, sql),
+    challenges: createChallengesRepo(db, sql),
+    exchangeRates: createExchangeRatesRepo(db, sql),
+    emailOutbox: createEmailOutboxRepo(db, sql),
+    idempotencyKeys: createIdempotencyKeysRepo(db, sql),
+    consultants: createConsultantsRepo(db, sql),
+    appointments: createAppointmentsRepo(db, sql),
+    documents: createDocumentsRepo(db, sql),
+    promoCodes: createPromoCodesRepo(db, sql),
+    reconciliation: createReconciliationRepo(db, sql),
+    auditLog: createAuditLogRepo(db, sql),
+    // fn receives repositories bound to a single client inside BEGIN/COMMIT
+    transaction: (fn) => inTransaction(db, (client) => fn(createRepos(client, dialect))),
+  };
+}
+
+module.exports = { createRepos, SQL_DIALECTS };
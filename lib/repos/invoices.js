@@ -0,0 +1,54 @@
+// Tax invoices and their per-financial-year counters
+function createInvoicesRepo(db) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+
+  return {
+    findByTransaction: (transactionId) =>
+      first("SELECT * FROM invoices WHERE transaction_id = $1", [transactionId]),
+
+    findByNumber: (invoiceNumber) =>
+      first("SELECT * FROM invoices WHERE invoice_number = $1", [invoiceNumber]),
+
+    // Bump and return the counter; only gap-free when called inside a transaction
+    nextSequence: async (financialYear) =>
+      (
+        await first(
+          `INSERT INTO invoice_sequences (financial_year, last_number) VALUES ($1, 1)
+           ON CONFLICT (financial_year)
+           DO UPDATE SET last_number = invoice_sequences.last_number + 1
+           RETURNING last_number`,
+          [financialYear]
+        )
+      ).last_number,
+
+    create: (i) =>
+      first(
+        `INSERT INTO invoices
+           (invoice_number, financial_year, sequence, transaction_id, customer_name, customer_email,
+            line_items, subtotal_zar, vat_rate, vat_zar, total_zar, vat_number,
+            charged_amount, charged_currency, exchange_rate, issued_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+         RETURNING *`,
+        [
+          i.invoice_number,
+          i.financial_year,
+          i.sequence,
+          i.transaction_id,
+          i.customer_name,
+          i.customer_email,
+          JSON.stringify(i.line_items),
+          i.subtotal_zar,
+          i.vat_rate,
+          i.vat_zar,
+          i.total_zar,
+          i.vat_number,
+          i.charged_amount,
+          i.charged_currency,
+          i.exchange_rate,
+          i.issued_at,
+        ]
+      ),
+  };
+}
+
+module.exports = { createInvoicesRepo };
@@ -0,0 +1,30 @@
+// PayPal orders as we priced them in /api/orders; captures are checked against these
+function createOrdersRepo(db) {
+  return {
+    create: (order) =>
+      db.query(
+        `INSERT INTO payment_orders
+           (order_id, service_id, description, amount_zar, charged_amount, charged_currency,
+            exchange_rate, promo_code_id, list_price_zar, discount_zar)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          order.order_id,
+          order.service_id,
+          order.description,
+          order.amount_zar,
+          order.charged_amount,
+          order.charged_currency,
+          order.exchange_rate,
+          order.promo_code_id || null,
+          order.list_price_zar || null,
+          order.discount_zar || null,
+        ]
+      ),
+
+    find: async (orderId) =>
+      (await db.query("SELECT * FROM payment_orders WHERE order_id = $1", [orderId])).rows[0] ||
+      null,
+  };
+}
+
+module.exports = { createOrdersRepo };
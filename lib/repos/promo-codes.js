@@ -0,0 +1,160 @@
+// Promotional discount codes, the services they're limited to, their redemptions,
+// and the uses reserved for orders being captured
+function createPromoCodesRepo(db, sql) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+
+  const setServices = async (promoCodeId, serviceIds) => {
+    await db.query("DELETE FROM promo_code_services WHERE promo_code_id = $1", [promoCodeId]);
+    for (const serviceId of serviceIds) {
+      await db.query(
+        "INSERT INTO promo_code_services (promo_code_id, service_id) VALUES ($1, $2)",
+        [promoCodeId, serviceId]
+      );
+    }
+  };
+
+  return {
+    // Codes are stored upper-case; callers normalise what the client typed
+    findByCode: (code) => first("SELECT * FROM promo_codes WHERE code = $1", [code]),
+
+    findById: (id) => first("SELECT * FROM promo_codes WHERE id = $1", [id]),
+
+    // Inside repos.transaction: holds the code's row until commit, so its uses are
+    // counted and reserved by one checkout at a time
+    lock: (id) => first(`SELECT * FROM promo_codes WHERE id = $1 ${sql.forUpdate}`, [id]),
+
+    // Ids of the services a code is limited to (empty: every service)
+    serviceIds: async (promoCodeId) =>
+      (
+        await db.query(
+          "SELECT service_id FROM promo_code_services WHERE promo_code_id = $1 ORDER BY service_id",
+          [promoCodeId]
+        )
+      ).rows.map((r) => Number(r.service_id)),
+
+    // Paid uses so far plus uses reserved for captures in progress (other than
+    // `exceptOrderId`'s), overall and by this payer
+    async usage(promoCodeId, email, { now = new Date(), exceptOrderId = null } = {}) {
+      const row = await first(
+        `SELECT COUNT(*) AS total,
+                COALESCE(SUM(CASE WHEN LOWER(payer_email) = LOWER($2) THEN 1 ELSE 0 END), 0)
+                  AS by_email
+         FROM (
+           SELECT payer_email FROM promo_redemptions WHERE promo_code_id = $1
+           UNION ALL
+           SELECT payer_email FROM promo_reservations
+           WHERE promo_code_id = $1 AND order_id <> COALESCE($4, '')
+             AND (expires_at > $3 OR capture_unknown_at IS NOT NULL)
+         ) uses`,
+        [promoCodeId, email || "", now, exceptOrderId]
+      );
+      return { total: Number(row.total), byEmail: Number(row.by_email) };
+    },
+
+    // One per order; reserving again (a retried capture) renews it
+    reserve: ({ promoCodeId, orderId, payerEmail, expiresAt }) =>
+      db.query(
+        `INSERT INTO promo_reservations (order_id, promo_code_id, payer_email, expires_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (order_id) DO UPDATE
+           SET payer_email = excluded.payer_email, expires_at = excluded.expires_at`,
+        [orderId, promoCodeId, payerEmail, expiresAt]
+      ),
+
+    // PayPal refused the capture, or its use is now a redemption
+    release: (orderId) => db.query("DELETE FROM promo_reservations WHERE order_id = $1", [orderId]),
+
+    // PayPal's answer to the capture never arrived: keep the use past its expiry
+    // until reconciliation finds out whether the order was paid
+    holdUnsettled: (orderId) =>
+      db.query(
+        `UPDATE promo_reservations SET capture_unknown_at = ${sql.now} WHERE order_id = $1`,
+        [orderId]
+      ),
+
+    // Held reservations marked before `before`, oldest first
+    listUnsettled: async ({ before }) =>
+      (
+        await db.query(
+          `SELECT * FROM promo_reservations
+           WHERE capture_unknown_at IS NOT NULL AND capture_unknown_at < $1
+           ORDER BY capture_unknown_at ASC`,
+          [before]
+        )
+      ).rows,
+
+    // Reservations whose capture was abandoned
+    releaseExpired: (now) =>
+      db.query(
+        "DELETE FROM promo_reservations WHERE expires_at <= $1 AND capture_unknown_at IS NULL",
+        [now]
+      ),
+
+    // Newest first, with redemption counts and service names for the back office
+    async list() {
+      const { rows } = await db.query(
+        `SELECT p.*,
+                (SELECT COUNT(*) FROM promo_redemptions r WHERE r.promo_code_id = p.id) AS uses,
+                (SELECT COALESCE(SUM(r.discount_zar), 0) FROM promo_redemptions r
+                 WHERE r.promo_code_id = p.id) AS discount_total
+         FROM promo_codes p
+         ORDER BY p.active DESC, p.created_at DESC`
+      );
+      const { rows: links } = await db.query(
+        `SELECT ps.promo_code_id, s.name FROM promo_code_services ps
+           JOIN services s ON s.id = ps.service_id
+         ORDER BY s.name`
+      );
+      return rows.map((p) => ({
+        ...p,
+        services: links.filter((l) => Number(l.promo_code_id) === Number(p.id)).map((l) => l.name),
+      }));
+    },
+
+    // Run inside repos.transaction so the code and its services are saved together
+    async create(p, serviceIds = []) {
+      const created = await first(
+        `INSERT INTO promo_codes
+           (code, description, discount_type, discount_value, starts_at, ends_at, max_uses,
+            max_uses_per_email, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          p.code,
+          p.description,
+          p.discount_type,
+          p.discount_value,
+          p.starts_at,
+          p.ends_at,
+          p.max_uses,
+          p.max_uses_per_email,
+          p.created_by,
+        ]
+      );
+      await setServices(created.id, serviceIds);
+      return created;
+    },
+
+    setActive: (id, active) =>
+      db.query(`UPDATE promo_codes SET active = $2, updated_at = ${sql.now} WHERE id = $1`, [
+        id,
+        active,
+      ]),
+
+    // Once per transaction, however often the payment is re-saved. Takes over
+    // the order's reservation, if it has one.
+    async redeem({ promoCodeId, orderId, transactionId, payerEmail, discountZar }) {
+      await db.query(
+        `INSERT INTO promo_redemptions (promo_code_id, transaction_id, payer_email, discount_zar)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (transaction_id) DO NOTHING`,
+        [promoCodeId, transactionId, payerEmail, discountZar]
+      );
+      if (orderId) {
+        await db.query("DELETE FROM promo_reservations WHERE order_id = $1", [orderId]);
+      }
+    },
+  };
+}
+
+module.exports = { createPromoCodesRepo };
@@ -0,0 +1,131 @@
+// PayPal reconciliation runs and the issues they find (see lib/reconciliation.js)
+function createReconciliationRepo(db, sql) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+
+  return {
+    createRun: ({ rangeStart, rangeEnd, triggeredBy }) =>
+      first(
+        `INSERT INTO reconciliation_runs (range_start, range_end, triggered_by)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [rangeStart, rangeEnd, triggeredBy]
+      ),
+
+    finishRun: (id, { paypalCount, localCount, matchedCount, issueCount }) =>
+      first(
+        `UPDATE reconciliation_runs
+         SET status = 'COMPLETED', paypal_count = $2, local_count = $3, matched_count = $4,
+             issue_count = $5, finished_at = ${sql.now}
+         WHERE id = $1
+         RETURNING *`,
+        [id, paypalCount, localCount, matchedCount, issueCount]
+      ),
+
+    failRun: (id, error) =>
+      db.query(
+        `UPDATE reconciliation_runs SET status = 'FAILED', error = $2, finished_at = ${sql.now}
+         WHERE id = $1`,
+        [id, error]
+      ),
+
+    findRun: (id) => first("SELECT * FROM reconciliation_runs WHERE id = $1", [id]),
+
+    listRuns: async ({ limit }) =>
+      (
+        await db.query(
+          `SELECT * FROM reconciliation_runs ORDER BY started_at DESC LIMIT ${Number(limit)}`
+        )
+      ).rows,
+
+    // One open issue per transaction and kind: seeing it again refreshes it
+    recordIssue: (runId, issue) =>
+      first(
+        `INSERT INTO reconciliation_issues
+           (run_id, kind, transaction_id, paypal_amount, paypal_currency, paypal_status,
+            paypal_date, local_amount, local_currency, local_status, details)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (transaction_id, kind) WHERE status = 'OPEN' DO UPDATE
+           SET run_id = EXCLUDED.run_id, paypal_amount = EXCLUDED.paypal_amount,
+               paypal_currency = EXCLUDED.paypal_currency,
+               paypal_status = EXCLUDED.paypal_status, paypal_date = EXCLUDED.paypal_date,
+               local_amount = EXCLUDED.local_amount, local_currency = EXCLUDED.local_currency,
+               local_status = EXCLUDED.local_status, details = EXCLUDED.details,
+               last_seen_at = ${sql.now}
+         RETURNING *`,
+        [
+          runId,
+          issue.kind,
+          issue.transaction_id,
+          issue.paypal_amount,
+          issue.paypal_currency,
+          issue.paypal_status,
+          issue.paypal_date,
+          issue.local_amount,
+          issue.local_currency,
+          issue.local_status,
+          issue.details,
+        ]
+      ),
+
+    // Open issues for transactions that a later run found matching
+    async resolveMatched(transactionIds, { runId }) {
+      let resolved = 0;
+      for (const transactionId of transactionIds) {
+        const { rowCount } = await db.query(
+          `UPDATE reconciliation_issues
+           SET status = 'RESOLVED', resolved_by = 'reconciliation', resolved_at = ${sql.now},
+               resolution_note = $2
+           WHERE transaction_id = $1 AND status = 'OPEN'`,
+          [transactionId, `Matched by run #${runId}`]
+        );
+        resolved += rowCount;
+      }
+      return resolved;
+    },
+
+    findIssue: (id) => first("SELECT * FROM reconciliation_issues WHERE id = $1", [id]),
+
+    // Open ones first, most recently seen first
+    async listIssues({ status, runId, limit, offset }) {
+      const where = [];
+      const params = [];
+      if (status) {
+        params.push(status);
+        where.push(`status = $${params.length}`);
+      }
+      if (runId) {
+        params.push(runId);
+        where.push(`run_id = $${params.length}`);
+      }
+      const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+      const [{ rows }, { rows: count }] = await Promise.all([
+        db.query(
+          `SELECT * FROM reconciliation_issues ${whereSql}
+           ORDER BY CASE WHEN status = 'OPEN' THEN 0 ELSE 1 END, last_seen_at DESC, id DESC
+           LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+          params
+        ),
+        db.query(`SELECT COUNT(*) AS total FROM reconciliation_issues ${whereSql}`, params),
+      ]);
+      return { rows, total: Number(count[0].total) };
+    },
+
+    countOpen: async () =>
+      Number(
+        (await first("SELECT COUNT(*) AS total FROM reconciliation_issues WHERE status = 'OPEN'"))
+          .total
+      ),
+
+    // Null when it was already resolved
+    resolveIssue: (id, { resolvedBy, note }) =>
+      first(
+        `UPDATE reconciliation_issues
+         SET status = 'RESOLVED', resolved_by = $2, resolution_note = $3, resolved_at = ${sql.now}
+         WHERE id = $1 AND status = 'OPEN'
+         RETURNING *`,
+        [id, resolvedBy, note]
+      ),
+  };
+}
+
+module.exports = { createReconciliationRepo };
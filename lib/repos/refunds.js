@@ -0,0 +1,83 @@
+// Refunds issued against captured transactions
+function createRefundsRepo(db, sql) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+
+  return {
+    // Refunds that are done or in flight count against the captured amount
+    outstandingTotal: async (transactionId) =>
+      (
+        await first(
+          `SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds
+           WHERE transaction_id = $1 AND status IN ('PENDING', 'COMPLETED')`,
+          [transactionId]
+        )
+      ).refunded,
+
+    // What PayPal has actually paid back so far
+    completedTotal: async (transactionId) =>
+      (
+        await first(
+          `SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds
+           WHERE transaction_id = $1 AND status = 'COMPLETED'`,
+          [transactionId]
+        )
+      ).refunded,
+
+    find: (id) => first("SELECT * FROM refunds WHERE id = $1", [id]),
+
+    // Still PENDING (PayPal is processing them, or never answered), requested before `before`
+    listPending: async ({ before }) =>
+      (
+        await db.query(
+          `SELECT * FROM refunds WHERE status = 'PENDING' AND created_at < $1
+           ORDER BY created_at ASC`,
+          [before]
+        )
+      ).rows,
+
+    create: (r) =>
+      first(
+        `INSERT INTO refunds (transaction_id, request_id, amount, currency, reason, requested_by, status)
+         VALUES ($1, $2, $3, $4, $5, $6, 'PENDING')
+         RETURNING *`,
+        [r.transaction_id, r.request_id, r.amount, r.currency, r.reason, r.requested_by]
+      ),
+
+    markFailed: (id, reason) =>
+      db.query(
+        `UPDATE refunds SET status = 'FAILED', failure_reason = $2, updated_at = ${sql.now} WHERE id = $1`,
+        [id, reason]
+      ),
+
+    markIssued: (id, { status, paypalRefundId }) =>
+      first(
+        `UPDATE refunds SET status = $2, paypal_refund_id = $3, updated_at = ${sql.now}
+         WHERE id = $1 RETURNING *`,
+        [id, status, paypalRefundId]
+      ),
+
+    // PayPal reports a refund finished (PAYMENT.CAPTURE.REFUNDED); null unless it was PENDING
+    completeByPaypalId: (paypalRefundId) =>
+      first(
+        `UPDATE refunds SET status = 'COMPLETED', updated_at = ${sql.now}
+         WHERE paypal_refund_id = $1 AND status = 'PENDING' RETURNING *`,
+        [paypalRefundId]
+      ),
+
+    listFor: async (transactionId) =>
+      (
+        await db.query("SELECT * FROM refunds WHERE transaction_id = $1 ORDER BY created_at ASC", [
+          transactionId,
+        ])
+      ).rows,
+
+    setEmailStatus: (id, err) =>
+      db.query(
+        `UPDATE refunds SET email_status = $2, email_sent_at = CASE WHEN $3 THEN ${sql.now} END
+         WHERE id = $1`,
+        [id, err ? "FAILED" : "SENT", !err]
+      ),
+  };
+}
+
+module.exports = { createRefundsRepo };
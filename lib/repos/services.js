@@ -0,0 +1,100 @@
+// Services sold on the site (prices in ZAR), in the order the catalogue shows them
+function createServicesRepo(db, sql) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+  const COLUMNS = "id, slug, name, category, description, duration_minutes, display_order, price";
+  const ORDER = "ORDER BY display_order ASC, name ASC";
+
+  return {
+    listActive: async () =>
+      (await db.query(`SELECT ${COLUMNS} FROM services WHERE active ${ORDER}`)).rows,
+
+    listAll: async () =>
+      (
+        await db.query(
+          `SELECT ${COLUMNS}, active FROM services ORDER BY active DESC, display_order, name`
+        )
+      ).rows,
+
+    // A page of active services, optionally in one category (case-insensitive)
+    async listCatalogue({ category = null, limit, offset }) {
+      const where = category ? "WHERE active AND LOWER(category) = LOWER($1)" : "WHERE active";
+      const params = category ? [category] : [];
+      const [{ rows }, { rows: count }] = await Promise.all([
+        db.query(
+          `SELECT ${COLUMNS} FROM services ${where} ${ORDER}
+           LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+          params
+        ),
+        db.query(`SELECT COUNT(*) AS total FROM services ${where}`, params),
+      ]);
+      return { rows, total: Number(count[0].total) };
+    },
+
+    // Categories with at least one active service
+    categories: async () =>
+      (
+        await db.query(
+          `SELECT category, MIN(display_order) AS position FROM services
+           WHERE active AND category IS NOT NULL
+           GROUP BY category ORDER BY position, category`
+        )
+      ).rows.map((r) => r.category),
+
+    // Changes whenever a service is added, edited, archived or restored
+    async catalogueVersion() {
+      const row = await first(
+        "SELECT COUNT(*) AS total, MAX(updated_at) AS last_updated FROM services"
+      );
+      const lastUpdated = row.last_updated ? new Date(row.last_updated).toISOString() : "";
+      return `${row.total}:${lastUpdated}`;
+    },
+
+    // Active service by id, or by case-insensitive name
+    findActive: ({ id, name }) =>
+      id
+        ? first(`SELECT ${COLUMNS} FROM services WHERE id = $1 AND active LIMIT 1`, [id])
+        : first(
+            `SELECT ${COLUMNS} FROM services WHERE LOWER(name) = LOWER($1) AND active LIMIT 1`,
+            [name]
+          ),
+
+    findById: (id) => first(`SELECT ${COLUMNS}, active FROM services WHERE id = $1`, [id]),
+
+    findBySlug: (slug) => first(`SELECT ${COLUMNS}, active FROM services WHERE slug = $1`, [slug]),
+
+    create: (s) =>
+      first(
+        `INSERT INTO services
+           (name, slug, category, description, duration_minutes, display_order, price)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [s.name, s.slug, s.category, s.description, s.duration_minutes, s.display_order, s.price]
+      ),
+
+    update: (id, s) =>
+      db.query(
+        `UPDATE services
+         SET name = $2, slug = $3, category = $4, description = $5, duration_minutes = $6,
+             display_order = $7, price = $8, updated_at = ${sql.now}
+         WHERE id = $1`,
+        [
+          id,
+          s.name,
+          s.slug,
+          s.category,
+          s.description,
+          s.duration_minutes,
+          s.display_order,
+          s.price,
+        ]
+      ),
+
+    setActive: (id, active) =>
+      db.query(`UPDATE services SET active = $2, updated_at = ${sql.now} WHERE id = $1`, [
+        id,
+        active,
+      ]),
+  };
+}
+
+module.exports = { createServicesRepo };
@@ -0,0 +1,177 @@
+// Captured payments and their status history
+function createTransactionsRepo(db, sql) {
+  const first = async (text, params) => (await db.query(text, params)).rows[0] || null;
+
+  // Shared WHERE clause for the back-office list; dates are Date bounds
+  const searchFilter = ({ createdFrom, createdBefore, status, service, afterId }) => {
+    const where = [];
+    const params = [];
+    const add = (clause, value) => {
+      params.push(value);
+      where.push(clause.replace("?", `$${params.length}`));
+    };
+    if (createdFrom) add("t.created_at >= ?", createdFrom);
+    if (createdBefore) add("t.created_at < ?", createdBefore);
+    if (status) add("t.payment_status = ?", status);
+    if (service) add("t.service_type = ?", service);
+    if (afterId) add("t.id > ?", afterId);
+    return { whereSql: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+  };
+
+  // Completed refund total for the row aliased `t`
+  const REFUNDED_AMOUNT = `COALESCE((SELECT SUM(r.amount) FROM refunds r
+    WHERE r.transaction_id = t.transaction_id AND r.status = 'COMPLETED'), 0) AS refunded_amount`;
+
+  return {
+    // Saving the same capture twice returns the stored row; `created` tells the two apart
+    async upsert(t) {
+      const inserted = await first(
+        `INSERT INTO transactions
+           (transaction_id, payer_name, payer_email, amount, currency, payment_status, service_type,
+            amount_zar, exchange_rate, promo_code, discount_zar)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (transaction_id) DO NOTHING
+         RETURNING *`,
+        [
+          t.transaction_id,
+          t.payer_name,
+          t.payer_email,
+          t.amount,
+          t.currency,
+          t.payment_status,
+          t.service_type,
+          t.amount_zar,
+          t.exchange_rate,
+          t.promo_code || null,
+          t.discount_zar || null,
+        ]
+      );
+      if (inserted) return { transaction: inserted, created: true };
+      const existing = await first(
+        `SELECT * FROM transactions WHERE transaction_id = $1 ${sql.forUpdate}`,
+        [t.transaction_id]
+      );
+      return { transaction: existing, created: false };
+    },
+
+    find: (transactionId) =>
+      first("SELECT * FROM transactions WHERE transaction_id = $1", [transactionId]),
+
+    findMany: async (transactionIds) =>
+      transactionIds.length
+        ? (
+            await db.query(
+              `SELECT * FROM transactions
+               WHERE transaction_id IN (${transactionIds.map((_, i) => `$${i + 1}`).join(", ")})`,
+              transactionIds
+            )
+          ).rows
+        : [],
+
+    // Row lock for the surrounding transaction (SQLite serialises writers anyway)
+    findForUpdate: (transactionId) =>
+      first(`SELECT * FROM transactions WHERE transaction_id = $1 ${sql.forUpdate}`, [
+        transactionId,
+      ]),
+
+    // Move to a new status and record who/what changed it
+    async changeStatus(transactionId, { from, to, source, eventId = null }) {
+      await db.query(
+        `UPDATE transactions SET payment_status = $1, updated_at = ${sql.now} WHERE transaction_id = $2`,
+        [to, transactionId]
+      );
+      await db.query(
+        `INSERT INTO transaction_status_history
+           (transaction_id, previous_status, new_status, source, event_id)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [transactionId, from, to, source, eventId]
+      );
+    },
+
+    history: async (transactionId) =>
+      (
+        await db.query(
+          "SELECT * FROM transaction_status_history WHERE transaction_id = $1 ORDER BY created_at ASC",
+          [transactionId]
+        )
+      ).rows,
+
+    // Newest first, with the completed refund total per row
+    async search(filters, { limit, offset }) {
+      const { whereSql, params } = searchFilter(filters);
+      const [{ rows }, { rows: count }] = await Promise.all([
+        db.query(
+          `SELECT t.*, ${REFUNDED_AMOUNT}
+           FROM transactions t ${whereSql}
+           ORDER BY t.created_at DESC
+           LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+          params
+        ),
+        db.query(`SELECT COUNT(*) AS total FROM transactions t ${whereSql}`, params),
+      ]);
+      return { rows, total: Number(count[0].total) };
+    },
+
+    // Reports and exports read matching rows in id order, `limit` at a time after
+    // `afterId`, so a whole year never has to be held in memory
+    async reportBatch(filters, { afterId = 0, limit }) {
+      const { whereSql, params } = searchFilter({ ...filters, afterId });
+      const { rows } = await db.query(
+        `SELECT t.*, i.invoice_number, ${REFUNDED_AMOUNT}
+         FROM transactions t LEFT JOIN invoices i ON i.transaction_id = t.transaction_id
+         ${whereSql}
+         ORDER BY t.id ASC
+         LIMIT ${Number(limit)}`,
+        params
+      );
+      return rows;
+    },
+
+    // Latest payment by this payer for this service since `since`, for the
+    // duplicate-payment warning
+    findRecentPayment: ({ payerEmail, serviceType, since }) =>
+      first(
+        `SELECT * FROM transactions
+         WHERE LOWER(payer_email) = LOWER($1) AND service_type = $2 AND created_at >= $3
+           AND payment_status IN ('COMPLETED', 'PENDING')
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [payerEmail, serviceType, since]
+      ),
+
+    // Client portal: everything paid by this email address, newest first, with
+    // its invoice number and completed refund total
+    listForPayer: async (payerEmail) =>
+      (
+        await db.query(
+          `SELECT t.*, i.invoice_number, ${REFUNDED_AMOUNT}
+           FROM transactions t LEFT JOIN invoices i ON i.transaction_id = t.transaction_id
+           WHERE LOWER(t.payer_email) = LOWER($1)
+           ORDER BY t.created_at DESC`,
+          [payerEmail]
+        )
+      ).rows,
+
+    hasPayer: async (payerEmail) =>
+      Boolean(
+        await first(
+          "SELECT 1 AS found FROM transactions WHERE LOWER(payer_email) = LOWER($1) LIMIT 1",
+          [payerEmail]
+        )
+      ),
+
+    serviceTypes: async () =>
+      (await db.query("SELECT DISTINCT service_type FROM transactions ORDER BY service_type")).rows
+        .map((r) => r.service_type)
+        .filter(Boolean),
+
+    setEmailStatus: (transactionId, err) =>
+      db.query(
+        `UPDATE transactions SET email_status = $2, email_sent_at = CASE WHEN $3 THEN ${sql.now} END
+         WHERE transaction_id = $1`,
+        [transactionId, err ? "FAILED" : "SENT", !err]
+      ),
+  };
+}
+
+module.exports = { createTransactionsRepo };
@@ -0,0 +1,25 @@
+// Verified PayPal webhook events, stored once per event id
+function createWebhookEventsRepo(db, sql) {
+  return {
+    // Resolves to false when the event was already stored
+    record: async (event) =>
+      (
+        await db.query(
+          `INSERT INTO paypal_webhook_events (event_id, event_type, resource_type, payload)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (event_id) DO NOTHING
+           RETURNING id`,
+          [event.id, event.event_type, event.resource_type || null, JSON.stringify(event)]
+        )
+      ).rows.length > 0,
+
+    markProcessed: (eventId, transactionIds) =>
+      db.query(
+        `UPDATE paypal_webhook_events SET processed_at = ${sql.now}, transaction_ids = $2
+         WHERE event_id = $1`,
+        [eventId, transactionIds]
+      ),
+  };
+}
+
+module.exports = { createWebhookEventsRepo };
@@ -0,0 +1,36 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Signed, Expiring Link Tokens
+// Stateless HMAC tokens for links we email out. A token is bound to a purpose
+// (e.g. "invoice") and a subject (e.g. the invoice number): "<expires>.<sig>".
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+const { ApiError } = require("./errors");
+
+function createTokenSigner(secret) {
+  const hmac = (purpose, subject, expires) => {
+    if (!secret) {
+      throw new ApiError(500, "MISSING_APP_SECRET", "APP_SECRET is not configured");
+    }
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${purpose}:${subject}:${expires}`)
+      .digest("base64url");
+  };
+
+  const sign = (purpose, subject, ttlSeconds) => {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return `${expires}.${hmac(purpose, subject, expires)}`;
+  };
+
+  const verify = (purpose, subject, token) => {
+    const [expires, sig] = String(token || "").split(".");
+    if (!expires || !sig || Number(expires) < Date.now() / 1000) return false;
+    const expected = Buffer.from(hmac(purpose, subject, expires));
+    const actual = Buffer.from(sig);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  };
+
+  return { sign, verify };
+}
+
+module.exports = { createTokenSigner };
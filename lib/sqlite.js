@@ -0,0 +1,91 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// SQLite Pool Adapter (DB_DIALECT=sqlite)
+// Gives a sqlite3 database the slice of the pg.Pool interface the app uses:
+// query(), connect() → { query, release } and end(). SQLite has one connection,
+// so queries and checked-out clients take turns through a lock; a transaction
+// holds the lock from connect() until release().
+// ───────────────────────────────────────────────────────────────────────────────
+const sqlite3 = require("sqlite3");
+
+// $1, $2 … become ?1, ?2 … (numbered parameters bind from the values array)
+const toSqliteSql = (sql) => sql.replace(/\$(\d+)/g, "?$1");
+
+const toSqliteValue = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value !== null && typeof value === "object" && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+const returnsRows = (sql) => /^\s*(SELECT|WITH|PRAGMA)\b/i.test(sql) || /\bRETURNING\b/i.test(sql);
+
+// Migration files are several statements with no parameters
+const isScript = (sql, params) => !params.length && /;\s*\S/.test(sql.replace(/--.*$/gm, ""));
+
+function createSqlitePool(filename = ":memory:") {
+  const db = new sqlite3.Database(filename);
+  db.configure("busyTimeout", 5000);
+
+  const run = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      if (isScript(sql, params)) {
+        return db.exec(sql, (err) => (err ? reject(err) : resolve({ rows: [], rowCount: 0 })));
+      }
+      const text = toSqliteSql(sql);
+      const values = params.map(toSqliteValue);
+      if (returnsRows(text)) {
+        db.all(text, values, (err, rows) =>
+          err ? reject(err) : resolve({ rows, rowCount: rows.length })
+        );
+      } else {
+        db.run(text, values, function done(err) {
+          if (err) return reject(err);
+          resolve({ rows: [], rowCount: this.changes });
+        });
+      }
+    });
+
+  // FIFO lock: resolves to a release function once earlier holders are done
+  let tail = Promise.resolve();
+  const acquire = () => {
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const ready = tail.then(() => release);
+    tail = tail.then(() => held);
+    return ready;
+  };
+
+  const ready = run("PRAGMA foreign_keys = ON");
+
+  return {
+    dialect: "sqlite",
+    async query(sql, params) {
+      await ready;
+      const release = await acquire();
+      try {
+        return await run(sql, params);
+      } finally {
+        release();
+      }
+    },
+    async connect() {
+      await ready;
+      const release = await acquire();
+      return { query: run, release };
+    },
+    end(cb) {
+      const closed = new Promise((resolve, reject) =>
+        db.close((err) => (err ? reject(err) : resolve()))
+      );
+      if (cb) closed.then(() => cb(), cb);
+      return closed;
+    },
+  };
+}
+
+module.exports = { createSqlitePool, toSqliteSql };
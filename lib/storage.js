@@ -0,0 +1,51 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Private File Storage
+// Where uploaded client documents are kept. Every backend exposes the same async
+// interface: put(key, buffer), read(key) -> readable stream, remove(key). Keys
+// are random and generated here; nothing under the root is served statically.
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// "3f/3f9a…" (32 hex chars), sharded by the first byte to keep directories small
+const KEY_PATTERN = /^[0-9a-f]{2}\/[0-9a-f]{32}$/;
+
+const newKey = () => {
+  const name = crypto.randomBytes(16).toString("hex");
+  return `${name.slice(0, 2)}/${name}`;
+};
+
+function createLocalStorage({ root }) {
+  const resolve = (key) => {
+    if (!KEY_PATTERN.test(key)) throw new Error(`Invalid storage key "${key}"`);
+    return path.join(root, key);
+  };
+
+  return {
+    kind: "local",
+    root,
+
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+      // "wx" refuses to overwrite, should a key ever repeat
+      await fs.promises.writeFile(file, buffer, { flag: "wx", mode: 0o600 });
+    },
+
+    read: async (key) => {
+      const file = resolve(key);
+      await fs.promises.access(file, fs.constants.R_OK);
+      return fs.createReadStream(file);
+    },
+
+    remove: (key) => fs.promises.rm(resolve(key), { force: true }),
+  };
+}
+
+function createStorage({ backend = "local", root }) {
+  if (backend === "local") return createLocalStorage({ root });
+  throw new Error(`Unknown storage backend "${backend}"`);
+}
+
+module.exports = { createStorage, createLocalStorage, newKey };
@@ -0,0 +1,132 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Shared Key/Value Store
+// Rate-limit counters and session data with a TTL. The PostgreSQL store is shared
+// by every cluster worker and survives restarts; the memory store is the fallback
+// for single-process runs. Both expose the same async interface.
+// ───────────────────────────────────────────────────────────────────────────────
+
+function createPgStore(pool) {
+  const get = async (key) => {
+    const { rows } = await pool.query(
+      "SELECT value FROM kv_store WHERE key = $1 AND expires_at > NOW()",
+      [key]
+    );
+    return rows.length ? rows[0].value : null;
+  };
+
+  const set = (key, value, ttlMs) =>
+    pool.query(
+      `INSERT INTO kv_store (key, value, hits, expires_at)
+       VALUES ($1, $2, 0, NOW() + $3::float8 * INTERVAL '1 millisecond')
+       ON CONFLICT (key) DO UPDATE
+         SET value = EXCLUDED.value, hits = 0, expires_at = EXCLUDED.expires_at`,
+      [key, JSON.stringify(value), ttlMs]
+    );
+
+  const del = (key) => pool.query("DELETE FROM kv_store WHERE key = $1", [key]);
+
+  // Read and delete in one step, so only one caller gets the value
+  const take = async (key) => {
+    const { rows } = await pool.query(
+      "DELETE FROM kv_store WHERE key = $1 AND expires_at > NOW() RETURNING value",
+      [key]
+    );
+    return rows.length ? rows[0].value : null;
+  };
+
+  // Fixed window: the first hit after expiry starts a new window
+  async function increment(key, windowMs) {
+    const { rows } = await pool.query(
+      `INSERT INTO kv_store (key, hits, expires_at)
+       VALUES ($1, 1, NOW() + $2::float8 * INTERVAL '1 millisecond')
+       ON CONFLICT (key) DO UPDATE
+         SET hits = CASE WHEN kv_store.expires_at <= NOW() THEN 1 ELSE kv_store.hits + 1 END,
+             expires_at = CASE WHEN kv_store.expires_at <= NOW()
+                               THEN EXCLUDED.expires_at ELSE kv_store.expires_at END
+       RETURNING hits, expires_at`,
+      [key, windowMs]
+    );
+    return { hits: rows[0].hits, resetAt: new Date(rows[0].expires_at) };
+  }
+
+  const decrement = (key) =>
+    pool.query(
+      "UPDATE kv_store SET hits = GREATEST(hits - 1, 0) WHERE key = $1 AND expires_at > NOW()",
+      [key]
+    );
+
+  const purgeExpired = async () =>
+    (await pool.query("DELETE FROM kv_store WHERE expires_at <= NOW()")).rowCount;
+
+  return { kind: "postgres", get, set, delete: del, take, increment, decrement, purgeExpired };
+}
+
+function createMemoryStore() {
+  const entries = new Map();
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    kind: "memory",
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, hits: 0, expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    take: async (key) => {
+      const entry = live(key);
+      entries.delete(key);
+      return entry ? entry.value : null;
+    },
+    increment: async (key, windowMs) => {
+      const entry = live(key) || { value: null, hits: 0, expiresAt: Date.now() + windowMs };
+      entry.hits += 1;
+      entries.set(key, entry);
+      return { hits: entry.hits, resetAt: new Date(entry.expiresAt) };
+    },
+    decrement: async (key) => {
+      const entry = live(key);
+      if (entry && entry.hits > 0) entry.hits -= 1;
+    },
+    purgeExpired: async () => {
+      let purged = 0;
+      for (const key of entries.keys()) if (!live(key)) purged++;
+      return purged;
+    },
+  };
+}
+
+const createStore = ({ backend, pool }) =>
+  backend === "memory" ? createMemoryStore() : createPgStore(pool);
+
+// Adapter for express-rate-limit's Store interface; one per limiter
+function rateLimitStore(store, prefix) {
+  let windowMs;
+  const key = (k) => `rl:${prefix}:${k}`;
+  return {
+    prefix,
+    localKeys: store.kind === "memory",
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+    increment: async (k) => {
+      const { hits, resetAt } = await store.increment(key(k), windowMs);
+      return { totalHits: hits, resetTime: resetAt };
+    },
+    decrement: (k) => store.decrement(key(k)),
+    resetKey: (k) => store.delete(key(k)),
+  };
+}
+
+module.exports = { createStore, createPgStore, createMemoryStore, rateLimitStore };
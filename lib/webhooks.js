@@ -0,0 +1,111 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// PayPal Webhook Processing
+// Stores every verified event once (keyed by event id) and reconciles the
+// matching transaction's payment_status, keeping a history of each change.
+// ───────────────────────────────────────────────────────────────────────────────
+const { appendAuditEntry } = require("./audit");
+
+// Refund/reversal resources point back at their capture through the "up" link
+const captureIdFromLinks = (resource) => {
+  const up = (resource.links || []).find((l) => l.rel === "up" && /\/captures\//.test(l.href));
+  return up ? up.href.split("/captures/")[1].split(/[/?]/)[0] : null;
+};
+
+const disputedCaptureIds = (resource) =>
+  (resource.disputed_transactions || [])
+    .map((t) => t.seller_transaction_id)
+    .filter(Boolean);
+
+// Map an event to { captureIds, status } or null when it doesn't affect a transaction
+function resolveStatusChange(event, currentAmount = null) {
+  const resource = event.resource || {};
+
+  switch (event.event_type) {
+    case "PAYMENT.CAPTURE.COMPLETED":
+      return { captureIds: [resource.id], status: "COMPLETED" };
+    case "PAYMENT.CAPTURE.PENDING":
+      return { captureIds: [resource.id], status: "PENDING" };
+    case "PAYMENT.CAPTURE.DENIED":
+      return { captureIds: [resource.id], status: "DENIED" };
+    case "PAYMENT.CAPTURE.REFUNDED": {
+      const breakdown = resource.seller_payable_breakdown || {};
+      const refunded = breakdown.total_refunded_amount
+        ? parseFloat(breakdown.total_refunded_amount.value)
+        : null;
+      const partial = refunded !== null && currentAmount !== null && refunded < parseFloat(currentAmount);
+      return {
+        captureIds: [captureIdFromLinks(resource)],
+        status: partial ? "PARTIALLY_REFUNDED" : "REFUNDED",
+      };
+    }
+    case "PAYMENT.CAPTURE.REVERSED":
+      return { captureIds: [captureIdFromLinks(resource) || resource.id], status: "REVERSED" };
+    case "CUSTOMER.DISPUTE.CREATED":
+    case "CUSTOMER.DISPUTE.UPDATED":
+      return { captureIds: disputedCaptureIds(resource), status: "DISPUTED" };
+    case "CUSTOMER.DISPUTE.RESOLVED": {
+      const outcome = resource.dispute_outcome ? resource.dispute_outcome.outcome_code : null;
+      return {
+        captureIds: disputedCaptureIds(resource),
+        status: outcome === "RESOLVED_BUYER_FAVOUR" ? "REFUNDED" : "COMPLETED",
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+// Returns { duplicate, updated: [{ transactionId, from, to }] }. `audit` is the
+// request id and IP to store with each status change's audit entry.
+// `onStatusChange(tx, change, row)` runs in the same database transaction after
+// each change, e.g. to invoice a PENDING capture that has completed.
+const processWebhookEvent = (repos, event, audit = {}, { onStatusChange } = {}) =>
+  repos.transaction(async (tx) => {
+    if (!(await tx.webhookEvents.record(event))) {
+      return { duplicate: true, updated: [] };
+    }
+
+    // A refund PayPal answered PENDING has gone through
+    if (event.event_type === "PAYMENT.CAPTURE.REFUNDED" && event.resource && event.resource.id) {
+      await tx.refunds.completeByPaypalId(event.resource.id);
+    }
+
+    const updated = [];
+    const initial = resolveStatusChange(event);
+    const captureIds = initial ? initial.captureIds.filter(Boolean) : [];
+
+    for (const captureId of captureIds) {
+      const row = await tx.transactions.findForUpdate(captureId);
+      if (!row) continue;
+
+      const { status } = resolveStatusChange(event, row.amount);
+      if (status === row.payment_status) continue;
+
+      await tx.transactions.changeStatus(captureId, {
+        from: row.payment_status,
+        to: status,
+        source: "paypal_webhook",
+        eventId: event.id,
+      });
+      await appendAuditEntry(tx, {
+        actor: "paypal",
+        action: "transaction.status_changed",
+        entityType: "transaction",
+        entityId: captureId,
+        before: { payment_status: row.payment_status },
+        after: { payment_status: status, event_id: event.id, event_type: event.event_type },
+        ...audit,
+      });
+      const change = { transactionId: captureId, from: row.payment_status, to: status };
+      if (onStatusChange) await onStatusChange(tx, change, { ...row, payment_status: status });
+      updated.push(change);
+    }
+
+    await tx.webhookEvents.markProcessed(
+      event.id,
+      updated.map((u) => u.transactionId)
+    );
+    return { duplicate: false, updated };
+  });
+
+module.exports = { resolveStatusChange, processWebhookEvent };
@@ -0,0 +1,14 @@
+-- Services sold on the site; prices are ZAR
+
+CREATE TABLE IF NOT EXISTS services (
+  id         SERIAL PRIMARY KEY,
+  name       VARCHAR(255) NOT NULL,
+  price      NUMERIC(12, 2) NOT NULL CHECK (price > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Databases created by hand before migrations existed
+ALTER TABLE services ALTER COLUMN price TYPE NUMERIC(12, 2) USING price::numeric;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE services ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
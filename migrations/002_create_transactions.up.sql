@@ -0,0 +1,20 @@
+-- Captured PayPal payments; transaction_id is the PayPal capture id
+
+CREATE TABLE IF NOT EXISTS transactions (
+  id             SERIAL PRIMARY KEY,
+  transaction_id VARCHAR(64) NOT NULL,
+  payer_name     VARCHAR(255),
+  payer_email    VARCHAR(255),
+  amount         NUMERIC(12, 2) NOT NULL,
+  currency       CHAR(3) NOT NULL,
+  payment_status VARCHAR(32) NOT NULL,
+  service_type   VARCHAR(255),
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Databases created by hand before migrations existed
+ALTER TABLE transactions ALTER COLUMN amount TYPE NUMERIC(12, 2) USING amount::numeric;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS transactions_transaction_id_key ON transactions (transaction_id);
+CREATE INDEX IF NOT EXISTS transactions_created_at_idx ON transactions (created_at DESC);
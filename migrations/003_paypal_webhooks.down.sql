@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS transaction_status_history;
+DROP TABLE IF EXISTS paypal_webhook_events;
+ALTER TABLE transactions DROP COLUMN IF EXISTS updated_at;
@@ -0,0 +1,27 @@
+-- PayPal webhook events and transaction status history
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE TABLE IF NOT EXISTS paypal_webhook_events (
+  id              SERIAL PRIMARY KEY,
+  event_id        VARCHAR(64) NOT NULL UNIQUE,
+  event_type      VARCHAR(64) NOT NULL,
+  resource_type   VARCHAR(64),
+  payload         JSONB NOT NULL,
+  transaction_ids TEXT[] NOT NULL DEFAULT '{}',
+  received_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at    TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS transaction_status_history (
+  id              SERIAL PRIMARY KEY,
+  transaction_id  VARCHAR(64) NOT NULL,
+  previous_status VARCHAR(32),
+  new_status      VARCHAR(32) NOT NULL,
+  source          VARCHAR(32) NOT NULL,
+  event_id        VARCHAR(64),
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS transaction_status_history_transaction_id_idx
+  ON transaction_status_history (transaction_id);
@@ -0,0 +1,18 @@
+-- Refunds issued against saved transactions
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id               SERIAL PRIMARY KEY,
+  transaction_id   VARCHAR(64) NOT NULL REFERENCES transactions (transaction_id),
+  request_id       UUID NOT NULL UNIQUE,
+  paypal_refund_id VARCHAR(64),
+  amount           NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  currency         CHAR(3) NOT NULL,
+  status           VARCHAR(16) NOT NULL DEFAULT 'PENDING',
+  reason           TEXT,
+  failure_reason   TEXT,
+  requested_by     VARCHAR(255) NOT NULL,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS refunds_transaction_id_idx ON refunds (transaction_id);
@@ -0,0 +1,5 @@
+ALTER TABLE transactions DROP COLUMN IF EXISTS exchange_rate;
+ALTER TABLE transactions DROP COLUMN IF EXISTS amount_zar;
+DROP TABLE IF EXISTS payment_orders;
+DROP TABLE IF EXISTS exchange_rates;
+COMMENT ON COLUMN services.price IS NULL;
@@ -0,0 +1,27 @@
+-- ZAR pricing, exchange rates and server-created PayPal orders
+
+COMMENT ON COLUMN services.price IS 'Price in ZAR (source of truth)';
+
+-- Units of quote_currency per 1 base_currency; maintained by hand
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  base_currency  CHAR(3) NOT NULL DEFAULT 'ZAR',
+  quote_currency CHAR(3) NOT NULL,
+  rate           NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (base_currency, quote_currency)
+);
+
+-- What each PayPal order was priced at when /api/orders created it
+CREATE TABLE IF NOT EXISTS payment_orders (
+  order_id         VARCHAR(64) PRIMARY KEY,
+  service_id       INTEGER,
+  description      VARCHAR(255) NOT NULL,
+  amount_zar       NUMERIC(12, 2) NOT NULL,
+  charged_amount   NUMERIC(12, 2) NOT NULL,
+  charged_currency CHAR(3) NOT NULL,
+  exchange_rate    NUMERIC(18, 8) NOT NULL,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS amount_zar NUMERIC(12, 2);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18, 8);
@@ -0,0 +1,27 @@
+-- Tax invoices with gap-free numbering per financial year
+
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  financial_year INTEGER PRIMARY KEY,
+  last_number    INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id               SERIAL PRIMARY KEY,
+  invoice_number   VARCHAR(32) NOT NULL UNIQUE,
+  financial_year   INTEGER NOT NULL,
+  sequence         INTEGER NOT NULL,
+  transaction_id   VARCHAR(64) NOT NULL UNIQUE REFERENCES transactions (transaction_id),
+  customer_name    VARCHAR(255),
+  customer_email   VARCHAR(255),
+  line_items       JSONB NOT NULL,
+  subtotal_zar     NUMERIC(12, 2) NOT NULL,
+  vat_rate         NUMERIC(5, 4) NOT NULL,
+  vat_zar          NUMERIC(12, 2) NOT NULL,
+  total_zar        NUMERIC(12, 2) NOT NULL,
+  vat_number       VARCHAR(32),
+  charged_amount   NUMERIC(12, 2),
+  charged_currency CHAR(3),
+  exchange_rate    NUMERIC(18, 8),
+  issued_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (financial_year, sequence)
+);
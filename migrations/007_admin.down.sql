@@ -0,0 +1,6 @@
+ALTER TABLE refunds DROP COLUMN IF EXISTS email_sent_at;
+ALTER TABLE refunds DROP COLUMN IF EXISTS email_status;
+ALTER TABLE transactions DROP COLUMN IF EXISTS email_sent_at;
+ALTER TABLE transactions DROP COLUMN IF EXISTS email_status;
+ALTER TABLE services DROP COLUMN IF EXISTS active;
+DROP TABLE IF EXISTS admin_users;
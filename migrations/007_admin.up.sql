@@ -0,0 +1,20 @@
+-- Admin back office: staff accounts, service archiving, email status
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id              SERIAL PRIMARY KEY,
+  email           VARCHAR(255) NOT NULL UNIQUE,
+  name            VARCHAR(255),
+  password_hash   TEXT NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until    TIMESTAMPTZ,
+  last_login_at   TIMESTAMPTZ,
+  disabled_at     TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS email_status VARCHAR(16) DEFAULT 'PENDING';
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS email_sent_at TIMESTAMPTZ;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS email_status VARCHAR(16) DEFAULT 'PENDING';
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS email_sent_at TIMESTAMPTZ;
@@ -0,0 +1,19 @@
+-- Contact form enquiries
+
+CREATE TABLE IF NOT EXISTS contact_enquiries (
+  id                  SERIAL PRIMARY KEY,
+  first_name          VARCHAR(100) NOT NULL,
+  last_name           VARCHAR(100) NOT NULL,
+  phone               VARCHAR(16) NOT NULL,
+  email               VARCHAR(255) NOT NULL,
+  subject             VARCHAR(100) NOT NULL,
+  message             TEXT NOT NULL,
+  ip                  VARCHAR(64),
+  user_agent          TEXT,
+  request_id          UUID,
+  notification_status VARCHAR(16) NOT NULL DEFAULT 'PENDING',
+  autoreply_status    VARCHAR(16) NOT NULL DEFAULT 'PENDING',
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS contact_enquiries_created_at_idx ON contact_enquiries (created_at DESC);
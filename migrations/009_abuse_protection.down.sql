@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS abuse_challenge_redemptions;
+DROP TABLE IF EXISTS abuse_blocklist;
@@ -0,0 +1,22 @@
+-- Spam and abuse protection: admin-managed blocklist and spent challenges
+
+CREATE TABLE IF NOT EXISTS abuse_blocklist (
+  id         SERIAL PRIMARY KEY,
+  kind       VARCHAR(16) NOT NULL CHECK (kind IN ('ip', 'email', 'email_domain')),
+  value      VARCHAR(255) NOT NULL,
+  reason     VARCHAR(255),
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  UNIQUE (kind, value)
+);
+
+-- Each solved challenge may be redeemed once; rows can be purged after expiry
+CREATE TABLE IF NOT EXISTS abuse_challenge_redemptions (
+  nonce       VARCHAR(64) PRIMARY KEY,
+  redeemed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at  TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS abuse_challenge_redemptions_expires_idx
+  ON abuse_challenge_redemptions (expires_at);
@@ -0,0 +1,15 @@
+-- Shared key/value store for rate-limit counters and sessions (lib/store.js)
+
+-- Unlogged: every request bumps a counter, and losing counters or sessions after
+-- a database crash only means users log in again
+CREATE UNLOGGED TABLE IF NOT EXISTS kv_store (
+  key        VARCHAR(255) PRIMARY KEY,
+  value      JSONB,
+  hits       INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS kv_store_expires_at_idx ON kv_store (expires_at);
+
+-- Admin sessions used to have their own table
+DROP TABLE IF EXISTS admin_sessions;
@@ -0,0 +1,13 @@
+-- The services shown as cards on the home page. Prices are starting points in
+-- ZAR (at least the R 300 minimum) to be adjusted under /admin/services.
+
+INSERT INTO services (name, price)
+SELECT seed.name, seed.price
+FROM (VALUES
+  ('Company Registration', 750.00),
+  ('CSD Registration', 350.00),
+  ('BBBEE Certificate', 500.00),
+  ('Tax PIN', 300.00),
+  ('Co-operative Registration', 950.00)
+) AS seed (name, price)
+WHERE NOT EXISTS (SELECT 1 FROM services s WHERE LOWER(s.name) = LOWER(seed.name));
@@ -0,0 +1,26 @@
+-- Outbound email queue (lib/outbox.js). payload is the template data; rows are
+-- retried with backoff until SENT or DEAD.
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id              SERIAL PRIMARY KEY,
+  email_type      VARCHAR(64) NOT NULL,
+  recipient       VARCHAR(255) NOT NULL,
+  reply_to        VARCHAR(255),
+  related_id      VARCHAR(64),
+  payload         JSONB NOT NULL,
+  status          VARCHAR(16) NOT NULL DEFAULT 'PENDING'
+                    CHECK (status IN ('PENDING', 'SENDING', 'SENT', 'DEAD')),
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  max_attempts    INTEGER NOT NULL,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until    TIMESTAMPTZ,
+  last_error      TEXT,
+  message_id      VARCHAR(255),
+  sent_at         TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS email_outbox_due_idx
+  ON email_outbox (next_attempt_at) WHERE status IN ('PENDING', 'SENDING');
+CREATE INDEX IF NOT EXISTS email_outbox_created_at_idx ON email_outbox (created_at DESC);
@@ -0,0 +1,20 @@
+-- Idempotency-Key records for money-moving routes (lib/idempotency.js)
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope           VARCHAR(64) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash    CHAR(64) NOT NULL,
+  status          VARCHAR(16) NOT NULL CHECK (status IN ('IN_PROGRESS', 'COMPLETED')),
+  response_status INTEGER,
+  response_body   JSONB,
+  locked_until    TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at      TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_at_idx ON idempotency_keys (expires_at);
+
+-- Duplicate-payment check: recent payments by the same payer
+CREATE INDEX IF NOT EXISTS transactions_payer_email_idx
+  ON transactions (LOWER(payer_email), created_at DESC);
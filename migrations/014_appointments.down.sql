@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS appointments;
+DROP TABLE IF EXISTS consultant_blocked_dates;
+DROP TABLE IF EXISTS consultant_availability;
+DROP TABLE IF EXISTS consultants;
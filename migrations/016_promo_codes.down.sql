@@ -0,0 +1,8 @@
+ALTER TABLE transactions DROP COLUMN IF EXISTS discount_zar;
+ALTER TABLE transactions DROP COLUMN IF EXISTS promo_code;
+ALTER TABLE payment_orders DROP COLUMN IF EXISTS discount_zar;
+ALTER TABLE payment_orders DROP COLUMN IF EXISTS list_price_zar;
+ALTER TABLE payment_orders DROP COLUMN IF EXISTS promo_code_id;
+DROP TABLE IF EXISTS promo_redemptions;
+DROP TABLE IF EXISTS promo_code_services;
+DROP TABLE IF EXISTS promo_codes;
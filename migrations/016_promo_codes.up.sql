@@ -0,0 +1,49 @@
+-- Promotional discount codes (lib/promotions.js). A code takes a percentage or a
+-- fixed ZAR amount off a service's price, optionally only for some services and
+-- within a validity window. Each paid use is a redemption; usage limits count them.
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id                 SERIAL PRIMARY KEY,
+  code               VARCHAR(32) NOT NULL UNIQUE,
+  description        VARCHAR(255),
+  discount_type      VARCHAR(8) NOT NULL CHECK (discount_type IN ('PERCENT', 'FIXED')),
+  discount_value     NUMERIC(12, 2) NOT NULL CHECK (discount_value > 0),
+  starts_at          TIMESTAMPTZ,
+  ends_at            TIMESTAMPTZ,
+  max_uses           INTEGER CHECK (max_uses > 0),
+  max_uses_per_email INTEGER CHECK (max_uses_per_email > 0),
+  active             BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by         VARCHAR(255),
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (discount_type <> 'PERCENT' OR discount_value <= 100),
+  CHECK (ends_at IS NULL OR starts_at IS NULL OR starts_at < ends_at)
+);
+
+-- Services a code is limited to; none means every service
+CREATE TABLE IF NOT EXISTS promo_code_services (
+  promo_code_id INTEGER NOT NULL REFERENCES promo_codes (id) ON DELETE CASCADE,
+  service_id    INTEGER NOT NULL REFERENCES services (id) ON DELETE CASCADE,
+  PRIMARY KEY (promo_code_id, service_id)
+);
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id             SERIAL PRIMARY KEY,
+  promo_code_id  INTEGER NOT NULL REFERENCES promo_codes (id),
+  transaction_id VARCHAR(64) NOT NULL UNIQUE REFERENCES transactions (transaction_id),
+  payer_email    VARCHAR(255) NOT NULL,
+  discount_zar   NUMERIC(12, 2) NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS promo_redemptions_promo_code_id_idx
+  ON promo_redemptions (promo_code_id, LOWER(payer_email));
+
+-- What an order was discounted by; amount_zar stays the price actually charged
+ALTER TABLE payment_orders
+  ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes (id);
+ALTER TABLE payment_orders ADD COLUMN IF NOT EXISTS list_price_zar NUMERIC(12, 2);
+ALTER TABLE payment_orders ADD COLUMN IF NOT EXISTS discount_zar NUMERIC(12, 2);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS promo_code VARCHAR(32);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS discount_zar NUMERIC(12, 2);
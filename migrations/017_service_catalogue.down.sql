@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS services_slug_key;
+ALTER TABLE services DROP COLUMN IF EXISTS display_order;
+ALTER TABLE services DROP COLUMN IF EXISTS duration_minutes;
+ALTER TABLE services DROP COLUMN IF EXISTS description;
+ALTER TABLE services DROP COLUMN IF EXISTS category;
+ALTER TABLE services DROP COLUMN IF EXISTS slug;
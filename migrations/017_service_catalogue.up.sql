@@ -0,0 +1,59 @@
+-- Service catalogue details: a URL slug, a category to filter by, the copy shown
+-- on the home page cards, how long the service's consultation takes, and the
+-- order cards are shown in
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS slug VARCHAR(100);
+ALTER TABLE services ADD COLUMN IF NOT EXISTS category VARCHAR(64);
+ALTER TABLE services ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS duration_minutes INTEGER CHECK (duration_minutes > 0);
+ALTER TABLE services ADD COLUMN IF NOT EXISTS display_order INTEGER NOT NULL DEFAULT 0;
+
+-- The starting catalogue (migrations/011_seed_services.up.sql)
+UPDATE services SET
+  slug = 'company-registration',
+  category = 'Registrations',
+  description = 'Register a private company (Pty) Ltd with CIPC, from name reservation to your registration certificate, MOI and share certificates.',
+  duration_minutes = 60,
+  display_order = 10
+WHERE LOWER(name) = LOWER('Company Registration') AND slug IS NULL;
+
+UPDATE services SET
+  slug = 'csd-registration',
+  category = 'Compliance',
+  description = 'Get listed on the National Treasury Central Supplier Database so you can quote for government tenders.',
+  duration_minutes = 45,
+  display_order = 20
+WHERE LOWER(name) = LOWER('CSD Registration') AND slug IS NULL;
+
+UPDATE services SET
+  slug = 'bbbee-certificate',
+  category = 'Compliance',
+  description = 'Obtain a B-BBEE affidavit or certificate for your business, with guidance on the level you qualify for.',
+  duration_minutes = 45,
+  display_order = 30
+WHERE LOWER(name) = LOWER('BBBEE Certificate') AND slug IS NULL;
+
+UPDATE services SET
+  slug = 'tax-pin',
+  category = 'Tax',
+  description = 'Apply for your SARS Tax Compliance Status PIN and fix anything that is holding it back.',
+  duration_minutes = 30,
+  display_order = 40
+WHERE LOWER(name) = LOWER('Tax PIN') AND slug IS NULL;
+
+UPDATE services SET
+  slug = 'co-operative-registration',
+  category = 'Registrations',
+  description = 'Register a co-operative with CIPC, including its constitution and the founding members'' documents.',
+  duration_minutes = 90,
+  display_order = 50
+WHERE LOWER(name) = LOWER('Co-operative Registration') AND slug IS NULL;
+
+-- Anything else gets a slug from its name, made unique with its id, and goes last
+UPDATE services SET
+  slug = TRIM(BOTH '-' FROM LOWER(REGEXP_REPLACE(name, '[^A-Za-z0-9]+', '-', 'g'))) || '-' || id,
+  display_order = 1000
+WHERE slug IS NULL;
+
+ALTER TABLE services ALTER COLUMN slug SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS services_slug_key ON services (slug);
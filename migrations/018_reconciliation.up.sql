@@ -0,0 +1,51 @@
+-- PayPal reconciliation (lib/reconciliation.js). Each run compares the captures
+-- PayPal reports for a date range with the transactions table and records what
+-- doesn't line up. An issue stays OPEN (once per transaction and kind) until
+-- staff resolve it or a later run finds the records matching.
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id             SERIAL PRIMARY KEY,
+  range_start    TIMESTAMPTZ NOT NULL,
+  range_end      TIMESTAMPTZ NOT NULL,
+  status         VARCHAR(16) NOT NULL DEFAULT 'RUNNING'
+                   CHECK (status IN ('RUNNING', 'COMPLETED', 'FAILED')),
+  triggered_by   VARCHAR(255) NOT NULL,
+  paypal_count   INTEGER NOT NULL DEFAULT 0,
+  local_count    INTEGER NOT NULL DEFAULT 0,
+  matched_count  INTEGER NOT NULL DEFAULT 0,
+  issue_count    INTEGER NOT NULL DEFAULT 0,
+  error          TEXT,
+  started_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at    TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS reconciliation_runs_started_at_idx
+  ON reconciliation_runs (started_at DESC);
+
+-- MISSING: PayPal has the capture and we don't; EXTRA: we have a transaction
+-- PayPal doesn't report; MISMATCH: both have it but amount, currency or status differ
+CREATE TABLE IF NOT EXISTS reconciliation_issues (
+  id               SERIAL PRIMARY KEY,
+  run_id           INTEGER NOT NULL REFERENCES reconciliation_runs (id) ON DELETE CASCADE,
+  kind             VARCHAR(16) NOT NULL CHECK (kind IN ('MISSING', 'EXTRA', 'MISMATCH')),
+  transaction_id   VARCHAR(64) NOT NULL,
+  paypal_amount    NUMERIC(12, 2),
+  paypal_currency  CHAR(3),
+  paypal_status    VARCHAR(32),
+  paypal_date      TIMESTAMPTZ,
+  local_amount     NUMERIC(12, 2),
+  local_currency   CHAR(3),
+  local_status     VARCHAR(32),
+  details          TEXT,
+  status           VARCHAR(16) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'RESOLVED')),
+  resolved_by      VARCHAR(255),
+  resolution_note  TEXT,
+  resolved_at      TIMESTAMPTZ,
+  first_seen_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS reconciliation_issues_open_key
+  ON reconciliation_issues (transaction_id, kind) WHERE status = 'OPEN';
+CREATE INDEX IF NOT EXISTS reconciliation_issues_status_idx
+  ON reconciliation_issues (status, last_seen_at DESC);
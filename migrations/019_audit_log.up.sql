@@ -0,0 +1,52 @@
+-- Audit log (lib/audit.js): who saved, refunded or changed what, with the row
+-- before and after. Append-only: triggers refuse UPDATE, DELETE and TRUNCATE, and
+-- each row carries the SHA-256 of its contents chained to the previous row's
+-- hash, so editing or removing a row (with the triggers off) breaks the chain
+-- that `npm run audit:verify` checks. audit_log_head holds the latest hash; it is
+-- locked while a row is appended so concurrent writers take turns.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id            BIGSERIAL PRIMARY KEY,
+  created_at    TIMESTAMPTZ NOT NULL,
+  actor         VARCHAR(255) NOT NULL,
+  action        VARCHAR(64) NOT NULL,
+  entity_type   VARCHAR(64) NOT NULL,
+  entity_id     VARCHAR(255),
+  before_state  TEXT,
+  after_state   TEXT,
+  request_id    VARCHAR(64),
+  ip            VARCHAR(64),
+  prev_hash     CHAR(64) NOT NULL UNIQUE,
+  hash          CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS audit_log_action_idx ON audit_log (action);
+CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at);
+
+CREATE TABLE IF NOT EXISTS audit_log_head (
+  id         INTEGER PRIMARY KEY CHECK (id = 1),
+  last_id    BIGINT,
+  last_hash  CHAR(64) NOT NULL
+);
+
+-- The chain starts from 64 zeros
+INSERT INTO audit_log_head (id, last_id, last_hash)
+VALUES (1, NULL, '0000000000000000000000000000000000000000000000000000000000000000')
+ON CONFLICT (id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log;
+CREATE TRIGGER audit_log_no_change
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
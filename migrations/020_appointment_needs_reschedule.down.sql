@@ -0,0 +1,4 @@
+UPDATE appointments SET status = 'EXPIRED' WHERE status = 'NEEDS_RESCHEDULE';
+ALTER TABLE appointments DROP CONSTRAINT IF EXISTS appointments_status_check;
+ALTER TABLE appointments ADD CONSTRAINT appointments_status_check
+  CHECK (status IN ('HELD', 'CONFIRMED', 'CANCELLED', 'EXPIRED'));
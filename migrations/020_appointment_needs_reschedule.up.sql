@@ -0,0 +1,6 @@
+-- A paid booking whose hold lapsed during payment and whose slot was taken in the
+-- meantime is NEEDS_RESCHEDULE until the client or staff choose a new time.
+
+ALTER TABLE appointments DROP CONSTRAINT IF EXISTS appointments_status_check;
+ALTER TABLE appointments ADD CONSTRAINT appointments_status_check
+  CHECK (status IN ('HELD', 'CONFIRMED', 'CANCELLED', 'EXPIRED', 'NEEDS_RESCHEDULE'));
@@ -0,0 +1,19 @@
+-- A promo code use held for an order while PayPal captures it (lib/promotions.js).
+-- Usage limits count live reservations as well as redemptions, so two payers
+-- can't both take a code's last use. Saving the capture turns the reservation
+-- into a redemption; a capture PayPal refuses deletes it, and an abandoned one
+-- lapses at expires_at. When PayPal's answer never arrived (a timeout), the use
+-- may have been paid for: capture_unknown_at is set and the reservation is kept
+-- past expires_at until reconciliation checks the order with PayPal.
+
+CREATE TABLE IF NOT EXISTS promo_reservations (
+  order_id      VARCHAR(64) PRIMARY KEY REFERENCES payment_orders (order_id),
+  promo_code_id INTEGER NOT NULL REFERENCES promo_codes (id),
+  payer_email   VARCHAR(255) NOT NULL,
+  expires_at    TIMESTAMPTZ NOT NULL,
+  capture_unknown_at TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS promo_reservations_promo_code_id_idx
+  ON promo_reservations (promo_code_id, expires_at);
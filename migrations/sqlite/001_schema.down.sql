@@ -0,0 +1,13 @@
+DROP TABLE IF EXISTS abuse_challenge_redemptions;
+DROP TABLE IF EXISTS abuse_blocklist;
+DROP TABLE IF EXISTS contact_enquiries;
+DROP TABLE IF EXISTS admin_users;
+DROP TABLE IF EXISTS invoices;
+DROP TABLE IF EXISTS invoice_sequences;
+DROP TABLE IF EXISTS payment_orders;
+DROP TABLE IF EXISTS exchange_rates;
+DROP TABLE IF EXISTS refunds;
+DROP TABLE IF EXISTS transaction_status_history;
+DROP TABLE IF EXISTS paypal_webhook_events;
+DROP TABLE IF EXISTS transactions;
+DROP TABLE IF EXISTS services;
@@ -0,0 +1,169 @@
+-- SQLite schema for offline development (DB_DIALECT=sqlite). Mirrors the
+-- PostgreSQL migrations one directory up; keep the two in step.
+-- Timestamps are ISO-8601 UTC text, JSON and arrays are stored as text.
+
+CREATE TABLE IF NOT EXISTS services (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  name       VARCHAR(255) NOT NULL,
+  price      NUMERIC(12, 2) NOT NULL CHECK (price > 0),
+  active     BOOLEAN NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS transactions (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id VARCHAR(64) NOT NULL UNIQUE,
+  payer_name     VARCHAR(255),
+  payer_email    VARCHAR(255),
+  amount         NUMERIC(12, 2) NOT NULL,
+  currency       CHAR(3) NOT NULL,
+  payment_status VARCHAR(32) NOT NULL,
+  service_type   VARCHAR(255),
+  amount_zar     NUMERIC(12, 2),
+  exchange_rate  NUMERIC(18, 8),
+  email_status   VARCHAR(16) DEFAULT 'PENDING',
+  email_sent_at  TEXT,
+  created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS transactions_created_at_idx ON transactions (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS paypal_webhook_events (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id        VARCHAR(64) NOT NULL UNIQUE,
+  event_type      VARCHAR(64) NOT NULL,
+  resource_type   VARCHAR(64),
+  payload         TEXT NOT NULL,
+  transaction_ids TEXT NOT NULL DEFAULT '[]',
+  received_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  processed_at    TEXT
+);
+
+CREATE TABLE IF NOT EXISTS transaction_status_history (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id  VARCHAR(64) NOT NULL,
+  previous_status VARCHAR(32),
+  new_status      VARCHAR(32) NOT NULL,
+  source          VARCHAR(32) NOT NULL,
+  event_id        VARCHAR(64),
+  created_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS transaction_status_history_transaction_id_idx
+  ON transaction_status_history (transaction_id);
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id   VARCHAR(64) NOT NULL REFERENCES transactions (transaction_id),
+  request_id       VARCHAR(36) NOT NULL UNIQUE,
+  paypal_refund_id VARCHAR(64),
+  amount           NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  currency         CHAR(3) NOT NULL,
+  status           VARCHAR(16) NOT NULL DEFAULT 'PENDING',
+  reason           TEXT,
+  failure_reason   TEXT,
+  requested_by     VARCHAR(255) NOT NULL,
+  email_status     VARCHAR(16) DEFAULT 'PENDING',
+  email_sent_at    TEXT,
+  created_at       TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at       TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS refunds_transaction_id_idx ON refunds (transaction_id);
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  base_currency  CHAR(3) NOT NULL DEFAULT 'ZAR',
+  quote_currency CHAR(3) NOT NULL,
+  rate           NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+  updated_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (base_currency, quote_currency)
+);
+
+CREATE TABLE IF NOT EXISTS payment_orders (
+  order_id         VARCHAR(64) PRIMARY KEY,
+  service_id       INTEGER,
+  description      VARCHAR(255) NOT NULL,
+  amount_zar       NUMERIC(12, 2) NOT NULL,
+  charged_amount   NUMERIC(12, 2) NOT NULL,
+  charged_currency CHAR(3) NOT NULL,
+  exchange_rate    NUMERIC(18, 8) NOT NULL,
+  created_at       TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  financial_year INTEGER PRIMARY KEY,
+  last_number    INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_number   VARCHAR(32) NOT NULL UNIQUE,
+  financial_year   INTEGER NOT NULL,
+  sequence         INTEGER NOT NULL,
+  transaction_id   VARCHAR(64) NOT NULL UNIQUE REFERENCES transactions (transaction_id),
+  customer_name    VARCHAR(255),
+  customer_email   VARCHAR(255),
+  line_items       TEXT NOT NULL,
+  subtotal_zar     NUMERIC(12, 2) NOT NULL,
+  vat_rate         NUMERIC(5, 4) NOT NULL,
+  vat_zar          NUMERIC(12, 2) NOT NULL,
+  total_zar        NUMERIC(12, 2) NOT NULL,
+  vat_number       VARCHAR(32),
+  charged_amount   NUMERIC(12, 2),
+  charged_currency CHAR(3),
+  exchange_rate    NUMERIC(18, 8),
+  issued_at        TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (financial_year, sequence)
+);
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  email           VARCHAR(255) NOT NULL UNIQUE,
+  name            VARCHAR(255),
+  password_hash   TEXT NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until    TEXT,
+  last_login_at   TEXT,
+  disabled_at     TEXT,
+  created_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS contact_enquiries (
+  id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+  first_name          VARCHAR(100) NOT NULL,
+  last_name           VARCHAR(100) NOT NULL,
+  phone               VARCHAR(16) NOT NULL,
+  email               VARCHAR(255) NOT NULL,
+  subject             VARCHAR(100) NOT NULL,
+  message             TEXT NOT NULL,
+  ip                  VARCHAR(64),
+  user_agent          TEXT,
+  request_id          VARCHAR(36),
+  notification_status VARCHAR(16) NOT NULL DEFAULT 'PENDING',
+  autoreply_status    VARCHAR(16) NOT NULL DEFAULT 'PENDING',
+  created_at          TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS contact_enquiries_created_at_idx ON contact_enquiries (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS abuse_blocklist (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind       VARCHAR(16) NOT NULL CHECK (kind IN ('ip', 'email', 'email_domain')),
+  value      VARCHAR(255) NOT NULL,
+  reason     VARCHAR(255),
+  created_by VARCHAR(255),
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at TEXT,
+  UNIQUE (kind, value)
+);
+
+CREATE TABLE IF NOT EXISTS abuse_challenge_redemptions (
+  nonce       VARCHAR(64) PRIMARY KEY,
+  redeemed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at  TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS abuse_challenge_redemptions_expires_idx
+  ON abuse_challenge_redemptions (expires_at);
@@ -0,0 +1,6 @@
+-- Only removes seeded services that were never sold
+DELETE FROM services
+WHERE name IN ('Company Registration', 'CSD Registration', 'BBBEE Certificate', 'Tax PIN',
+               'Co-operative Registration')
+  AND NOT EXISTS (SELECT 1 FROM transactions t WHERE t.service_type = services.name)
+  AND NOT EXISTS (SELECT 1 FROM payment_orders o WHERE o.service_id = services.id);
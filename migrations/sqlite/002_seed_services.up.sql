@@ -0,0 +1,12 @@
+-- Same starting catalogue as migrations/011_seed_services.up.sql
+
+INSERT INTO services (name, price)
+SELECT seed.name, seed.price
+FROM (
+  SELECT 'Company Registration' AS name, 750.00 AS price
+  UNION ALL SELECT 'CSD Registration', 350.00
+  UNION ALL SELECT 'BBBEE Certificate', 500.00
+  UNION ALL SELECT 'Tax PIN', 300.00
+  UNION ALL SELECT 'Co-operative Registration', 950.00
+) AS seed
+WHERE NOT EXISTS (SELECT 1 FROM services s WHERE LOWER(s.name) = LOWER(seed.name));
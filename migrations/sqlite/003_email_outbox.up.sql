@@ -0,0 +1,25 @@
+-- Mirrors migrations/012_email_outbox.up.sql
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  email_type      VARCHAR(64) NOT NULL,
+  recipient       VARCHAR(255) NOT NULL,
+  reply_to        VARCHAR(255),
+  related_id      VARCHAR(64),
+  payload         TEXT NOT NULL,
+  status          VARCHAR(16) NOT NULL DEFAULT 'PENDING'
+                    CHECK (status IN ('PENDING', 'SENDING', 'SENT', 'DEAD')),
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  max_attempts    INTEGER NOT NULL,
+  next_attempt_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  locked_until    TEXT,
+  last_error      TEXT,
+  message_id      VARCHAR(255),
+  sent_at         TEXT,
+  created_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS email_outbox_due_idx
+  ON email_outbox (next_attempt_at) WHERE status IN ('PENDING', 'SENDING');
+CREATE INDEX IF NOT EXISTS email_outbox_created_at_idx ON email_outbox (created_at DESC);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS transactions_payer_email_idx;
+DROP TABLE IF EXISTS idempotency_keys;
@@ -0,0 +1,19 @@
+-- Mirrors migrations/013_idempotency_keys.up.sql
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope           VARCHAR(64) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash    CHAR(64) NOT NULL,
+  status          VARCHAR(16) NOT NULL CHECK (status IN ('IN_PROGRESS', 'COMPLETED')),
+  response_status INTEGER,
+  response_body   TEXT,
+  locked_until    TEXT,
+  created_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at      TEXT NOT NULL,
+  PRIMARY KEY (scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_at_idx ON idempotency_keys (expires_at);
+
+CREATE INDEX IF NOT EXISTS transactions_payer_email_idx
+  ON transactions (LOWER(payer_email), created_at DESC);
@@ -0,0 +1,62 @@
+-- Mirrors migrations/014_appointments.up.sql
+
+CREATE TABLE IF NOT EXISTS consultants (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  name       VARCHAR(255) NOT NULL,
+  email      VARCHAR(255),
+  active     BOOLEAN NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS consultant_availability (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  consultant_id INTEGER NOT NULL REFERENCES consultants (id) ON DELETE CASCADE,
+  weekday       SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+  start_minute  INTEGER NOT NULL CHECK (start_minute >= 0),
+  end_minute    INTEGER NOT NULL CHECK (end_minute <= 1440),
+  CHECK (start_minute < end_minute)
+);
+
+CREATE INDEX IF NOT EXISTS consultant_availability_consultant_id_idx
+  ON consultant_availability (consultant_id);
+
+CREATE TABLE IF NOT EXISTS consultant_blocked_dates (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  consultant_id INTEGER REFERENCES consultants (id) ON DELETE CASCADE,
+  blocked_on    TEXT NOT NULL,
+  reason        VARCHAR(255),
+  created_by    VARCHAR(255),
+  created_at    TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS consultant_blocked_dates_blocked_on_idx
+  ON consultant_blocked_dates (blocked_on);
+
+CREATE TABLE IF NOT EXISTS appointments (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  consultant_id   INTEGER NOT NULL REFERENCES consultants (id),
+  service_id      INTEGER REFERENCES services (id),
+  service_name    VARCHAR(255) NOT NULL,
+  starts_at       TEXT NOT NULL,
+  ends_at         TEXT NOT NULL,
+  status          VARCHAR(16) NOT NULL DEFAULT 'HELD'
+                    CHECK (status IN ('HELD', 'CONFIRMED', 'CANCELLED', 'EXPIRED')),
+  client_name     VARCHAR(255) NOT NULL,
+  client_email    VARCHAR(255) NOT NULL,
+  client_phone    VARCHAR(20),
+  notes           TEXT,
+  hold_expires_at TEXT,
+  order_id        VARCHAR(64),
+  transaction_id  VARCHAR(64),
+  sequence        INTEGER NOT NULL DEFAULT 0,
+  cancelled_at    TEXT,
+  created_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS appointments_active_slot_key
+  ON appointments (consultant_id, starts_at) WHERE status IN ('HELD', 'CONFIRMED');
+CREATE UNIQUE INDEX IF NOT EXISTS appointments_order_id_key
+  ON appointments (order_id) WHERE order_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS appointments_starts_at_idx ON appointments (starts_at);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS document_access_log;
+DROP TABLE IF EXISTS documents;
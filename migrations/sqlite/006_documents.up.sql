@@ -0,0 +1,34 @@
+-- Mirrors migrations/015_documents.up.sql
+
+CREATE TABLE IF NOT EXISTS documents (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id VARCHAR(64) REFERENCES transactions (transaction_id),
+  appointment_id INTEGER REFERENCES appointments (id),
+  category       VARCHAR(32) NOT NULL
+                   CHECK (category IN ('ID_COPY', 'CIPC_DOCUMENT', 'BANK_STATEMENT', 'OTHER')),
+  original_name  VARCHAR(255) NOT NULL,
+  content_type   VARCHAR(64) NOT NULL,
+  size_bytes     INTEGER NOT NULL,
+  sha256         CHAR(64) NOT NULL,
+  storage_key    VARCHAR(255) NOT NULL UNIQUE,
+  uploaded_by    VARCHAR(255) NOT NULL,
+  uploader_ip    VARCHAR(64),
+  created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  CHECK (transaction_id IS NOT NULL OR appointment_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS documents_transaction_id_idx ON documents (transaction_id);
+CREATE INDEX IF NOT EXISTS documents_appointment_id_idx ON documents (appointment_id);
+CREATE INDEX IF NOT EXISTS documents_created_at_idx ON documents (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS document_access_log (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  document_id INTEGER NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+  accessed_by VARCHAR(255) NOT NULL,
+  ip          VARCHAR(64),
+  user_agent  TEXT,
+  accessed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS document_access_log_document_id_idx
+  ON document_access_log (document_id, accessed_at DESC);
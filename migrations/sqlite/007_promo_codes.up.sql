@@ -0,0 +1,45 @@
+-- Mirrors migrations/016_promo_codes.up.sql
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+  code               VARCHAR(32) NOT NULL UNIQUE,
+  description        VARCHAR(255),
+  discount_type      VARCHAR(8) NOT NULL CHECK (discount_type IN ('PERCENT', 'FIXED')),
+  discount_value     NUMERIC(12, 2) NOT NULL CHECK (discount_value > 0),
+  starts_at          TEXT,
+  ends_at            TEXT,
+  max_uses           INTEGER CHECK (max_uses > 0),
+  max_uses_per_email INTEGER CHECK (max_uses_per_email > 0),
+  active             BOOLEAN NOT NULL DEFAULT 1,
+  created_by         VARCHAR(255),
+  created_at         TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at         TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  CHECK (discount_type <> 'PERCENT' OR discount_value <= 100),
+  CHECK (ends_at IS NULL OR starts_at IS NULL OR starts_at < ends_at)
+);
+
+CREATE TABLE IF NOT EXISTS promo_code_services (
+  promo_code_id INTEGER NOT NULL REFERENCES promo_codes (id) ON DELETE CASCADE,
+  service_id    INTEGER NOT NULL REFERENCES services (id) ON DELETE CASCADE,
+  PRIMARY KEY (promo_code_id, service_id)
+);
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+  promo_code_id  INTEGER NOT NULL REFERENCES promo_codes (id),
+  transaction_id VARCHAR(64) NOT NULL UNIQUE REFERENCES transactions (transaction_id),
+  payer_email    VARCHAR(255) NOT NULL,
+  discount_zar   NUMERIC(12, 2) NOT NULL,
+  created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS promo_redemptions_promo_code_id_idx
+  ON promo_redemptions (promo_code_id, LOWER(payer_email));
+
+-- No REFERENCES here: SQLite can't drop a column that has one
+ALTER TABLE payment_orders ADD COLUMN promo_code_id INTEGER;
+ALTER TABLE payment_orders ADD COLUMN list_price_zar NUMERIC(12, 2);
+ALTER TABLE payment_orders ADD COLUMN discount_zar NUMERIC(12, 2);
+
+ALTER TABLE transactions ADD COLUMN promo_code VARCHAR(32);
+ALTER TABLE transactions ADD COLUMN discount_zar NUMERIC(12, 2);
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS services_slug_key;
+ALTER TABLE services DROP COLUMN display_order;
+ALTER TABLE services DROP COLUMN duration_minutes;
+ALTER TABLE services DROP COLUMN description;
+ALTER TABLE services DROP COLUMN category;
+ALTER TABLE services DROP COLUMN slug;
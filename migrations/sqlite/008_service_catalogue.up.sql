@@ -0,0 +1,57 @@
+-- Mirrors migrations/017_service_catalogue.up.sql. SQLite can't make an added
+-- column NOT NULL, so the slug is only required by the unique index and the app.
+
+ALTER TABLE services ADD COLUMN slug VARCHAR(100);
+ALTER TABLE services ADD COLUMN category VARCHAR(64);
+ALTER TABLE services ADD COLUMN description TEXT;
+ALTER TABLE services ADD COLUMN duration_minutes INTEGER CHECK (duration_minutes > 0);
+ALTER TABLE services ADD COLUMN display_order INTEGER NOT NULL DEFAULT 0;
+
+UPDATE services SET
+  slug = 'company-registration',
+  category = 'Registrations',
+  description = 'Register a private company (Pty) Ltd with CIPC, from name reservation to your registration certificate, MOI and share certificates.',
+  duration_minutes = 60,
+  display_order = 10
+WHERE LOWER(name) = LOWER('Company Registration') AND slug IS NULL;
+
+UPDATE services SET
+  slug = 'csd-registration',
+  category = 'Compliance',
+  description = 'Get listed on the National Treasury Central Supplier Database so you can quote for government tenders.',
+  duration_minutes = 45,
+  display_order = 20
+WHERE LOWER(name) = LOWER('CSD Registration') AND slug IS NULL;
+
+UPDATE services SET
+  slug = 'bbbee-certificate',
+  category = 'Compliance',
+  description = 'Obtain a B-BBEE affidavit or certificate for your business, with guidance on the level you qualify for.',
+  duration_minutes = 45,
+  display_order = 30
+WHERE LOWER(name) = LOWER('BBBEE Certificate') AND slug IS NULL;
+
+UPDATE services SET
+  slug = 'tax-pin',
+  category = 'Tax',
+  description = 'Apply for your SARS Tax Compliance Status PIN and fix anything that is holding it back.',
+  duration_minutes = 30,
+  display_order = 40
+WHERE LOWER(name) = LOWER('Tax PIN') AND slug IS NULL;
+
+UPDATE services SET
+  slug = 'co-operative-registration',
+  category = 'Registrations',
+  description = 'Register a co-operative with CIPC, including its constitution and the founding members'' documents.',
+  duration_minutes = 90,
+  display_order = 50
+WHERE LOWER(name) = LOWER('Co-operative Registration') AND slug IS NULL;
+
+-- SQLite has no regular expressions to make a slug from any name; staff can
+-- change these under /admin/services
+UPDATE services SET
+  slug = 'service-' || id,
+  display_order = 1000
+WHERE slug IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS services_slug_key ON services (slug);
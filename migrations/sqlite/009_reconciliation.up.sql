@@ -0,0 +1,48 @@
+-- Mirrors migrations/018_reconciliation.up.sql
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+  range_start    TEXT NOT NULL,
+  range_end      TEXT NOT NULL,
+  status         VARCHAR(16) NOT NULL DEFAULT 'RUNNING'
+                   CHECK (status IN ('RUNNING', 'COMPLETED', 'FAILED')),
+  triggered_by   VARCHAR(255) NOT NULL,
+  paypal_count   INTEGER NOT NULL DEFAULT 0,
+  local_count    INTEGER NOT NULL DEFAULT 0,
+  matched_count  INTEGER NOT NULL DEFAULT 0,
+  issue_count    INTEGER NOT NULL DEFAULT 0,
+  error          TEXT,
+  started_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  finished_at    TEXT
+);
+
+CREATE INDEX IF NOT EXISTS reconciliation_runs_started_at_idx
+  ON reconciliation_runs (started_at DESC);
+
+-- MISSING: PayPal has the capture and we don't; EXTRA: we have a transaction
+-- PayPal doesn't report; MISMATCH: both have it but amount, currency or status differ
+CREATE TABLE IF NOT EXISTS reconciliation_issues (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id           INTEGER NOT NULL REFERENCES reconciliation_runs (id) ON DELETE CASCADE,
+  kind             VARCHAR(16) NOT NULL CHECK (kind IN ('MISSING', 'EXTRA', 'MISMATCH')),
+  transaction_id   VARCHAR(64) NOT NULL,
+  paypal_amount    NUMERIC(12, 2),
+  paypal_currency  CHAR(3),
+  paypal_status    VARCHAR(32),
+  paypal_date      TEXT,
+  local_amount     NUMERIC(12, 2),
+  local_currency   CHAR(3),
+  local_status     VARCHAR(32),
+  details          TEXT,
+  status           VARCHAR(16) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'RESOLVED')),
+  resolved_by      VARCHAR(255),
+  resolution_note  TEXT,
+  resolved_at      TEXT,
+  first_seen_at    TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_seen_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS reconciliation_issues_open_key
+  ON reconciliation_issues (transaction_id, kind) WHERE status = 'OPEN';
+CREATE INDEX IF NOT EXISTS reconciliation_issues_status_idx
+  ON reconciliation_issues (status, last_seen_at DESC);
@@ -0,0 +1,42 @@
+-- Mirrors migrations/019_audit_log.up.sql (SQLite has no TRUNCATE)
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at    TEXT NOT NULL,
+  actor         VARCHAR(255) NOT NULL,
+  action        VARCHAR(64) NOT NULL,
+  entity_type   VARCHAR(64) NOT NULL,
+  entity_id     VARCHAR(255),
+  before_state  TEXT,
+  after_state   TEXT,
+  request_id    VARCHAR(64),
+  ip            VARCHAR(64),
+  prev_hash     CHAR(64) NOT NULL UNIQUE,
+  hash          CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS audit_log_action_idx ON audit_log (action);
+CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at);
+
+CREATE TABLE IF NOT EXISTS audit_log_head (
+  id         INTEGER PRIMARY KEY CHECK (id = 1),
+  last_id    INTEGER,
+  last_hash  CHAR(64) NOT NULL
+);
+
+INSERT INTO audit_log_head (id, last_id, last_hash)
+VALUES (1, NULL, '0000000000000000000000000000000000000000000000000000000000000000')
+ON CONFLICT (id) DO NOTHING;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+  BEFORE UPDATE ON audit_log
+  BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+  END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+  BEFORE DELETE ON audit_log
+  BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+  END;
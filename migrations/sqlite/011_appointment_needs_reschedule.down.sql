@@ -0,0 +1,36 @@
+-- migrate: no-foreign-keys
+-- Rebuilds the table with the old CHECK; see the .up.sql file
+
+UPDATE appointments SET status = 'EXPIRED' WHERE status = 'NEEDS_RESCHEDULE';
+
+CREATE TABLE appointments_rebuilt (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  consultant_id   INTEGER NOT NULL REFERENCES consultants (id),
+  service_id      INTEGER REFERENCES services (id),
+  service_name    VARCHAR(255) NOT NULL,
+  starts_at       TEXT NOT NULL,
+  ends_at         TEXT NOT NULL,
+  status          VARCHAR(16) NOT NULL DEFAULT 'HELD'
+                    CHECK (status IN ('HELD', 'CONFIRMED', 'CANCELLED', 'EXPIRED')),
+  client_name     VARCHAR(255) NOT NULL,
+  client_email    VARCHAR(255) NOT NULL,
+  client_phone    VARCHAR(20),
+  notes           TEXT,
+  hold_expires_at TEXT,
+  order_id        VARCHAR(64),
+  transaction_id  VARCHAR(64),
+  sequence        INTEGER NOT NULL DEFAULT 0,
+  cancelled_at    TEXT,
+  created_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+INSERT INTO appointments_rebuilt SELECT * FROM appointments;
+DROP TABLE appointments;
+ALTER TABLE appointments_rebuilt RENAME TO appointments;
+
+CREATE UNIQUE INDEX IF NOT EXISTS appointments_active_slot_key
+  ON appointments (consultant_id, starts_at) WHERE status IN ('HELD', 'CONFIRMED');
+CREATE UNIQUE INDEX IF NOT EXISTS appointments_order_id_key
+  ON appointments (order_id) WHERE order_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS appointments_starts_at_idx ON appointments (starts_at);
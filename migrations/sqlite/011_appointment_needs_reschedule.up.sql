@@ -0,0 +1,39 @@
+-- migrate: no-foreign-keys
+-- Mirrors migrations/020_appointment_needs_reschedule.up.sql. SQLite can't alter
+-- a CHECK constraint, so the table is rebuilt following sqlite.org's steps:
+-- lib/migrate.js turns foreign keys off around this file, as dropping the old
+-- table would otherwise fail for appointments with documents, and checks them
+-- before committing. documents.appointment_id refers to the table by name, so
+-- it points at the rebuilt one.
+
+CREATE TABLE appointments_rebuilt (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  consultant_id   INTEGER NOT NULL REFERENCES consultants (id),
+  service_id      INTEGER REFERENCES services (id),
+  service_name    VARCHAR(255) NOT NULL,
+  starts_at       TEXT NOT NULL,
+  ends_at         TEXT NOT NULL,
+  status          VARCHAR(16) NOT NULL DEFAULT 'HELD'
+                    CHECK (status IN ('HELD', 'CONFIRMED', 'CANCELLED', 'EXPIRED', 'NEEDS_RESCHEDULE')),
+  client_name     VARCHAR(255) NOT NULL,
+  client_email    VARCHAR(255) NOT NULL,
+  client_phone    VARCHAR(20),
+  notes           TEXT,
+  hold_expires_at TEXT,
+  order_id        VARCHAR(64),
+  transaction_id  VARCHAR(64),
+  sequence        INTEGER NOT NULL DEFAULT 0,
+  cancelled_at    TEXT,
+  created_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+INSERT INTO appointments_rebuilt SELECT * FROM appointments;
+DROP TABLE appointments;
+ALTER TABLE appointments_rebuilt RENAME TO appointments;
+
+CREATE UNIQUE INDEX IF NOT EXISTS appointments_active_slot_key
+  ON appointments (consultant_id, starts_at) WHERE status IN ('HELD', 'CONFIRMED');
+CREATE UNIQUE INDEX IF NOT EXISTS appointments_order_id_key
+  ON appointments (order_id) WHERE order_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS appointments_starts_at_idx ON appointments (starts_at);
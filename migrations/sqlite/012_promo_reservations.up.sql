@@ -0,0 +1,13 @@
+-- Mirrors migrations/021_promo_reservations.up.sql
+
+CREATE TABLE IF NOT EXISTS promo_reservations (
+  order_id      VARCHAR(64) PRIMARY KEY REFERENCES payment_orders (order_id),
+  promo_code_id INTEGER NOT NULL REFERENCES promo_codes (id),
+  payer_email   VARCHAR(255) NOT NULL,
+  expires_at    TEXT NOT NULL,
+  capture_unknown_at TEXT,
+  created_at    TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS promo_reservations_promo_code_id_idx
+  ON promo_reservations (promo_code_id, expires_at);
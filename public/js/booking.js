@@ -0,0 +1,207 @@
+// /public/js/booking.js
+// Consultation booking (views/book.ejs): pick a service and a free slot, enter
+// your details, then the slot is held while you pay with PayPal. The booking is
+// confirmed server-side once the payment is captured (see routes/appointments.js).
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("booking-form");
+  const slotsEl = document.getElementById("slots");
+  const moreBtn = document.getElementById("more-slots");
+  const holdBtn = document.getElementById("hold-btn");
+  const payStep = document.getElementById("step-pay");
+  const summary = document.getElementById("summary");
+  const feedback = document.getElementById("feedback");
+  const container = payStep.querySelector(".paypal-button-container");
+  const promoInput = document.getElementById("promo-code");
+  const promoResult = document.getElementById("promo-result");
+
+  const PAGE_DAYS = 14;
+  const TIME_ZONE = "Africa/Johannesburg";
+  const dayFormat = new Intl.DateTimeFormat("en-ZA", {
+    timeZone: TIME_ZONE, weekday: "long", day: "numeric", month: "long",
+  });
+  const timeFormat = new Intl.DateTimeFormat("en-ZA", {
+    timeZone: TIME_ZONE, hour: "2-digit", minute: "2-digit", hour12: false,
+  });
+
+  let nextFrom = null;
+  let selected = null;
+  let hold = null;
+  // Checked with the server before it is sent with the order
+  let promoCode = null;
+
+  function showFeedback(type, msg) {
+    feedback.className = type;
+    feedback.textContent = msg;
+  }
+
+  // 1) Free slots, grouped by SAST day
+  async function loadSlots({ append = false } = {}) {
+    const params = new URLSearchParams({ days: PAGE_DAYS });
+    if (append && nextFrom) params.set("from", nextFrom);
+    const r = await fetch(`/api/availability?${params}`, { cache: "no-store" });
+    if (!r.ok) throw new Error("Could not load available times");
+    const { from, days, slots } = await r.json();
+
+    const next = new Date(`${from}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    nextFrom = next.toISOString().slice(0, 10);
+
+    if (!append) {
+      slotsEl.innerHTML = "";
+      selected = null;
+      holdBtn.disabled = true;
+    }
+    renderSlots(slots);
+    if (!slotsEl.children.length) {
+      slotsEl.textContent = "No times are available in the next two weeks.";
+    }
+    moreBtn.hidden = false;
+  }
+
+  function renderSlots(slots) {
+    if (slots.length && !slotsEl.querySelector(".slot-day")) slotsEl.textContent = "";
+    for (const slot of slots) {
+      const label = dayFormat.format(new Date(slot.starts_at));
+      let day = [...slotsEl.querySelectorAll(".slot-day")].find(d => d.dataset.day === label);
+      if (!day) {
+        day = document.createElement("div");
+        day.className = "slot-day";
+        day.dataset.day = label;
+        const h = document.createElement("h3");
+        h.textContent = label;
+        const list = document.createElement("div");
+        list.className = "slot-list";
+        day.append(h, list);
+        slotsEl.appendChild(day);
+      }
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "slot";
+      btn.textContent = timeFormat.format(new Date(slot.starts_at));
+      const who = document.createElement("small");
+      who.textContent = slot.consultant_name;
+      btn.appendChild(who);
+      btn.addEventListener("click", () => {
+        slotsEl.querySelectorAll(".slot.selected").forEach(b => b.classList.remove("selected"));
+        btn.classList.add("selected");
+        selected = slot;
+        holdBtn.disabled = false;
+      });
+      day.querySelector(".slot-list").appendChild(btn);
+    }
+  }
+
+  moreBtn.addEventListener("click", () =>
+    loadSlots({ append: true }).catch(err => showFeedback("error", err.message))
+  );
+
+  // 2) Hold the slot, then show the PayPal buttons
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (!selected) return showFeedback("error", "Choose a time slot.");
+    holdBtn.disabled = true;
+    holdBtn.textContent = "Holding your time…";
+    feedback.className = "";
+
+    try {
+      hold = await LusizoOrders.postJSON("/api/appointments/hold", {
+        consultant_id: selected.consultant_id,
+        starts_at: selected.starts_at,
+        service: form.service.value,
+        name: form.name.value,
+        email: form.email.value,
+        phone: form.phone.value,
+        notes: form.notes.value,
+        website: form.website.value,
+        ...(await LusizoChallenge.fresh()),
+      });
+    } catch (err) {
+      holdBtn.textContent = "Continue to payment";
+      if (err.code === "SLOT_UNAVAILABLE") {
+        showFeedback("error", err.message);
+        return loadSlots().catch(() => {});
+      }
+      holdBtn.disabled = false;
+      const fields = (err.details || []).map(d => d.msg).filter(Boolean);
+      return showFeedback("error", fields.length ? fields.join(" ") : err.message);
+    }
+
+    const { appointment } = hold;
+    summary.textContent =
+      `${appointment.service_name} with ${appointment.consultant_name}, ${appointment.when}`;
+    form.hidden = true;
+    payStep.hidden = false;
+    renderButtons().catch(err => {
+      console.error("❌ Failed to load PayPal SDK:", err);
+      showFeedback("error", "Could not load PayPal. Please try again later.");
+    });
+  });
+
+  // Optional promo code: show the discounted price before paying
+  document.getElementById("apply-promo").addEventListener("click", async () => {
+    promoCode = null;
+    promoResult.textContent = "";
+    const code = promoInput.value.trim();
+    if (!code) return;
+    try {
+      const priced = await LusizoOrders.postJSON("/api/validate-service", {
+        name: hold.appointment.service_name,
+        promo_code: code,
+        email: form.email.value,
+      });
+      promoCode = priced.promo.code;
+      promoResult.textContent =
+        `${promoCode} applied: R ${priced.promo.discount} off, ` +
+        `so you'll pay R ${priced.price} instead of R ${priced.promo.list_price}.`;
+    } catch (err) {
+      const fields = (err.details || []).map(d => d.msg).filter(Boolean);
+      promoResult.textContent = fields.length ? fields.join(" ") : err.message;
+    }
+  });
+  promoInput.addEventListener("input", () => {
+    promoCode = null;
+    promoResult.textContent = "";
+  });
+
+  document.getElementById("change-slot").addEventListener("click", () => {
+    hold = null;
+    container.innerHTML = "";
+    payStep.hidden = true;
+    form.hidden = false;
+    holdBtn.textContent = "Continue to payment";
+    feedback.className = "";
+    loadSlots().catch(err => showFeedback("error", err.message));
+  });
+
+  // 3) Pay for the held slot (the SDK is loaded by checkout.js)
+  async function renderButtons() {
+    await LusizoCheckout.loadSDK();
+    container.innerHTML = "";
+    paypal.Buttons({
+      createOrder: () =>
+        LusizoOrders.create({
+          appointment_id: hold.appointment.id,
+          appointment_token: hold.hold_token,
+          ...(promoCode && { promo_code: promoCode }),
+        }),
+      onApprove: (data) =>
+        LusizoOrders.capture(data.orderID)
+          .then(() => {
+            payStep.hidden = true;
+            showFeedback(
+              "success",
+              `You're booked for ${hold.appointment.when}. ` +
+                "We've emailed your confirmation and calendar invite."
+            );
+          })
+          .catch(err => showFeedback("error", `Payment could not be completed: ${err.message}`)),
+      onError: (err) => {
+        console.error("PayPal error:", err);
+        showFeedback("error", err.message || "Payment error—please try again.");
+      },
+    }).render(container);
+  }
+
+  loadSlots().catch(err => showFeedback("error", err.message));
+});
@@ -0,0 +1,34 @@
+// /public/js/challenge.js
+// Solves the server's proof-of-work challenge (see lib/abuse.js): find a counter
+// so that SHA-256("<challenge>:<counter>") starts with the required zero bits.
+// Protected endpoints expect the result as { _challenge, _pow } in the body.
+(function () {
+  const encoder = new TextEncoder();
+
+  function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+      if (byte !== 0) return bits + Math.clz32(byte) - 24;
+      bits += 8;
+    }
+    return bits;
+  }
+
+  async function solve(challenge) {
+    const required = Number(challenge.split(".")[2]);
+    for (let counter = 0; ; counter++) {
+      const digest = await crypto.subtle.digest("SHA-256", encoder.encode(`${challenge}:${counter}`));
+      if (leadingZeroBits(new Uint8Array(digest)) >= required) return String(counter);
+    }
+  }
+
+  // Fetch a new challenge and solve it, ready to spread into a JSON payload
+  async function fresh() {
+    const r = await fetch("/api/challenge", { cache: "no-store" });
+    const { challenge, error } = await r.json();
+    if (!r.ok) throw new Error(error?.message || "Could not load a challenge");
+    return { _challenge: challenge, _pow: await solve(challenge) };
+  }
+
+  window.LusizoChallenge = { solve, fresh };
+})();
@@ -0,0 +1,237 @@
+// /public/js/checkout.js
+// The site's PayPal checkout, used by the homepage service cards and /payonline.
+// Each [data-checkout] block pays either for a catalogue service (its
+// data-service names one from /api/services) or for the amount typed into its
+// [data-checkout-amount] input, which /api/validate-custom approves first. Its
+// .buy-btn prices the payment and shows PayPal's buttons in its
+// .paypal-button-container; progress and errors are shown in its
+// [data-checkout-status] element. Orders are created and captured by the server
+// (see orders.js), then the payer is sent to their receipt page.
+(function () {
+  const SDK_TIMEOUT_MS = 20000;
+
+  // 1) The PayPal SDK, loaded once; a failed load is forgotten so the next
+  // attempt starts over
+  let sdk = null;
+  function loadSDK() {
+    sdk = sdk || injectSDK().catch((err) => {
+      sdk = null;
+      throw err;
+    });
+    return sdk;
+  }
+
+  async function injectSDK() {
+    if (window.paypal) return;
+    const r = await fetch("/config/paypal");
+    const config = await r.json();
+    if (!r.ok) throw new Error(config.error?.message || "PayPal is not configured");
+
+    await new Promise((resolve, reject) => {
+      const s = document.createElement("script");
+      const fail = (message) => {
+        clearTimeout(timer);
+        s.remove();
+        reject(new Error(message));
+      };
+      const timer = setTimeout(() => fail("PayPal took too long to load"), SDK_TIMEOUT_MS);
+      s.src = "https://www.paypal.com/sdk/js?" +
+        new URLSearchParams({ "client-id": config.clientId, currency: config.currency });
+      s.onload = () => {
+        clearTimeout(timer);
+        if (window.paypal) resolve();
+        else fail("PayPal could not be loaded");
+      };
+      s.onerror = () => fail("PayPal could not be loaded");
+      document.head.appendChild(s);
+    });
+  }
+
+  // 2) The active catalogue, every page of it, fetched once
+  let catalogue = null;
+  function loadCatalogue() {
+    catalogue = catalogue || fetchCatalogue().catch((err) => {
+      catalogue = null;
+      throw err;
+    });
+    return catalogue;
+  }
+
+  async function fetchCatalogue() {
+    const services = [];
+    let url = "/api/services?per_page=100";
+    while (url) {
+      const r = await fetch(url);
+      if (!r.ok) throw new Error("Our services could not be loaded");
+      services.push(...(await r.json()));
+      const next = /<([^>]+)>;\s*rel="next"/.exec(r.headers.get("Link") || "");
+      url = next && next[1];
+    }
+    return services;
+  }
+
+  const zar = (value) => `R ${Number(value).toFixed(2)}`;
+  const charged = (charge) =>
+    `${zar(charge.amount_zar)}, charged by PayPal as ${charge.currency} ${charge.amount}`;
+
+  // Field messages from a VALIDATION_ERROR read better than its summary
+  const reason = (err) => {
+    const fields = (err.details || []).map((d) => d.msg).filter(Boolean);
+    return fields.length ? fields.join(" ") : err.message;
+  };
+
+  // 3) What to order: resolves to { payload, summary } or throws a message for the payer
+  async function priceService(name) {
+    const service = (await loadCatalogue()).find((s) => s.name === name);
+    if (!service) {
+      throw new Error(`${name} can't be paid for online at the moment. Please contact us.`);
+    }
+    return {
+      payload: { service: service.name },
+      summary: `${service.name}: ${charged(service.charge)}`,
+    };
+  }
+
+  async function priceAmount(input) {
+    const amount = parseFloat(input.value.replace(",", "."));
+    const min = parseFloat(input.min) || 0.01;
+    if (isNaN(amount) || amount < min) {
+      throw new Error(`Enter an amount of at least ${zar(min)}.`);
+    }
+    const approved = await LusizoOrders.postJSON("/api/validate-custom", {
+      amount,
+      ...(await LusizoChallenge.fresh()),
+    });
+    return { payload: { amount: Number(approved.amount) }, summary: charged(approved.charge) };
+  }
+
+  // 4) One checkout block
+  function attach(root) {
+    const trigger = root.querySelector(".buy-btn");
+    const container = root.querySelector(".paypal-button-container");
+    const status = root.querySelector("[data-checkout-status]");
+    const amountInput = root.querySelector("[data-checkout-amount]");
+    const spinner = trigger.querySelector(".spinner");
+    let buttons = null;
+
+    function show(type, msg) {
+      status.className = `checkout-status ${type}`;
+      status.textContent = msg;
+      status.hidden = false;
+    }
+
+    function clear() {
+      status.className = "checkout-status";
+      status.textContent = "";
+      status.hidden = true;
+    }
+
+    function busy(on) {
+      trigger.disabled = on;
+      trigger.setAttribute("aria-busy", String(on));
+      if (spinner) spinner.toggleAttribute("hidden", !on);
+    }
+
+    // Back to the Pay Now button, e.g. after a failure or when the amount changes
+    function reset() {
+      buttons = null;
+      container.innerHTML = "";
+      container.hidden = true;
+      trigger.hidden = false;
+      busy(false);
+    }
+
+    async function start() {
+      busy(true);
+      show("info", "Checking the price…");
+      let priced;
+      try {
+        priced = root.dataset.service
+          ? await priceService(root.dataset.service)
+          : await priceAmount(amountInput);
+      } catch (err) {
+        busy(false);
+        return show("error", reason(err));
+      }
+
+      show("info", "Loading PayPal…");
+      try {
+        await loadSDK();
+      } catch (err) {
+        console.error("❌ Failed to load PayPal SDK:", err);
+        busy(false);
+        return show(
+          "error",
+          "PayPal couldn't be loaded. Check your connection and press Pay Now to try again."
+        );
+      }
+
+      // Only one checkout open at a time
+      document.dispatchEvent(new CustomEvent("checkout:open", { detail: root }));
+      trigger.hidden = true;
+      container.hidden = false;
+      container.innerHTML = "";
+      show("info", `${priced.summary}. Choose how to pay below.`);
+
+      buttons = paypal.Buttons({
+        createOrder: () => LusizoOrders.create(priced.payload),
+        onApprove: (data) => {
+          show("info", "Confirming your payment…");
+          container.hidden = true;
+          return LusizoOrders.capture(data.orderID)
+            .then(({ transaction }) => {
+              show("success", "Payment received. Taking you to your receipt…");
+              window.location.assign(transaction.receipt_url);
+            })
+            .catch((err) => {
+              reset();
+              show("error", `Payment could not be completed: ${reason(err)}`);
+            });
+        },
+        onCancel: () => show("info", "Payment cancelled. You have not been charged."),
+        onError: (err) => {
+          console.error("PayPal error:", err);
+          reset();
+          show("error", "PayPal couldn't complete the payment. Please try again.");
+        },
+      });
+      try {
+        await buttons.render(container);
+      } catch (err) {
+        console.error("PayPal error:", err);
+        reset();
+        show("error", "PayPal couldn't be shown. Please press Pay Now to try again.");
+      }
+    }
+
+    trigger.addEventListener("click", (e) => {
+      e.preventDefault();
+      // Links can't be disabled
+      if (trigger.getAttribute("aria-busy") !== "true") start();
+    });
+    document.addEventListener("checkout:open", (e) => {
+      if (e.detail !== root && buttons) {
+        reset();
+        clear();
+      }
+    });
+
+    if (amountInput) {
+      const check = () => {
+        trigger.disabled = !(parseFloat(amountInput.value.replace(",", ".")) > 0);
+      };
+      amountInput.addEventListener("input", () => {
+        if (buttons) reset();
+        clear();
+        check();
+      });
+      check();
+    }
+  }
+
+  document.addEventListener("DOMContentLoaded", () => {
+    document.querySelectorAll("[data-checkout]").forEach(attach);
+  });
+
+  window.LusizoCheckout = { loadSDK };
+})();
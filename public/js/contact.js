@@ -0,0 +1,100 @@
+// /public/js/contact.js
+// Progressive enhancement for the "Let's Collaborate Now!" form: submits to
+// /api/contact with fetch and shows field errors inline. A challenge is fetched
+// and solved in the background as soon as the page loads (challenge.js); each
+// one can only be used once, so a fresh one is fetched after every rejected attempt.
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("contact-form");
+  if (!form) return;
+
+  const block   = form.closest(".contact-form-block");
+  const done    = block.querySelector(".w-form-done");
+  const fail    = block.querySelector(".w-form-fail");
+  const submit  = form.querySelector('[type="submit"]');
+  const label   = submit.value;
+
+  let proof = prepare();
+
+  // Awaited on submit; until then a failure mustn't surface as an unhandled rejection
+  function prepare() {
+    const pending = LusizoChallenge.fresh();
+    pending.catch(() => {});
+    return pending;
+  }
+
+  function clearErrors() {
+    form.querySelectorAll(".field-error").forEach(p => {
+      p.hidden = true;
+      p.textContent = "";
+    });
+    form.querySelectorAll("[aria-invalid]").forEach(el => el.removeAttribute("aria-invalid"));
+    fail.style.display = "none";
+  }
+
+  function showFieldErrors(details) {
+    let first = null;
+    details.forEach(({ path, msg }) => {
+      const slot  = form.querySelector(`[data-error-for="${path}"]`);
+      const field = form.elements[path];
+      if (!slot || !slot.hidden) return;  // one message per field
+      slot.textContent = msg;
+      slot.hidden = false;
+      if (field) {
+        field.setAttribute("aria-invalid", "true");
+        first = first || field;
+      }
+    });
+    if (first) first.focus();
+  }
+
+  function showFailure(message) {
+    fail.querySelector("div").textContent = message;
+    fail.style.display = "block";
+  }
+
+  form.addEventListener("submit", async e => {
+    e.preventDefault();
+    // Keep Webflow's own form handler from also submitting
+    e.stopPropagation();
+    clearErrors();
+
+    const payload = Object.fromEntries(new FormData(form).entries());
+    delete payload._csrf;
+
+    submit.disabled = true;
+    submit.value = submit.dataset.wait || "Please wait...";
+    try {
+      Object.assign(payload, await proof);
+      const resp = await fetch(form.action, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-csrf-token": document.querySelector('meta[name="csrf-token"]').content
+        },
+        body: JSON.stringify(payload)
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) proof = prepare();
+
+      if (resp.ok) {
+        form.reset();
+        form.style.display = "none";
+        done.style.display = "block";
+        done.focus();
+        return;
+      }
+      if (data.error?.code === "VALIDATION_ERROR" && Array.isArray(data.error.details)) {
+        showFieldErrors(data.error.details);
+      } else {
+        showFailure(data.error?.message || "Oops! Something went wrong while submitting the form.");
+      }
+    } catch (err) {
+      console.error("❌ Contact form error:", err);
+      proof = prepare();
+      showFailure("We couldn't reach the server. Please check your connection and try again.");
+    } finally {
+      submit.disabled = false;
+      submit.value = label;
+    }
+  }, true);
+});
@@ -0,0 +1,56 @@
+// /public/js/orders.js
+// Creates and captures PayPal orders through the server. Every call carries an
+// Idempotency-Key, so a retried request (or a double click) is answered with the
+// first result instead of charging twice. Captures use one key per order. If the
+// server reports that this payer already paid for the same service recently, the
+// payer is asked to confirm before being charged again.
+(function () {
+  // Network failures are retried once with the same key
+  async function postJSON(url, payload, { idempotencyKey, retries = 1 } = {}) {
+    const csrf = document.querySelector('meta[name="csrf-token"]');
+    const headers = {
+      "Content-Type": "application/json",
+      "x-csrf-token": csrf ? csrf.content : "",
+    };
+    if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+
+    let r;
+    try {
+      r = await fetch(url, { method: "POST", headers, body: JSON.stringify(payload) });
+    } catch (networkError) {
+      if (!idempotencyKey || retries < 1) throw networkError;
+      return postJSON(url, payload, { idempotencyKey, retries: retries - 1 });
+    }
+    const data = await r.json();
+    if (!r.ok) {
+      const err = new Error(data.error?.message || "Request failed");
+      err.code = data.error?.code;
+      err.details = data.error?.details;
+      throw err;
+    }
+    return data;
+  }
+
+  // Resolves to the PayPal order id
+  function create(payload) {
+    return postJSON("/api/orders", payload, { idempotencyKey: crypto.randomUUID() })
+      .then(order => order.id);
+  }
+
+  // Resolves to { success, message, transaction }
+  async function capture(orderId) {
+    const url = `/api/orders/${encodeURIComponent(orderId)}/capture`;
+    const idempotencyKey = `capture-${orderId}`;
+    try {
+      return await postJSON(url, {}, { idempotencyKey });
+    } catch (err) {
+      if (err.code !== "POSSIBLE_DUPLICATE_PAYMENT") throw err;
+      if (!confirm(err.message)) {
+        throw new Error("Payment cancelled — you have not been charged again.");
+      }
+      return postJSON(url, { confirm_duplicate: true }, { idempotencyKey });
+    }
+  }
+
+  window.LusizoOrders = { postJSON, create, capture };
+})();
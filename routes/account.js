@@ -0,0 +1,245 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Client Portal (/account)
+// Payers sign in with a one-time link emailed to the address they paid with
+// (lib/client-auth.js) and see their payments, invoices and bookings. The
+// emailed link opens a page with a "Continue" button rather than signing in
+// straight away, so mail scanners that follow links don't use it up.
+// ───────────────────────────────────────────────────────────────────────────────
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { CLIENT_SESSION_COOKIE } = require("../lib/client-auth");
+const { formatZar } = require("../lib/currency");
+const { formatWhen } = require("../lib/appointments");
+const { DOCUMENT_CATEGORIES } = require("../lib/documents");
+
+// How each payment status reads to the client
+const PAYMENT_STATUS_LABELS = {
+  COMPLETED: "Paid",
+  PENDING: "Processing",
+  PARTIALLY_REFUNDED: "Partly refunded",
+  REFUNDED: "Refunded",
+  REVERSED: "Reversed",
+  DISPUTED: "Under dispute",
+  DENIED: "Declined",
+};
+
+function createAccountRouter({
+  repos,
+  outbox,
+  clientAuth,
+  logger,
+  wrap,
+  ApiError,
+  guard,
+  uploadGuard,
+  documents,
+  renderInvoicePdf,
+  siteUrl,
+  appointmentUrl,
+  secureCookies,
+}) {
+  const router = express.Router();
+
+  const cookieOptions = {
+    httpOnly: true,
+    secure: secureCookies,
+    sameSite: "strict",
+    path: "/account",
+  };
+
+  const render = (res, view, locals = {}) =>
+    res.render(`account/${view}`, {
+      nonce: res.locals.nonce,
+      csrfToken: res.req.csrfToken(),
+      clientEmail: res.req.clientEmail || null,
+      ...locals,
+    });
+
+  const renderLogin = (res, { sent = false, error = null, email = "" } = {}) =>
+    render(res, "login", {
+      sent,
+      error,
+      email,
+      linkTtlMinutes: clientAuth.linkTtlMinutes,
+      unverified: res.req.query.login === "unverified",
+    });
+
+  // Attach the signed-in email, if any
+  router.use(
+    "/account",
+    wrap(async (req, res, next) => {
+      req.clientEmail = await clientAuth.findSession(req.cookies[CLIENT_SESSION_COOKIE]);
+      res.set("Cache-Control", "no-store");
+      next();
+    })
+  );
+
+  const renderDashboard = async (req, res, { error = null } = {}) => {
+    const [transactions, appointments, sent] = await Promise.all([
+      repos.transactions.listForPayer(req.clientEmail),
+      repos.appointments.listForClient(req.clientEmail),
+      repos.documents.listForClient(req.clientEmail),
+    ]);
+    const now = new Date();
+    render(res, "index", {
+      transactions: transactions.map((t) => ({
+        ...t,
+        statusLabel: PAYMENT_STATUS_LABELS[t.payment_status] || t.payment_status,
+        amountZar: t.amount_zar === null ? null : formatZar(t.amount_zar),
+        refunded: Number(t.refunded_amount) > 0 ? `${t.currency} ${t.refunded_amount}` : null,
+      })),
+      appointments: appointments.map((a) => {
+        const upcoming = a.status === "CONFIRMED" && new Date(a.ends_at) > now;
+        // Paid for, but its time was taken; the manage page lets them pick another
+        const needsReschedule = a.status === "NEEDS_RESCHEDULE";
+        return {
+          ...a,
+          when: formatWhen(a.starts_at),
+          upcoming,
+          needsReschedule,
+          manageUrl: upcoming || needsReschedule ? appointmentUrl(req, a) : null,
+        };
+      }),
+      documents: sent,
+      categories: DOCUMENT_CATEGORIES,
+      maxFileMb: documents.settings.maxFileMb,
+      maxFiles: documents.settings.maxFilesPerUpload,
+      flash: req.query.flash || null,
+      error,
+    });
+  };
+
+  router.get(
+    "/account",
+    wrap(async (req, res) => {
+      if (!req.clientEmail) return renderLogin(res);
+      await renderDashboard(req, res);
+    })
+  );
+
+  // Multipart form, so the CSRF token comes in the query string
+  router.post(
+    "/account/documents",
+    uploadGuard,
+    wrap(async (req, res) => {
+      if (!req.clientEmail) return res.redirect(303, "/account");
+      try {
+        await documents.receive(req, res);
+        const transaction = /^[A-Z0-9]{1,64}$/i.test(req.body.transaction_id || "")
+          ? await repos.transactions.find(req.body.transaction_id)
+          : null;
+        if (!transaction || String(transaction.payer_email).toLowerCase() !== req.clientEmail) {
+          throw new ApiError(400, "TRANSACTION_NOT_FOUND", "Choose which payment these are for.");
+        }
+        const saved = await documents.save(req.files, {
+          category: req.body.category,
+          transactionId: transaction.transaction_id,
+          uploadedBy: req.clientEmail,
+          ip: req.ip,
+          requestId: req.requestId,
+        });
+        const count = `${saved.length} document${saved.length > 1 ? "s" : ""}`;
+        const flash = `Thank you, we've received ${count}.`;
+        res.redirect(303, `/account?flash=${encodeURIComponent(flash)}`);
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        res.status(err.statusCode);
+        await renderDashboard(req, res, { error: err.message });
+      }
+    })
+  );
+
+  // Same answer whether or not we know the address, so it can't be used to find
+  // out who our clients are
+  router.post(
+    "/account/login",
+    guard,
+    body("email").trim().isEmail().isLength({ max: 255 }),
+    wrap(async (req, res) => {
+      if (!validationResult(req).isEmpty()) {
+        res.status(400);
+        return renderLogin(res, {
+          error: "Enter the email address you paid with.",
+          email: req.body.email || "",
+        });
+      }
+      const email = req.body.email.toLowerCase();
+
+      if (await repos.transactions.hasPayer(email)) {
+        const token = await clientAuth.createLoginToken(email);
+        await outbox.enqueue("client-login", {
+          to: email,
+          data: {
+            loginUrl: `${siteUrl(req)}/account/verify?token=${encodeURIComponent(token)}`,
+            ttlMinutes: clientAuth.linkTtlMinutes,
+          },
+        });
+        logger.info("🔑 Client sign-in link sent", { email, requestId: req.requestId });
+      } else {
+        logger.info("🔑 Client sign-in requested for unknown email", {
+          email,
+          requestId: req.requestId,
+        });
+      }
+      renderLogin(res, { sent: true, email });
+    })
+  );
+
+  router.get("/account/verify", (req, res) => {
+    if (!req.query.token) return res.redirect("/account");
+    render(res, "verify", { token: String(req.query.token) });
+  });
+
+  router.post(
+    "/account/verify",
+    wrap(async (req, res) => {
+      const email = await clientAuth.redeemLoginToken(req.body.token);
+      if (!email) {
+        res.status(400);
+        return renderLogin(res, {
+          error: "That sign-in link has expired or was already used. Request a new one below.",
+        });
+      }
+      const { token, maxAge } = await clientAuth.createSession(email, {
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+      res.cookie(CLIENT_SESSION_COOKIE, token, { ...cookieOptions, maxAge });
+      logger.info("🔑 Client signed in", { email, requestId: req.requestId });
+      res.redirect(303, "/account");
+    })
+  );
+
+  router.post(
+    "/account/logout",
+    wrap(async (req, res) => {
+      await clientAuth.destroySession(req.cookies[CLIENT_SESSION_COOKIE]);
+      res.clearCookie(CLIENT_SESSION_COOKIE, cookieOptions);
+      res.redirect(303, "/account");
+    })
+  );
+
+  // Invoices of the signed-in payer only; anyone else's number is "not found"
+  router.get(
+    "/account/invoices/:number.pdf",
+    wrap(async (req, res) => {
+      if (!req.clientEmail) return res.redirect("/account");
+      const invoice = await repos.invoices.findByNumber(req.params.number);
+      const transaction = invoice && (await repos.transactions.find(invoice.transaction_id));
+      if (!transaction || String(transaction.payer_email).toLowerCase() !== req.clientEmail) {
+        throw new ApiError(404, "INVOICE_NOT_FOUND", "Invoice not found");
+      }
+
+      const pdf = await renderInvoicePdf(invoice);
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${invoice.invoice_number}.pdf"`,
+      });
+      res.send(pdf);
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createAccountRouter };
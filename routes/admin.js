@@ -0,0 +1,1292 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Admin Back Office (/admin)
+// Server-rendered EJS pages for staff: services, transactions, refunds,
+// revenue reports, PayPal reconciliation, the audit log, promo codes,
+// appointments and consultants' availability, client documents, contact
+// enquiries, outgoing email and the spam blocklist.
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { SESSION_COOKIE } = require("../lib/admin-auth");
+const { addBlock, BLOCK_KINDS } = require("../lib/abuse");
+const { OUTBOX_STATUSES } = require("../lib/outbox");
+const { DOCUMENT_CATEGORIES } = require("../lib/documents");
+const { reportOptions, summariseTransactions, REPORT_PERIODS } = require("../lib/reports");
+const { dayRange } = require("../lib/reconciliation");
+const { appendAuditEntry, recordAuditEntry, auditContext } = require("../lib/audit");
+const {
+  normalizePromoCode,
+  describeDiscount,
+  DISCOUNT_TYPES,
+  PROMO_CODE_PATTERN,
+} = require("../lib/promotions");
+const {
+  cancelAppointment,
+  queueAppointmentEmails,
+  formatWhen,
+  formatMinutes,
+  toMinutes,
+  sastDay,
+  addDays,
+  APPOINTMENT_STATUSES,
+  WEEKDAYS,
+} = require("../lib/appointments");
+
+const PAGE_SIZE = 50;
+
+// Date filters are whole days in South African time (UTC+2, no daylight saving)
+const startOfSastDay = (isoDate, addDays = 0) =>
+  new Date(Date.parse(`${isoDate}T00:00:00+02:00`) + addDays * 24 * 60 * 60 * 1000);
+// "Monday 09:00–17:00"
+const windowLabel = (w) =>
+  `${WEEKDAYS[w.weekday]} ${formatMinutes(w.start_minute)}–${formatMinutes(w.end_minute)}`;
+// Service web addresses ("company-registration"), made from the name when left blank
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const slugify = (name) =>
+  String(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 100)
+    .replace(/-+$/, "") || "service";
+const TRANSACTION_STATUSES = [
+  "COMPLETED",
+  "PENDING",
+  "PARTIALLY_REFUNDED",
+  "REFUNDED",
+  "REVERSED",
+  "DISPUTED",
+  "DENIED",
+];
+
+function createAdminRouter({
+  repos,
+  outbox,
+  auth,
+  wrap,
+  ApiError,
+  logger,
+  loginLimiter,
+  minServicePrice,
+  refundTransaction,
+  checkRefundStatus,
+  idempotent,
+  appointmentSettings,
+  appointmentUrl,
+  storage,
+  reconciler,
+  secureCookies,
+}) {
+  const router = express.Router();
+
+  const cookieOptions = {
+    httpOnly: true,
+    secure: secureCookies,
+    sameSite: "strict",
+    path: "/admin",
+  };
+
+  const render = (res, view, locals = {}) =>
+    res.render(`admin/${view}`, {
+      nonce: res.locals.nonce,
+      csrfToken: res.req.csrfToken(),
+      admin: res.req.admin || null,
+      flash: res.req.query.flash || null,
+      ...locals,
+    });
+
+  // Attach the logged-in staff member, if any
+  router.use(
+    wrap(async (req, res, next) => {
+      req.admin = await auth.findSession(req.cookies[SESSION_COOKIE]);
+      res.set("Cache-Control", "no-store");
+      next();
+    })
+  );
+
+  const requireSession = (req, res, next) => {
+    if (req.admin) return next();
+    res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+  };
+
+  // Audit log entry for something the logged-in staff member did
+  const staffAction = (req, entry) => ({ actor: req.admin.email, ...auditContext(req), ...entry });
+
+  // Only ever redirect within the admin area after login
+  const safeNext = (next) => (/^\/admin(\/|$)/.test(next || "") ? next : "/admin");
+
+  // ── Login / logout ─────────────────────────────────────────────────────────
+  router.get("/login", (req, res) => {
+    if (req.admin) return res.redirect("/admin");
+    render(res, "login", { error: null, email: "", next: safeNext(req.query.next) });
+  });
+
+  router.post(
+    "/login",
+    loginLimiter,
+    [body("email").trim().isEmail().normalizeEmail(), body("password").isString().notEmpty()],
+    wrap(async (req, res) => {
+      const next = safeNext(req.body.next);
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        res.status(400);
+        return render(res, "login", {
+          error: "Enter your email and password.",
+          email: req.body.email || "",
+          next,
+        });
+      }
+
+      try {
+        const user = await auth.authenticate(req.body.email, req.body.password);
+        const { token, maxAge } = await auth.createSession(user, {
+          ip: req.ip,
+          userAgent: req.get("User-Agent"),
+        });
+        res.cookie(SESSION_COOKIE, token, { ...cookieOptions, maxAge });
+        await recordAuditEntry(repos, {
+          actor: user.email,
+          action: "admin.login",
+          entityType: "admin_user",
+          entityId: user.id,
+          ...auditContext(req),
+        });
+        logger.info("🔐 Admin logged in", { adminId: user.id, requestId: req.requestId });
+        res.redirect(next);
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        logger.warn("🚫 Admin login failed", {
+          email: req.body.email,
+          code: err.code,
+          ip: req.ip,
+          requestId: req.requestId,
+        });
+        res.status(err.statusCode);
+        render(res, "login", { error: err.message, email: req.body.email, next });
+      }
+    })
+  );
+
+  router.post(
+    "/logout",
+    wrap(async (req, res) => {
+      await auth.destroySession(req.cookies[SESSION_COOKIE]);
+      res.clearCookie(SESSION_COOKIE, cookieOptions);
+      res.redirect("/admin/login");
+    })
+  );
+
+  router.use(requireSession);
+
+  router.get("/", (req, res) => res.redirect("/admin/transactions"));
+
+  // ── Services ───────────────────────────────────────────────────────────────
+  const serviceRules = [
+    body("name").trim().notEmpty().withMessage("Name is required.").isLength({ max: 255 }),
+    body("price")
+      .isFloat({ min: minServicePrice })
+      .withMessage(`Price must be at least R ${minServicePrice}.`)
+      .toFloat(),
+    body("slug")
+      .optional({ values: "falsy" })
+      .trim()
+      .toLowerCase()
+      .matches(SLUG_PATTERN)
+      .withMessage("The web address may only use lower-case letters, digits and dashes.")
+      .isLength({ max: 100 }),
+    body("category").optional().trim().isLength({ max: 64 }),
+    body("description").optional().trim().isLength({ max: 1000 }),
+    body("duration_minutes")
+      .optional({ values: "falsy" })
+      .isInt({ min: 5, max: 480 })
+      .withMessage("Duration must be between 5 and 480 minutes.")
+      .toInt(),
+    body("display_order")
+      .optional({ values: "falsy" })
+      .isInt({ min: 0, max: 100000 })
+      .withMessage("Display order must be a whole number.")
+      .toInt(),
+  ];
+
+  // What the catalogue stores for a submitted service form
+  const serviceFields = (form) => ({
+    name: form.name,
+    slug: form.slug || slugify(form.name),
+    category: form.category || null,
+    description: form.description || null,
+    duration_minutes: form.duration_minutes || null,
+    display_order: form.display_order || 0,
+    price: form.price,
+  });
+
+  // Validation errors plus a clash with another service's slug
+  const serviceErrors = async (req, fields, serviceId = null) => {
+    const errors = validationResult(req).array();
+    if (!errors.length) {
+      const clash = await repos.services.findBySlug(fields.slug);
+      if (clash && Number(clash.id) !== Number(serviceId)) {
+        errors.push({ msg: `${clash.name} already uses the web address "${fields.slug}".` });
+      }
+    }
+    return errors;
+  };
+
+  const listServices = () => repos.services.listAll();
+
+  router.get(
+    "/services",
+    wrap(async (req, res) => {
+      render(res, "services", {
+        services: await listServices(),
+        minServicePrice,
+        errors: [],
+        form: {},
+      });
+    })
+  );
+
+  router.post(
+    "/services",
+    serviceRules,
+    wrap(async (req, res) => {
+      const fields = serviceFields(req.body);
+      const errors = await serviceErrors(req, fields);
+      if (errors.length) {
+        res.status(400);
+        return render(res, "services", {
+          services: await listServices(),
+          minServicePrice,
+          errors,
+          form: req.body,
+        });
+      }
+      const created = await repos.transaction(async (tx) => {
+        const row = await tx.services.create(fields);
+        await appendAuditEntry(
+          tx,
+          staffAction(req, {
+            action: "service.created",
+            entityType: "service",
+            entityId: row.id,
+            after: fields,
+          })
+        );
+        return row;
+      });
+      logger.info("🛠️ Service created", { serviceId: created.id, admin: req.admin.email });
+      res.redirect("/admin/services?flash=Service+created");
+    })
+  );
+
+  const loadService = async (id) => {
+    if (!/^\d+$/.test(id)) throw new ApiError(404, "SERVICE_NOT_FOUND", "Service not found");
+    const service = await repos.services.findById(id);
+    if (!service) throw new ApiError(404, "SERVICE_NOT_FOUND", "Service not found");
+    return service;
+  };
+
+  router.get(
+    "/services/:id/edit",
+    wrap(async (req, res) => {
+      const service = await loadService(req.params.id);
+      render(res, "service-edit", { service, errors: [], form: service });
+    })
+  );
+
+  router.post(
+    "/services/:id",
+    serviceRules,
+    wrap(async (req, res) => {
+      const service = await loadService(req.params.id);
+      const fields = serviceFields(req.body);
+      const errors = await serviceErrors(req, fields, service.id);
+      if (errors.length) {
+        res.status(400);
+        return render(res, "service-edit", { service, errors, form: req.body });
+      }
+      await repos.transaction(async (tx) => {
+        await tx.services.update(service.id, fields);
+        await appendAuditEntry(
+          tx,
+          staffAction(req, {
+            action: "service.updated",
+            entityType: "service",
+            entityId: service.id,
+            before: service,
+            after: await tx.services.findById(service.id),
+          })
+        );
+      });
+      logger.info("🛠️ Service updated", {
+        serviceId: service.id,
+        from: { name: service.name, slug: service.slug, price: service.price },
+        to: { name: fields.name, slug: fields.slug, price: fields.price },
+        admin: req.admin.email,
+      });
+      res.redirect("/admin/services?flash=Service+saved");
+    })
+  );
+
+  // Archived services disappear from the site but stay linked to past transactions
+  router.post(
+    "/services/:id/:action(archive|restore)",
+    wrap(async (req, res) => {
+      const service = await loadService(req.params.id);
+      const active = req.params.action === "restore";
+      await repos.transaction(async (tx) => {
+        await tx.services.setActive(service.id, active);
+        await appendAuditEntry(
+          tx,
+          staffAction(req, {
+            action: `service.${active ? "restored" : "archived"}`,
+            entityType: "service",
+            entityId: service.id,
+            before: { active: service.active },
+            after: { active },
+          })
+        );
+      });
+      logger.info(`🛠️ Service ${active ? "restored" : "archived"}`, {
+        serviceId: service.id,
+        admin: req.admin.email,
+      });
+      res.redirect(`/admin/services?flash=Service+${active ? "restored" : "archived"}`);
+    })
+  );
+
+  // ── Promo codes ────────────────────────────────────────────────────────────
+  const isoDay = { strict: true };
+  const promoCodeRules = [
+    body("code")
+      .trim()
+      .matches(PROMO_CODE_PATTERN)
+      .withMessage("Codes are 3–32 letters, digits, dashes or underscores.")
+      .customSanitizer(normalizePromoCode),
+    body("description").optional().trim().isLength({ max: 255 }),
+    body("discount_type").isIn(DISCOUNT_TYPES).withMessage("Choose a discount type."),
+    body("discount_value")
+      .isFloat({ gt: 0 })
+      .withMessage("Enter a discount greater than zero.")
+      .bail()
+      .custom((value, { req }) => req.body.discount_type !== "PERCENT" || Number(value) <= 100)
+      .withMessage("A percentage discount can't be more than 100%.")
+      .toFloat(),
+    body("starts_on").optional({ values: "falsy" }).isISO8601(isoDay).withMessage("Invalid start."),
+    body("ends_on")
+      .optional({ values: "falsy" })
+      .isISO8601(isoDay)
+      .withMessage("Invalid end date.")
+      .bail()
+      .custom((value, { req }) => !req.body.starts_on || value >= req.body.starts_on)
+      .withMessage("The last day can't be before the first."),
+    body(["max_uses", "max_uses_per_email"])
+      .optional({ values: "falsy" })
+      .isInt({ min: 1 })
+      .withMessage("Usage limits must be whole numbers of at least 1.")
+      .toInt(),
+    body("service_ids").optional().toArray(),
+    body("service_ids.*").isInt({ min: 1 }).toInt(),
+  ];
+
+  const renderPromoCodes = async (res, { errors = [], form = {} } = {}) => {
+    const [promoCodes, services] = await Promise.all([
+      repos.promoCodes.list(),
+      repos.services.listAll(),
+    ]);
+    render(res, "promo-codes", {
+      promoCodes: promoCodes.map((p) => ({ ...p, discount: describeDiscount(p) })),
+      services,
+      discountTypes: DISCOUNT_TYPES,
+      minServicePrice,
+      errors,
+      form,
+    });
+  };
+
+  router.get("/promo-codes", wrap((req, res) => renderPromoCodes(res)));
+
+  router.post(
+    "/promo-codes",
+    promoCodeRules,
+    wrap(async (req, res) => {
+      const errors = validationResult(req).array();
+      if (!errors.length && (await repos.promoCodes.findByCode(req.body.code))) {
+        errors.push({ msg: `There is already a promo code ${req.body.code}.` });
+      }
+      if (errors.length) {
+        res.status(400);
+        return renderPromoCodes(res, { errors, form: req.body });
+      }
+
+      // Whole days in South African time; the last day is included
+      const { starts_on: startsOn, ends_on: endsOn } = req.body;
+      const serviceIds = [...new Set(req.body.service_ids || [])];
+      const created = await repos.transaction(async (tx) => {
+        const row = await tx.promoCodes.create(
+          {
+            code: req.body.code,
+            description: req.body.description || null,
+            discount_type: req.body.discount_type,
+            discount_value: req.body.discount_value,
+            starts_at: startsOn ? startOfSastDay(startsOn) : null,
+            ends_at: endsOn ? startOfSastDay(endsOn, 1) : null,
+            max_uses: req.body.max_uses || null,
+            max_uses_per_email: req.body.max_uses_per_email || null,
+            created_by: req.admin.email,
+          },
+          serviceIds
+        );
+        await appendAuditEntry(
+          tx,
+          staffAction(req, {
+            action: "promo_code.created",
+            entityType: "promo_code",
+            entityId: row.id,
+            after: { ...row, service_ids: serviceIds },
+          })
+        );
+        return row;
+      });
+      logger.info("🏷️ Promo code created", {
+        promoCodeId: created.id,
+        code: created.code,
+        admin: req.admin.email,
+      });
+      res.redirect("/admin/promo-codes?flash=Promo+code+created");
+    })
+  );
+
+  // Codes are switched off rather than deleted, so past redemptions keep their code
+  router.post(
+    "/promo-codes/:id/:action(deactivate|activate)",
+    wrap(async (req, res) => {
+      const promo = /^\d+$/.test(req.params.id)
+        ? await repos.promoCodes.findById(req.params.id)
+        : null;
+      if (!promo) throw new ApiError(404, "PROMO_CODE_NOT_FOUND", "Promo code not found");
+      const active = req.params.action === "activate";
+      await repos.transaction(async (tx) => {
+        await tx.promoCodes.setActive(promo.id, active);
+        await appendAuditEntry(
+          tx,
+          staffAction(req, {
+            action: `promo_code.${active ? "activated" : "deactivated"}`,
+            entityType: "promo_code",
+            entityId: promo.id,
+            before: { active: promo.active },
+            after: { active },
+          })
+        );
+      });
+      logger.info(`🏷️ Promo code ${active ? "activated" : "deactivated"}`, {
+        promoCodeId: promo.id,
+        code: promo.code,
+        admin: req.admin.email,
+      });
+      res.redirect(`/admin/promo-codes?flash=Promo+code+${active ? "activated" : "deactivated"}`);
+    })
+  );
+
+  // ── Transactions ───────────────────────────────────────────────────────────
+  router.get(
+    "/transactions",
+    wrap(async (req, res) => {
+      const filters = {
+        from: /^\d{4}-\d{2}-\d{2}$/.test(req.query.from || "") ? req.query.from : "",
+        to: /^\d{4}-\d{2}-\d{2}$/.test(req.query.to || "") ? req.query.to : "",
+        status: TRANSACTION_STATUSES.includes(req.query.status) ? req.query.status : "",
+        service: (req.query.service || "").slice(0, 255),
+      };
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+      const [{ rows, total }, serviceNames] = await Promise.all([
+        repos.transactions.search(
+          {
+            createdFrom: filters.from && startOfSastDay(filters.from),
+            createdBefore: filters.to && startOfSastDay(filters.to, 1),
+            status: filters.status,
+            service: filters.service,
+          },
+          { limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE }
+        ),
+        repos.transactions.serviceTypes(),
+      ]);
+
+      render(res, "transactions", {
+        transactions: rows,
+        filters,
+        page,
+        pages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+        total,
+        statuses: TRANSACTION_STATUSES,
+        serviceNames,
+      });
+    })
+  );
+
+  // ── Reports ────────────────────────────────────────────────────────────────
+  // Summaries for the accountant; the CSV comes from /admin/api/reports
+  router.get(
+    "/reports",
+    wrap(async (req, res) => {
+      const serviceNames = await repos.transactions.serviceTypes();
+      let options;
+      try {
+        options = reportOptions(req.query);
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        res.status(400);
+        return render(res, "reports", {
+          report: null,
+          errors: (err.details || [err.message]).map((msg) => ({ msg })),
+          options: { ...reportOptions({}), ...req.query },
+          periods: REPORT_PERIODS,
+          statuses: TRANSACTION_STATUSES,
+          serviceNames,
+          csvUrl: null,
+        });
+      }
+      render(res, "reports", {
+        report: await summariseTransactions(repos, options),
+        errors: [],
+        options,
+        periods: REPORT_PERIODS,
+        statuses: TRANSACTION_STATUSES,
+        serviceNames,
+        csvUrl: `/admin/api/reports/transactions.csv?${new URLSearchParams(options)}`,
+      });
+    })
+  );
+
+  // ── Reconciliation ─────────────────────────────────────────────────────────
+  // Differences between our transactions and PayPal's records (lib/reconciliation.js)
+  const ISSUE_STATUSES = ["OPEN", "RESOLVED"];
+
+  const renderReconciliation = async (req, res, { errors = [], form = {} } = {}) => {
+    const status = ISSUE_STATUSES.includes(req.query.status) ? req.query.status : "OPEN";
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const [runs, { rows, total }] = await Promise.all([
+      repos.reconciliation.listRuns({ limit: 10 }),
+      repos.reconciliation.listIssues({ status, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE }),
+    ]);
+    const today = sastDay(new Date());
+    render(res, "reconciliation", {
+      runs,
+      issues: rows,
+      status,
+      statuses: ISSUE_STATUSES,
+      page,
+      pages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+      total,
+      errors,
+      form: { from: addDays(today, -1), to: today, ...form },
+      settings: reconciler.settings,
+    });
+  };
+
+  router.get("/reconciliation", wrap((req, res) => renderReconciliation(req, res)));
+
+  router.post(
+    "/reconciliation/runs",
+    wrap(async (req, res) => {
+      let result;
+      try {
+        result = await reconciler.run({
+          ...dayRange({ from: req.body.from, to: req.body.to }),
+          triggeredBy: req.admin.email,
+        });
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        res.status(err.statusCode);
+        return renderReconciliation(req, res, {
+          errors: [{ msg: err.message }],
+          form: { from: req.body.from, to: req.body.to },
+        });
+      }
+      const found = result.issues.length;
+      res.redirect(
+        `/admin/reconciliation?flash=${encodeURIComponent(
+          `Run #${result.run.id} finished: ${result.run.matched_count} matched, ` +
+            `${found} difference${found === 1 ? "" : "s"}`
+        )}`
+      );
+    })
+  );
+
+  router.post(
+    "/reconciliation/issues/:id/resolve",
+    body("note").trim().notEmpty().withMessage("Say how it was resolved.").isLength({ max: 500 }),
+    wrap(async (req, res) => {
+      if (!/^\d+$/.test(req.params.id)) {
+        throw new ApiError(404, "ISSUE_NOT_FOUND", "Issue not found");
+      }
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        res.status(400);
+        return renderReconciliation(req, res, { errors: errors.array() });
+      }
+      const issue = await repos.transaction(async (tx) => {
+        const resolved = await tx.reconciliation.resolveIssue(req.params.id, {
+          resolvedBy: req.admin.email,
+          note: req.body.note,
+        });
+        if (resolved) {
+          await appendAuditEntry(
+            tx,
+            staffAction(req, {
+              action: "reconciliation_issue.resolved",
+              entityType: "reconciliation_issue",
+              entityId: resolved.id,
+              before: { status: "OPEN" },
+              after: resolved,
+            })
+          );
+        }
+        return resolved;
+      });
+      if (!issue) {
+        if (!(await repos.reconciliation.findIssue(req.params.id))) {
+          throw new ApiError(404, "ISSUE_NOT_FOUND", "Issue not found");
+        }
+        throw new ApiError(409, "ISSUE_RESOLVED", "This issue is already resolved");
+      }
+      logger.info("🔎 Reconciliation issue resolved", {
+        issueId: issue.id,
+        kind: issue.kind,
+        transactionId: issue.transaction_id,
+        admin: req.admin.email,
+      });
+      res.redirect("/admin/reconciliation?flash=Issue+resolved");
+    })
+  );
+
+  // ── Audit log ──────────────────────────────────────────────────────────────
+  // Read-only: entries are only ever added (npm run audit:verify checks the chain)
+  router.get(
+    "/audit",
+    wrap(async (req, res) => {
+      const [actions, entityTypes] = await Promise.all([
+        repos.auditLog.actions(),
+        repos.auditLog.entityTypes(),
+      ]);
+      const filters = {
+        from: /^\d{4}-\d{2}-\d{2}$/.test(req.query.from || "") ? req.query.from : "",
+        to: /^\d{4}-\d{2}-\d{2}$/.test(req.query.to || "") ? req.query.to : "",
+        action: actions.includes(req.query.action) ? req.query.action : "",
+        actor: String(req.query.actor || "").trim().slice(0, 255),
+        entity_type: entityTypes.includes(req.query.entity_type) ? req.query.entity_type : "",
+        entity_id: String(req.query.entity_id || "").trim().slice(0, 255),
+      };
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+      const { rows, total } = await repos.auditLog.search(
+        {
+          action: filters.action,
+          actor: filters.actor,
+          entityType: filters.entity_type,
+          entityId: filters.entity_id,
+          createdFrom: filters.from && startOfSastDay(filters.from),
+          createdBefore: filters.to && startOfSastDay(filters.to, 1),
+        },
+        { limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE }
+      );
+
+      render(res, "audit", {
+        entries: rows,
+        filters,
+        page,
+        pages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+        total,
+        actions,
+        entityTypes,
+      });
+    })
+  );
+
+  // ── Contact enquiries ──────────────────────────────────────────────────────
+  router.get(
+    "/enquiries",
+    wrap(async (req, res) => {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const { rows, total } = await repos.enquiries.list({
+        limit: PAGE_SIZE,
+        offset: (page - 1) * PAGE_SIZE,
+      });
+      render(res, "enquiries", {
+        enquiries: rows,
+        page,
+        pages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+        total,
+      });
+    })
+  );
+
+  // ── Appointments ───────────────────────────────────────────────────────────
+  router.get(
+    "/appointments",
+    wrap(async (req, res) => {
+      const today = sastDay(new Date());
+      const filters = {
+        from: /^\d{4}-\d{2}-\d{2}$/.test(req.query.from || "") ? req.query.from : today,
+        status: APPOINTMENT_STATUSES.includes(req.query.status) ? req.query.status : "",
+      };
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const [{ rows, total }, needingReschedule] = await Promise.all([
+        repos.appointments.list({
+          from: startOfSastDay(filters.from),
+          status: filters.status,
+          limit: PAGE_SIZE,
+          offset: (page - 1) * PAGE_SIZE,
+        }),
+        repos.appointments.listNeedingReschedule(),
+      ]);
+      render(res, "appointments", {
+        appointments: rows.map((a) => ({ ...a, when: formatWhen(a.starts_at) })),
+        // Staff pick the new time on the client's own booking page
+        needingReschedule: needingReschedule.map((a) => ({
+          ...a,
+          when: formatWhen(a.starts_at),
+          manageUrl: appointmentUrl(req, a),
+        })),
+        filters,
+        statuses: APPOINTMENT_STATUSES,
+        page,
+        pages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+        total,
+      });
+    })
+  );
+
+  // Staff may cancel inside the notice period; refunds stay a separate step
+  router.post(
+    "/appointments/:id/cancel",
+    wrap(async (req, res) => {
+      if (!/^\d+$/.test(req.params.id)) {
+        throw new ApiError(404, "APPOINTMENT_NOT_FOUND", "Appointment not found");
+      }
+      const cancelled = await repos.transaction(async (tx) => {
+        const before = await tx.appointments.find(req.params.id);
+        const after = await cancelAppointment(tx, req.params.id, {
+          settings: appointmentSettings,
+          force: true,
+        });
+        await appendAuditEntry(
+          tx,
+          staffAction(req, {
+            action: "appointment.cancelled",
+            entityType: "appointment",
+            entityId: after.id,
+            before,
+            after,
+          })
+        );
+        return after;
+      });
+      if (cancelled.transaction_id) {
+        await queueAppointmentEmails(outbox, cancelled, {
+          change: "cancelled",
+          manageUrl: appointmentUrl(req, cancelled),
+        }).catch((err) =>
+          logger.error("❌ Error queueing appointment emails", {
+            appointmentId: cancelled.id,
+            error: err.message,
+          })
+        );
+      }
+      logger.info("📅 Appointment cancelled by staff", {
+        appointmentId: cancelled.id,
+        transactionId: cancelled.transaction_id,
+        admin: req.admin.email,
+      });
+      res.redirect("/admin/appointments?flash=Appointment+cancelled");
+    })
+  );
+
+  // ── Consultants ────────────────────────────────────────────────────────────
+  const consultantRules = [
+    body("name").trim().notEmpty().withMessage("Name is required.").isLength({ max: 200 }),
+    body("email")
+      .optional({ values: "falsy" })
+      .trim()
+      .isEmail()
+      .withMessage("Enter a valid email address, or leave it empty.")
+      .normalizeEmail(),
+  ];
+  const windowRules = [
+    body("consultant_id").isInt({ min: 1 }).withMessage("Choose a consultant.").toInt(),
+    body("weekday").isInt({ min: 0, max: 6 }).withMessage("Choose a day.").toInt(),
+    body("start").custom((value) => toMinutes(value) !== null).withMessage("Enter a start time."),
+    body("end")
+      .custom((value, { req }) => toMinutes(value) > toMinutes(req.body.start))
+      .withMessage("The end time must be after the start time."),
+  ];
+  const blockedDateRules = [
+    body("consultant_id").optional({ values: "falsy" }).isInt({ min: 1 }).toInt(),
+    body("blocked_on").isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+      .withMessage("Enter a date."),
+    body("reason").optional().trim().isLength({ max: 255 }),
+  ];
+
+  const renderConsultants = async (res, { errors = [], form = {} } = {}) => {
+    const today = sastDay(new Date());
+    const [consultants, windows, blocked] = await Promise.all([
+      repos.consultants.list(),
+      repos.consultants.windows(),
+      repos.consultants.blockedDates({ from: today, to: addDays(today, 365) }),
+    ]);
+    render(res, "consultants", {
+      consultants: consultants.map((c) => ({
+        ...c,
+        windows: windows
+          .filter((w) => w.consultant_id === c.id)
+          .map((w) => ({ ...w, label: windowLabel(w) })),
+      })),
+      blocked,
+      weekdays: WEEKDAYS,
+      errors,
+      form,
+    });
+  };
+
+  // Re-renders with the errors, or runs `save` and redirects with `flash`
+  const consultantForm = (rules, save, flash) => [
+    rules,
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        res.status(400);
+        return renderConsultants(res, { errors: errors.array(), form: req.body });
+      }
+      await save(req);
+      res.redirect(`/admin/consultants?flash=${encodeURIComponent(flash)}`);
+    }),
+  ];
+
+  const loadConsultant = async (id) => {
+    if (!/^\d+$/.test(String(id))) {
+      throw new ApiError(404, "CONSULTANT_NOT_FOUND", "Consultant not found");
+    }
+    const consultant = await repos.consultants.find(id);
+    if (!consultant) throw new ApiError(404, "CONSULTANT_NOT_FOUND", "Consultant not found");
+    return consultant;
+  };
+
+  router.get(
+    "/consultants",
+    wrap(async (req, res) => renderConsultants(res))
+  );
+
+  router.post(
+    "/consultants",
+    ...consultantForm(
+      consultantRules,
+      async (req) => {
+        const created = await repos.consultants.create({
+          name: req.body.name,
+          email: req.body.email || null,
+        });
+        logger.info("🛠️ Consultant created", { consultantId: created.id, admin: req.admin.email });
+      },
+      "Consultant added"
+    )
+  );
+
+  // Inactive consultants get no new bookings; existing ones are kept
+  router.post(
+    "/consultants/:id/:action(deactivate|activate)",
+    wrap(async (req, res) => {
+      const consultant = await loadConsultant(req.params.id);
+      const active = req.params.action === "activate";
+      await repos.consultants.setActive(consultant.id, active);
+      logger.info(`🛠️ Consultant ${active ? "activated" : "deactivated"}`, {
+        consultantId: consultant.id,
+        admin: req.admin.email,
+      });
+      res.redirect(`/admin/consultants?flash=Consultant+${active ? "activated" : "deactivated"}`);
+    })
+  );
+
+  router.post(
+    "/consultants/availability",
+    ...consultantForm(
+      windowRules,
+      async (req) => {
+        const consultant = await loadConsultant(req.body.consultant_id);
+        const window = await repos.consultants.addWindow({
+          consultantId: consultant.id,
+          weekday: req.body.weekday,
+          startMinute: toMinutes(req.body.start),
+          endMinute: toMinutes(req.body.end),
+        });
+        logger.info("🛠️ Availability added", {
+          consultantId: consultant.id,
+          windowId: window.id,
+          admin: req.admin.email,
+        });
+      },
+      "Availability added"
+    )
+  );
+
+  router.post(
+    "/consultants/availability/:id/delete",
+    wrap(async (req, res) => {
+      const window = /^\d+$/.test(req.params.id)
+        ? await repos.consultants.removeWindow(req.params.id)
+        : null;
+      if (!window) throw new ApiError(404, "AVAILABILITY_NOT_FOUND", "Availability not found");
+      logger.info("🛠️ Availability removed", {
+        consultantId: window.consultant_id,
+        windowId: window.id,
+        admin: req.admin.email,
+      });
+      res.redirect("/admin/consultants?flash=Availability+removed");
+    })
+  );
+
+  // A blocked date without a consultant closes bookings for everyone
+  router.post(
+    "/consultants/blocked-dates",
+    ...consultantForm(
+      blockedDateRules,
+      async (req) => {
+        const consultantId = req.body.consultant_id || null;
+        if (consultantId) await loadConsultant(consultantId);
+        const blocked = await repos.consultants.addBlockedDate({
+          consultantId,
+          blockedOn: req.body.blocked_on,
+          reason: req.body.reason || null,
+          createdBy: req.admin.email,
+        });
+        logger.info("🛠️ Date blocked", {
+          consultantId,
+          blockedOn: blocked.blocked_on,
+          admin: req.admin.email,
+        });
+      },
+      "Date blocked"
+    )
+  );
+
+  router.post(
+    "/consultants/blocked-dates/:id/delete",
+    wrap(async (req, res) => {
+      const blocked = /^\d+$/.test(req.params.id)
+        ? await repos.consultants.removeBlockedDate(req.params.id)
+        : null;
+      if (!blocked) throw new ApiError(404, "BLOCKED_DATE_NOT_FOUND", "Blocked date not found");
+      logger.info("🛠️ Date unblocked", {
+        consultantId: blocked.consultant_id,
+        blockedOn: blocked.blocked_on,
+        admin: req.admin.email,
+      });
+      res.redirect("/admin/consultants?flash=Date+unblocked");
+    })
+  );
+
+  // ── Documents ──────────────────────────────────────────────────────────────
+  router.get(
+    "/documents",
+    wrap(async (req, res) => {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const { rows, total } = await repos.documents.list({
+        limit: PAGE_SIZE,
+        offset: (page - 1) * PAGE_SIZE,
+      });
+      render(res, "documents", {
+        documents: rows,
+        categories: DOCUMENT_CATEGORIES,
+        page,
+        pages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+        total,
+      });
+    })
+  );
+
+  const findDocument = async (id) => {
+    const document = /^\d+$/.test(id) ? await repos.documents.find(id) : null;
+    if (!document) throw new ApiError(404, "DOCUMENT_NOT_FOUND", "Document not found");
+    return document;
+  };
+
+  router.get(
+    "/documents/:id",
+    wrap(async (req, res) => {
+      const document = await findDocument(req.params.id);
+      render(res, "document", {
+        document,
+        categories: DOCUMENT_CATEGORIES,
+        accessLog: await repos.documents.accessLog(document.id),
+      });
+    })
+  );
+
+  // Every download is recorded against the staff member who made it
+  router.get(
+    "/documents/:id/download",
+    wrap(async (req, res) => {
+      const document = await findDocument(req.params.id);
+      const stream = await storage.read(document.storage_key).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+        logger.error("❌ Stored document is missing", { documentId: document.id });
+        throw new ApiError(404, "DOCUMENT_FILE_MISSING", "The stored file is missing");
+      });
+      await repos.documents.logAccess({
+        documentId: document.id,
+        accessedBy: req.admin.email,
+        ip: req.ip,
+        userAgent: (req.get("User-Agent") || "").slice(0, 500) || null,
+      });
+      logger.info("📎 Document downloaded", {
+        documentId: document.id,
+        transactionId: document.transaction_id,
+        appointmentId: document.appointment_id,
+        admin: req.admin.email,
+        requestId: req.requestId,
+      });
+      res.attachment(document.original_name);
+      res.set({ "Content-Type": document.content_type, "Content-Length": document.size_bytes });
+      stream.on("error", (err) => {
+        logger.error("❌ Error reading stored document", {
+          documentId: document.id,
+          error: err.message,
+        });
+        res.destroy(err);
+      });
+      stream.pipe(res);
+    })
+  );
+
+  // ── Outgoing email ─────────────────────────────────────────────────────────
+  router.get(
+    "/emails",
+    wrap(async (req, res) => {
+      const status = OUTBOX_STATUSES.includes(req.query.status) ? req.query.status : "";
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const [{ rows, total }, counts] = await Promise.all([
+        repos.emailOutbox.list({ status, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE }),
+        repos.emailOutbox.countByStatus(),
+      ]);
+      render(res, "emails", {
+        emails: rows,
+        status,
+        statuses: OUTBOX_STATUSES,
+        counts,
+        page,
+        pages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+        total,
+      });
+    })
+  );
+
+  router.post(
+    "/emails/:id/resend",
+    wrap(async (req, res) => {
+      if (!/^\d+$/.test(req.params.id)) throw new ApiError(404, "EMAIL_NOT_FOUND", "Email not found");
+      const email = await outbox.resend(req.params.id);
+      if (!email) {
+        if (!(await repos.emailOutbox.find(req.params.id))) {
+          throw new ApiError(404, "EMAIL_NOT_FOUND", "Email not found");
+        }
+        throw new ApiError(409, "EMAIL_SENDING", "This email is being sent right now");
+      }
+      logger.info("📮 Email queued for resend", {
+        emailId: email.id,
+        type: email.email_type,
+        admin: req.admin.email,
+      });
+      res.redirect("/admin/emails?flash=Email+queued+for+resend");
+    })
+  );
+
+  // ── Spam blocklist ─────────────────────────────────────────────────────────
+  const blockRules = [
+    body("kind").isIn(BLOCK_KINDS).withMessage("Choose what to block."),
+    body("value")
+      .trim()
+      .notEmpty()
+      .withMessage("Enter an IP address, email or domain.")
+      .isLength({ max: 255 })
+      .custom((value, { req }) => {
+        if (req.body.kind === "ip") return /^[0-9a-f.:]+$/i.test(value);
+        if (req.body.kind === "email") return /^[^@\s]+@[^@\s]+$/.test(value);
+        return /^@?[a-z0-9.-]+\.[a-z]{2,}$/i.test(value);
+      })
+      .withMessage("That value doesn't look right for the chosen type."),
+    body("reason").optional().trim().isLength({ max: 255 }),
+    body("days").optional({ values: "falsy" }).isInt({ min: 1, max: 3650 }).toInt(),
+  ];
+
+  router.get(
+    "/blocklist",
+    wrap(async (req, res) => {
+      render(res, "blocklist", { blocks: await repos.blocklist.list(), kinds: BLOCK_KINDS, errors: [], form: {} });
+    })
+  );
+
+  router.post(
+    "/blocklist",
+    blockRules,
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        res.status(400);
+        return render(res, "blocklist", {
+          blocks: await repos.blocklist.list(),
+          kinds: BLOCK_KINDS,
+          errors: errors.array(),
+          form: req.body,
+        });
+      }
+      const block = await repos.transaction(async (tx) => {
+        const saved = await addBlock(tx.blocklist, {
+          kind: req.body.kind,
+          value: req.body.value,
+          reason: req.body.reason,
+          createdBy: req.admin.email,
+          expiresAt: req.body.days ? new Date(Date.now() + req.body.days * 86400000) : null,
+        });
+        await appendAuditEntry(
+          tx,
+          staffAction(req, {
+            action: "blocklist.added",
+            entityType: "blocklist",
+            entityId: saved.id,
+            after: saved,
+          })
+        );
+        return saved;
+      });
+      logger.info("🛡️ Blocklist entry added", {
+        kind: block.kind,
+        value: block.value,
+        admin: req.admin.email,
+      });
+      res.redirect("/admin/blocklist?flash=Blocklist+entry+saved");
+    })
+  );
+
+  router.post(
+    "/blocklist/:id/delete",
+    wrap(async (req, res) => {
+      if (!/^\d+$/.test(req.params.id)) throw new ApiError(404, "BLOCK_NOT_FOUND", "Entry not found");
+      const block = await repos.transaction(async (tx) => {
+        const removed = await tx.blocklist.remove(req.params.id);
+        if (!removed) throw new ApiError(404, "BLOCK_NOT_FOUND", "Entry not found");
+        await appendAuditEntry(
+          tx,
+          staffAction(req, {
+            action: "blocklist.removed",
+            entityType: "blocklist",
+            entityId: removed.id,
+            before: removed,
+          })
+        );
+        return removed;
+      });
+      logger.info("🛡️ Blocklist entry removed", {
+        kind: block.kind,
+        value: block.value,
+        admin: req.admin.email,
+      });
+      res.redirect("/admin/blocklist?flash=Blocklist+entry+removed");
+    })
+  );
+
+  const loadTransactionDetail = async (transactionId) => {
+    const transaction = await repos.transactions.find(transactionId);
+    if (!transaction) throw new ApiError(404, "TRANSACTION_NOT_FOUND", "Transaction not found");
+    const [refunds, history, invoice, documents] = await Promise.all([
+      repos.refunds.listFor(transactionId),
+      repos.transactions.history(transactionId),
+      repos.invoices.findByTransaction(transactionId),
+      repos.documents.listForTransaction(transactionId),
+    ]);
+    return {
+      transaction,
+      refunds,
+      history,
+      invoice,
+      documents,
+      categories: DOCUMENT_CATEGORIES,
+    };
+  };
+
+  router.get(
+    "/transactions/:transactionId",
+    wrap(async (req, res) => {
+      const detail = await loadTransactionDetail(req.params.transactionId);
+      render(res, "transaction", { ...detail, error: null, refundKey: crypto.randomUUID() });
+    })
+  );
+
+  router.post(
+    "/transactions/:transactionId/refunds",
+    // The form carries a key per page view, so a double submit refunds once
+    idempotent("refunds.create"),
+    [
+      body("amount").optional({ values: "falsy" }).isFloat({ gt: 0 }).toFloat(),
+      body("reason").optional().trim().isLength({ max: 255 }),
+    ],
+    wrap(async (req, res) => {
+      const { transactionId } = req.params;
+      try {
+        if (!validationResult(req).isEmpty()) {
+          throw new ApiError(400, "VALIDATION_ERROR", "Enter a refund amount greater than zero.");
+        }
+        await refundTransaction(req, {
+          transactionId,
+          amount: req.body.amount || undefined,
+          reason: req.body.reason,
+          requestedBy: req.admin.email,
+        });
+        res.redirect(
+          `/admin/transactions/${encodeURIComponent(transactionId)}?flash=Refund+issued`
+        );
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        const detail = await loadTransactionDetail(transactionId);
+        res.status(err.statusCode);
+        render(res, "transaction", {
+          ...detail,
+          error: err.message,
+          refundKey: crypto.randomUUID(),
+        });
+      }
+    })
+  );
+
+  router.post(
+    "/transactions/:transactionId/refunds/:refundId/check",
+    wrap(async (req, res) => {
+      const { transactionId, refundId } = req.params;
+      try {
+        const pending = /^\d+$/.test(refundId) ? await repos.refunds.find(refundId) : null;
+        if (!pending || pending.transaction_id !== transactionId) {
+          throw new ApiError(404, "REFUND_NOT_FOUND", "Refund not found");
+        }
+        const { refund } = await checkRefundStatus(req, pending.id);
+        const flash = `Refund+${refund.status === "PENDING" ? "still+pending" : refund.status}`;
+        res.redirect(
+          `/admin/transactions/${encodeURIComponent(transactionId)}?flash=${flash.toLowerCase()}`
+        );
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        const detail = await loadTransactionDetail(transactionId);
+        res.status(err.statusCode);
+        render(res, "transaction", {
+          ...detail,
+          error: err.message,
+          refundKey: crypto.randomUUID(),
+        });
+      }
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,306 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Consultation Booking
+// GET /book is the booking page (public/js/booking.js); it reads free slots from
+// GET /api/availability and holds one with POST /api/appointments/hold before
+// paying. The hold token it gets back goes to POST /api/orders, and the booking
+// is confirmed when the payment is saved (see lib/appointments.js).
+// Clients manage a confirmed booking at /appointments/:id with the signed link
+// from their emails, and choose a new time there for one that needs it.
+// ───────────────────────────────────────────────────────────────────────────────
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const { normalizeSaPhone } = require("./contact");
+const {
+  availableSlots,
+  holdSlot,
+  cancelAppointment,
+  rescheduleAppointment,
+  queueAppointmentEmails,
+  formatWhen,
+  sastDay,
+  TIME_ZONE,
+} = require("../lib/appointments");
+const { DOCUMENT_CATEGORIES } = require("../lib/documents");
+
+const MAX_DAYS = 31;
+// Slots offered on the manage page when moving a booking
+const RESCHEDULE_DAYS = 21;
+
+function createAppointmentsRouter({
+  repos,
+  outbox,
+  tokens,
+  logger,
+  wrap,
+  ApiError,
+  settings,
+  guard,
+  uploadGuard,
+  documents,
+  appointmentUrl,
+}) {
+  const router = express.Router();
+
+  // Holds are only good for paying; the token outlives the hold so an expired
+  // hold gets a clear HOLD_EXPIRED rather than an invalid token
+  const HOLD_TOKEN_TTL = settings.holdMinutes * 60 * 4;
+
+  router.get(
+    "/book",
+    wrap(async (req, res) => {
+      res.render("book", {
+        nonce: res.locals.nonce,
+        csrfToken: req.csrfToken(),
+        services: await repos.services.listActive(),
+        selected: req.query.service || "",
+        holdMinutes: settings.holdMinutes,
+      });
+    })
+  );
+
+  router.get(
+    "/api/availability",
+    [
+      query("from").optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+      query("days").optional().isInt({ min: 1, max: MAX_DAYS }).toInt(),
+      query("consultant").optional().isInt({ min: 1 }).toInt(),
+    ],
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, "VALIDATION_ERROR", "Invalid input", errors.array());
+      }
+      const today = sastDay(new Date());
+      const from = req.query.from && req.query.from > today ? req.query.from : today;
+      const days = req.query.days || 14;
+      const slots = await availableSlots(repos, {
+        from,
+        days,
+        consultantId: req.query.consultant || null,
+        settings,
+      });
+      res.set("Cache-Control", "no-store");
+      res.json({ time_zone: TIME_ZONE, slot_minutes: settings.slotMinutes, from, days, slots });
+    })
+  );
+
+  router.post(
+    "/api/appointments/hold",
+    guard,
+    [
+      body("consultant_id").isInt({ min: 1 }).withMessage("Choose a time slot.").toInt(),
+      body("starts_at").isISO8601().withMessage("Choose a time slot."),
+      body("service").trim().notEmpty().withMessage("Choose a service."),
+      body("name").trim().notEmpty().withMessage("Please enter your name.")
+        .isLength({ max: 200 }).withMessage("Name is too long."),
+      body("email").trim().isEmail().withMessage("Enter a valid email address.").normalizeEmail(),
+      body("phone")
+        .optional({ values: "falsy" })
+        .custom((value) => normalizeSaPhone(value) !== null)
+        .withMessage("Enter a South African number, e.g. 082 123 4567 or +27 82 123 4567.")
+        .customSanitizer(normalizeSaPhone),
+      body("notes").optional().trim().isLength({ max: 1000 }).withMessage("Notes are too long."),
+    ],
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, "VALIDATION_ERROR", "Please correct the highlighted fields", errors.array());
+      }
+
+      const service = await repos.services.findActive({ name: req.body.service });
+      if (!service) throw new ApiError(400, "SERVICE_NOT_FOUND", "Invalid service selection");
+
+      const appointment = await holdSlot(
+        repos,
+        {
+          consultantId: req.body.consultant_id,
+          startsAt: new Date(req.body.starts_at),
+          service,
+          client: {
+            name: req.body.name,
+            email: req.body.email,
+            phone: req.body.phone,
+            notes: req.body.notes,
+          },
+        },
+        { settings }
+      );
+
+      logger.info("📅 Appointment slot held", {
+        appointmentId: appointment.id,
+        consultantId: appointment.consultant_id,
+        startsAt: appointment.starts_at,
+        requestId: req.requestId,
+      });
+      res.status(201).json({
+        appointment: {
+          id: appointment.id,
+          service_name: appointment.service_name,
+          consultant_name: appointment.consultant_name,
+          starts_at: appointment.starts_at,
+          ends_at: appointment.ends_at,
+          when: formatWhen(appointment.starts_at),
+        },
+        hold_token: tokens.sign("appointment-hold", String(appointment.id), HOLD_TOKEN_TTL),
+        hold_expires_at: appointment.hold_expires_at,
+      });
+    })
+  );
+
+  // ── Manage a booking (signed link) ─────────────────────────────────────────
+  const loadWithToken = async (req) => {
+    const { id } = req.params;
+    const token = req.query.token || req.body.token;
+    if (!/^\d+$/.test(id) || !tokens.verify("appointment", id, token)) {
+      throw new ApiError(403, "INVALID_TOKEN", "This appointment link is invalid or has expired");
+    }
+    const appointment = await repos.appointments.find(id);
+    if (!appointment) throw new ApiError(404, "APPOINTMENT_NOT_FOUND", "Appointment not found");
+    return { appointment, token };
+  };
+
+  const renderManage = async (req, res, { appointment, token }, error = null) => {
+    const needsReschedule = appointment.status === "NEEDS_RESCHEDULE";
+    const slots =
+      appointment.status === "CONFIRMED" || needsReschedule
+        ? await availableSlots(repos, {
+            from: sastDay(new Date()),
+            days: RESCHEDULE_DAYS,
+            consultantId: appointment.consultant_id,
+            excludeAppointmentId: appointment.id,
+            settings,
+          })
+        : [];
+    const changeBy = new Date(
+      new Date(appointment.starts_at).getTime() - settings.changeNoticeHours * 60 * 60 * 1000
+    );
+    res.render("appointment", {
+      nonce: res.locals.nonce,
+      csrfToken: req.csrfToken(),
+      appointment,
+      token,
+      when: formatWhen(appointment.starts_at),
+      changeable: needsReschedule || (appointment.status === "CONFIRMED" && new Date() <= changeBy),
+      needsReschedule,
+      changeBy: formatWhen(changeBy),
+      changeNoticeHours: settings.changeNoticeHours,
+      slots: slots.map((s) => ({ ...s, label: formatWhen(s.starts_at) })),
+      documents: await repos.documents.listForAppointment(appointment.id),
+      categories: DOCUMENT_CATEGORIES,
+      maxFileMb: documents.settings.maxFileMb,
+      maxFiles: documents.settings.maxFilesPerUpload,
+      flash: req.query.flash || null,
+      error,
+    });
+  };
+
+  router.get(
+    "/appointments/:id",
+    wrap(async (req, res) => {
+      res.set("Cache-Control", "no-store");
+      await renderManage(req, res, await loadWithToken(req));
+    })
+  );
+
+  // Emails about a change are queued after it is saved, so a queueing failure
+  // can't undo it
+  const notify = (req, appointment, change, options = {}) =>
+    queueAppointmentEmails(outbox, appointment, {
+      change,
+      manageUrl: appointmentUrl(req, appointment),
+      ...options,
+    }).catch((err) =>
+      logger.error("❌ Error queueing appointment emails", {
+        appointmentId: appointment.id,
+        error: err.message,
+        requestId: req.requestId,
+      })
+    );
+
+  // `change` resolves to { appointment, flash }; redirects back to the manage
+  // link, or shows the page again with the reason it couldn't be done
+  const changeRoute = (change) =>
+    wrap(async (req, res) => {
+      const loaded = await loadWithToken(req);
+      try {
+        const { appointment, flash } = await change(req, loaded.appointment, res);
+        res.redirect(303, `${appointmentUrl(req, appointment)}&flash=${encodeURIComponent(flash)}`);
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        res.status(err.statusCode);
+        await renderManage(req, res, loaded, err.message);
+      }
+    });
+
+  router.post(
+    "/appointments/:id/cancel",
+    changeRoute(async (req, appointment) => {
+      const cancelled = await cancelAppointment(repos, appointment.id, { settings });
+      await notify(req, cancelled, "cancelled");
+      logger.info("📅 Appointment cancelled by client", {
+        appointmentId: cancelled.id,
+        transactionId: cancelled.transaction_id,
+        requestId: req.requestId,
+      });
+      return { appointment: cancelled, flash: "Your appointment has been cancelled." };
+    })
+  );
+
+  router.post(
+    "/appointments/:id/reschedule",
+    body("starts_at").isISO8601(),
+    changeRoute(async (req, appointment) => {
+      if (!validationResult(req).isEmpty()) {
+        throw new ApiError(400, "VALIDATION_ERROR", "Choose a new time.");
+      }
+      const { appointment: moved } = await rescheduleAppointment(
+        repos,
+        appointment.id,
+        new Date(req.body.starts_at),
+        { settings }
+      );
+      // A booking that needed a new time is only now booked, as far as anyone's
+      // calendar knows
+      if (appointment.status === "NEEDS_RESCHEDULE") {
+        await notify(req, moved, "booked", { notifyClient: true });
+      } else {
+        await notify(req, moved, "rescheduled");
+      }
+      logger.info("📅 Appointment rescheduled by client", {
+        appointmentId: moved.id,
+        from: appointment.starts_at,
+        to: moved.starts_at,
+        requestId: req.requestId,
+      });
+      return {
+        appointment: moved,
+        flash: `Your appointment has been moved to ${formatWhen(moved.starts_at)}.`,
+      };
+    })
+  );
+
+  // Multipart form, so the token and CSRF token come in the query string
+  router.post(
+    "/appointments/:id/documents",
+    uploadGuard,
+    changeRoute(async (req, appointment, res) => {
+      if (appointment.status !== "CONFIRMED") {
+        throw new ApiError(409, "APPOINTMENT_NOT_ACTIVE", "This appointment is no longer active.");
+      }
+      await documents.receive(req, res);
+      const saved = await documents.save(req.files, {
+        category: req.body.category,
+        appointmentId: appointment.id,
+        uploadedBy: appointment.client_email,
+        ip: req.ip,
+        requestId: req.requestId,
+      });
+      const count = `${saved.length} document${saved.length > 1 ? "s" : ""}`;
+      return { appointment, flash: `Thank you, we've received ${count}.` };
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createAppointmentsRouter };
@@ -0,0 +1,113 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Contact Form (POST /api/contact)
+// Stores each enquiry and queues a notification to the firm and an auto-reply to
+// the enquirer (see lib/outbox.js).
+// Accepts JSON from contact.js or a plain form post; `guard` holds the spam and
+// rate-limit checks (see lib/abuse.js), which need JavaScript to pass.
+// ───────────────────────────────────────────────────────────────────────────────
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+
+// South African numbers: 0XX XXX XXXX or +27 XX XXX XXXX, stored as +27XXXXXXXXX
+const normalizeSaPhone = (value) => {
+  const digits = String(value || "").replace(/[\s\-().]/g, "");
+  const match = digits.match(/^(?:\+27|0027|0)([1-8]\d{8})$/);
+  return match ? `+27${match[1]}` : null;
+};
+
+// `subjects` and `notifyEmail` are config.contact (lib/config.js)
+function createContactRouter({
+  repos,
+  outbox,
+  logger,
+  wrap,
+  ApiError,
+  subjects,
+  notifyEmail,
+  guard,
+}) {
+  const router = express.Router();
+
+  const rules = [
+    body("first_name").trim().notEmpty().withMessage("Please enter your first name.")
+      .isLength({ max: 100 }).withMessage("First name is too long."),
+    body("last_name").trim().notEmpty().withMessage("Please enter your last name.")
+      .isLength({ max: 100 }).withMessage("Last name is too long."),
+    body("phone")
+      .custom((value) => normalizeSaPhone(value) !== null)
+      .withMessage("Enter a South African number, e.g. 082 123 4567 or +27 82 123 4567.")
+      .customSanitizer(normalizeSaPhone),
+    body("email").trim().isEmail().withMessage("Enter a valid email address.").normalizeEmail(),
+    body("subject").isIn(subjects).withMessage("Please choose a subject."),
+    body("message").trim().isLength({ min: 10, max: 5000 })
+      .withMessage("Your message should be between 10 and 5000 characters."),
+  ];
+
+  const wantsJson = (req) => req.is("application/json");
+
+  router.post(
+    "/api/contact",
+    guard,
+    rules,
+    wrap(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        if (!wantsJson(req)) return res.redirect(303, "/?contact=invalid#contact");
+        throw new ApiError(400, "VALIDATION_ERROR", "Please correct the highlighted fields", errors.array());
+      }
+
+      const { first_name, last_name, phone, email, subject, message } = req.body;
+      const enquiry = await repos.transaction(async (tx) => {
+        const saved = await tx.enquiries.create({
+          first_name,
+          last_name,
+          phone,
+          email,
+          subject,
+          message,
+          ip: req.ip,
+          user_agent: req.get("User-Agent") || null,
+          request_id: req.requestId,
+        });
+        const data = {
+          id: saved.id,
+          firstName: first_name,
+          lastName: last_name,
+          phone,
+          email,
+          subject,
+          message,
+        };
+        await outbox.enqueue(
+          "contact-notification",
+          {
+            to: notifyEmail,
+            replyTo: email,
+            relatedId: saved.id,
+            data,
+          },
+          tx
+        );
+        await outbox.enqueue("contact-autoreply", { to: email, relatedId: saved.id, data }, tx);
+        return saved;
+      });
+
+      logger.info("📨 Contact enquiry received", {
+        enquiryId: enquiry.id,
+        subject,
+        requestId: req.requestId,
+      });
+
+      if (!wantsJson(req)) return res.redirect(303, "/?contact=sent#contact");
+      res.status(201).json({
+        success: true,
+        message: "Thank you! Your message has been received.",
+        reference: enquiry.id,
+      });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createContactRouter, normalizeSaPhone };
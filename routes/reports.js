@@ -0,0 +1,64 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Transaction Reports API (/admin/api/reports)
+// Revenue summaries and the CSV export for the accountant (see lib/reports.js).
+// Same auth as the rest of the admin API: the bearer token, or a staff session
+// for the "Download CSV" link on /admin/reports.
+//   GET /admin/api/reports/transactions?from=2026-10-01&to=2026-10-31&period=week
+//   GET /admin/api/reports/transactions.csv?from=2026-10-01&to=2026-10-31
+// Both also take `status` and `service` filters.
+// ───────────────────────────────────────────────────────────────────────────────
+const express = require("express");
+const { reportOptions, summariseTransactions, writeTransactionsCsv } = require("../lib/reports");
+
+function createReportsRouter({ repos, logger, wrap, requireAdmin }) {
+  const router = express.Router();
+
+  router.use("/admin/api/reports", requireAdmin, (req, res, next) => {
+    // Payer details and revenue figures: keep them out of shared caches
+    res.set("Cache-Control", "private, no-store");
+    next();
+  });
+
+  router.get(
+    "/admin/api/reports/transactions",
+    wrap(async (req, res) => {
+      res.json(await summariseTransactions(repos, reportOptions(req.query)));
+    })
+  );
+
+  router.get(
+    "/admin/api/reports/transactions.csv",
+    wrap(async (req, res) => {
+      const options = reportOptions(req.query);
+      res.attachment(`transactions-${options.from}-to-${options.to}.csv`);
+      res.type("text/csv; charset=utf-8");
+
+      let rows;
+      try {
+        rows = await writeTransactionsCsv(repos, options, res);
+      } catch (err) {
+        // Too late for an error response once rows have gone out
+        if (!res.headersSent) throw err;
+        logger.error("❌ Transaction export failed", {
+          error: err.message,
+          requestId: req.requestId,
+        });
+        return res.destroy(err);
+      }
+      res.end();
+      logger.info("📊 Transactions exported", {
+        from: options.from,
+        to: options.to,
+        status: options.status || undefined,
+        service: options.service || undefined,
+        rows,
+        exportedBy: req.adminUser,
+        requestId: req.requestId,
+      });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createReportsRouter };
@@ -0,0 +1,59 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Audit log (see lib/audit.js)
+//   npm run audit:verify                  check no entry was edited, removed or
+//                                         reordered; exits 2 if any was
+//   npm run audit -- list [filter=value]  latest entries, e.g. list action=refund.issued
+//                                         (filters: action, actor, entity, id)
+// ───────────────────────────────────────────────────────────────────────────────
+require("dotenv").config();
+
+const { loadConfig } = require("../lib/config");
+const { createDatabase } = require("../lib/db");
+const { createRepos } = require("../lib/repos");
+const { verifyAuditChain } = require("../lib/audit");
+
+const LIST_FILTERS = { action: "action", actor: "actor", entity: "entityType", id: "entityId" };
+
+(async () => {
+  const [command = "verify", ...args] = process.argv.slice(2);
+  const config = loadConfig();
+  const db = createDatabase(config.database);
+  const repos = createRepos(db);
+  try {
+    if (command === "verify") {
+      const { ok, checked, problems } = await verifyAuditChain(repos);
+      if (ok) {
+        console.log(`✅ Audit log intact: ${checked} entries checked`);
+      } else {
+        console.error(`🚨 Audit log tampered with: ${checked} entries checked`);
+        for (const p of problems) console.error(`  #${p.id}  ${p.problem}`);
+        process.exitCode = 2;
+      }
+    } else if (command === "list") {
+      const filters = {};
+      for (const arg of args) {
+        const [name, ...value] = arg.split("=");
+        if (!LIST_FILTERS[name] || !value.length) {
+          throw new Error(`Unknown filter "${arg}"; use ${Object.keys(LIST_FILTERS).join(", ")}`);
+        }
+        filters[LIST_FILTERS[name]] = value.join("=");
+      }
+      const { rows, total } = await repos.auditLog.search(filters, { limit: 50, offset: 0 });
+      for (const e of rows) {
+        console.log(
+          `#${e.id}  ${new Date(e.created_at).toISOString()}  ${e.action.padEnd(28)}  ` +
+            `${e.entity_type} ${e.entity_id || "-"}  ${e.actor}`
+        );
+      }
+      console.log(`${rows.length} of ${total} shown`);
+    } else {
+      console.error("Usage: node scripts/audit-log.js [verify | list [filter=value ...]]");
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.end();
+  }
+})().catch((err) => {
+  console.error("❌ Audit log command failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Configuration (see lib/config.js)
+//   npm run config:print   every setting, its value and whether it was set or
+//                          defaulted; secrets are redacted. Exits 1 if any
+//                          setting is invalid, after listing them.
+// ───────────────────────────────────────────────────────────────────────────────
+require("dotenv").config();
+
+const { resolveConfig, displayValue } = require("../lib/config");
+
+const [command = "print"] = process.argv.slice(2);
+if (command !== "print") {
+  console.error("Usage: node scripts/config.js print");
+  process.exit(1);
+}
+
+const { config, rows, problems } = resolveConfig(process.env);
+const width = Math.max(...rows.map((row) => row.field.env.length));
+
+console.log(`Configuration for NODE_ENV=${config.profile}`);
+let section = null;
+for (const row of rows) {
+  if (row.section !== section) {
+    section = row.section;
+    console.log(`\n${section}`);
+  }
+  const source = row.source === "default" && row.value !== null ? "  (default)" : "";
+  console.log(`  ${row.field.env.padEnd(width)}  ${displayValue(row)}${source}`);
+}
+
+if (problems.length) {
+  console.error(`\n❌ ${problems.length} invalid setting(s):`);
+  for (const problem of problems) console.error(`  - ${problem}`);
+  process.exit(1);
+}
+console.log("\n✅ Configuration is valid");
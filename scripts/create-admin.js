@@ -0,0 +1,48 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Create or reset a back-office login
+//   npm run admin:create -- <email> "<name>"
+// The password is read from ADMIN_PASSWORD or prompted for.
+// ───────────────────────────────────────────────────────────────────────────────
+require("dotenv").config();
+
+const readline = require("readline");
+const { loadConfig } = require("../lib/config");
+const { createDatabase } = require("../lib/db");
+const { createRepos } = require("../lib/repos");
+const { createAdminAuth } = require("../lib/admin-auth");
+
+const prompt = (question) =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+
+(async () => {
+  const [email, name] = process.argv.slice(2);
+  if (!email) {
+    console.error("Usage: npm run admin:create -- <email> [name]");
+    process.exit(1);
+  }
+  const config = loadConfig();
+
+  const password = process.env.ADMIN_PASSWORD || (await prompt("Password: "));
+  if (!password || password.length < 12) {
+    console.error("❌ Password must be at least 12 characters");
+    process.exit(1);
+  }
+
+  const db = createDatabase(config.database);
+  try {
+    const { adminUsers } = createRepos(db);
+    const user = await createAdminAuth({ users: adminUsers }).createUser({ email, name, password });
+    console.log(`✅ Admin ${user.email} (id ${user.id}) saved`);
+  } finally {
+    await db.end();
+  }
+})().catch((err) => {
+  console.error("❌ Could not create admin:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Database migrations (see lib/migrate.js)
+//   npm run migrate                 apply pending migrations
+//   npm run migrate:down -- [steps] roll back the latest migration(s)
+//   npm run migrate:status          list migrations and when they were applied
+// ───────────────────────────────────────────────────────────────────────────────
+require("dotenv").config();
+
+const { loadConfig } = require("../lib/config");
+const { createDatabase } = require("../lib/db");
+const { migrateUp, migrateDown, migrationStatus } = require("../lib/migrate");
+
+(async () => {
+  const [command = "up", steps] = process.argv.slice(2);
+  const config = loadConfig();
+  const db = createDatabase(config.database);
+  try {
+    if (command === "up") {
+      const applied = await migrateUp(db);
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : "✅ Already up to date");
+    } else if (command === "down") {
+      const rolledBack = await migrateDown(db, { steps: parseInt(steps || "1", 10) });
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+    } else if (command === "status") {
+      for (const m of await migrationStatus(db)) {
+        const applied = m.applied_at ? new Date(m.applied_at).toISOString() : "pending";
+        console.log(`${String(m.version).padStart(3, "0")}_${m.name}  ${applied}`);
+      }
+    } else {
+      console.error("Usage: node scripts/migrate.js [up | down [steps] | status]");
+      process.exit(1);
+    }
+  } finally {
+    await db.end();
+  }
+})().catch((err) => {
+  console.error("❌ Migration failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Outgoing email queue (see lib/outbox.js)
+//   npm run outbox -- list [status]   latest queued emails, e.g. list DEAD
+//   npm run outbox -- resend <id>     queue an email again with fresh attempts
+//   npm run outbox -- dispatch        send everything that is due, then exit
+// ───────────────────────────────────────────────────────────────────────────────
+require("dotenv").config();
+
+const { loadConfig } = require("../lib/config");
+const { createDatabase } = require("../lib/db");
+const { createRepos } = require("../lib/repos");
+const { createSmtpTransport } = require("../lib/mailer");
+const { createOutbox, OUTBOX_STATUSES } = require("../lib/outbox");
+
+const logger = {
+  info: (message, meta) => console.log(message, meta || ""),
+  warn: (message, meta) => console.warn(message, meta || ""),
+  error: (message, meta) => console.error(message, meta || ""),
+};
+
+(async () => {
+  const [command = "list", arg] = process.argv.slice(2);
+  const config = loadConfig();
+  const db = createDatabase(config.database);
+  const repos = createRepos(db);
+  const outbox = createOutbox({
+    repos,
+    transporter: createSmtpTransport(config.smtp),
+    logger,
+    from: config.email.from,
+    invoiceSettings: config.invoices,
+    maxAttempts: config.email.maxAttempts,
+    retryBaseSeconds: config.email.retryBaseSeconds,
+  });
+  try {
+    if (command === "list") {
+      const status = arg && arg.toUpperCase();
+      if (status && !OUTBOX_STATUSES.includes(status)) {
+        throw new Error(`Status must be one of ${OUTBOX_STATUSES.join(", ")}`);
+      }
+      const { rows, total } = await repos.emailOutbox.list({ status, limit: 50, offset: 0 });
+      for (const e of rows) {
+        const when = new Date(e.created_at).toISOString();
+        console.log(
+          `#${e.id}  ${when}  ${e.status.padEnd(7)}  ${e.attempts}/${e.max_attempts}  ${e.email_type}  ${e.recipient}${e.last_error ? `  (${e.last_error})` : ""}`
+        );
+      }
+      console.log(`${rows.length} of ${total} shown`);
+    } else if (command === "resend" && /^\d+$/.test(arg || "")) {
+      const email = await outbox.resend(arg);
+      if (!email) throw new Error(`Email #${arg} does not exist or is being sent right now`);
+      console.log(`✅ Email #${email.id} (${email.email_type} to ${email.recipient}) queued again`);
+    } else if (command === "dispatch") {
+      // Retried rows wait for their backoff, so this stops once nothing is due
+      const total = { sent: 0, retry: 0, dead: 0 };
+      for (;;) {
+        const batch = await outbox.dispatchDue();
+        for (const key of Object.keys(total)) total[key] += batch[key];
+        if (!batch.sent && !batch.retry && !batch.dead) break;
+      }
+      console.log(`✅ Sent ${total.sent}, will retry ${total.retry}, gave up on ${total.dead}`);
+    } else {
+      console.error("Usage: node scripts/outbox.js [list [status] | resend <id> | dispatch]");
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.end();
+  }
+})().catch((err) => {
+  console.error("❌ Outbox command failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// PayPal reconciliation (see lib/reconciliation.js)
+//   npm run reconcile -- run [from] [to]       check a range of days (default:
+//                                              yesterday and today), e.g. run 2026-10-01 2026-10-31
+//   npm run reconcile -- runs                  latest runs
+//   npm run reconcile -- issues [status]       issues found, e.g. issues RESOLVED (default OPEN)
+//   npm run reconcile -- resolve <id> <note>   mark an issue resolved
+// ───────────────────────────────────────────────────────────────────────────────
+require("dotenv").config();
+
+const { createApp } = require("../app");
+const { loadConfig } = require("../lib/config");
+const { createDatabase } = require("../lib/db");
+const { createRepos } = require("../lib/repos");
+const { sastDay, addDays } = require("../lib/appointments");
+const { dayRange } = require("../lib/reconciliation");
+const { appendAuditEntry } = require("../lib/audit");
+
+const logger = {
+  info: (message, meta) => console.log(message, meta || ""),
+  warn: (message, meta) => console.warn(message, meta || ""),
+  error: (message, meta) => console.error(message, meta || ""),
+};
+
+const ISSUE_STATUSES = ["OPEN", "RESOLVED"];
+const formatDate = (date) => (date ? new Date(date).toISOString() : "-");
+
+(async () => {
+  const [command = "issues", ...args] = process.argv.slice(2);
+  const config = loadConfig();
+  const db = createDatabase(config.database);
+  const repos = createRepos(db);
+  try {
+    if (command === "run") {
+      const today = sastDay(new Date());
+      const [from = addDays(today, -1), to = today] = args;
+      // The app's reconciler, so payments it finds completed get their invoice and
+      // email (queued; the server's outbox worker sends it)
+      const { reconciler } = createApp({ config, db, logger });
+      const { run, issues } = await reconciler.run({
+        ...dayRange({ from, to }),
+        triggeredBy: "cli",
+      });
+      console.log(
+        `${issues.length ? "⚠️" : "✅"} Run #${run.id}: ${run.matched_count} matched, ` +
+          `${issues.length} issue(s) (PayPal ${run.paypal_count}, ours ${run.local_count})`
+      );
+      for (const issue of issues) {
+        console.log(`  ${issue.kind.padEnd(8)}  ${issue.transaction_id}  ${issue.details}`);
+      }
+      if (issues.length) process.exitCode = 2;
+    } else if (command === "runs") {
+      for (const r of await repos.reconciliation.listRuns({ limit: 20 })) {
+        console.log(
+          `#${r.id}  ${formatDate(r.started_at)}  ${r.status.padEnd(9)}  ` +
+            `${formatDate(r.range_start)} → ${formatDate(r.range_end)}  ` +
+            `${r.matched_count ?? "-"} matched, ${r.issue_count ?? "-"} issue(s)  ` +
+            `${r.triggered_by}${r.error ? `  (${r.error})` : ""}`
+        );
+      }
+    } else if (command === "issues") {
+      const status = (args[0] || "OPEN").toUpperCase();
+      if (!ISSUE_STATUSES.includes(status)) {
+        throw new Error(`Status must be one of ${ISSUE_STATUSES.join(", ")}`);
+      }
+      const { rows, total } = await repos.reconciliation.listIssues({
+        status,
+        limit: 50,
+        offset: 0,
+      });
+      for (const i of rows) {
+        console.log(
+          `#${i.id}  ${formatDate(i.last_seen_at)}  ${i.kind.padEnd(8)}  ${i.transaction_id}  ` +
+            `${i.details}${i.resolution_note ? `  (${i.resolved_by}: ${i.resolution_note})` : ""}`
+        );
+      }
+      console.log(`${rows.length} of ${total} shown`);
+    } else if (command === "resolve" && /^\d+$/.test(args[0] || "") && args[1]) {
+      const note = args.slice(1).join(" ");
+      const issue = await repos.transaction(async (tx) => {
+        const resolved = await tx.reconciliation.resolveIssue(args[0], { resolvedBy: "cli", note });
+        if (resolved) {
+          await appendAuditEntry(tx, {
+            actor: "cli",
+            action: "reconciliation_issue.resolved",
+            entityType: "reconciliation_issue",
+            entityId: resolved.id,
+            before: { status: "OPEN" },
+            after: resolved,
+          });
+        }
+        return resolved;
+      });
+      if (!issue) throw new Error(`Issue #${args[0]} does not exist or is already resolved`);
+      console.log(`✅ Issue #${issue.id} (${issue.kind} ${issue.transaction_id}) resolved`);
+    } else {
+      console.error(
+        "Usage: node scripts/reconcile.js " +
+          "[run [from] [to] | runs | issues [status] | resolve <id> <note>]"
+      );
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.end();
+  }
+})().catch((err) => {
+  console.error("❌ Reconciliation command failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("a booking whose hold lapses during payment", () => {
+  let site;
+  let slots;
+  before(async () => {
+    site = await startTestApp({ env: { CONTACT_NOTIFY_EMAIL: "office@example.com" } });
+    const consultant = await site.repos.consultants.create({
+      name: "Thandi Mokoena",
+      email: "thandi@example.com",
+    });
+    for (let weekday = 0; weekday < 7; weekday++) {
+      await site.repos.consultants.addWindow({
+        consultantId: consultant.id,
+        weekday,
+        startMinute: 9 * 60,
+        endMinute: 12 * 60,
+      });
+    }
+    ({ slots } = (await site.client().get("/api/availability?days=3")).body);
+  });
+  after(() => site.close());
+
+  // What public/js/booking.js does before showing PayPal's buttons
+  const hold = async (browser, slot, client) => {
+    await browser.loadPage("/book");
+    const held = await browser.post("/api/appointments/hold", {
+      consultant_id: slot.consultant_id,
+      starts_at: slot.starts_at,
+      service: "CSD Registration",
+      ...client,
+      ...(await browser.solveChallenge()),
+    });
+    assert.equal(held.status, 201);
+    return held.body;
+  };
+
+  it("keeps the payment, flags the booking and asks for a new time", async () => {
+    const browser = site.client();
+    const held = await hold(browser, slots[0], {
+      name: "Ayanda Dube",
+      email: "ayanda@example.com",
+    });
+    const order = await browser.post("/api/orders", {
+      appointment_id: held.appointment.id,
+      appointment_token: held.hold_token,
+    });
+    assert.equal(order.status, 201);
+
+    // The PayPal popup stays open past the hold, and someone else books the time
+    await site.repos.appointments.expireHolds(new Date(Date.now() + 24 * 60 * 60 * 1000));
+    await hold(site.client(), slots[0], { name: "Lerato Nkosi", email: "lerato@example.com" });
+
+    site.fakePayPal.approve(order.body.id);
+    const captured = await browser.post(`/api/orders/${order.body.id}/capture`, {});
+    assert.equal(captured.status, 200);
+
+    const appointment = await site.repos.appointments.find(held.appointment.id);
+    assert.equal(appointment.status, "NEEDS_RESCHEDULE");
+    assert.equal(appointment.transaction_id, captured.body.transaction.transaction_id);
+    const needing = await site.repos.appointments.listNeedingReschedule();
+    assert.deepEqual(needing.map((a) => a.id), [appointment.id]);
+
+    site.smtp.clear();
+    await site.outbox.dispatchDue();
+    const toClient = site.smtp.sent.find((m) => m.to === "ayanda@example.com");
+    assert.ok(toClient, "client asked to choose a new time");
+    assert.match(toClient.subject, /choose a new time/);
+    assert.equal(toClient.attachments.length, 0);
+    const toOffice = site.smtp.sent.find((m) => m.to === "office@example.com");
+    assert.ok(toOffice, "office told");
+    assert.match(toOffice.subject, /needs a new time: CSD Registration for Ayanda Dube/);
+    assert.ok(site.smtp.sent.some((m) => m.to === "thandi@example.com"), "consultant told");
+
+    // The payer's dashboard links to the same page
+    await browser.post("/account/login", {
+      email: "payer@example.com",
+      ...(await browser.solveChallenge()),
+    });
+    await site.outbox.dispatchDue();
+    const login = site.smtp.sent.find((m) => m.subject === "Your sign-in link");
+    const loginUrl = new URL(/https?:\/\/\S+/.exec(login.text)[0]);
+    await browser.post("/account/verify", { token: loginUrl.searchParams.get("token") });
+    const dashboard = await browser.get("/account");
+    assert.match(dashboard.body, /Needs a new time/);
+    assert.match(dashboard.body, /href="[^"]*\/appointments\/\d+\?token=[^"]*">Choose a new time</);
+
+    // The client picks another time from the link in their email
+    const manageUrl = new URL(/Choose a new time:\s+(\S+)/.exec(toClient.text)[1]);
+    const page = await browser.get(manageUrl.pathname + manageUrl.search);
+    assert.equal(page.status, 200);
+    assert.match(page.body, /needs a new time/);
+    const moved = await browser.post(`${manageUrl.pathname}/reschedule`, {
+      token: manageUrl.searchParams.get("token"),
+      starts_at: slots[1].starts_at,
+    });
+    assert.equal(moved.status, 303);
+
+    const rebooked = await site.repos.appointments.find(appointment.id);
+    assert.equal(rebooked.status, "CONFIRMED");
+    assert.equal(new Date(rebooked.starts_at).toISOString(), slots[1].starts_at);
+    assert.deepEqual(await site.repos.appointments.listNeedingReschedule(), []);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("CSRF protection", () => {
+  let site;
+  before(async () => {
+    site = await startTestApp({ env: { ADMIN_API_TOKEN: "test-admin-token" } });
+  });
+  after(() => site.close());
+
+  it("rejects a form post without a token", async () => {
+    const res = await site.client().post("/api/validate-service", { name: "CSD Registration" });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.error.code, "INVALID_CSRF_TOKEN");
+  });
+
+  it("rejects a token from another session", async () => {
+    const page = await site.client().loadPage();
+    const [, token] = /name="csrf-token" content="([^"]+)"/.exec(page.body);
+    const stranger = site.client();
+    await stranger.loadPage();
+    const res = await stranger.post("/api/validate-service", { name: "CSD Registration" }, {
+      headers: { "x-csrf-token": token },
+    });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error.code, "INVALID_CSRF_TOKEN");
+  });
+
+  it("doesn't ask PayPal webhooks or admin API calls for one", async () => {
+    const webhook = await site.client().post("/webhooks/paypal", { id: "WH-1" });
+    assert.equal(webhook.status, 400);
+    assert.equal(webhook.body.error.code, "INVALID_WEBHOOK");
+
+    const refund = await site.client().post("/admin/api/transactions/NOPE/refunds", {}, {
+      headers: { authorization: "Bearer test-admin-token" },
+    });
+    assert.equal(refund.status, 404);
+    assert.equal(refund.body.error.code, "TRANSACTION_NOT_FOUND");
+  });
+});
+
+describe("error handler", () => {
+  let site;
+  before(async () => {
+    // PayPal failing in a way the app has no ApiError for, and no client id to
+    // hand to the browser
+    site = await startTestApp({
+      env: { PAYPAL_CLIENT_ID: "" },
+      paypal: {
+        getOrder: async () => {
+          throw new Error("connect ECONNRESET 10.0.0.1:443");
+        },
+      },
+    });
+  });
+  after(() => site.close());
+
+  it("answers client errors with their code, message, details and request id", async () => {
+    const browser = site.client();
+    await browser.loadPage();
+    const res = await browser.post("/api/validate-service", {});
+    assert.equal(res.status, 400);
+    assert.deepEqual(Object.keys(res.body.error).sort(), [
+      "code",
+      "details",
+      "message",
+      "requestId",
+    ]);
+    assert.equal(res.body.error.requestId, res.headers.get("x-request-id"));
+  });
+
+  it("hides unexpected errors behind INTERNAL_ERROR", async () => {
+    const browser = site.client();
+    await browser.loadPage();
+    const res = await browser.post("/save-transaction", { transaction_id: "5O190127TN364715T" });
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, {
+      success: false,
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "An unexpected error occurred",
+        requestId: res.headers.get("x-request-id"),
+      },
+    });
+  });
+
+  it("leaves details off server errors", async () => {
+    const res = await site.client().get("/config/paypal");
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error.code, "MISSING_PAYPAL_CLIENT_ID");
+    assert.equal(res.body.error.details, undefined);
+  });
+
+  it("counts rejected requests by code", async () => {
+    const res = await site.client().get("/metrics");
+    assert.equal(res.status, 200);
+    assert.match(res.body, /api_rejections_total\{code="VALIDATION_ERROR",status_code="400"\} 1/);
+    assert.doesNotMatch(res.body, /api_rejections_total\{code="INTERNAL_ERROR"/);
+  });
+});
+
+describe("without APP_SECRET", () => {
+  let site;
+  before(async () => {
+    site = await startTestApp({ env: { APP_SECRET: "" } });
+  });
+  after(() => site.close());
+
+  it("still serves the home page", async () => {
+    const res = await site.client().get("/");
+    assert.equal(res.status, 200);
+    assert.doesNotMatch(res.body, /name="_challenge"/);
+  });
+
+  it("reports the missing secret where a signature is needed", async () => {
+    const res = await site.client().get("/api/challenge");
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error.code, "MISSING_APP_SECRET");
+  });
+});
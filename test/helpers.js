@@ -0,0 +1,142 @@
+// ───────────────────────────────────────────────────────────────────────────────
+// Test Harness
+// startTestApp() runs the real app (app.js) offline: a fresh in-memory SQLite
+// database with every migration applied, the PayPal stand-in (fakes/paypal.js)
+// listening on a free port, and a transport that captures email instead of
+// sending it (fakes/smtp.js). Each test file starts its own. Settings come from
+// the test profile in lib/config.js plus testEnv() below, never from .env or
+// the shell.
+// ───────────────────────────────────────────────────────────────────────────────
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const client = require("prom-client");
+const winston = require("winston");
+
+const { createApp } = require("../app");
+const { loadConfig } = require("../lib/config");
+const { createDatabase } = require("../lib/db");
+const { migrateUp } = require("../lib/migrate");
+const { createMetrics } = require("../lib/metrics");
+const { createPayPalClient } = require("../lib/paypal");
+const { leadingZeroBits } = require("../lib/abuse");
+const { createFakePayPal } = require("../fakes/paypal");
+const { createCaptureTransport } = require("../fakes/smtp");
+
+// What the test profile leaves to the environment; nothing here reaches the network
+const testEnv = (fakePayPal, paypalBaseUrl) => ({
+  NODE_ENV: "test",
+  APP_SECRET: crypto.randomBytes(32).toString("hex"),
+  PAYPAL_CLIENT_ID: fakePayPal.clientId,
+  PAYPAL_SECRET: fakePayPal.secret,
+  PAYPAL_WEBHOOK_ID: fakePayPal.webhookId,
+  PAYPAL_API_BASE: paypalBaseUrl,
+  PAYPAL_CURRENCY: "USD",
+  // R 100 = USD 5.50
+  EXCHANGE_RATES_FILE: path.join(__dirname, "fixtures", "exchange-rates.json"),
+  EMAIL_FROM: "Lusizo <noreply@example.com>",
+  UPLOADS_DIR: path.join(os.tmpdir(), `lusizo-test-${process.pid}`),
+});
+
+// A browser-like client: keeps cookies, and once a page has been loaded sends
+// its CSRF token with every request
+function createClient(baseUrl) {
+  const cookies = new Map();
+  let csrfToken = null;
+
+  async function request(method, url, { json, headers = {} } = {}) {
+    const res = await fetch(baseUrl + url, {
+      method,
+      redirect: "manual",
+      headers: {
+        cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join("; "),
+        ...(json !== undefined && { "content-type": "application/json" }),
+        ...(csrfToken && { "x-csrf-token": csrfToken }),
+        ...headers,
+      },
+      body: json === undefined ? undefined : JSON.stringify(json),
+    });
+    for (const cookie of res.headers.getSetCookie()) {
+      const [pair] = cookie.split(";");
+      const split = pair.indexOf("=");
+      cookies.set(pair.slice(0, split), pair.slice(split + 1));
+    }
+    const type = res.headers.get("content-type") || "";
+    const body = type.includes("json") ? await res.json() : await res.text();
+    return { status: res.status, headers: res.headers, body };
+  }
+
+  return {
+    get: (url, options) => request("GET", url, options),
+    post: (url, json, options) => request("POST", url, { ...options, json }),
+
+    // Load a page and use its CSRF token from now on
+    async loadPage(url = "/payonline") {
+      const page = await request("GET", url);
+      csrfToken = /name="csrf-token" content="([^"]+)"/.exec(page.body)[1];
+      return page;
+    },
+
+    // Fields that pass a challenge-protected route (lib/abuse.js)
+    async solveChallenge() {
+      const { body } = await request("GET", "/api/challenge");
+      const bits = Number(body.challenge.split(".")[2]);
+      for (let n = 0; ; n++) {
+        const hash = crypto.createHash("sha256").update(`${body.challenge}:${n}`).digest();
+        if (leadingZeroBits(hash) >= bits) return { _challenge: body.challenge, _pow: String(n) };
+      }
+    },
+  };
+}
+
+const listen = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+// `env` adds to or overrides testEnv(), e.g. { ADMIN_API_TOKEN }; the other
+// options are passed on to createApp(), e.g. { paypal } to swap the client
+async function startTestApp({ env = {}, ...options } = {}) {
+  const fakePayPal = createFakePayPal();
+  const paypalServer = await fakePayPal.listen();
+  const config = loadConfig({ ...testEnv(fakePayPal, paypalServer.baseUrl), ...env });
+
+  const logger = winston.createLogger({ silent: true });
+  const db = createDatabase(config.database);
+  await migrateUp(db, { logger });
+
+  const smtp = createCaptureTransport();
+  const paypal = createPayPalClient(config.paypal);
+  const { app, repos, outbox, reconciler } = createApp({
+    config,
+    db,
+    transporter: smtp.transporter,
+    paypal,
+    logger,
+    metrics: createMetrics(new client.Registry()),
+    ...options,
+  });
+  const server = await listen(app);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    repos,
+    outbox,
+    reconciler,
+    paypal,
+    fakePayPal,
+    smtp,
+    client: () => createClient(baseUrl),
+    async close() {
+      await new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+      await paypalServer.close();
+      await db.end();
+    },
+  };
+}
+
+module.exports = { startTestApp };
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createDatabase } = require("../lib/db");
+const { migrateUp, migrateDown, migrationsDir } = require("../lib/migrate");
+
+const logger = { info() {} };
+
+// A copy of the SQLite migrations up to and including `version`
+const migrationsUpTo = (version) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lusizo-migrations-"));
+  for (const file of fs.readdirSync(migrationsDir("sqlite"))) {
+    if (parseInt(file, 10) <= version) {
+      fs.copyFileSync(path.join(migrationsDir("sqlite"), file), path.join(dir, file));
+    }
+  }
+  return dir;
+};
+
+describe("SQLite appointment status rebuild (011)", () => {
+  let db;
+  let oldDir;
+  before(async () => {
+    oldDir = migrationsUpTo(10);
+    db = createDatabase({ dialect: "sqlite", filename: ":memory:" });
+    await migrateUp(db, { logger, dir: oldDir });
+
+    // A booking with a client document attached, as a live 010 database has
+    await db.query("INSERT INTO consultants (id, name) VALUES (1, 'Thandi Mokoena')");
+    await db.query(
+      `INSERT INTO appointments
+         (id, consultant_id, service_name, starts_at, ends_at, status, client_name, client_email)
+       VALUES (1, 1, 'CSD Registration', '2026-11-02T08:00:00.000Z', '2026-11-02T08:30:00.000Z',
+               'CONFIRMED', 'Ayanda Dube', 'ayanda@example.com')`
+    );
+    await db.query(
+      `INSERT INTO documents
+         (appointment_id, category, original_name, content_type, size_bytes, sha256, storage_key,
+          uploaded_by)
+       VALUES (1, 'ID_COPY', 'id.pdf', 'application/pdf', 10, $1, 'key-1', 'ayanda@example.com')`,
+      ["0".repeat(64)]
+    );
+  });
+  after(async () => {
+    await db.end();
+    fs.rmSync(oldDir, { recursive: true, force: true });
+  });
+
+  it("keeps existing appointments and their documents", async () => {
+    await migrateUp(db, { logger });
+
+    const { rows: documents } = await db.query("SELECT appointment_id FROM documents");
+    assert.deepEqual(documents.map((d) => d.appointment_id), [1]);
+    await db.query("UPDATE appointments SET status = 'NEEDS_RESCHEDULE' WHERE id = 1");
+    assert.deepEqual((await db.query("PRAGMA foreign_key_check")).rows, []);
+    assert.equal((await db.query("PRAGMA foreign_keys")).rows[0].foreign_keys, 1);
+  });
+
+  it("rolls back to the old statuses without losing them", async () => {
+    const { rows } = await db.query("SELECT MAX(version) AS latest FROM schema_migrations");
+    await migrateDown(db, { logger, steps: rows[0].latest - 10 });
+
+    const { rows: appointments } = await db.query("SELECT status FROM appointments");
+    assert.deepEqual(appointments, [{ status: "EXPIRED" }]);
+    assert.equal((await db.query("SELECT COUNT(*) AS n FROM documents")).rows[0].n, 1);
+    assert.deepEqual((await db.query("PRAGMA foreign_key_check")).rows, []);
+    await assert.rejects(
+      db.query("UPDATE appointments SET status = 'NEEDS_RESCHEDULE' WHERE id = 1"),
+      /CHECK constraint failed/
+    );
+  });
+});
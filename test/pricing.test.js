@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("pricing", () => {
+  let site;
+  let browser;
+  before(async () => {
+    site = await startTestApp();
+    browser = site.client();
+    await browser.loadPage();
+  });
+  after(() => site.close());
+
+  describe("POST /api/validate-service", () => {
+    it("prices a service in ZAR and in the PayPal currency", async () => {
+      const res = await browser.post("/api/validate-service", { name: "CSD Registration" });
+      assert.equal(res.status, 200);
+      const { charge, ...priced } = res.body;
+      assert.deepEqual(priced, { name: "CSD Registration", price: 350, currency: "ZAR" });
+      assert.equal(charge.currency, "USD");
+      assert.equal(charge.amount, "19.25");
+    });
+
+    it("refuses a service priced under the minimum with PRICE_TOO_LOW", async () => {
+      // The back office won't save one, but an old row or a direct edit might
+      await site.repos.services.create({
+        name: "Quick Question",
+        slug: "quick-question",
+        category: null,
+        description: null,
+        duration_minutes: null,
+        display_order: 0,
+        price: 120,
+      });
+      const res = await browser.post("/api/validate-service", { name: "Quick Question" });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.success, false);
+      assert.equal(res.body.error.code, "PRICE_TOO_LOW");
+      assert.match(res.body.error.message, /at least 300\. Current price is 120/);
+    });
+
+    it("refuses an unknown or archived service", async () => {
+      const unknown = await browser.post("/api/validate-service", { name: "Free Lunch" });
+      assert.equal(unknown.status, 400);
+      assert.equal(unknown.body.error.code, "SERVICE_NOT_FOUND");
+
+      const tax = await site.repos.services.findBySlug("tax-pin");
+      await site.repos.services.setActive(tax.id, false);
+      const archived = await browser.post("/api/validate-service", { name: "Tax PIN" });
+      await site.repos.services.setActive(tax.id, true);
+      assert.equal(archived.body.error.code, "SERVICE_NOT_FOUND");
+    });
+
+    it("lists the invalid fields when the name is missing", async () => {
+      const res = await browser.post("/api/validate-service", {});
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, "VALIDATION_ERROR");
+      assert.ok(res.body.error.details.some((d) => d.path === "name"));
+    });
+  });
+
+  describe("POST /api/validate-custom", () => {
+    it("approves an amount and converts it", async () => {
+      const res = await browser.post("/api/validate-custom", {
+        amount: 120,
+        ...(await browser.solveChallenge()),
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.amount, "120.00");
+      assert.equal(res.body.currency, "ZAR");
+      assert.deepEqual(
+        { amount: res.body.charge.amount, currency: res.body.charge.currency },
+        { amount: "6.60", currency: "USD" }
+      );
+    });
+
+    it("refuses an amount under R 50 with AMOUNT_TOO_LOW", async () => {
+      const res = await browser.post("/api/validate-custom", {
+        amount: 20,
+        ...(await browser.solveChallenge()),
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, "AMOUNT_TOO_LOW");
+      assert.equal(
+        res.body.error.message,
+        "Custom payments must be at least R 50. You entered R 20.00"
+      );
+    });
+
+    it("refuses a zero amount before pricing it", async () => {
+      const res = await browser.post("/api/validate-custom", {
+        amount: 0,
+        ...(await browser.solveChallenge()),
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, "VALIDATION_ERROR");
+      assert.equal(res.body.error.message, "Amount must be > 0");
+    });
+
+    it("requires a solved challenge", async () => {
+      const res = await browser.post("/api/validate-custom", { amount: 120 });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, "CHALLENGE_FAILED");
+    });
+  });
+});
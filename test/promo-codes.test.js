@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const payer = (email) => ({
+  payer_id: email.toUpperCase(),
+  name: { given_name: "Test", surname: "Payer" },
+  email_address: email,
+});
+
+describe("a one-use promo code", () => {
+  let site;
+  before(async () => {
+    site = await startTestApp();
+  });
+  after(() => site.close());
+
+  const createCode = (code) =>
+    site.repos.promoCodes.create({
+      code,
+      description: "First client only",
+      discount_type: "FIXED",
+      discount_value: 50,
+      max_uses: 1,
+    });
+
+  // A discounted order approved in the PayPal popup by `email`
+  const approvedOrder = async (code, email, options) => {
+    const browser = site.client();
+    await browser.loadPage();
+    const created = await browser.post("/api/orders", {
+      service: "CSD Registration",
+      promo_code: code,
+    });
+    assert.equal(created.status, 201);
+    site.fakePayPal.approve(created.body.id, payer(email), options);
+    return { browser, orderId: created.body.id };
+  };
+  const capture = ({ browser, orderId }) => browser.post(`/api/orders/${orderId}/capture`, {});
+
+  it("goes to only one of two checkouts captured at once", async () => {
+    const promo = await createCode("FIRSTONLY");
+    const first = await approvedOrder("FIRSTONLY", "first@example.com");
+    const second = await approvedOrder("FIRSTONLY", "second@example.com");
+
+    const results = await Promise.all([capture(first), capture(second)]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+    const refused = results.find((r) => r.status === 409);
+    assert.equal(refused.body.error.code, "PROMO_CODE_USED_UP");
+
+    const { total } = await site.repos.promoCodes.usage(promo.id, null);
+    assert.equal(total, 1);
+  });
+
+  it("is released when PayPal declines the capture", async () => {
+    const promo = await createCode("SECONDGO");
+    const declined = await approvedOrder("SECONDGO", "declined@example.com", { declined: true });
+    const failed = await capture(declined);
+    assert.equal(failed.status, 422);
+    assert.equal(failed.body.error.code, "INSTRUMENT_DECLINED");
+    assert.equal((await site.repos.promoCodes.usage(promo.id, null)).total, 0);
+
+    const retried = await capture(await approvedOrder("SECONDGO", "another@example.com"));
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.transaction.promo_code, "SECONDGO");
+  });
+
+  // Reconciliation as the schedule would run it once the hold is over an hour old
+  const reconcileLater = () => {
+    const now = new Date(Date.now() + 6 * 60 * 60 * 1000);
+    return site.reconciler.run({ start: new Date(), end: now, triggeredBy: "test", now });
+  };
+  const usageLater = (promo) => {
+    const now = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    return site.repos.promoCodes.usage(promo.id, null, { now });
+  };
+
+  it("is held when PayPal's answer is lost, until reconciliation finds no capture", async () => {
+    const promo = await createCode("TIMEDOUT");
+    const lost = await approvedOrder("TIMEDOUT", "lost@example.com", { dropConnection: "before" });
+    const failed = await capture(lost);
+    assert.equal(failed.status, 502);
+
+    // Past the usual reservation time it still counts, so nobody else gets it
+    assert.equal((await usageLater(promo)).total, 1);
+    const browser = site.client();
+    await browser.loadPage();
+    const refused = await browser.post("/api/orders", {
+      service: "CSD Registration",
+      promo_code: "TIMEDOUT",
+    });
+    assert.equal(refused.status, 409);
+
+    await reconcileLater();
+    assert.equal((await site.repos.promoCodes.usage(promo.id, null)).total, 0);
+    const retried = await capture(await approvedOrder("TIMEDOUT", "third@example.com"));
+    assert.equal(retried.status, 200);
+  });
+
+  it("stays used when PayPal captured the order but its answer was lost", async () => {
+    const promo = await createCode("LOSTREPLY");
+    const lost = await approvedOrder("LOSTREPLY", "paid@example.com", { dropConnection: "after" });
+    assert.equal((await capture(lost)).status, 502);
+
+    await reconcileLater();
+    assert.equal((await usageLater(promo)).total, 1);
+
+    // The payer's retry saves the payment, and the held use becomes its redemption
+    const saved = await capture(lost);
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.transaction.promo_code, "LOSTREPLY");
+    assert.equal((await usageLater(promo)).total, 1);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("GET /receipt/:transactionId", () => {
+  let site;
+  let browser;
+  before(async () => {
+    site = await startTestApp();
+    browser = site.client();
+    await browser.loadPage("/");
+  });
+  after(() => site.close());
+
+  // What public/js/checkout.js does once the payer approves in the PayPal popup
+  const checkout = async (payload) => {
+    const created = await browser.post("/api/orders", payload);
+    assert.equal(created.status, 201);
+    site.fakePayPal.approve(created.body.id);
+    const captured = await browser.post(`/api/orders/${created.body.id}/capture`, {});
+    assert.equal(captured.status, 200);
+    return captured.body.transaction;
+  };
+
+  it("is linked from the capture and shows the payment and its invoice", async () => {
+    const transaction = await checkout({ service: "CSD Registration" });
+    const url = new URL(transaction.receipt_url);
+    assert.equal(url.pathname, `/receipt/${transaction.transaction_id}`);
+
+    const page = await browser.get(url.pathname + url.search);
+    assert.equal(page.status, 200);
+    assert.equal(page.headers.get("cache-control"), "private, no-store");
+    assert.match(page.body, /CSD Registration/);
+    assert.match(page.body, /R 350\.00/);
+    assert.match(page.body, /USD 19\.25/);
+    assert.match(page.body, new RegExp(transaction.invoice_number));
+    assert.match(page.body, /href="[^"]*\/invoices\/[^"]+\.pdf\?token=/);
+  });
+
+  it("shows a custom amount", async () => {
+    const transaction = await checkout({ amount: 120 });
+    const url = new URL(transaction.receipt_url);
+    const page = await browser.get(url.pathname + url.search);
+    assert.equal(page.status, 200);
+    assert.match(page.body, /Custom Payment/);
+    assert.match(page.body, /R 120\.00/);
+  });
+
+  it("sells a service whose name needs escaping in HTML", async () => {
+    const name = "Director's Amendment & Filing";
+    await site.repos.services.create({
+      name,
+      slug: "directors-amendment",
+      category: "Compliance",
+      description: "Change of directors with CIPC",
+      duration_minutes: 30,
+      display_order: 10,
+      price: 450,
+    });
+    const priced = await browser.post("/api/validate-service", { name });
+    assert.equal(priced.status, 200);
+
+    const transaction = await checkout({ service: name });
+    assert.equal(transaction.service_type, name);
+    const url = new URL(transaction.receipt_url);
+    const page = await browser.get(url.pathname + url.search);
+    assert.match(page.body, /Director&#39;s Amendment &amp; Filing/);
+  });
+
+  it("refuses a missing or borrowed token", async () => {
+    const first = new URL((await checkout({ service: "Tax PIN" })).receipt_url);
+    const second = new URL((await checkout({ service: "BBBEE Certificate" })).receipt_url);
+
+    const unsigned = await browser.get(first.pathname);
+    assert.equal(unsigned.status, 403);
+    assert.equal(unsigned.body.error.code, "INVALID_TOKEN");
+
+    const borrowed = await browser.get(first.pathname + second.search);
+    assert.equal(borrowed.status, 403);
+    assert.equal(borrowed.body.error.code, "INVALID_TOKEN");
+  });
+});
+
+describe("homepage checkout", () => {
+  let site;
+  before(async () => {
+    site = await startTestApp();
+  });
+  after(() => site.close());
+
+  it("names each card's service for checkout.js", async () => {
+    const page = await site.client().get("/");
+    assert.equal(page.status, 200);
+    assert.match(page.body, /data-checkout data-service="CSD Registration"/);
+    assert.match(page.body, /src="\/js\/checkout\.js"/);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("POST /admin/api/transactions/:transactionId/refunds", () => {
+  let site;
+  let browser;
+  before(async () => {
+    site = await startTestApp({ env: { ADMIN_API_TOKEN: "test-admin-token" } });
+    browser = site.client();
+    await browser.loadPage();
+  });
+  after(() => site.close());
+
+  it("keeps the reason as typed; templates escape it", async () => {
+    const created = await browser.post("/api/orders", { service: "CSD Registration" });
+    site.fakePayPal.approve(created.body.id);
+    const captured = await browser.post(`/api/orders/${created.body.id}/capture`, {});
+    const { transaction_id: transactionId } = captured.body.transaction;
+
+    const res = await site.client().post(
+      `/admin/api/transactions/${transactionId}/refunds`,
+      { reason: "Client's cancellation" },
+      { headers: { authorization: "Bearer test-admin-token" } }
+    );
+    assert.equal(res.status, 201);
+
+    const [refund] = await site.repos.refunds.listFor(transactionId);
+    assert.equal(refund.reason, "Client's cancellation");
+    const [sent] = [...site.fakePayPal.refunds.values()];
+    assert.equal(sent.note_to_payer, "Client's cancellation");
+  });
+
+  // A fresh payment by the same payer, so they confirm paying again
+  const capturedTransaction = async () => {
+    const created = await browser.post("/api/orders", { service: "CSD Registration" });
+    site.fakePayPal.approve(created.body.id);
+    const captured = await browser.post(`/api/orders/${created.body.id}/capture`, {
+      confirm_duplicate: true,
+    });
+    assert.equal(captured.status, 200);
+    return captured.body.transaction.transaction_id;
+  };
+  const refund = (transactionId) =>
+    site.client().post(
+      `/admin/api/transactions/${transactionId}/refunds`,
+      {},
+      { headers: { authorization: "Bearer test-admin-token" } }
+    );
+  const paymentStatus = async (transactionId) =>
+    (await site.repos.transactions.find(transactionId)).payment_status;
+
+  it("leaves the payment COMPLETED until PayPal finishes a PENDING refund", async () => {
+    const transactionId = await capturedTransaction();
+    site.fakePayPal.setRefundOutcome(transactionId, { status: "PENDING" });
+
+    const res = await refund(transactionId);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.refund.status, "PENDING");
+    assert.equal(res.body.payment_status, "COMPLETED");
+    assert.equal(await paymentStatus(transactionId), "COMPLETED");
+
+    const { amount } = await site.repos.transactions.find(transactionId);
+    const event = site.fakePayPal.sampleEvent("PAYMENT.CAPTURE.REFUNDED", {
+      captureId: transactionId,
+      amount,
+      refundId: res.body.refund.paypal_refund_id,
+    });
+    const webhook = await site.fakePayPal.sendWebhook(`${site.baseUrl}/webhooks/paypal`, event);
+    assert.equal(webhook.status, 200);
+    assert.equal(await paymentStatus(transactionId), "REFUNDED");
+    const [saved] = await site.repos.refunds.listFor(transactionId);
+    assert.equal(saved.status, "COMPLETED");
+  });
+
+  it("keeps a refund PayPal didn't answer PENDING and checks it with PayPal", async () => {
+    const transactionId = await capturedTransaction();
+    site.fakePayPal.setRefundOutcome(transactionId, { dropConnection: "after" });
+
+    const res = await refund(transactionId);
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error.code, "REFUND_UNCONFIRMED");
+    const [pending] = await site.repos.refunds.listFor(transactionId);
+    assert.equal(pending.status, "PENDING");
+    assert.equal(pending.paypal_refund_id, null);
+    assert.equal(await paymentStatus(transactionId), "COMPLETED");
+    // It may have gone through, so the balance stays spoken for
+    assert.equal((await refund(transactionId)).status, 409);
+
+    const now = new Date(Date.now() + 6 * 60 * 60 * 1000);
+    await site.reconciler.run({ start: new Date(), end: now, triggeredBy: "test", now });
+    const [checked] = await site.repos.refunds.listFor(transactionId);
+    assert.equal(checked.status, "COMPLETED");
+    const sent = [...site.fakePayPal.refunds.values()].filter((r) =>
+      r.links[0].href.endsWith(`/captures/${transactionId}`)
+    );
+    assert.deepEqual(sent.map((r) => r.id), [checked.paypal_refund_id]);
+    assert.equal(await paymentStatus(transactionId), "REFUNDED");
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("GET /api/services", () => {
+  let site;
+  let browser;
+  before(async () => {
+    site = await startTestApp();
+    browser = site.client();
+  });
+  after(() => site.close());
+
+  it("lists active services in display order, priced in ZAR with the PayPal charge", async () => {
+    const res = await browser.get("/api/services");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-total-count"), String(res.body.length));
+    assert.deepEqual(
+      res.body.map((s) => s.slug),
+      [
+        "company-registration",
+        "csd-registration",
+        "bbbee-certificate",
+        "tax-pin",
+        "co-operative-registration",
+      ]
+    );
+    const csd = res.body[1];
+    assert.equal(csd.name, "CSD Registration");
+    assert.equal(Number(csd.price), 350);
+    assert.equal(csd.currency, "ZAR");
+    assert.equal(csd.charge.currency, "USD");
+    assert.ok(Number(csd.charge.amount) > 0);
+  });
+
+  it("leaves out archived services", async () => {
+    const tax = await site.repos.services.findBySlug("tax-pin");
+    await site.repos.services.setActive(tax.id, false);
+    try {
+      const res = await browser.get("/api/services");
+      assert.ok(!res.body.some((s) => s.slug === "tax-pin"));
+    } finally {
+      await site.repos.services.setActive(tax.id, true);
+    }
+  });
+
+  it("filters by category, ignoring case", async () => {
+    const res = await browser.get("/api/services?category=compliance");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.map((s) => s.name),
+      ["CSD Registration", "BBBEE Certificate"]
+    );
+  });
+
+  it("pages with X-Total-Count and Link headers", async () => {
+    const first = await browser.get("/api/services?per_page=2");
+    assert.equal(first.body.length, 2);
+    assert.equal(first.headers.get("x-total-count"), "5");
+    assert.match(first.headers.get("link"), /page=2&per_page=2>; rel="next"/);
+
+    const last = await browser.get("/api/services?page=3&per_page=2");
+    assert.equal(last.body.length, 1);
+    assert.doesNotMatch(last.headers.get("link"), /rel="next"/);
+    assert.match(last.headers.get("link"), /page=2&per_page=2>; rel="prev"/);
+  });
+
+  it("answers 304 to a request carrying the current ETag", async () => {
+    const first = await browser.get("/api/services");
+    const etag = first.headers.get("etag");
+    assert.ok(etag);
+    // What a browser sends when it revalidates (fetch would add no-cache otherwise)
+    const again = await browser.get("/api/services", {
+      headers: { "if-none-match": etag, "cache-control": "max-age=0" },
+    });
+    assert.equal(again.status, 304);
+  });
+
+  it("rejects an invalid page size", async () => {
+    const res = await browser.get("/api/services?per_page=500");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "VALIDATION_ERROR");
+  });
+});
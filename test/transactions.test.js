@@ -0,0 +1,228 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("POST /save-transaction", () => {
+  let site;
+  let browser;
+  before(async () => {
+    site = await startTestApp();
+    browser = site.client();
+    await browser.loadPage();
+  });
+  after(() => site.close());
+
+  // An order priced by the site, approved and captured in the PayPal popup
+  const paidOrder = async (service = "CSD Registration") => {
+    const created = await browser.post("/api/orders", { service });
+    assert.equal(created.status, 201);
+    site.fakePayPal.approve(created.body.id);
+    await site.paypal.captureOrder(created.body.id);
+    return created.body;
+  };
+
+  it("saves the captured payment, issues an invoice and emails the payer", async () => {
+    const order = await paidOrder();
+    const res = await browser.post("/save-transaction", { transaction_id: order.id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, "Transaction saved");
+
+    const { transaction } = res.body;
+    assert.equal(transaction.payer_email, "payer@example.com");
+    assert.equal(transaction.service_type, "CSD Registration");
+    assert.equal(Number(transaction.amount), 19.25);
+    assert.equal(transaction.currency, "USD");
+    assert.equal(Number(transaction.amount_zar), 350);
+    assert.match(transaction.invoice_number, /\S/);
+    assert.match(transaction.invoice_url, /\/invoices\/.+\.pdf\?token=/);
+
+    const saved = await site.repos.transactions.find(transaction.transaction_id);
+    assert.equal(saved.payment_status, "COMPLETED");
+
+    site.smtp.clear();
+    await site.outbox.dispatchDue();
+    const email = site.smtp.sent.find((m) => m.to === "payer@example.com");
+    assert.ok(email, "payment confirmation sent");
+    assert.equal(email.subject, `Payment Confirmation · Tax Invoice ${transaction.invoice_number}`);
+    assert.equal(email.attachments.length, 1);
+  });
+
+  it("returns the saved payment when the same order is saved again", async () => {
+    const order = await paidOrder("Tax PIN");
+    const first = await browser.post("/save-transaction", { transaction_id: order.id });
+    const again = await browser.post("/save-transaction", { transaction_id: order.id });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.message, "Transaction already saved");
+    assert.equal(again.body.transaction.transaction_id, first.body.transaction.transaction_id);
+    assert.equal(again.body.transaction.invoice_number, first.body.transaction.invoice_number);
+  });
+
+  it("refuses an order the site didn't create", async () => {
+    const order = await site.paypal.createOrder({
+      amount: "1.00",
+      currency: "USD",
+      description: "CSD Registration",
+      customId: "custom",
+    });
+    site.fakePayPal.approve(order.id);
+    const captured = await site.paypal.captureOrder(order.id);
+    const captureId = captured.purchase_units[0].payments.captures[0].id;
+
+    const res = await browser.post("/save-transaction", { transaction_id: order.id });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "UNKNOWN_ORDER");
+    assert.equal(await site.repos.transactions.find(captureId), null);
+  });
+
+  it("refuses an order that hasn't been captured", async () => {
+    const created = await browser.post("/api/orders", { service: "BBBEE Certificate" });
+    site.fakePayPal.approve(created.body.id);
+    const res = await browser.post("/save-transaction", { transaction_id: created.body.id });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "PAYMENT_NOT_CAPTURED");
+  });
+
+  it("requires a transaction id", async () => {
+    const res = await browser.post("/save-transaction", {});
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "VALIDATION_ERROR");
+    assert.ok(res.body.error.details.some((d) => d.path === "transaction_id"));
+  });
+});
+
+describe("PENDING captures", () => {
+  let site;
+  let browser;
+  before(async () => {
+    site = await startTestApp();
+    browser = site.client();
+    await browser.loadPage();
+  });
+  after(() => site.close());
+
+  it("are saved without an invoice until PayPal completes them", async () => {
+    const created = await browser.post("/api/orders", { service: "CSD Registration" });
+    site.fakePayPal.approve(created.body.id, undefined, { captureStatus: "PENDING" });
+    const res = await browser.post(`/api/orders/${created.body.id}/capture`, {});
+    assert.equal(res.status, 200);
+    const { transaction } = res.body;
+    assert.equal(transaction.payment_status, "PENDING");
+    assert.equal(transaction.invoice_number, null);
+    assert.equal(await site.repos.invoices.findByTransaction(transaction.transaction_id), null);
+
+    site.smtp.clear();
+    await site.outbox.dispatchDue();
+    assert.deepEqual(
+      site.smtp.sent.map((m) => m.subject),
+      ["Payment Received, Pending Clearance · CSD Registration"]
+    );
+
+    const event = site.fakePayPal.sampleEvent("PAYMENT.CAPTURE.COMPLETED", {
+      captureId: transaction.transaction_id,
+      amount: transaction.amount,
+    });
+    const webhook = await site.fakePayPal.sendWebhook(`${site.baseUrl}/webhooks/paypal`, event);
+    assert.equal(webhook.status, 200);
+    assert.equal(webhook.data.updated, 1);
+
+    const invoice = await site.repos.invoices.findByTransaction(transaction.transaction_id);
+    assert.ok(invoice, "invoice issued on completion");
+    site.smtp.clear();
+    await site.outbox.dispatchDue();
+    const [email] = site.smtp.sent;
+    assert.equal(email.subject, `Payment Confirmation · Tax Invoice ${invoice.invoice_number}`);
+    assert.equal(email.attachments.length, 1);
+  });
+
+  // A capture saved as PENDING, with the "payment pending" email already sent
+  const pendingCapture = async () => {
+    const created = await browser.post("/api/orders", { service: "CSD Registration" });
+    site.fakePayPal.approve(created.body.id, undefined, { captureStatus: "PENDING" });
+    // The same payer and service as the first test, so they confirm paying again
+    const res = await browser.post(`/api/orders/${created.body.id}/capture`, {
+      confirm_duplicate: true,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.transaction.payment_status, "PENDING");
+    await site.outbox.dispatchDue();
+    site.smtp.clear();
+    return { orderId: created.body.id, transaction: res.body.transaction };
+  };
+
+  // The invoice issued for a transaction, and that exactly one confirmation went out
+  const assertInvoiced = async (transactionId) => {
+    const invoice = await site.repos.invoices.findByTransaction(transactionId);
+    assert.ok(invoice, "invoice issued on completion");
+    await site.outbox.dispatchDue();
+    assert.deepEqual(
+      site.smtp.sent.map((m) => m.subject),
+      [`Payment Confirmation · Tax Invoice ${invoice.invoice_number}`]
+    );
+    site.smtp.clear();
+    return invoice;
+  };
+
+  it("are invoiced when saved again after PayPal completes them", async () => {
+    const { orderId, transaction } = await pendingCapture();
+    site.fakePayPal.settleCapture(transaction.transaction_id);
+
+    const retried = await browser.post(`/api/orders/${orderId}/capture`, {});
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.transaction.payment_status, "COMPLETED");
+    const invoice = await assertInvoiced(transaction.transaction_id);
+    assert.equal(retried.body.transaction.invoice_number, invoice.invoice_number);
+    const history = await site.repos.transactions.history(transaction.transaction_id);
+    assert.deepEqual(
+      history.map((h) => [h.previous_status, h.new_status, h.source]),
+      [["PENDING", "COMPLETED", "paypal_capture"]]
+    );
+
+    // Saving it once more changes nothing
+    const again = await browser.post(`/api/orders/${orderId}/capture`, {});
+    assert.equal(again.body.transaction.invoice_number, invoice.invoice_number);
+    await site.outbox.dispatchDue();
+    assert.deepEqual(site.smtp.sent, []);
+  });
+
+  it("are invoiced when a dispute opened while pending resolves in our favour", async () => {
+    const { transaction } = await pendingCapture();
+    const send = async (type, extra) => {
+      const event = site.fakePayPal.sampleEvent(type, {
+        captureId: transaction.transaction_id,
+        amount: transaction.amount,
+        ...extra,
+      });
+      const res = await site.fakePayPal.sendWebhook(`${site.baseUrl}/webhooks/paypal`, event);
+      assert.equal(res.status, 200);
+    };
+
+    await send("CUSTOMER.DISPUTE.CREATED");
+    assert.equal(await site.repos.invoices.findByTransaction(transaction.transaction_id), null);
+    await send("CUSTOMER.DISPUTE.RESOLVED", { outcome: "RESOLVED_SELLER_FAVOUR" });
+    const saved = await site.repos.transactions.find(transaction.transaction_id);
+    assert.equal(saved.payment_status, "COMPLETED");
+    await assertInvoiced(transaction.transaction_id);
+  });
+
+  it("are invoiced when reconciliation finds PayPal has completed them", async () => {
+    const { transaction } = await pendingCapture();
+    site.fakePayPal.settleCapture(transaction.transaction_id);
+
+    // Far enough ahead that PayPal's reporting delay has passed
+    const now = new Date(Date.now() + 6 * 60 * 60 * 1000);
+    const { run, issues } = await site.reconciler.run({
+      start: new Date(Date.now() - 60 * 60 * 1000),
+      end: now,
+      triggeredBy: "test",
+      now,
+    });
+    assert.equal(run.status, "COMPLETED");
+    assert.deepEqual(
+      issues.filter((i) => i.transaction_id === transaction.transaction_id),
+      []
+    );
+    const saved = await site.repos.transactions.find(transaction.transaction_id);
+    assert.equal(saved.payment_status, "COMPLETED");
+    await assertInvoiced(transaction.transaction_id);
+  });
+});